@@ -2,3 +2,19 @@
 
 // Export the content of StreamUpload
 module.exports = require('./lib/StreamUpload')
+
+// Other classes are exported as properties
+module.exports.StreamDownload = require('./lib/StreamDownload')
+module.exports.DirectoryUpload = require('./lib/DirectoryUpload')
+module.exports.DirectorySync = require('./lib/DirectorySync')
+module.exports.ContainerClient = require('./lib/ContainerClient')
+module.exports.Retention = require('./lib/Retention')
+module.exports.TarArchive = require('./lib/TarArchive')
+module.exports.Encryption = require('./lib/Encryption')
+module.exports.SharedAccessSignature = require('./lib/SharedAccessSignature')
+module.exports.TokenCredential = require('./lib/TokenCredential')
+module.exports.ConnectionString = require('./lib/ConnectionString')
+module.exports.PathTemplate = require('./lib/PathTemplate')
+module.exports.RateLimiter = require('./lib/RateLimiter')
+module.exports.RetryPolicy = require('./lib/RetryPolicy')
+module.exports.Errors = require('./lib/Errors')
@@ -7,6 +7,8 @@ const qs = require('qs')
 
 /**
  * Generate authorization tokens for the requests to Azure Blob Storage
+ *
+ * Requests are signed with the SharedKey scheme by default; the SharedKeyLite scheme is supported too.
  */
 class Authorization {
     /**
@@ -17,7 +19,13 @@ class Authorization {
      * @param {Object} [extra] - Optional, extra paramters
      * @param {string} extra.contentMD5 - Value for the Content-MD5 header (optional)
      * @param {string} extra.contentType - Value for the Content-Type header (optional)
+     * @param {number} extra.contentLength - Length of the body of the request, in bytes (optional; the Content-Length header itself is set by the HTTP client)
+     * @param {Object} extra.headers - Dictionary of other standard headers to sign and send, such as Content-Encoding, If-Match or Range (optional)
      * @param {Object} extra.qs - Dictionary of values for the querystring to append to the URL (optional)
+     * @param {string} extra.apiVersion - Version of the Azure Storage REST API (optional; defaults to `Authorization.apiVersion`)
+     * @param {string} extra.basePath - Path of the URL of the Blob service, for path-style URLs such as "/devstoreaccount1" for the storage emulator; it's part of the canonicalized resource (optional)
+     * @param {string} extra.keyType - Authorization scheme: "SharedKey" (default) or "SharedKeyLite" (optional)
+     * @param {Date} extra.date - Date of the request (optional; defaults to the current date)
      */
     constructor(verb, blob, extra) {
         if (!blob || !_.isString(blob) || !blob.startsWith('/')) {
@@ -31,7 +39,13 @@ class Authorization {
         // Extra parameters (optional)
         this._contentType = undefined
         this._contentMD5 = undefined
+        this._contentLength = 0
+        this._standardHeaders = {}
         this._qs = {}
+        this._keyType = 'SharedKey'
+        this._apiVersion = Authorization.apiVersion
+        this._basePath = ''
+        let date = new Date()
         if (extra && _.isObject(extra) && !_.isEmpty(extra)) {
             // Content-MD5 and Content-Type
             if (extra.contentMD5 && _.isString(extra.contentMD5)) {
@@ -40,28 +54,75 @@ class Authorization {
             if (extra.contentType && _.isString(extra.contentType)) {
                 this._contentType = extra.contentType
             }
-            
+
+            // Content-Length
+            if (extra.contentLength) {
+                if (extra.contentLength !== Math.floor(extra.contentLength) || extra.contentLength < 0) {
+                    throw Error('Content length must be a non-negative integer')
+                }
+                this._contentLength = extra.contentLength
+            }
+
+            // Other standard headers
+            if (extra.headers) {
+                for (const key of Object.keys(extra.headers)) {
+                    if (Authorization.standardHeaders.indexOf(key.toLowerCase()) < 0) {
+                        throw Error('Header ' + key + ' is not a standard header that can be signed')
+                    }
+                    if (extra.headers[key] !== undefined && extra.headers[key] !== null && extra.headers[key] !== '') {
+                        this._standardHeaders[key.toLowerCase()] = extra.headers[key] + ''
+                    }
+                }
+            }
+
             // Querystring
             if (extra.qs) {
                 this._qs = extra.qs
-                this._blob += '?' + qs.stringify(extra.qs)
+            }
+
+            // Version of the API
+            if (extra.apiVersion) {
+                if (!Utils.isValidApiVersion(extra.apiVersion)) {
+                    throw Error('API version must be a date in the format YYYY-MM-DD')
+                }
+                this._apiVersion = extra.apiVersion
+            }
+
+            // Path of the Blob service, for path-style URLs
+            if (extra.basePath) {
+                if (!_.isString(extra.basePath) || !extra.basePath.startsWith('/')) {
+                    throw Error('Base path must be a string starting with /')
+                }
+                this._basePath = extra.basePath.replace(/\/+$/, '')
+            }
+
+            // Authorization scheme
+            if (extra.keyType) {
+                if (extra.keyType != 'SharedKey' && extra.keyType != 'SharedKeyLite') {
+                    throw Error('Key type must be either SharedKey or SharedKeyLite')
+                }
+                this._keyType = extra.keyType
+            }
+
+            if (extra.date) {
+                if (!(extra.date instanceof Date) || isNaN(extra.date.getTime())) {
+                    throw Error('Date must be a valid Date object')
+                }
+                date = extra.date
             }
         }
 
         // Initialize the object to hold custom headers
         this._customHeaders = {}
 
-        // Key type and version
-        this._keyType = 'SharedKeyLite'
-        this._apiVersion = '2016-05-31'
-        
         // Generate the x-ms-date header
-        this._date = (new Date()).toUTCString()
+        this._date = date.toUTCString()
 
-        // Storage account name, key and SAS token will be stored in these variables
+        // Storage account name, key, SAS token and bearer token will be stored in these variables
         this._storageAccountName = false
         this._storageAccountKey = undefined
         this._storageAccountSasToken = undefined
+        this._bearerToken = undefined
     }
 
     /**
@@ -73,6 +134,15 @@ class Authorization {
         return this._date
     }
 
+    /**
+     * Version of the Azure Storage REST API used for the request, sent in the "x-ms-version" header
+     *
+     * @return {string} Version of the API
+     */
+    get apiVersion() {
+        return this._apiVersion
+    }
+
     /**
      * Getter for the list of headers to add to the request
      * 
@@ -141,56 +211,137 @@ class Authorization {
     }
 
     /**
-     * Generate the signature for the Authorization header.
+     * Set the storage account name and an OAuth access token, sent in the "Authorization: Bearer" header
      *
-     * When using SAS tokens, this returns null.
-     * 
-     * @return {string} Signature for the request
+     * @param {string} name - Name for the storage account
+     * @param {string} token - Access token
      */
-    generateSignature() {
+    setBearerToken(name, token) {
+        if (!name || !_.isString(name) || name.length < 1) {
+            throw Error('Parameter name must be a non-empty string')
+        }
+        if (!token || !_.isString(token)) {
+            throw Error('Parameter token must be a non-empty string')
+        }
+
+        this._storageAccountName = name
+        this._storageAccountKey = undefined
+        this._storageAccountSasToken = undefined
+        this._bearerToken = token
+    }
+
+    /**
+     * Set the credentials from the authentication data passed to StreamUpload or StreamDownload.
+     *
+     * When using a TokenCredential object, this requests an access token if needed.
+     *
+     * @param {Object} authData - Authentication data
+     * @param {string} authData.storageAccountName - Name of the Azure Storage Account
+     * @param {string} [authData.storageAccountKey] - Key of the Azure Storage Account
+     * @param {string} [authData.storageAccountSasToken] - SAS token
+     * @param {TokenCredential} [authData.tokenCredential] - Object that returns OAuth access tokens
+     * @return {Promise} Promise that resolves when the credentials are set
+     */
+    setAuthData(authData) {
+        if (authData.tokenCredential) {
+            return authData.tokenCredential.getToken()
+                .then((token) => {
+                    this.setBearerToken(authData.storageAccountName, token)
+                })
+        }
+
+        try {
+            this.setStorageAccount(authData.storageAccountName, authData.storageAccountKey, authData.storageAccountSasToken)
+        }
+        catch (err) {
+            return Promise.reject(err)
+        }
+        return Promise.resolve()
+    }
+
+    /**
+     * Build the string to sign for the request, according to the authorization scheme.
+     *
+     * @return {string} String to sign
+     */
+    stringToSign() {
         if (!this._storageAccountName) {
             throw Error('You must set storage account name and key or SAS token')
         }
 
-        // When using SAS tokens, return null
-        if (this._storageAccountSasToken) {
-            return null
+        // Standard headers, and resource, depending on the scheme
+        const components = [this._verb] // HTTP verb
+        // With path-style URLs, the path of the service (which includes the account name) is part of the resource too
+        let resourceString = '/' + this._storageAccountName + this._basePath + this._blob
+        if (this._keyType == 'SharedKeyLite') {
+            components.push(
+                this._contentMD5 || '', // Content-MD5
+                this._contentType || '', // Content-Type
+                '' // Date header (not used because of x-ms-date)
+            )
+
+            // SharedKeyLite includes only the "comp" parameter in the resource
+            if (this._qs.comp) {
+                resourceString += '?comp=' + this._qs.comp
+            }
+        }
+        else {
+            const header = (name) => this._standardHeaders[name] || ''
+            components.push(
+                header('content-encoding'),
+                header('content-language'),
+                this._contentLength ? (this._contentLength + '') : '', // Content-Length (empty when 0)
+                this._contentMD5 || '', // Content-MD5
+                this._contentType || '', // Content-Type
+                '', // Date header (not used because of x-ms-date)
+                header('if-modified-since'),
+                header('if-match'),
+                header('if-none-match'),
+                header('if-unmodified-since'),
+                header('range')
+            )
+
+            // Add all parameters of the querystring to the resource, with lowercase names and sorted
+            resourceString += Authorization.canonicalizeQuerystring(this._qs)
         }
-
-        const components = [
-            this._verb, // HTTP verb
-            this._contentMD5 || '', // Content-MD5
-            this._contentType || '', // Content-Type
-            '', // Date header (not used because of x-ms-date)
-        ]
 
         // Build the "Canonicalized Header String" according to the documentation
+        // Names are lowercase and sorted; values are unfolded and trimmed, as they are received by the server
         const allHeaders = this.headers // Already sorted
         const join = []
-        for (const k in allHeaders) {
-            if (allHeaders.hasOwnProperty(k)) {
-                join.push(k + ':' + allHeaders[k].replace(/(\n|\r)/g, ' '))
-            }
+        for (const k of Object.keys(allHeaders)) {
+            join.push(k + ':' + allHeaders[k].replace(/(\n|\r)/g, ' ').trim())
         }
         components.push(join.join('\n'))
 
-        // Build the "Canonicalized Resource String"
-        let resourceString = '/' + this._storageAccountName + this._blob
+        // Add the "Canonicalized Resource String"
+        components.push(resourceString)
+
+        return components.join('\n')
+    }
 
-        // If using SAS tokens, append them
-        if (this._storageAccountSasToken) {
-            resourceString += this._storageAccountSasToken + '&api-version=' + this._apiVersion
+    /**
+     * Generate the signature for the Authorization header.
+     *
+     * When using SAS tokens or bearer tokens, this returns null.
+     * 
+     * @return {string} Signature for the request
+     */
+    generateSignature() {
+        if (!this._storageAccountName) {
+            throw Error('You must set storage account name and key or SAS token')
         }
 
-        components.push(resourceString)
+        // When using SAS tokens or bearer tokens, return null
+        if (this._storageAccountSasToken || this._bearerToken) {
+            return null
+        }
 
         // String to sign
-        const baseString = components.join('\n')
+        const baseString = this.stringToSign()
 
         // Compute the SHA256-HMAC
-        const hmac = crypto.createHmac('sha256',
-            Buffer.from(this._storageAccountKey || this._storageAccountSasToken, 'base64')
-        )
+        const hmac = crypto.createHmac('sha256', Buffer.from(this._storageAccountKey, 'base64'))
         hmac.update(baseString)
         const signature = hmac.digest('base64')
 
@@ -209,6 +360,11 @@ class Authorization {
         if (this._storageAccountSasToken) {
             return null
         }
+
+        // Bearer tokens are sent as-is
+        if (this._bearerToken) {
+            return 'Bearer ' + this._bearerToken
+        }
         
         // Generate the signature
         const signature = this.generateSignature()
@@ -228,13 +384,16 @@ class Authorization {
             {'Authorization': auth} :
             {}
         
-        // Add Content-MD5 and Content-Type if necessary
+        // Add Content-MD5, Content-Type and other standard headers if necessary
         if (this._contentMD5) {
             merge['Content-MD5'] = this._contentMD5
         }
         if (this._contentType) {
             merge['Content-Type'] = this._contentType
         }
+        for (const key of Object.keys(this._standardHeaders)) {
+            merge[key] = this._standardHeaders[key]
+        }
 
         return _.merge({}, this.headers, merge)
     }
@@ -260,4 +419,27 @@ class Authorization {
     }
 }
 
+// Default version of the Azure Storage REST API used
+// Setting the access tier when committing blobs requires version 2018-11-09 or higher
+Authorization.apiVersion = '2019-02-02'
+
+// Standard headers (other than Content-MD5 and Content-Type) that are part of the SharedKey signature
+Authorization.standardHeaders = ['content-encoding', 'content-language', 'if-modified-since', 'if-match', 'if-none-match', 'if-unmodified-since', 'range']
+
+// Build the canonicalized querystring for SharedKey signatures: each parameter on a new line, as
+// "name:value", with names lowercase and sorted, and multiple values sorted and separated by commas
+Authorization.canonicalizeQuerystring = (params) => {
+    const values = {}
+    for (const key of Object.keys(params || {})) {
+        const name = key.toLowerCase()
+        values[name] = (values[name] || []).concat(params[key])
+    }
+
+    let result = ''
+    for (const name of Object.keys(values).sort()) {
+        result += '\n' + name + ':' + values[name].map((val) => val + '').sort().join(',')
+    }
+    return result
+}
+
 module.exports = Authorization
@@ -3,10 +3,28 @@
 /* eslint no-console: 0 */
 
 const fs = require('fs')
+const readline = require('readline')
 const program = require('commander')
 
 const pkgInfo = require('../package.json')
 const StreamUpload = require('./StreamUpload')
+const StreamDownload = require('./StreamDownload')
+const Encryption = require('./Encryption')
+const Compression = require('./Compression')
+const DirectorySync = require('./DirectorySync')
+const DirectoryUpload = require('./DirectoryUpload')
+const DirectoryWalker = require('./DirectoryWalker')
+const Errors = require('./Errors')
+const PathTemplate = require('./PathTemplate')
+const ConnectionString = require('./ConnectionString')
+const ContainerClient = require('./ContainerClient')
+const RateLimiter = require('./RateLimiter')
+const RetryPolicy = require('./RetryPolicy')
+const Retention = require('./Retention')
+const SharedAccessSignature = require('./SharedAccessSignature')
+const TarArchive = require('./TarArchive')
+const TokenCredential = require('./TokenCredential')
+const Utils = require('./Utils')
 
 // Validate that the console parameter is a positive integer
 const validateInt = (val) => {
@@ -18,23 +36,201 @@ const validateInt = (val) => {
     return num
 }
 
+// Parse a size in bytes, with an optional unit (e.g. "512M")
+const parseSize = (val) => {
+    const size = Utils.parseBytes(val)
+    if (size === null) {
+        console.log('Invalid size: ' + val)
+        process.exit(1)
+    }
+    return size
+}
+
+// Parse a non-negative number of seconds (e.g. "1.5"), returning it in milliseconds
+const parseSeconds = (val) => {
+    const num = parseFloat(val)
+    if (!(val + '').match(/^\d+(\.\d+)?$/) || isNaN(num)) {
+        console.log('Invalid number of seconds: ' + val)
+        process.exit(1)
+    }
+    return Math.round(num * 1000)
+}
+
+// Collect the values of options that can be repeated
+const collect = (val, list) => {
+    list.push(val)
+    return list
+}
+
+// Exit codes for the errors of operations, by class of the error (checked in order); other errors exit with code 4
+const errorExitCodes = [
+    [Errors.ContainerNotFoundError, 2],
+    [Errors.BlobNotFoundError, 2],
+    [Errors.AuthenticationError, 3],
+    [Errors.IntegrityError, 5],
+    [Errors.NetworkError, 6],
+    [Errors.ThrottledError, 7],
+    [Errors.BlobAlreadyExistsError, 8]
+]
+
+// Print the error of a failed operation (with the ID of the request, if any), then exit with the code for its class
+const exitWithError = (err, log) => {
+    log = log || console.log
+    log('Error: ', err.message)
+    if (err.requestId) {
+        log('Request ID: ' + err.requestId)
+    }
+
+    const match = errorExitCodes.find((item) => err instanceof item[0])
+    process.exit(match ? match[1] : 4)
+}
+
+// Parse a date for SAS tokens: either a date in a format supported by Date.parse (e.g. ISO 8601),
+// or a duration from now, such as "30m", "12h" or "7d"
+const parseDate = (val) => {
+    const match = val.match(/^(\d+)([mhd])$/)
+    if (match) {
+        const units = {m: 60, h: 3600, d: 86400}
+        return new Date(Date.now() + parseInt(match[1], 10) * units[match[2]] * 1000)
+    }
+
+    const date = new Date(val)
+    if (isNaN(date.getTime())) {
+        console.log('Invalid date: ' + val)
+        process.exit(1)
+    }
+    return date
+}
+
+// Supported values for --auth-mode
+const authModes = ['key', 'client-secret', 'managed-identity', 'token']
+
+// When stderr is not a TTY, progress is printed at this interval, in milliseconds
+const progressInterval = 60000
+
 class AzBakCLI {
     constructor() {
+        // URL of the Blob service, when set by a connection string
+        this._blobEndpoint = undefined
+
+        // RateLimiter shared by all uploads, when the bandwidth is limited
+        this._rateLimiter = undefined
+
+        // RetryPolicy shared by all uploads
+        this._retryPolicy = undefined
+
         // Parse console options
         program
             .version(pkgInfo.version)
             .arguments('<input> <destinationPath>')
-            .option('-b, --blocks <n>', 'Number of blocks per blob, each of fixed size [' + StreamUpload.maxBlocksPerBlob + ']', validateInt, StreamUpload.maxBlocksPerBlob)
-            .option('-s, --block-size <n>', 'Size of each block uploaded in MB, max 100MB [' + StreamUpload.defaultBlockSize / 1024 / 1024 + ']', validateInt, StreamUpload.defaultBlockSize / 1024 / 1024)
+            .option('-b, --blocks <n>', 'Number of blocks per blob, each of fixed size [' + StreamUpload.maxBlocksPerBlob + ']', validateInt)
+            .option('-s, --block-size <n>', 'Size of each block uploaded in MB, max 100MB [' + StreamUpload.defaultBlockSize / 1024 / 1024 + ', or larger if needed to fit the input in one blob]', validateInt)
             .option('-c, --concurrency <n>', 'Number of concurrent upload tasks [' + StreamUpload.defaultConcurrency + ']', validateInt, StreamUpload.defaultConcurrency)
+            .option('--expected-size <size>', 'Size of the input when reading from stdin or archiving, with an optional K, M, G or T suffix (e.g. 500G); used to choose the block size', parseSize)
+            .option('--max-memory <size>', 'Maximum memory used for the blocks being read and uploaded, with an optional K, M or G suffix (e.g. 512M); limits the concurrency and the block size chosen automatically', parseSize)
             .option('--no-suffix', 'Upload a single blob only and do not append numeric suffix')
+            .option('--single-blob', 'Same as --no-suffix; fails before uploading if the input is known to be too big for one blob')
             .option('--endpoint <host>', 'Endpoint to use [' + StreamUpload.defaultEndpoint + ']', StreamUpload.defaultEndpoint)
             .option('--no-md5', 'Skip MD5 check when uploading chunks')
+            .option('--no-manifest', 'Do not write the manifest blob describing the backup')
+            .option('--no-progress', 'Do not show the progress of the upload')
+            .option('--resume <journal>', 'Path of a journal file used to resume interrupted uploads')
+            .option('--compress <algo>', 'Compress data before uploading it, using one of: ' + Compression.algorithms.join(', '))
+            .option('--level <n>', 'Compression level, whose range depends on the algorithm', (val) => parseInt(val, 10))
+            .option('--encrypt-key-file <path>', 'Encrypt data with the 256-bit key in this file (and decrypt it when restoring)')
+            .option('--encrypt-passphrase-env <name>', 'Encrypt data with the passphrase in this environmental variable (and decrypt it when restoring)')
+            .option('--metadata <key=value>', 'Set metadata on the blobs; can be repeated', collect, [])
+            .option('--content-type <type>', 'Content type of the blobs [application/octet-stream]')
+            .option('--tier <tier>', 'Access tier of the blobs: ' + StreamUpload.tiers.join(', '))
+            .option('--archive <format>', 'Archive the input directory into a single backup, in this format: ' + TarArchive.formats.join(', '))
+            .option('--include <glob>', 'When uploading or archiving a directory, include only files matching this pattern; can be repeated', collect, [])
+            .option('--exclude <glob>', 'When uploading or archiving a directory, skip files and directories matching this pattern; can be repeated', collect, [])
+            .option('--symlinks <policy>', 'When uploading or archiving a directory, what to do with symbolic links: ' + DirectoryWalker.symlinkPolicies.join(', ') + ' [' + DirectoryWalker.defaultSymlinks + ']', DirectoryWalker.defaultSymlinks)
+            .option('--limit-rate <rate>', 'Limit the upload bandwidth to this many bytes per second, with an optional K, M or G suffix (e.g. 20M)')
+            .option('--limit-schedule <windows>', 'Bandwidth limits for times of the day, in local time, as HH:MM-HH:MM=rate separated by commas; 0 is unlimited (e.g. 01:00-05:00=0)')
+            .option('--max-attempts <n>', 'Maximum number of attempts for each request, including the first one [' + RetryPolicy.defaultMaxAttempts + ']', validateInt)
+            .option('--retry-delay <seconds>', 'Delay before retrying a failed request, doubling at each attempt [' + RetryPolicy.defaultBaseDelay / 1000 + ']', parseSeconds)
+            .option('--retry-max-delay <seconds>', 'Maximum delay between attempts, unless the server requests a longer one with Retry-After [' + RetryPolicy.defaultMaxDelay / 1000 + ']', parseSeconds)
+            .option('--retry-jitter <fraction>', 'Fraction of the delay that is randomized, between 0 and 1 [' + RetryPolicy.defaultJitter + ']', parseFloat)
+            .option('--retry-status <codes>', 'Status codes of the responses that are retried, separated by commas [' + RetryPolicy.defaultRetryableStatusCodes.join(',') + ']')
+            .option('--timeout <seconds>', 'Timeout of each request: maximum time to connect, and without sending or receiving data; 0 disables it [' + RetryPolicy.defaultTimeout / 1000 + ']', parseSeconds)
+            .option('--local-time', 'Expand date and time placeholders in the destination path using local time instead of UTC')
+            .option('--parallel <n>', 'When uploading a directory, number of files uploaded at once [' + DirectoryUpload.defaultConcurrency + ']', validateInt, DirectoryUpload.defaultConcurrency)
             .option('--storage-account <s>', 'Name of the Storage Account')
             .option('--access-key <s>', 'Access Key of the Storage Account')
             .option('--sas-token <s>', 'SAS token for authentication')
-            .action(this.uploadStream)
+            .option('--connection-string <s>', 'Connection string of the Storage Account, including the endpoint and credentials')
+            .option('--auth-mode <mode>', 'Authentication method: ' + authModes.join(', ') + ' [key]', 'key')
+            .option('--tenant-id <id>', 'Azure AD tenant ID, for the client-secret auth mode')
+            .option('--client-id <id>', 'Azure AD client ID, for the client-secret auth mode, or of the user-assigned identity for managed-identity')
+            .option('--authority-host <url>', 'Azure AD authority host, for the client-secret auth mode [' + TokenCredential.defaultAuthorityHost + ']')
+            .option('--imds-endpoint <url>', 'Managed identity endpoint, for the managed-identity auth mode [' + TokenCredential.defaultImdsEndpoint + ']')
+            .option('--token-env <name>', 'Environmental variable containing the access token, for the token auth mode [AZURE_STORAGE_TOKEN]', 'AZURE_STORAGE_TOKEN')
+            .action(this.uploadStream.bind(this))
+
+        // Restore command
+        program
+            .command('restore <sourcePath> [output]')
+            .description('Download a backup, joining all its parts, and write it to a file or stdout')
+            .option('--no-decompress', 'Do not decompress backups that were compressed by azbak')
+            .action(this.restoreStream.bind(this))
+
+        // Verify command
+        program
+            .command('verify <sourcePath>')
+            .description('Download all parts of a backup and check them against the checksums recorded at upload time')
+            .option('--local <file>', 'Also compare the backup with this local file')
+            .action(this.verifyBackup.bind(this))
+
+        // List command
+        program
+            .command('ls <path>')
+            .description('List the backups in a container, or with a prefix, showing the parts of each one as a single backup')
+            .option('--json', 'Print the list as JSON')
+            .action(this.listBackups.bind(this))
+
+        // Prune command
+        program
+            .command('prune <path>')
+            .description('Delete the backups in a container, or with a prefix, that are not kept by the retention rules')
+            .option('--keep-last <n>', 'Keep the n most recent backups', validateInt)
+            .option('--keep-daily <n>', 'Keep the most recent backup of each of the last n days with backups', validateInt)
+            .option('--keep-weekly <n>', 'Keep the most recent backup of each of the last n weeks with backups', validateInt)
+            .option('--keep-monthly <n>', 'Keep the most recent backup of each of the last n months with backups', validateInt)
+            .option('--include-snapshots', 'Delete the snapshots of the blobs too')
+            .option('--dry-run', 'Print the backups that would be kept and deleted, without deleting anything')
+            .action(this.pruneBackups.bind(this))
+
+        // Remove command
+        program
+            .command('rm <path>')
+            .description('Delete a backup, with all its parts and its manifest')
+            .option('-y, --yes', 'Do not ask for confirmation; required when not running interactively')
+            .option('--include-snapshots', 'Delete the snapshots of the blobs too')
+            .action(this.removeBackup.bind(this))
+
+        // Sync command
+        program
+            .command('sync <sourceDir> <destinationPath>')
+            .description('Upload the files in a directory that are new or changed since the last sync')
+            .option('--delete', 'Delete the backups of files that no longer exist in the directory')
+            .option('--dry-run', 'Print the files that would be uploaded and deleted, without changing anything')
+            .option('--checksum', 'Compare files by their MD5 hash instead of their size and modification time')
+            .action(this.syncDirectory.bind(this))
         
+        // SAS command
+        program
+            .command('sas [path]')
+            .description('Generate a SAS token for a container or a blob (or, with --account, for the storage account)')
+            .option('--permissions <perms>', 'Permissions granted: any of racwd for blobs, racwdl for containers, rwdlacup for accounts')
+            .option('--expiry <date>', 'Expiry time, as a date (e.g. 2030-01-01T00:00:00Z) or a duration from now (e.g. 12h, 7d)', parseDate)
+            .option('--start <date>', 'Start time, as a date or a duration from now', parseDate)
+            .option('--ip <range>', 'IP address or range of addresses allowed (e.g. 10.0.0.1-10.0.0.255)')
+            .option('--protocol <protocol>', 'Protocols allowed: https or https,http')
+            .option('--account', 'Generate an account SAS token, instead of a service SAS token for the path')
+            .option('--resource-types <types>', 'Resource types for account SAS tokens: any of s (service), c (container), o (object) [sco]')
+            .action(this.generateSas.bind(this))
+
         // Help messages
         program.on('--help', () => {
             console.log('  Arguments:')
@@ -42,6 +238,67 @@ class AzBakCLI {
             console.log('    <input> is the path of a local file to upload; use - for reading from stdin')
             console.log('    <destinationPath> is the path inside the Azure Blob Storage account used as destination; must include a container name (e.g. /container/path/to/file)')
             console.log('')
+            console.log('    When <input> is a directory, all files in it are uploaded recursively, each one to the blob with the same relative path under <destinationPath> (e.g. /container/prefix)')
+            console.log('    With --archive tar, the directory is archived into a single backup at <destinationPath> instead')
+            console.log('')
+            console.log('    <destinationPath> can contain placeholders, expanded when the upload starts:')
+            console.log('      {date} or {date:FORMAT}  Date, in the format YYYY-MM-DD by default; formats can use YYYY, YY, MM, DD, HH, mm and ss')
+            console.log('      {time} or {time:FORMAT}  Time, in the format HHmmss by default')
+            console.log('      {epoch}                  Seconds since the Unix epoch')
+            console.log('      {hostname}               Name of the host')
+            console.log('      {env:VAR}                Value of the environmental variable VAR')
+            console.log('    Dates and times are in UTC, unless --local-time is set')
+            console.log('')
+            console.log('    Unless --block-size or --blocks are set, the block size is chosen from the size of the input, so that it fits in as few blobs as possible')
+            console.log('    (within --max-memory, if set); when reading from stdin, pass the size with --expected-size')
+            console.log('    Memory used for the blocks is at most block size × concurrency; --max-memory reduces the concurrency when they don\'t fit')
+            console.log('')
+            console.log('    Failed requests are retried on network errors, timeouts and the status codes set with --retry-status, waiting longer')
+            console.log('    at each attempt; when Azure throttles requests (429 or 503), the delay requested with Retry-After is honored')
+            console.log('')
+            console.log('    With --limit-rate, the bandwidth is limited for all blocks and files uploaded at once; with --limit-schedule, the limit')
+            console.log('    changes with the time of the day (e.g. --limit-rate 5M --limit-schedule 01:00-05:00=0 is unlimited from 1 to 5 AM)')
+            console.log('')
+            console.log('  Restore:')
+            console.log('')
+            console.log('    azbak restore <sourcePath> [output]')
+            console.log('    <sourcePath> is the path of the backup inside the Azure Blob Storage account, without the numeric suffix (e.g. /container/path/to/file)')
+            console.log('    [output] is the path of the local file to write; use - or omit it for writing to stdout')
+            console.log('')
+            console.log('  Verify:')
+            console.log('')
+            console.log('    azbak verify <sourcePath> [--local <file>]')
+            console.log('    Exits with status code 5 if the backup is missing parts or does not match its checksums')
+            console.log('')
+            console.log('  List:')
+            console.log('')
+            console.log('    azbak ls <path> [--json]')
+            console.log('    <path> is a container name, optionally followed by a prefix of the blob names (e.g. /container or /container/prefix)')
+            console.log('')
+            console.log('  Prune:')
+            console.log('')
+            console.log('    azbak prune <path> [--keep-last <n>] [--keep-daily <n>] [--keep-weekly <n>] [--keep-monthly <n>] [--include-snapshots] [--dry-run]')
+            console.log('    <path> is a container name, optionally followed by a prefix of the blob names (e.g. /container or /container/prefix)')
+            console.log('    The time of each backup is read from a timestamp in its name (e.g. db-2026-10-19.sql), or else is its creation time; the newest backup is always kept')
+            console.log('')
+            console.log('  Remove:')
+            console.log('')
+            console.log('    azbak rm <path> [--yes] [--include-snapshots]')
+            console.log('    <path> is the path of the backup, without the numeric suffix (e.g. /container/path/to/file); all its parts and its manifest are deleted')
+            console.log('    Asks for confirmation, unless --yes is set; --yes is required when not running interactively')
+            console.log('')
+            console.log('  Sync:')
+            console.log('')
+            console.log('    azbak sync <sourceDir> <destinationPath> [--delete] [--dry-run] [--checksum]')
+            console.log('    <destinationPath> is a prefix including the container name (e.g. /container/prefix); only new and changed files are uploaded')
+            console.log('    The options for uploads and directories (e.g. --include, --exclude, --parallel, --compress) apply to sync too')
+            console.log('')
+            console.log('  SAS tokens:')
+            console.log('')
+            console.log('    azbak sas <path> --permissions <perms> --expiry <date>')
+            console.log('    azbak sas --account --permissions <perms> --expiry <date>')
+            console.log('    Requires the storage account key; prints a token that can be passed to --sas-token')
+            console.log('')
             console.log('  Authentication:')
             console.log('')
             console.log('    The recommended method is to use the following environmental variables to pass the storage account name and key or SAS token:')
@@ -52,10 +309,46 @@ class AzBakCLI {
             console.log('')
             console.log('    Alternatively, you can use the --storage-account, --access-key or --sas-token arguments.')
             console.log('')
+            console.log('    Connection strings can be passed with AZURE_STORAGE_CONNECTION_STRING or --connection-string; they set the endpoint too.')
+            console.log('    For the local storage emulator (Azurite), use the connection string "UseDevelopmentStorage=true".')
+            console.log('')
+            console.log('    To authenticate with Azure AD instead, set --auth-mode to one of:')
+            console.log('      client-secret     Service principal; reads AZURE_TENANT_ID, AZURE_CLIENT_ID and AZURE_CLIENT_SECRET')
+            console.log('      managed-identity  Managed identity of the Azure VM or service; set --client-id for user-assigned identities')
+            console.log('      token             Access token read from the environmental variable set with --token-env')
+            console.log('    The identity needs a data role on the storage account, such as "Storage Blob Data Contributor".')
+            console.log('')
+            console.log('  Exit codes:')
+            console.log('')
+            console.log('    0  Success')
+            console.log('    1  Invalid arguments or options')
+            console.log('    2  Not found: the local file or directory, the container, or the backup')
+            console.log('    3  Authentication failed: credentials missing, invalid, or without access to the resource')
+            console.log('    4  Operation failed, for any other reason (including some files failing when uploading directories)')
+            console.log('    5  Integrity check failed: verification failed, or data was corrupted')
+            console.log('    6  Network error: the storage account could not be reached, or requests timed out')
+            console.log('    7  Throttled: Azure kept throttling requests after all attempts')
+            console.log('    8  The blob already exists')
+            console.log('')
             console.log('  Examples:')
             console.log('')
             console.log('    $ azbak archive.tar /bak/data01.tar')
             console.log('    $ azbak - /container/file-from-stdin.tar')
+            console.log('    $ pg_dumpall | azbak - /bak/db.sql --expected-size 2T --max-memory 1G')
+            console.log('    $ azbak db.sql "/bak/{hostname}/db-{date}-{time}.sql"')
+            console.log('    $ azbak /var/log /bak/logs --include "*.log" --include "*.gz" --exclude "old/**"')
+            console.log('    $ azbak backup.tar /bak/backup.tar --limit-rate 20M')
+            console.log('    $ azbak backup.tar /bak/backup.tar --max-attempts 10 --retry-max-delay 300 --timeout 60')
+            console.log('    $ azbak --archive tar /var/www /bak/site.tar --compress gzip')
+            console.log('    $ azbak db.sql.gz /bak/db.sql.gz --content-type application/gzip --metadata host=db01 --metadata retention=monthly')
+            console.log('    $ azbak ls /bak/db --json')
+            console.log('    $ azbak prune /bak/db- --keep-daily 7 --keep-weekly 4 --keep-monthly 12 --dry-run')
+            console.log('    $ azbak rm /bak/db-2026-10-19.sql --yes')
+            console.log('    $ azbak sync /srv/data /bak/data --delete --exclude "*.tmp"')
+            console.log('    $ azbak restore /bak/data01.tar archive.tar')
+            console.log('    $ azbak verify /bak/data01.tar --local archive.tar')
+            console.log('    $ azbak sas /bak --permissions cw --expiry 7d')
+            console.log('    $ azbak archive.tar /bak/data01.tar --auth-mode managed-identity')
             console.log('')
         })
 
@@ -72,10 +365,15 @@ class AzBakCLI {
             typeof destinationPath != 'string') {
             program.help()
         }
+        destinationPath = this.expandPath(destinationPath)
 
         // Check if we're passed a file name; use stdin if input is "-"
         let sourceStream
-        if (input == '-') {
+        let sourceSize
+        if (program.archive) {
+            sourceStream = this.createArchive(input)
+        }
+        else if (input == '-') {
             sourceStream = process.stdin
         }
         else {
@@ -84,8 +382,14 @@ class AzBakCLI {
                 process.exit(2)
             }
 
+            // Directories are uploaded recursively
+            if (fs.statSync(input).isDirectory()) {
+                return this.uploadDirectory(input, destinationPath)
+            }
+
             // Open a stream in read mode
             sourceStream = fs.createReadStream(input)
+            sourceSize = fs.statSync(input).size
         }
 
         // Ensure destination path is valid
@@ -94,6 +398,942 @@ class AzBakCLI {
             process.exit(1)
         }
 
+        // Authentication data
+        const authData = this.getAuthData()
+
+        // Create the StreamUpload object
+        const upload = new StreamUpload(sourceStream, destinationPath, authData)
+        upload.expectedSize = (sourceSize !== undefined) ? sourceSize : program.expectedSize
+        if (program.resume) {
+            upload.resumeJournal = program.resume
+        }
+        this.configureUpload(upload)
+        if (program.archive && !program.contentType) {
+            upload.contentType = 'application/x-tar'
+        }
+
+        // Show progress on stderr
+        const progressDone = program.progress ?
+            this.showProgress(upload) :
+            () => {}
+
+        // Start the upload
+        upload.upload()
+            .then((urls) => {
+                progressDone()
+                console.log(urls.join('\n'))
+            }, (err) => {
+                progressDone()
+                exitWithError(err)
+            })
+    }
+
+    /**
+     * Set the options passed on the command line on a StreamUpload object.
+     * Exits the process if the options are not valid.
+     *
+     * @param {StreamUpload} upload - StreamUpload object
+     */
+    configureUpload(upload) {
+        // Unless set, the block size is chosen from the size of the input
+        if (program.blocks) {
+            upload.blocksPerBlob = program.blocks
+        }
+        if (program.blockSize) {
+            upload.blockSize = program.blockSize * 1024 * 1024
+        }
+        upload.autoBlockSize = !program.blocks && !program.blockSize
+        if (program.maxMemory) {
+            upload.maxMemory = program.maxMemory
+        }
+        if (program.concurrency) {
+            upload.concurrency = program.concurrency
+        }
+        upload.singleBlob = !program.suffix || !!program.singleBlob
+        upload.md5 = !!program.md5
+        if (program.endpoint) {
+            upload.endpoint = program.endpoint
+        }
+        if (this._blobEndpoint) {
+            upload.blobEndpoint = this._blobEndpoint
+        }
+        upload.encryption = this.getEncryption()
+        upload.rateLimiter = this.getRateLimiter()
+        upload.retryPolicy = this.getRetryPolicy()
+        upload.manifest = !!program.manifest
+        if (program.compress) {
+            try {
+                upload.compression = program.compress
+                upload.compressionLevel = program.level
+                Compression.validate(upload.compression, upload.compressionLevel)
+            }
+            catch (err) {
+                console.log('Error: ', err.message)
+                process.exit(1)
+            }
+        }
+
+        try {
+            const metadata = {}
+            for (const pair of program.metadata) {
+                const pos = pair.indexOf('=')
+                if (pos < 1) {
+                    throw Error('Metadata must be in the format key=value: ' + pair)
+                }
+                metadata[pair.substring(0, pos)] = pair.substring(pos + 1)
+            }
+            upload.metadata = metadata
+            upload.contentType = program.contentType
+            upload.tier = program.tier
+        }
+        catch (err) {
+            console.log('Error: ', err.message)
+            process.exit(1)
+        }
+    }
+
+    /**
+     * Create a stream with the archive of a directory, with the options passed on the command line.
+     * Exits the process if the directory or the options are not valid.
+     *
+     * @param {string} input - Path of the directory
+     * @return {TarArchive} Archive stream
+     */
+    createArchive(input) {
+        if (TarArchive.formats.indexOf(program.archive) < 0) {
+            console.log('Archive format must be one of: ' + TarArchive.formats.join(', '))
+            process.exit(1)
+        }
+        if (!fs.existsSync(input)) {
+            console.log('Directory does not exist: ' + input)
+            process.exit(2)
+        }
+        if (!fs.statSync(input).isDirectory()) {
+            console.log('Option --archive requires a directory as input: ' + input)
+            process.exit(1)
+        }
+
+        const archive = new TarArchive(input)
+        try {
+            archive.include = program.include
+            archive.exclude = program.exclude
+            archive.symlinks = program.symlinks
+        }
+        catch (err) {
+            console.log('Error: ', err.message)
+            process.exit(1)
+        }
+
+        // Warnings are printed on stderr, as stdout contains the URLs of the blobs
+        archive.on('fileSkipped', (file) => {
+            console.error('Skipped ' + file.relativePath + ' (' + file.reason + ')')
+        })
+        archive.on('fileChanged', (file) => {
+            console.error('File shrank while archiving, padded with zeros: ' + file.relativePath)
+        })
+
+        return archive
+    }
+
+    uploadDirectory(input, destinationPath) {
+        // Ensure destination prefix is valid
+        if (!destinationPath.match(/^\/(\$root|[a-z0-9](([a-z0-9-])){1,61}[a-z0-9])(\/.*)?$/)) {
+            console.log(destinationPath + ' is not a valid destination for a directory. Path must be in the format /container or /container/prefix')
+            process.exit(1)
+        }
+        if (program.resume) {
+            console.log('Option --resume is not supported when uploading directories')
+            process.exit(1)
+        }
+
+        // Authentication data
+        const authData = this.getAuthData()
+
+        // Create the DirectoryUpload object
+        const upload = new DirectoryUpload(input, destinationPath, authData)
+        try {
+            upload.include = program.include
+            upload.exclude = program.exclude
+            upload.symlinks = program.symlinks
+            upload.concurrency = program.parallel
+        }
+        catch (err) {
+            console.log('Error: ', err.message)
+            process.exit(1)
+        }
+        upload.configureUpload = (fileUpload) => {
+            this.configureUpload(fileUpload)
+        }
+
+        // Report each file as it's done, as progress of individual files would be interleaved
+        if (program.progress) {
+            upload.on('fileSkipped', (file) => {
+                console.error('Skipped ' + file.relativePath + ' (' + file.reason + ')')
+            })
+            upload.on('fileFailed', (file) => {
+                console.error('Failed ' + file.relativePath + ': ' + file.error.message)
+            })
+        }
+        upload.on('fileCompleted', (file) => {
+            console.log(file.urls.join('\n'))
+        })
+
+        // Start the upload, and print a summary at the end
+        const start = Date.now()
+        upload.upload()
+            .then((summary) => {
+                const bytes = summary.succeeded.reduce((sum, file) => sum + file.size, 0)
+                console.error('Uploaded ' + summary.succeeded.length + ' files (' + Utils.formatBytes(bytes) + ') in ' + Utils.formatDuration((Date.now() - start) / 1000) +
+                    '; failed: ' + summary.failed.length + '; skipped: ' + summary.skipped.length)
+                if (summary.failed.length) {
+                    console.error('Failed files:')
+                    for (const file of summary.failed) {
+                        console.error('  ' + file.relativePath + ': ' + file.error.message)
+                    }
+                    process.exit(4)
+                }
+            }, (err) => {
+                exitWithError(err)
+            })
+    }
+
+    /**
+     * List the backups in a container, grouping the parts of each one.
+     *
+     * @param {string} path - Container name, optionally followed by a prefix (e.g. /container/prefix)
+     * @param {Object} cmd - Options of the command
+     */
+    listBackups(path, cmd) {
+        // Split the path into the container and the prefix
+        const match = path.match(/^\/([^/]+)(?:\/(.*))?$/)
+        if (!match || !Utils.isValidContainerName(match[1])) {
+            console.log(path + ' is not a valid path. Path must be in the format /container or /container/prefix')
+            process.exit(1)
+        }
+        const container = match[1]
+        const client = this.createContainerClient(container)
+
+        client.listBlobs({prefix: match[2] || ''})
+            .then((result) => {
+                const backups = ContainerClient.groupBackups(result.blobs)
+
+                if (cmd.json) {
+                    const list = backups.map((backup) => {
+                        return {
+                            name: '/' + container + '/' + backup.name,
+                            size: backup.size,
+                            parts: backup.parts,
+                            tier: backup.tier,
+                            lastModified: backup.lastModified,
+                            manifest: backup.manifest,
+                            blobs: backup.blobs.map((blob) => {
+                                return {
+                                    name: '/' + container + '/' + blob.name,
+                                    size: blob.size,
+                                    tier: blob.tier,
+                                    lastModified: blob.lastModified
+                                }
+                            })
+                        }
+                    })
+                    console.log(JSON.stringify(list, null, 2))
+                    return
+                }
+
+                // Print a table, aligning the columns
+                const rows = backups.map((backup) => [
+                    backup.lastModified ? backup.lastModified.toISOString().replace('T', ' ').substr(0, 19) : '-',
+                    Utils.formatBytes(backup.size),
+                    backup.tier || '-',
+                    backup.parts + (backup.parts == 1 ? ' part' : ' parts'),
+                    '/' + container + '/' + backup.name
+                ])
+                const widths = [0, 0, 0, 0]
+                for (const row of rows) {
+                    for (let i = 0; i < widths.length; i++) {
+                        widths[i] = Math.max(widths[i], row[i].length)
+                    }
+                }
+                for (const row of rows) {
+                    console.log([
+                        row[0],
+                        row[1].padStart(widths[1]),
+                        row[2].padEnd(widths[2]),
+                        row[3].padStart(widths[3]),
+                        row[4]
+                    ].join('  '))
+                }
+
+                const bytes = backups.reduce((sum, backup) => sum + backup.size, 0)
+                console.error(backups.length + ' backups, ' + result.blobs.length + ' blobs (' + Utils.formatBytes(bytes) + ')')
+            })
+            .catch((err) => {
+                exitWithError(err)
+            })
+    }
+
+    /**
+     * Delete the backups that are not kept by the retention rules.
+     *
+     * @param {string} path - Container name, optionally followed by a prefix (e.g. /container/prefix)
+     * @param {Object} cmd - Options of the command
+     */
+    pruneBackups(path, cmd) {
+        if (!cmd.keepLast && !cmd.keepDaily && !cmd.keepWeekly && !cmd.keepMonthly) {
+            console.log('At least one of --keep-last, --keep-daily, --keep-weekly and --keep-monthly is required')
+            process.exit(1)
+        }
+
+        // Authentication data
+        const authData = this.getAuthData()
+
+        // Create the Retention object
+        let retention
+        try {
+            retention = new Retention(path, authData)
+            retention.keepLast = cmd.keepLast
+            retention.keepDaily = cmd.keepDaily
+            retention.keepWeekly = cmd.keepWeekly
+            retention.keepMonthly = cmd.keepMonthly
+            retention.includeSnapshots = !!cmd.includeSnapshots
+            if (program.endpoint) {
+                retention.containerClient.endpoint = program.endpoint
+            }
+            if (this._blobEndpoint) {
+                retention.containerClient.blobEndpoint = this._blobEndpoint
+            }
+            retention.containerClient.retryPolicy = this.getRetryPolicy()
+        }
+        catch (err) {
+            console.log('Error: ', err.message)
+            process.exit(1)
+        }
+
+        // Print each backup with the rules that keep it
+        const format = (action, backup) => {
+            return action + '  ' + backup.time.toISOString().replace('T', ' ').substr(0, 19) + '  ' + backup.name +
+                (backup.reasons.length ? '  (' + backup.reasons.join(', ') + ')' : '')
+        }
+
+        // With --dry-run, print the plan only
+        if (cmd.dryRun) {
+            retention.plan()
+                .then((plan) => {
+                    for (const backup of plan.keep) {
+                        console.log(format('keep ', backup))
+                    }
+                    for (const backup of plan.prune) {
+                        console.log(format('prune', backup))
+                    }
+                    const bytes = plan.prune.reduce((sum, backup) => sum + backup.size, 0)
+                    console.error('To keep: ' + plan.keep.length + ' backups; to delete: ' + plan.prune.length + ' backups (' + Utils.formatBytes(bytes) + ')')
+                }, (err) => {
+                    exitWithError(err)
+                })
+            return
+        }
+
+        retention.on('backupPruned', (backup) => {
+            console.log(format('prune', backup))
+        })
+        retention.on('pruneFailed', (backup) => {
+            console.error('Failed to delete ' + backup.name + ': ' + backup.error.message)
+            for (const name of backup.deleted) {
+                console.error('    Deleted /' + retention.containerClient.container + '/' + name)
+            }
+            for (const failed of backup.failed) {
+                console.error('    Failed to delete /' + retention.containerClient.container + '/' + failed.name + ': ' + failed.error.message)
+            }
+            for (const name of backup.skipped) {
+                console.error('    Not deleted, because some parts could not be deleted: /' + retention.containerClient.container + '/' + name)
+            }
+        })
+
+        retention.prune()
+            .then((summary) => {
+                const bytes = summary.pruned.reduce((sum, backup) => sum + backup.size, 0)
+                console.error('Kept ' + summary.kept.length + ' backups; deleted ' + summary.pruned.length + ' backups (' + Utils.formatBytes(bytes) + '); failed: ' + summary.failed.length)
+                if (summary.failed.length) {
+                    process.exit(4)
+                }
+            }, (err) => {
+                exitWithError(err)
+            })
+    }
+
+    /**
+     * Delete a backup, with all its parts and its manifest, after showing the blobs and asking for confirmation.
+     *
+     * @param {string} path - Path of the backup, including the container name
+     * @param {Object} cmd - Options of the command
+     */
+    removeBackup(path, cmd) {
+        // Split the path into the container and the name of the backup
+        const match = path.match(/^\/([^/]+)\/(.+)$/)
+        if (!match || !Utils.isValidContainerName(match[1]) || !Utils.isValidBlobName(path)) {
+            console.log(path + ' is not a valid path. Path must be in the format /container/path/to/file')
+            process.exit(1)
+        }
+
+        // Confirmation is required, but can't be asked when not running interactively
+        const interactive = !!(process.stdin.isTTY && process.stderr.isTTY)
+        if (!cmd.yes && !interactive) {
+            console.log('Option --yes is required when not running interactively')
+            process.exit(1)
+        }
+
+        const container = match[1]
+        const client = this.createContainerClient(container)
+        const options = {includeSnapshots: !!cmd.includeSnapshots}
+
+        client.findBackup(match[2], options)
+            .catch((err) => {
+                exitWithError(err)
+            })
+            .then((backup) => {
+                if (!backup) {
+                    console.log('Backup not found: ' + path)
+                    process.exit(2)
+                }
+
+                // Show the blobs that will be deleted
+                for (const blob of backup.blobs) {
+                    console.log('/' + container + '/' + blob.name + '  ' + Utils.formatBytes(blob.size))
+                }
+                for (const blob of backup.snapshots) {
+                    console.log('/' + container + '/' + blob.name + '  ' + Utils.formatBytes(blob.size) + '  (snapshot ' + blob.snapshot + ')')
+                }
+                const count = backup.blobs.length + backup.snapshots.length
+                console.error('Backup ' + path + ': ' + backup.parts + (backup.parts == 1 ? ' part' : ' parts') +
+                    (backup.manifest ? ' and manifest' : '') +
+                    (backup.snapshots.length ? ', ' + backup.snapshots.length + ' snapshots' : '') +
+                    ' (' + Utils.formatBytes(backup.size) + ')')
+
+                // Ask for confirmation
+                if (cmd.yes) {
+                    return backup
+                }
+                return new Promise((resolve) => {
+                    const rl = readline.createInterface({input: process.stdin, output: process.stderr})
+                    rl.question('Delete ' + count + (count == 1 ? ' blob' : ' blobs') + '? [y/N] ', (answer) => {
+                        rl.close()
+                        if (!answer.match(/^y(es)?$/i)) {
+                            console.error('Nothing was deleted')
+                            process.exit(0)
+                        }
+                        resolve(backup)
+                    })
+                })
+            })
+            .then((backup) => client.deleteBackup(backup, options))
+            .then((result) => {
+                for (const name of result.deleted) {
+                    console.log('Deleted /' + container + '/' + name)
+                }
+                for (const failed of result.failed) {
+                    console.error('Failed to delete /' + container + '/' + failed.name + ': ' + failed.error.message)
+                }
+                for (const name of result.skipped) {
+                    console.error('Not deleted, because some parts could not be deleted: /' + container + '/' + name)
+                }
+                console.error('Deleted ' + result.deleted.length + ' blobs; failed: ' + result.failed.length + '; not deleted: ' + result.skipped.length)
+                if (result.failed.length) {
+                    process.exit(4)
+                }
+            }, (err) => {
+                exitWithError(err)
+            })
+    }
+
+    /**
+     * Synchronize a directory with a prefix in Azure Blob Storage, uploading new and changed files.
+     *
+     * @param {string} sourceDir - Path of the local directory
+     * @param {string} destinationPath - Destination prefix, including the container name
+     * @param {Object} cmd - Options of the command
+     */
+    syncDirectory(sourceDir, destinationPath, cmd) {
+        // Ensure the parameters are valid
+        destinationPath = this.expandPath(destinationPath)
+        if (!destinationPath.match(/^\/(\$root|[a-z0-9](([a-z0-9-])){1,61}[a-z0-9])(\/.*)?$/)) {
+            console.log(destinationPath + ' is not a valid destination for a directory. Path must be in the format /container or /container/prefix')
+            process.exit(1)
+        }
+        if (!fs.existsSync(sourceDir)) {
+            console.log('Directory does not exist: ' + sourceDir)
+            process.exit(2)
+        }
+        if (!fs.statSync(sourceDir).isDirectory()) {
+            console.log('Not a directory: ' + sourceDir)
+            process.exit(1)
+        }
+        if (program.resume) {
+            console.log('Option --resume is not supported when syncing directories')
+            process.exit(1)
+        }
+
+        // Authentication data
+        const authData = this.getAuthData()
+
+        // Create the DirectorySync object
+        const sync = new DirectorySync(sourceDir, destinationPath, authData)
+        try {
+            sync.include = program.include
+            sync.exclude = program.exclude
+            sync.symlinks = program.symlinks
+            sync.concurrency = program.parallel
+            sync.delete = !!cmd.delete
+            sync.checksum = !!cmd.checksum
+            sync.singleBlob = !program.suffix || !!program.singleBlob
+            if (program.endpoint) {
+                sync.containerClient.endpoint = program.endpoint
+            }
+            if (this._blobEndpoint) {
+                sync.containerClient.blobEndpoint = this._blobEndpoint
+            }
+            sync.containerClient.retryPolicy = this.getRetryPolicy()
+        }
+        catch (err) {
+            console.log('Error: ', err.message)
+            process.exit(1)
+        }
+        sync.configureUpload = (fileUpload) => {
+            this.configureUpload(fileUpload)
+        }
+
+        // With --dry-run, print the plan only
+        if (cmd.dryRun) {
+            sync.plan()
+                .then((plan) => {
+                    for (const file of plan.upload) {
+                        console.log('upload ' + file.relativePath + ' (' + file.reason + ')')
+                    }
+                    for (const backup of plan.delete) {
+                        console.log('delete ' + backup.relativePath + ' (' + backup.blobs.length + ' blobs)')
+                    }
+                    const bytes = plan.upload.reduce((sum, file) => sum + file.size, 0)
+                    console.error('To upload: ' + plan.upload.length + ' files (' + Utils.formatBytes(bytes) + '); unchanged: ' + plan.unchanged.length +
+                        '; to delete: ' + plan.delete.length + '; skipped: ' + plan.skipped.length)
+                }, (err) => {
+                    exitWithError(err)
+                })
+            return
+        }
+
+        // Report each file as it's done
+        if (program.progress) {
+            sync.on('fileSkipped', (file) => {
+                console.error('Skipped ' + file.relativePath + ' (' + file.reason + ')')
+            })
+            sync.on('fileFailed', (file) => {
+                console.error('Failed ' + file.relativePath + ': ' + file.error.message)
+            })
+            sync.on('backupDeleted', (backup) => {
+                console.error('Deleted ' + backup.relativePath)
+            })
+            sync.on('deleteFailed', (backup) => {
+                console.error('Failed to delete ' + backup.relativePath + ': ' + backup.error.message)
+            })
+        }
+        sync.on('fileCompleted', (file) => {
+            console.log(file.urls.join('\n'))
+        })
+
+        // Start the sync, and print a summary at the end
+        const start = Date.now()
+        sync.upload()
+            .then((summary) => {
+                const bytes = summary.succeeded.reduce((sum, file) => sum + file.size, 0)
+                console.error('Uploaded ' + summary.succeeded.length + ' files (' + Utils.formatBytes(bytes) + ') in ' + Utils.formatDuration((Date.now() - start) / 1000) +
+                    '; unchanged: ' + summary.unchanged.length + '; deleted: ' + summary.deleted.length +
+                    '; failed: ' + (summary.failed.length + summary.deleteFailed.length) + '; skipped: ' + summary.skipped.length)
+                if (summary.failed.length || summary.deleteFailed.length) {
+                    console.error('Failed:')
+                    for (const item of summary.failed.concat(summary.deleteFailed)) {
+                        console.error('  ' + item.relativePath + ': ' + item.error.message)
+                    }
+                    process.exit(4)
+                }
+            }, (err) => {
+                exitWithError(err)
+            })
+    }
+
+    /**
+     * Show the progress of an upload on stderr.
+     *
+     * When stderr is a TTY, a single line is updated continuously; otherwise, a line is printed periodically.
+     *
+     * @param {StreamUpload} upload - StreamUpload object
+     * @return {Function} Function to invoke when the upload is done
+     */
+    showProgress(upload) {
+        const isTTY = !!process.stderr.isTTY
+        let lastPrinted = Date.now()
+        let lastLine = null
+
+        upload.on('progress', (progress) => {
+            let line = 'Uploaded ' + Utils.formatBytes(progress.bytes) + ' (' + progress.blocks + ' blocks)'
+            if (progress.totalBytes !== null) {
+                const percent = progress.totalBytes ?
+                    Math.min(Math.floor(progress.sourceBytes / progress.totalBytes * 100), 100) :
+                    100
+                line += ', read ' + percent + '% of ' + Utils.formatBytes(progress.totalBytes)
+            }
+            line += ' - ' + Utils.formatBytes(progress.bytesPerSecond) + '/s'
+            if (progress.eta !== null) {
+                line += ' - ETA ' + Utils.formatDuration(progress.eta)
+            }
+            lastLine = line
+
+            if (isTTY) {
+                // Overwrite the current line, and clear what's left of it
+                process.stderr.write('\r' + line + '\x1b[K')
+            }
+            else if ((Date.now() - lastPrinted) >= progressInterval) {
+                process.stderr.write(line + '\n')
+                lastPrinted = Date.now()
+            }
+        })
+
+        upload.on('retry', (info) => {
+            const reason = info.error ? info.error.message : ('status code ' + info.statusCode)
+            const what = (info.operation == 'putBlock') ?
+                ('block ' + info.blockId + ' of sequence ' + (info.seqId || '(none)')) :
+                ('request ' + info.operation + ' for ' + upload.blob + (info.seqId || ''))
+            process.stderr.write((isTTY ? '\r\x1b[K' : '') + 'Retrying ' + what + ' in ' + (info.delay / 1000).toFixed(1) + 's after failed attempt ' + info.attempt + ': ' + reason + '\n')
+        })
+
+        // At the end, terminate the line on TTYs, or print the last status otherwise
+        return () => {
+            if (lastLine) {
+                process.stderr.write(isTTY ? '\n' : (lastLine + '\n'))
+            }
+        }
+    }
+
+    restoreStream(sourcePath, output, cmd) {
+        // Ensure source path is valid
+        if (!Utils.isValidBlobName(sourcePath)) {
+            console.error(sourcePath + ' is not a valid resource name for a blob in Azure Blob Storage. Path must be in the format /container/path/to/file')
+            process.exit(1)
+        }
+
+        // Create the StreamDownload object
+        const download = this.createDownload(sourcePath)
+        download.decompress = !!cmd.decompress
+
+        // Start the download, then write to stdout or to a file
+        download.download()
+            .then((stream) => {
+                return new Promise((resolve, reject) => {
+                    const toStdout = !output || output == '-'
+                    const destination = toStdout ?
+                        process.stdout :
+                        fs.createWriteStream(output)
+
+                    stream.on('error', reject)
+                    destination.on('error', reject)
+                    if (toStdout) {
+                        stream.on('end', resolve)
+                    }
+                    else {
+                        destination.on('finish', resolve)
+                    }
+
+                    stream.pipe(destination)
+                })
+            })
+            .then(() => {
+                if (output && output != '-') {
+                    console.log(output)
+                }
+            }, (err) => {
+                exitWithError(err, console.error)
+            })
+    }
+
+    verifyBackup(sourcePath, cmd) {
+        // Ensure source path is valid
+        if (!Utils.isValidBlobName(sourcePath)) {
+            console.log(sourcePath + ' is not a valid resource name for a blob in Azure Blob Storage. Path must be in the format /container/path/to/file')
+            process.exit(1)
+        }
+        if (cmd.local && !fs.existsSync(cmd.local)) {
+            console.log('File does not exist: ' + cmd.local)
+            process.exit(2)
+        }
+
+        // Create the StreamDownload object
+        const download = this.createDownload(sourcePath)
+
+        // Verify and print the report
+        download.verify(cmd.local)
+            .then((report) => {
+                for (const part of report.parts) {
+                    console.log(part.status + '\t' + part.url + (part.sha256 ? '\t' + part.sha256 : ''))
+                }
+                if (report.sha256) {
+                    console.log('SHA-256 of the backup: ' + report.sha256)
+                }
+                if (report.local && report.local.remoteSha256) {
+                    console.log('SHA-256 of the restored data: ' + report.local.remoteSha256 + ' (local file: ' + report.local.sha256 + ')')
+                }
+                for (const msg of report.warnings) {
+                    console.log('Warning: ' + msg)
+                }
+                for (const msg of report.errors) {
+                    console.log('Error: ' + msg)
+                }
+
+                if (!report.ok) {
+                    console.log('Verification failed')
+                    process.exit(5)
+                }
+                console.log('Verification succeeded')
+            }, (err) => {
+                exitWithError(err)
+            })
+    }
+
+    generateSas(path, cmd) {
+        // Authentication data: the account key is required
+        const authData = this.getAuthData()
+        if (!authData.storageAccountKey) {
+            console.log('Generating SAS tokens requires the storage account key. Please set the parameter --access-key or the environmental variable AZURE_STORAGE_ACCESS_KEY.')
+            process.exit(3)
+        }
+
+        if (!cmd.account && !path) {
+            console.log('Path of the container or blob is required, unless --account is set')
+            process.exit(1)
+        }
+        if (!cmd.permissions || !cmd.expiry) {
+            console.log('Options --permissions and --expiry are required')
+            process.exit(1)
+        }
+
+        const options = {
+            permissions: cmd.permissions,
+            expiry: cmd.expiry,
+            start: cmd.start,
+            ip: cmd.ip,
+            protocol: cmd.protocol
+        }
+        let token
+        try {
+            if (cmd.account) {
+                options.resourceTypes = cmd.resourceTypes
+                token = SharedAccessSignature.generateAccountSas(authData, options)
+            }
+            else {
+                options.path = path
+                token = SharedAccessSignature.generateServiceSas(authData, options)
+            }
+        }
+        catch (err) {
+            console.log('Error: ', err.message)
+            process.exit(1)
+        }
+
+        console.log(token)
+    }
+
+    /**
+     * Expand the placeholders in a destination path, such as {date} and {hostname}.
+     * Exits the process if the path contains invalid placeholders.
+     *
+     * @param {string} destinationPath - Destination path, with placeholders
+     * @return {string} Destination path with the placeholders expanded
+     */
+    expandPath(destinationPath) {
+        try {
+            return PathTemplate.expand(destinationPath, {localTime: !!program.localTime})
+        }
+        catch (err) {
+            console.log('Error: ', err.message)
+            process.exit(1)
+        }
+    }
+
+    /**
+     * Create a ContainerClient object, with the options passed on the command line.
+     *
+     * @param {string} container - Name of the container
+     * @return {ContainerClient} ContainerClient object
+     */
+    createContainerClient(container) {
+        // Authentication data
+        const authData = this.getAuthData()
+
+        // Create the ContainerClient object, and pass options
+        const client = new ContainerClient(container, authData)
+        if (program.endpoint) {
+            client.endpoint = program.endpoint
+        }
+        if (this._blobEndpoint) {
+            client.blobEndpoint = this._blobEndpoint
+        }
+        client.retryPolicy = this.getRetryPolicy()
+
+        return client
+    }
+
+    /**
+     * Create a StreamDownload object, with the options passed on the command line.
+     *
+     * @param {string} sourcePath - Path of the backup
+     * @return {StreamDownload} StreamDownload object
+     */
+    createDownload(sourcePath) {
+        // Authentication data
+        const authData = this.getAuthData()
+
+        // Create the StreamDownload object
+        const download = new StreamDownload(sourcePath, authData)
+
+        // Pass options
+        download.blockSize = program.blockSize ? program.blockSize * 1024 * 1024 : StreamUpload.defaultBlockSize
+        if (program.concurrency) {
+            download.concurrency = program.concurrency
+        }
+        download.singleBlob = !program.suffix || !!program.singleBlob
+        if (program.endpoint) {
+            download.endpoint = program.endpoint
+        }
+        if (this._blobEndpoint) {
+            download.blobEndpoint = this._blobEndpoint
+        }
+        download.encryption = this.getEncryption()
+        download.retryPolicy = this.getRetryPolicy()
+
+        return download
+    }
+
+    /**
+     * Get the RateLimiter object from the command line arguments, if the bandwidth is limited.
+     * The same object is returned each time, so all uploads share the limit.
+     * Exits the process if the rate or the schedule are not valid.
+     *
+     * @return {RateLimiter|undefined} RateLimiter object, or undefined if the bandwidth is not limited
+     */
+    getRateLimiter() {
+        if (!program.limitRate && !program.limitSchedule) {
+            return undefined
+        }
+
+        if (!this._rateLimiter) {
+            try {
+                const rate = program.limitRate ? Utils.parseBytes(program.limitRate) : 0
+                if (rate === null) {
+                    throw Error('Invalid rate: ' + program.limitRate)
+                }
+                this._rateLimiter = new RateLimiter(rate)
+                if (program.limitSchedule) {
+                    this._rateLimiter.schedule = RateLimiter.parseSchedule(program.limitSchedule)
+                }
+            }
+            catch (err) {
+                console.log('Error: ', err.message)
+                process.exit(1)
+            }
+        }
+
+        return this._rateLimiter
+    }
+
+    /**
+     * Get the RetryPolicy object from the command line arguments.
+     * The same object is returned each time, so all requests use the same policy.
+     * Exits the process if the options are not valid.
+     *
+     * @return {RetryPolicy} RetryPolicy object
+     */
+    getRetryPolicy() {
+        if (!this._retryPolicy) {
+            try {
+                this._retryPolicy = new RetryPolicy({
+                    maxAttempts: program.maxAttempts,
+                    baseDelay: program.retryDelay,
+                    maxDelay: program.retryMaxDelay,
+                    jitter: program.retryJitter,
+                    timeout: program.timeout,
+                    retryableStatusCodes: program.retryStatus ? RetryPolicy.parseStatusCodes(program.retryStatus) : undefined
+                })
+            }
+            catch (err) {
+                console.log('Error: ', err.message)
+                process.exit(1)
+            }
+        }
+
+        return this._retryPolicy
+    }
+
+    /**
+     * Get the Encryption object from the command line arguments, if encryption is enabled.
+     * Exits the process if the key or passphrase can't be read.
+     *
+     * @return {Encryption|undefined} Encryption object, or undefined if encryption is not enabled
+     */
+    getEncryption() {
+        if (program.encryptKeyFile && program.encryptPassphraseEnv) {
+            console.error('Options --encrypt-key-file and --encrypt-passphrase-env cannot be used together')
+            process.exit(1)
+        }
+
+        try {
+            if (program.encryptKeyFile) {
+                return Encryption.fromKeyFile(program.encryptKeyFile)
+            }
+            if (program.encryptPassphraseEnv) {
+                return Encryption.fromPassphraseEnv(program.encryptPassphraseEnv)
+            }
+        }
+        catch (err) {
+            console.error('Error: ', err.message)
+            process.exit(1)
+        }
+
+        return undefined
+    }
+
+    /**
+     * Get authentication data from the command line arguments or the environmental variables.
+     * Exits the process if the data is missing or invalid.
+     *
+     * @return {Object} Authentication data, for StreamUpload and StreamDownload
+     */
+    getAuthData() {
+        // Connection strings, from the command line argument or from this env variable:
+        // AZURE_STORAGE_CONNECTION_STRING
+        // (Same environmental variable used by the Azure CLI)
+        // These take precedence over the other arguments, and set the endpoint too
+        const connectionString = program.connectionString || process.env.AZURE_STORAGE_CONNECTION_STRING
+        if (connectionString) {
+            let parsed
+            try {
+                parsed = ConnectionString.parse(connectionString)
+            }
+            catch (err) {
+                console.log('Invalid connection string: ' + err.message)
+                process.exit(3)
+            }
+            this._blobEndpoint = parsed.blobEndpoint
+
+            if (program.authMode && program.authMode != 'key') {
+                return {
+                    storageAccountName: parsed.authData.storageAccountName,
+                    tokenCredential: this.getTokenCredential()
+                }
+            }
+            if (!parsed.authData.storageAccountKey && !parsed.authData.storageAccountSasToken) {
+                console.log('Connection string does not contain AccountKey or SharedAccessSignature')
+                process.exit(3)
+            }
+            return parsed.authData
+        }
+
         // Authentication holder
         const authData = {}
 
@@ -116,6 +1356,12 @@ class AzBakCLI {
             process.exit(3)
         }
 
+        // Azure AD authentication, with a token credential
+        if (program.authMode && program.authMode != 'key') {
+            authData.tokenCredential = this.getTokenCredential()
+            return authData
+        }
+
         // Get account key (if present) from the command line argument or this env var:
         // AZURE_STORAGE_ACCESS_KEY
         // (Same environmental variable used by the Azure CLI)
@@ -149,33 +1395,40 @@ class AzBakCLI {
             process.exit(3)
         }
 
-        // Create the StreamUpload object
-        const upload = new StreamUpload(sourceStream, destinationPath, authData)
-        
-        // Pass options
-        if (program.blocks) {
-            upload.blocksPerBlob = program.blocks
-        }
-        if (program.blockSize) {
-            upload.blockSize = program.blockSize * 1024 * 1024
-        }
-        if (program.concurrency) {
-            upload.concurrency = program.concurrency
+        return authData
+    }
+
+    getTokenCredential() {
+        let credential
+        try {
+            switch (program.authMode) {
+                case 'client-secret':
+                    credential = TokenCredential.fromClientSecret(
+                        program.tenantId || process.env.AZURE_TENANT_ID,
+                        program.clientId || process.env.AZURE_CLIENT_ID,
+                        process.env.AZURE_CLIENT_SECRET,
+                        program.authorityHost || process.env.AZURE_AUTHORITY_HOST
+                    )
+                    break
+                case 'managed-identity':
+                    credential = TokenCredential.fromManagedIdentity(program.clientId, program.imdsEndpoint)
+                    break
+                case 'token':
+                    credential = TokenCredential.fromEnv(program.tokenEnv)
+                    break
+                default:
+                    console.log('Invalid auth mode: must be one of ' + authModes.join(', '))
+                    process.exit(1)
+            }
         }
-        upload.singleBlob = !program.suffix
-        upload.md5 = !!program.md5
-        if (program.endpoint) {
-            upload.endpoint = program.endpoint
+        catch (err) {
+            console.log('Azure AD authentication not configured correctly: ' + err.message)
+            process.exit(3)
         }
 
-        // Start the upload
-        upload.upload()
-            .then((urls) => {
-                console.log(urls.join('\n'))
-            }, (err) => {
-                console.log('Error: ', err.message)
-                process.exit(4)
-            })
+        credential.retryPolicy = this.getRetryPolicy()
+
+        return credential
     }
 }
 
@@ -0,0 +1,205 @@
+'use strict'
+
+const fs = require('fs')
+const _ = require('lodash')
+
+/**
+ * Reads data in blocks, filling buffers passed by the caller (usually obtained from a {@link BufferPool}).
+ *
+ * The source can be a readable stream, which is read only when a buffer is requested, so it is paused in the
+ * meantime; or the path of a file, which is read by offset directly into the buffers, so data is never copied.
+ */
+class BlockReader {
+    /**
+     * Constructor: initialize a BlockReader object.
+     *
+     * @param {stream.Readable|string} source - Readable stream, or path of a file
+     * @param {Object} [options] - Options
+     * @param {number} options.start - When reading a file, offset of the first byte to read (optional; defaults to 0)
+     */
+    constructor(source, options) {
+        options = options || {}
+
+        this._ended = false
+        this._error = null
+
+        if (_.isString(source)) {
+            if (!source) {
+                throw Error('Path of the file must be a non-empty string')
+            }
+            this._path = source
+            this._position = options.start || 0
+            this._fd = null
+            this._stream = null
+            return
+        }
+
+        if (!source || typeof source.read != 'function') {
+            throw Error('Source must be a readable stream or the path of a file')
+        }
+
+        // Data read from the stream that didn't fit the previous buffer
+        this._path = null
+        this._fd = null
+        this._stream = source
+        this._leftover = null
+
+        // Function to invoke when the stream becomes readable, ends or fails, if a read is waiting for it
+        this._wake = null
+        const wake = () => {
+            if (this._wake) {
+                const fn = this._wake
+                this._wake = null
+                fn()
+            }
+        }
+        this._listeners = {
+            readable: wake,
+            end: () => {
+                this._ended = true
+                wake()
+            },
+            error: (err) => {
+                this._error = err
+                wake()
+            }
+        }
+        for (const event of Object.keys(this._listeners)) {
+            source.on(event, this._listeners[event])
+        }
+    }
+
+    /**
+     * Fill a buffer with the next block of data.
+     *
+     * The buffer is filled completely, unless the data ends before; reads must not be concurrent.
+     *
+     * @param {Buffer} buffer - Buffer to fill
+     * @return {Promise} Promise resolving to the number of bytes read, which is 0 at the end of the data
+     */
+    read(buffer) {
+        if (this._path) {
+            return this._readFile(buffer)
+        }
+        return this._readStream(buffer)
+    }
+
+    /**
+     * Stop reading, releasing the resources used: the file is closed, and the stream is not listened to anymore
+     * (but it's not destroyed).
+     */
+    destroy() {
+        this._ended = true
+        if (this._stream) {
+            for (const event of Object.keys(this._listeners)) {
+                this._stream.removeListener(event, this._listeners[event])
+            }
+            this._wake = null
+            this._leftover = null
+        }
+        if (this._fd !== null) {
+            fs.close(this._fd, () => {})
+            this._fd = null
+        }
+    }
+
+    /**
+     * Fill a buffer with data read from the stream.
+     *
+     * @param {Buffer} buffer - Buffer to fill
+     * @return {Promise} Promise resolving to the number of bytes read
+     * @private
+     */
+    _readStream(buffer) {
+        return new Promise((resolve, reject) => {
+            let filled = 0
+            const fill = () => {
+                if (this._error) {
+                    return reject(this._error)
+                }
+
+                while (filled < buffer.length) {
+                    const chunk = this._leftover || this._stream.read()
+                    this._leftover = null
+                    if (chunk === null) {
+                        break
+                    }
+                    if (!Buffer.isBuffer(chunk)) {
+                        return reject(Error('Stream must return Buffer objects'))
+                    }
+
+                    const copied = chunk.copy(buffer, filled)
+                    filled += copied
+                    if (copied < chunk.length) {
+                        this._leftover = chunk.slice(copied)
+                    }
+                }
+
+                if (filled == buffer.length || this._ended) {
+                    return resolve(filled)
+                }
+
+                // Wait for more data
+                this._wake = fill
+            }
+            fill()
+        })
+    }
+
+    /**
+     * Fill a buffer with data read from the file, at the current position.
+     *
+     * @param {Buffer} buffer - Buffer to fill
+     * @return {Promise} Promise resolving to the number of bytes read
+     * @private
+     */
+    _readFile(buffer) {
+        if (this._ended) {
+            return Promise.resolve(0)
+        }
+
+        // Open the file the first time
+        const open = (this._fd !== null) ? Promise.resolve() : new Promise((resolve, reject) => {
+            fs.open(this._path, 'r', (err, fd) => {
+                if (err) {
+                    return reject(err)
+                }
+                // The reader might have been destroyed in the meantime
+                if (this._ended) {
+                    return fs.close(fd, () => resolve())
+                }
+                this._fd = fd
+                resolve()
+            })
+        })
+
+        return open.then(() => new Promise((resolve, reject) => {
+            let filled = 0
+            const fill = () => {
+                if (this._fd === null) {
+                    return resolve(filled)
+                }
+                fs.read(this._fd, buffer, filled, buffer.length - filled, this._position, (err, bytesRead) => {
+                    if (err) {
+                        return reject(err)
+                    }
+                    filled += bytesRead
+                    this._position += bytesRead
+
+                    // At the end of the file, close it
+                    if (!bytesRead) {
+                        this.destroy()
+                        return resolve(filled)
+                    }
+                    if (filled == buffer.length) {
+                        return resolve(filled)
+                    }
+                    fill()
+                })
+            }
+            fill()
+        }))
+    }
+}
+
+module.exports = BlockReader
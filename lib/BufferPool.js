@@ -0,0 +1,113 @@
+'use strict'
+
+/**
+ * Fixed-size pool of reusable buffers, all of the same size.
+ *
+ * Buffers are allocated only when needed, up to the maximum count; when all of them are in use, requests for a
+ * buffer wait until one is released. This bounds the memory used, and provides backpressure to the code filling
+ * the buffers.
+ */
+class BufferPool {
+    /**
+     * Constructor: initialize a BufferPool object.
+     *
+     * @param {number} size - Size of each buffer, in bytes
+     * @param {number} count - Maximum number of buffers
+     */
+    constructor(size, count) {
+        if (!(size >= 1) || size !== Math.floor(size)) {
+            throw Error('Buffer size must be a positive integer')
+        }
+        if (!(count >= 1) || count !== Math.floor(count)) {
+            throw Error('Buffer count must be a positive integer')
+        }
+        this._size = size
+        this._count = count
+
+        // Buffers allocated and not in use, and requests waiting for a buffer, in order
+        this._allocated = 0
+        this._free = []
+        this._waiting = []
+    }
+
+    /**
+     * Size of each buffer, in bytes.
+     *
+     * This is a read-only value.
+     *
+     * @type {number}
+     */
+    get size() {
+        return this._size
+    }
+
+    /**
+     * Maximum number of buffers.
+     *
+     * This is a read-only value.
+     *
+     * @type {number}
+     */
+    get count() {
+        return this._count
+    }
+
+    /**
+     * Number of buffers allocated so far; the memory used by the pool is `allocated × size` bytes.
+     *
+     * This is a read-only value.
+     *
+     * @type {number}
+     */
+    get allocated() {
+        return this._allocated
+    }
+
+    /**
+     * Number of buffers in use.
+     *
+     * This is a read-only value.
+     *
+     * @type {number}
+     */
+    get inUse() {
+        return this._allocated - this._free.length
+    }
+
+    /**
+     * Get a buffer from the pool, waiting until one is available. The content of the buffer is not initialized.
+     *
+     * @return {Promise} Promise resolving to a Buffer, which must be returned with {@link BufferPool#release}
+     */
+    acquire() {
+        if (this._free.length) {
+            return Promise.resolve(this._free.pop())
+        }
+        if (this._allocated < this._count) {
+            this._allocated++
+            return Promise.resolve(Buffer.allocUnsafe(this._size))
+        }
+
+        return new Promise((resolve) => {
+            this._waiting.push(resolve)
+        })
+    }
+
+    /**
+     * Return a buffer to the pool, so it can be reused.
+     *
+     * @param {Buffer} buffer - Buffer obtained with {@link BufferPool#acquire}
+     */
+    release(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length != this._size) {
+            throw Error('Buffer does not belong to the pool')
+        }
+        if (this._waiting.length) {
+            this._waiting.shift()(buffer)
+            return
+        }
+        this._free.push(buffer)
+    }
+}
+
+module.exports = BufferPool
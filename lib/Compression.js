@@ -0,0 +1,99 @@
+'use strict'
+
+const zlib = require('zlib')
+
+// Supported algorithms
+// Brotli requires Node.js 11.7 or higher, and zstd requires Node.js 22.15 or higher
+const algorithms = {
+    gzip: {
+        contentEncoding: 'gzip',
+        minLevel: 0,
+        maxLevel: 9,
+        isSupported: () => true,
+        compress: (level) => zlib.createGzip(level === undefined ? {} : {level}),
+        decompress: () => zlib.createGunzip()
+    },
+    brotli: {
+        contentEncoding: 'br',
+        minLevel: 0,
+        maxLevel: 11,
+        isSupported: () => typeof zlib.createBrotliCompress == 'function',
+        compress: (level) => zlib.createBrotliCompress(level === undefined ? {} : {
+            params: {[zlib.constants.BROTLI_PARAM_QUALITY]: level}
+        }),
+        decompress: () => zlib.createBrotliDecompress()
+    },
+    zstd: {
+        contentEncoding: 'zstd',
+        minLevel: 1,
+        maxLevel: 22,
+        isSupported: () => typeof zlib.createZstdCompress == 'function',
+        compress: (level) => zlib.createZstdCompress(level === undefined ? {} : {
+            params: {[zlib.constants.ZSTD_c_compressionLevel]: level}
+        }),
+        decompress: () => zlib.createZstdDecompress()
+    }
+}
+
+module.exports = {
+    /**
+     * List of names of the supported compression algorithms.
+     *
+     * @type {string[]}
+     */
+    algorithms: Object.keys(algorithms),
+
+    /**
+     * Ensure that a compression algorithm is supported, and the level is valid.
+     * Throws an exception otherwise.
+     *
+     * @param {string} algorithm - Name of the algorithm: "gzip", "brotli" or "zstd"
+     * @param {number} [level] - Compression level (optional)
+     */
+    validate: (algorithm, level) => {
+        const algo = algorithms[algorithm]
+        if (!algo) {
+            throw Error('Compression algorithm must be one of: ' + Object.keys(algorithms).join(', '))
+        }
+        if (!algo.isSupported()) {
+            throw Error('Compression algorithm ' + algorithm + ' is not supported by this version of Node.js')
+        }
+        if (level !== undefined && (level !== (level | 0) || level < algo.minLevel || level > algo.maxLevel)) {
+            throw Error('Compression level for ' + algorithm + ' must be an integer between ' + algo.minLevel + ' and ' + algo.maxLevel)
+        }
+    },
+
+    /**
+     * Value for the Content-Encoding header of data compressed with an algorithm.
+     *
+     * @param {string} algorithm - Name of the algorithm
+     * @return {string} Value for the Content-Encoding header
+     */
+    contentEncoding: (algorithm) => {
+        module.exports.validate(algorithm)
+        return algorithms[algorithm].contentEncoding
+    },
+
+    /**
+     * Create a stream that compresses the data piped into it.
+     *
+     * @param {string} algorithm - Name of the algorithm
+     * @param {number} [level] - Compression level (optional; uses the default of the algorithm if not set)
+     * @return {stream.Transform} Transform stream
+     */
+    createCompressStream: (algorithm, level) => {
+        module.exports.validate(algorithm, level)
+        return algorithms[algorithm].compress(level)
+    },
+
+    /**
+     * Create a stream that decompresses the data piped into it.
+     *
+     * @param {string} algorithm - Name of the algorithm
+     * @return {stream.Transform} Transform stream
+     */
+    createDecompressStream: (algorithm) => {
+        module.exports.validate(algorithm)
+        return algorithms[algorithm].decompress()
+    }
+}
@@ -0,0 +1,113 @@
+'use strict'
+
+const url = require('url')
+const _ = require('lodash')
+const Utils = require('./Utils')
+
+// Account and key of the local storage emulator (Azurite), which are well-known values
+const developmentStorage = {
+    accountName: 'devstoreaccount1',
+    accountKey: 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==',
+    blobEndpoint: 'http://127.0.0.1:10000/devstoreaccount1'
+}
+
+// Split a connection string into a dictionary of key-value pairs
+const split = (str) => {
+    const result = {}
+    for (const part of str.split(';')) {
+        if (!part.trim()) {
+            continue
+        }
+        const pos = part.indexOf('=')
+        if (pos < 1) {
+            throw Error('Connection string is not valid: expected key=value pairs separated by semicolons')
+        }
+        result[part.substr(0, pos).trim()] = part.substr(pos + 1).trim()
+    }
+
+    return result
+}
+
+// Get the name of the storage account from the URL of the blob endpoint:
+// either the first label of the hostname (e.g. "account.blob.core.windows.net"),
+// or the first segment of the path for path-style URLs (e.g. "http://127.0.0.1:10000/account")
+const accountFromEndpoint = (endpoint) => {
+    const parsed = url.parse(endpoint)
+    const pathMatch = (parsed.pathname || '').match(/^\/([a-z0-9]{3,24})(\/|$)/)
+    if (pathMatch) {
+        return pathMatch[1]
+    }
+    const hostMatch = (parsed.hostname || '').match(/^([a-z0-9]{3,24})\.blob\./)
+    if (hostMatch) {
+        return hostMatch[1]
+    }
+
+    return undefined
+}
+
+module.exports = {
+    /**
+     * Parse an Azure Storage connection string.
+     *
+     * The following keys are supported: `DefaultEndpointsProtocol`, `AccountName`, `AccountKey`,
+     * `SharedAccessSignature`, `BlobEndpoint`, `EndpointSuffix` and `UseDevelopmentStorage`;
+     * other keys (such as `QueueEndpoint`) are ignored.
+     *
+     * With `UseDevelopmentStorage=true`, the well-known account and key of the local storage
+     * emulator (Azurite) are used, with the endpoint `http://127.0.0.1:10000/devstoreaccount1`.
+     *
+     * @param {string} str - Connection string
+     * @return {Object} Object with `authData`, to pass to StreamUpload or StreamDownload, and `blobEndpoint`, the URL of the Blob service
+     */
+    parse: (str) => {
+        if (!str || !_.isString(str)) {
+            throw Error('Connection string must be a non-empty string')
+        }
+        const values = split(str)
+
+        if ((values.UseDevelopmentStorage || '').toLowerCase() == 'true') {
+            return {
+                authData: {
+                    storageAccountName: developmentStorage.accountName,
+                    storageAccountKey: developmentStorage.accountKey
+                },
+                blobEndpoint: developmentStorage.blobEndpoint
+            }
+        }
+
+        // Build the endpoint from the protocol and suffix, unless it's set explicitly
+        let blobEndpoint = values.BlobEndpoint
+        if (!blobEndpoint) {
+            if (!values.AccountName) {
+                throw Error('Connection string must contain either AccountName or BlobEndpoint')
+            }
+            const protocol = (values.DefaultEndpointsProtocol || 'https').toLowerCase()
+            if (protocol != 'https' && protocol != 'http') {
+                throw Error('DefaultEndpointsProtocol must be either https or http')
+            }
+            blobEndpoint = protocol + '://' + values.AccountName + '.blob.' + (values.EndpointSuffix || 'core.windows.net')
+        }
+        if (!Utils.isValidBlobEndpoint(blobEndpoint)) {
+            throw Error('BlobEndpoint must be a http or https URL')
+        }
+        blobEndpoint = blobEndpoint.replace(/\/+$/, '')
+
+        const authData = {
+            storageAccountName: values.AccountName || accountFromEndpoint(blobEndpoint)
+        }
+        if (!authData.storageAccountName) {
+            throw Error('Connection string must contain AccountName')
+        }
+        if (values.AccountKey) {
+            authData.storageAccountKey = values.AccountKey
+        }
+        if (values.SharedAccessSignature) {
+            authData.storageAccountSasToken = values.SharedAccessSignature
+        }
+
+        return {
+            authData,
+            blobEndpoint
+        }
+    }
+}
@@ -0,0 +1,519 @@
+'use strict'
+
+const _ = require('lodash')
+const request = require('requestretry')
+const Authorization = require('./Authorization')
+const Errors = require('./Errors')
+const RetryPolicy = require('./RetryPolicy')
+const StreamUpload = require('./StreamUpload')
+const Utils = require('./Utils')
+
+// Decode the XML entities in a string
+const decodeXml = (str) => {
+    const entities = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''}
+    return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity.charAt(0) == '#') {
+            const code = entity.charAt(1).toLowerCase() == 'x' ? parseInt(entity.substr(2), 16) : parseInt(entity.substr(1), 10)
+            return String.fromCodePoint(code)
+        }
+        return entities[entity] !== undefined ? entities[entity] : match
+    })
+}
+
+// Return the decoded content of the first element with the given name in a XML fragment, or null if not found or empty
+const xmlElement = (xml, name) => {
+    const match = xml.match(new RegExp('<' + name + '(?:\\s[^>]*)?>([^<]*)</' + name + '>'))
+    return (match && match[1]) ? decodeXml(match[1]) : null
+}
+
+// Parse a date returned by the service, or return null
+const parseDate = (str) => {
+    return str ? new Date(str) : null
+}
+
+/**
+ * Client for the operations on the blobs of a container in Azure Blob Storage: listing and deleting them,
+ * including whole backups made of multiple parts.
+ */
+class ContainerClient {
+    /**
+     * Constructor: initialize a ContainerClient object.
+     *
+     * @param {string} container - Name of the container
+     * @param {Object} authData - Authentication data, as for {@link StreamUpload}
+     */
+    constructor(container, authData) {
+        if (!Utils.isValidContainerName(container)) {
+            throw Error('Parameter container must be a valid name for a container in Azure Blob Storage')
+        }
+        this._container = container
+
+        // Store authentication data
+        Utils.validateAuthData(authData)
+        this._authData = authData
+
+        // Set default values for properties
+        this._endpoint = StreamUpload.defaultEndpoint
+        this._apiVersion = Authorization.apiVersion
+        this._blobEndpoint = undefined
+        this._basePath = ''
+        this._retryPolicy = new RetryPolicy()
+    }
+
+    /**
+     * Name of the container.
+     *
+     * This is a read-only value.
+     *
+     * @type {string}
+     */
+    get container() {
+        return this._container
+    }
+
+    /**
+     * URL of the container.
+     *
+     * This is a read-only value.
+     *
+     * @type {string}
+     */
+    get containerUrl() {
+        return this.blobEndpoint + '/' + this._container
+    }
+
+    /**
+     * Set what endpoint to use for Azure Blob Storage.
+     *
+     * See {@link StreamUpload#endpoint} for more information.
+     *
+     * @type {string}
+     */
+    get endpoint() {
+        return this._endpoint
+    }
+    set endpoint(val) {
+        val += ''
+        if (!val) {
+            throw Error('Endpoint is empty')
+        }
+        this._endpoint = val
+    }
+
+    /**
+     * URL of the Blob service, such as "https://account.blob.core.windows.net".
+     *
+     * See {@link StreamUpload#blobEndpoint} for more information.
+     *
+     * @type {string}
+     */
+    get blobEndpoint() {
+        return this._blobEndpoint || ('https://' + this._authData.storageAccountName + '.' + this.endpoint)
+    }
+    set blobEndpoint(val) {
+        if (!Utils.isValidBlobEndpoint(val)) {
+            throw Error('Blob endpoint must be a http or https URL')
+        }
+        this._blobEndpoint = val.replace(/\/+$/, '')
+        this._basePath = Utils.blobEndpointPath(this._blobEndpoint)
+    }
+
+    /**
+     * Version of the Azure Storage REST API used for requests.
+     *
+     * The default value is `Authorization.apiVersion`.
+     *
+     * @type {string}
+     */
+    get apiVersion() {
+        return this._apiVersion
+    }
+    set apiVersion(val) {
+        if (!Utils.isValidApiVersion(val)) {
+            throw Error('API version must be a date in the format YYYY-MM-DD')
+        }
+        this._apiVersion = val
+    }
+
+    /**
+     * RetryPolicy object used for the requests, as for {@link StreamUpload#retryPolicy}. By default, a RetryPolicy
+     * with the default values is used.
+     *
+     * @type {RetryPolicy}
+     */
+    get retryPolicy() {
+        return this._retryPolicy
+    }
+    set retryPolicy(val) {
+        if (!(val instanceof RetryPolicy)) {
+            throw Error('Retry policy must be a RetryPolicy object')
+        }
+        this._retryPolicy = val
+    }
+
+    /**
+     * Request one page of the list of blobs in the container.
+     *
+     * Each blob is an object with `name` (without the container), `size`, `lastModified` and `creationTime`
+     * (Date objects), `etag`, `contentType`, `contentMD5` (base64-encoded), `blobType`, `tier`, `snapshot`
+     * (the snapshot time, or null for base blobs) and `metadata` (with lowercase names, if requested with
+     * the "metadata" dataset). Properties that are not set are null.
+     *
+     * @param {Object} [options] - Options for the request
+     * @param {string} options.prefix - Return only blobs whose name starts with this prefix (optional)
+     * @param {string} options.delimiter - Group blobs whose name contains this delimiter after the prefix, returning them as prefixes (optional)
+     * @param {string[]} options.include - Additional datasets to include, such as "metadata" and "snapshots" (optional)
+     * @param {number} options.maxResults - Maximum number of blobs returned (optional; the service returns up to 5,000)
+     * @param {string} options.marker - Marker returned by the previous page (optional)
+     * @return {Promise} Promise resolving to an object with `blobs`, `prefixes` (when using a delimiter) and `nextMarker` (null for the last page)
+     */
+    listBlobsPage(options) {
+        options = options || {}
+
+        // Parameters of the request
+        const params = {
+            restype: 'container',
+            comp: 'list'
+        }
+        if (options.prefix) {
+            params.prefix = options.prefix
+        }
+        if (options.delimiter) {
+            params.delimiter = options.delimiter
+        }
+        if (options.include && options.include.length) {
+            params.include = options.include.join(',')
+        }
+        if (options.maxResults) {
+            params.maxresults = options.maxResults
+        }
+        if (options.marker) {
+            params.marker = options.marker
+        }
+
+        // Authorization header
+        const auth = new Authorization('GET', '/' + this._container, {
+            qs: params,
+            apiVersion: this.apiVersion,
+            basePath: this._basePath
+        })
+
+        // Request
+        return auth.setAuthData(this._authData)
+            .then(() => request(_.assign({
+                method: 'GET',
+                url: this.containerUrl,
+                qs: auth.querystring(),
+                headers: auth.requestHeaders(),
+
+                // Configuration for request-retry
+                fullResponse: true
+            }, this._retryPolicy.requestOptions()))
+                .catch((err) => {
+                    throw Errors.fromNetworkError(err, {})
+                }))
+            .then((response) => {
+                // If the status code is not 2xx, raise an error
+                if (response.statusCode && (response.statusCode < 200 || response.statusCode > 300)) {
+                    throw Errors.fromResponse(response, {})
+                }
+
+                return ContainerClient.parseListBlobs(response.body || '')
+            })
+    }
+
+    /**
+     * Request the list of all blobs in the container, following all pages.
+     *
+     * @param {Object} [options] - Options for the request, as for {@link ContainerClient#listBlobsPage} (except `marker`)
+     * @return {Promise} Promise resolving to an object with `blobs` and `prefixes`, as for {@link ContainerClient#listBlobsPage}
+     */
+    listBlobs(options) {
+        const result = {
+            blobs: [],
+            prefixes: []
+        }
+
+        const next = (marker) => {
+            return this.listBlobsPage(_.assign({}, options, {marker}))
+                .then((page) => {
+                    result.blobs = result.blobs.concat(page.blobs)
+                    result.prefixes = result.prefixes.concat(page.prefixes)
+                    return page.nextMarker ? next(page.nextMarker) : result
+                })
+        }
+
+        return next(null)
+    }
+
+    /**
+     * Delete a blob.
+     *
+     * Blobs that have snapshots can't be deleted, unless the snapshots are deleted too.
+     *
+     * @param {string} name - Name of the blob, without the container
+     * @param {Object} [options] - Options for the request
+     * @param {boolean} options.includeSnapshots - If true, delete the snapshots of the blob too (optional)
+     * @return {Promise} Promise resolving to true if the blob was deleted, or false if it did not exist
+     */
+    deleteBlob(name, options) {
+        options = options || {}
+        const blob = '/' + this._container + '/' + name
+
+        // Authorization header
+        const auth = new Authorization('DELETE', blob, {
+            apiVersion: this.apiVersion,
+            basePath: this._basePath
+        })
+        if (options.includeSnapshots) {
+            auth.addCustomHeader('x-ms-delete-snapshots', 'include')
+        }
+
+        // Request
+        return auth.setAuthData(this._authData)
+            .then(() => request(_.assign({
+                method: 'DELETE',
+                url: this.blobEndpoint + blob,
+                qs: auth.querystring(),
+                headers: auth.requestHeaders(),
+
+                // Configuration for request-retry
+                fullResponse: true
+            }, this._retryPolicy.requestOptions()))
+                .catch((err) => {
+                    throw Errors.fromNetworkError(err, {blob})
+                }))
+            .then((response) => {
+                // Blob not found (it may have been deleted by a previous attempt); the container must exist
+                if (response.statusCode == 404) {
+                    const error = Errors.fromResponse(response, {blob})
+                    if (error instanceof Errors.ContainerNotFoundError) {
+                        throw error
+                    }
+                    return false
+                }
+
+                // If the status code is not 2xx, raise an error
+                if (response.statusCode && (response.statusCode < 200 || response.statusCode > 300)) {
+                    throw Errors.fromResponse(response, {blob})
+                }
+
+                return true
+            })
+    }
+
+    /**
+     * Find all the blobs of a backup: its parts and its manifest, and optionally their snapshots.
+     *
+     * @param {string} name - Name of the backup, without the container and the numeric suffix
+     * @param {Object} [options] - Options
+     * @param {boolean} options.includeSnapshots - If true, list the snapshots of the blobs too (optional)
+     * @return {Promise} Promise resolving to the backup, as returned by {@link ContainerClient.groupBackups}, plus `snapshots` (list of snapshot blobs); or null if the backup does not exist
+     */
+    findBackup(name, options) {
+        options = options || {}
+
+        return this.listBlobs({prefix: name, include: options.includeSnapshots ? ['snapshots'] : []})
+            .then((result) => {
+                // Other backups may start with the same prefix; snapshots are not parts
+                const isBackup = (blob) => ContainerClient.parseBlobName(blob.name).backup === name
+                const backup = ContainerClient.groupBackups(result.blobs.filter((blob) => !blob.snapshot && isBackup(blob)))[0]
+                if (!backup) {
+                    return null
+                }
+                backup.snapshots = result.blobs.filter((blob) => blob.snapshot && isBackup(blob))
+
+                return backup
+            })
+    }
+
+    /**
+     * Delete a backup, with all its parts and its manifest.
+     *
+     * Parts are deleted one at a time, and the manifest is deleted last, only if all the parts were deleted: this
+     * way, a backup that was partially deleted can still be found and deleted again. Failed deletions do not stop
+     * the others.
+     *
+     * @param {string|Object} backup - Name of the backup (without the container and the numeric suffix), or the backup returned by {@link ContainerClient#findBackup}
+     * @param {Object} [options] - Options
+     * @param {boolean} options.includeSnapshots - If true, delete the snapshots of the blobs too; otherwise, blobs with snapshots can't be deleted (optional)
+     * @return {Promise} Promise resolving to the backup, plus the lists `deleted` (names of the blobs deleted), `failed` (objects with `name` and `error`) and `skipped` (names of the blobs not deleted because of the failures); rejected if the backup does not exist
+     */
+    deleteBackup(backup, options) {
+        options = options || {}
+
+        const found = _.isString(backup) ? this.findBackup(backup, options) : Promise.resolve(backup)
+        return found
+            .then((result) => {
+                if (!result) {
+                    throw new Errors.BlobNotFoundError('Backup not found: /' + this._container + '/' + backup, {blob: '/' + this._container + '/' + backup})
+                }
+                result = _.assign({}, result, {
+                    deleted: [],
+                    failed: [],
+                    skipped: []
+                })
+
+                const deleteOne = (blob) => {
+                    return this.deleteBlob(blob.name, {includeSnapshots: options.includeSnapshots})
+                        .then(() => {
+                            result.deleted.push(blob.name)
+                        }, (error) => {
+                            result.failed.push({name: blob.name, error})
+                        })
+                }
+
+                const parts = result.blobs.filter((blob) => !ContainerClient.parseBlobName(blob.name).manifest)
+                const manifests = result.blobs.filter((blob) => ContainerClient.parseBlobName(blob.name).manifest)
+                return Utils.forEachConcurrent(parts, 1, deleteOne)
+                    .then(() => {
+                        if (result.failed.length) {
+                            result.skipped = manifests.map((blob) => blob.name)
+                            return
+                        }
+                        return Utils.forEachConcurrent(manifests, 1, deleteOne)
+                    })
+                    .then(() => result)
+            })
+    }
+
+    /**
+     * Parse the XML response of the List Blobs operation.
+     *
+     * @param {string} xml - Body of the response
+     * @return {Object} Object with `blobs`, `prefixes` and `nextMarker`, as for {@link ContainerClient#listBlobsPage}
+     */
+    static parseListBlobs(xml) {
+        const result = {
+            blobs: [],
+            prefixes: [],
+            nextMarker: xmlElement(xml, 'NextMarker')
+        }
+
+        const regex = /<(Blob|BlobPrefix)>([\s\S]*?)<\/\1>/g
+        let match
+        while ((match = regex.exec(xml))) {
+            if (match[1] == 'BlobPrefix') {
+                result.prefixes.push(xmlElement(match[2], 'Name'))
+                continue
+            }
+
+            // Metadata elements are named after the metadata, so they're parsed separately from the rest
+            const metadataMatch = match[2].match(/<Metadata>([\s\S]*?)<\/Metadata>/)
+            const content = match[2].replace(/<Metadata>[\s\S]*?<\/Metadata>/, '')
+            const metadata = {}
+            if (metadataMatch) {
+                const itemRegex = /<([^\s/>]+)>([^<]*)<\/\1>/g
+                let item
+                while ((item = itemRegex.exec(metadataMatch[1]))) {
+                    metadata[item[1].toLowerCase()] = decodeXml(item[2])
+                }
+            }
+
+            result.blobs.push({
+                name: xmlElement(content, 'Name'),
+                size: parseInt(xmlElement(content, 'Content-Length'), 10) || 0,
+                lastModified: parseDate(xmlElement(content, 'Last-Modified')),
+                creationTime: parseDate(xmlElement(content, 'Creation-Time')),
+                etag: xmlElement(content, 'Etag'),
+                contentType: xmlElement(content, 'Content-Type'),
+                contentMD5: xmlElement(content, 'Content-MD5'),
+                blobType: xmlElement(content, 'BlobType'),
+                tier: xmlElement(content, 'AccessTier'),
+                snapshot: xmlElement(content, 'Snapshot'),
+                metadata
+            })
+        }
+
+        return result
+    }
+
+    /**
+     * Group the blobs of backups created by StreamUpload: the parts of each backup and its manifest are
+     * collapsed into one item, using the suffixes described in {@link ContainerClient.parseBlobName}.
+     *
+     * Each backup is an object with `name`, `blobs` (the blobs of the backup, including the manifest),
+     * `parts` (number of parts), `size` (total size of the parts), `tier` (of the parts; "Mixed" if they're
+     * in different tiers), `lastModified` (of the last part modified), `creationTime` (of the first part
+     * created), `metadata` (of the first part) and `manifest` (true if there's a manifest).
+     *
+     * @param {Object[]} blobs - List of blobs, as returned by {@link ContainerClient#listBlobs}
+     * @param {Object} [options] - Options
+     * @param {boolean} options.singleBlob - If true, blobs were uploaded without numeric suffixes, as for {@link ContainerClient.parseBlobName} (optional)
+     * @return {Object[]} List of backups, in the order of their first blob
+     */
+    static groupBackups(blobs, options) {
+        const backups = []
+        const byName = new Map()
+        for (const blob of blobs) {
+            const parsed = ContainerClient.parseBlobName(blob.name, options)
+            let backup = byName.get(parsed.backup)
+            if (!backup) {
+                backup = {
+                    name: parsed.backup,
+                    blobs: [],
+                    parts: 0,
+                    size: 0,
+                    tier: null,
+                    lastModified: null,
+                    creationTime: null,
+                    metadata: {},
+                    manifest: false
+                }
+                byName.set(parsed.backup, backup)
+                backups.push(backup)
+            }
+
+            backup.blobs.push(blob)
+            if (parsed.manifest) {
+                backup.manifest = true
+                continue
+            }
+
+            backup.size += blob.size
+            backup.tier = (backup.parts && backup.tier != blob.tier) ? 'Mixed' : blob.tier
+            backup.parts++
+            if (!backup.lastModified || blob.lastModified > backup.lastModified) {
+                backup.lastModified = blob.lastModified
+            }
+            if (!backup.creationTime || (blob.creationTime && blob.creationTime < backup.creationTime)) {
+                backup.creationTime = blob.creationTime
+            }
+            if (parsed.seqId == '' || parsed.seqId == '.000') {
+                backup.metadata = blob.metadata
+            }
+        }
+
+        return backups
+    }
+
+    /**
+     * Split the name of a blob created by StreamUpload into the name of the backup and the suffix.
+     *
+     * Parts of a backup have a numeric suffix (".000", ".001", etc, as generated with {@link Utils.zeroPad}), and the manifest has the
+     * ".manifest.json" suffix; blobs without either suffix are backups made of a single blob.
+     *
+     * With the `singleBlob` option (for blobs uploaded with {@link StreamUpload#singleBlob}), numeric endings are
+     * part of the name of the backup, so "archive.7z.001" is a backup made of a single blob, and not the second
+     * part of "archive.7z".
+     *
+     * @param {string} name - Name of the blob
+     * @param {Object} [options] - Options
+     * @param {boolean} options.singleBlob - If true, names don't have numeric suffixes (optional)
+     * @return {Object} Object with `backup` (name of the backup), `seqId` (suffix of the part; empty for single blobs, and null for manifests) and `manifest` (true for manifests)
+     */
+    static parseBlobName(name, options) {
+        if (name.endsWith(StreamUpload.manifestSuffix)) {
+            return {backup: name.substr(0, name.length - StreamUpload.manifestSuffix.length), seqId: null, manifest: true}
+        }
+
+        const match = !(options && options.singleBlob) && name.match(/^(.+)(\.\d{3})$/)
+        if (match) {
+            return {backup: match[1], seqId: match[2], manifest: false}
+        }
+
+        return {backup: name, seqId: '', manifest: false}
+    }
+}
+
+module.exports = ContainerClient
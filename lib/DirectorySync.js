@@ -0,0 +1,346 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const _ = require('lodash')
+const ContainerClient = require('./ContainerClient')
+const DirectoryUpload = require('./DirectoryUpload')
+const Encryption = require('./Encryption')
+const Utils = require('./Utils')
+
+// Compute the hex-encoded MD5 hash of a file
+const md5File = (path) => {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('md5')
+        fs.createReadStream(path)
+            .on('error', reject)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+    })
+}
+
+// Return the reason why a local file needs to be uploaded, comparing it with the remote backup; null if it's unchanged
+const compare = (file, remote, checksum) => {
+    if (!remote) {
+        return 'new'
+    }
+    const metadata = remote.metadata
+
+    // Compare the hashes, if the remote one is known: either stored by azbak, or the Content-MD5 of a blob uploaded by other tools
+    // Hashes of encrypted backups are not stored, so they're compared by size and modification time
+    if (checksum && !Encryption.isEncrypted(metadata)) {
+        let remoteMd5 = metadata.azbak_source_md5
+        if (!remoteMd5 && remote.blobs.length == 1 && remote.blobs[0].contentMD5 && !metadata.azbak_compression) {
+            remoteMd5 = Buffer.from(remote.blobs[0].contentMD5, 'base64').toString('hex')
+        }
+        if (remoteMd5) {
+            return remoteMd5 == file.md5 ? null : 'checksum'
+        }
+    }
+
+    // Blobs uploaded by azbak store the size and modification time of the source file
+    if (metadata.azbak_source_size !== undefined) {
+        if (parseInt(metadata.azbak_source_size, 10) !== file.size) {
+            return 'size'
+        }
+        return parseInt(metadata.azbak_source_mtime, 10) === file.mtime.getTime() ? null : 'modified'
+    }
+
+    // For other blobs, compare the size of the data, and check that it was modified after the file
+    if (remote.size !== file.size) {
+        return 'size'
+    }
+    return remote.lastModified >= file.mtime ? null : 'modified'
+}
+
+/**
+ * Synchronizes a directory tree with a prefix in Azure Blob Storage, uploading only the files that are new
+ * or were changed since the last upload, and optionally deleting the backups of files that were removed.
+ *
+ * The existing blobs are listed with the List Blobs operation; the parts of each backup (".000", ".001", etc)
+ * and its manifest are grouped together. A file is unchanged if its size and modification time are equal to
+ * the ones stored in the metadata of the backup (see {@link StreamUpload#sourceFile}); for blobs that weren't
+ * uploaded by azbak, if the size is the same and the blob was modified after the file. With `checksum` set,
+ * MD5 hashes are compared instead, when the remote one is known.
+ *
+ * When a changed file is uploaded again, parts of the old backup that weren't overwritten are deleted.
+ *
+ * When files are uploaded with `singleBlob` set, each file is matched with the blob with exactly the same
+ * name, so files whose names end with numbers (e.g. "archive.7z.001") aren't taken for parts of other backups.
+ *
+ * Besides the events of {@link DirectoryUpload}, the following ones are emitted:
+ * - `backupDeleted`: the backup of a file that was removed was deleted; the argument is an object with
+ *   `relativePath` and `blobs` (names of the blobs, without the container)
+ * - `deleteFailed`: the deletion of a backup failed; the argument is the same as for `backupDeleted`, plus `error`
+ */
+class DirectorySync extends DirectoryUpload {
+    /**
+     * Constructor: initialize a DirectorySync object.
+     *
+     * @param {string} sourceDir - Path of the local directory
+     * @param {string} prefix - Destination prefix, including the container name (e.g. /container or /container/path)
+     * @param {Object} authData - Authentication data, as for {@link StreamUpload}
+     */
+    constructor(sourceDir, prefix, authData) {
+        super(sourceDir, prefix, authData)
+
+        // Split the prefix into the container and the prefix of the blobs in it
+        const parts = this._prefix.split('/')
+        this._containerClient = new ContainerClient(parts[1], authData)
+        this._blobPrefix = parts.length > 2 ? parts.slice(2).join('/') + '/' : ''
+
+        // Set default values for properties
+        this._delete = false
+        this._checksum = false
+        this._singleBlob = false
+    }
+
+    /**
+     * ContainerClient object used to list and delete blobs; its `endpoint` or `blobEndpoint` must be set
+     * like the ones of the StreamUpload objects.
+     *
+     * This is a read-only value.
+     *
+     * @type {ContainerClient}
+     */
+    get containerClient() {
+        return this._containerClient
+    }
+
+    /**
+     * If true, backups of files that don't exist in the source directory anymore are deleted.
+     *
+     * Only backups of files that would be selected by the `include` and `exclude` patterns are deleted.
+     *
+     * @type {boolean}
+     */
+    get delete() {
+        return this._delete
+    }
+    set delete(val) {
+        this._delete = !!val
+    }
+
+    /**
+     * If true, files are compared using their MD5 hash instead of their size and modification time.
+     * This requires reading all files; hashes are stored in the metadata of the blobs uploaded.
+     *
+     * @type {boolean}
+     */
+    get checksum() {
+        return this._checksum
+    }
+    set checksum(val) {
+        this._checksum = !!val
+    }
+
+    /**
+     * If true, each file is uploaded to a single blob without numeric suffixes, setting the `singleBlob` option of
+     * the StreamUpload objects (overriding `configureUpload`), and existing blobs are matched by their exact name.
+     *
+     * @type {boolean}
+     */
+    get singleBlob() {
+        return this._singleBlob
+    }
+    set singleBlob(val) {
+        this._singleBlob = !!val
+    }
+
+    /**
+     * List the backups that exist under the destination prefix.
+     *
+     * @return {Promise} Promise resolving to an object whose keys are the paths relative to the prefix; each value is a backup, as returned by {@link ContainerClient.groupBackups}
+     */
+    listRemote() {
+        return this._containerClient.listBlobs({prefix: this._blobPrefix, include: ['metadata']})
+            .then((result) => {
+                const backups = {}
+                for (const backup of ContainerClient.groupBackups(result.blobs, {singleBlob: this._singleBlob})) {
+                    backups[backup.name.substr(this._blobPrefix.length)] = backup
+                }
+                return backups
+            })
+    }
+
+    /**
+     * Compare the source directory with the existing backups, and return the list of operations needed.
+     *
+     * The result is an object with:
+     * - `upload`: files to upload, as returned by {@link DirectoryUpload#listFiles}, plus `reason` (one of
+     *   "new", "size", "modified" or "checksum") and `remote` (the existing backup, if any)
+     * - `unchanged`: files that don't need to be uploaded
+     * - `delete`: backups to delete, each one an object with `relativePath` and `blobs` (empty unless `delete` is set)
+     * - `skipped`: files skipped while listing the source directory
+     *
+     * @return {Promise} Promise resolving to the plan
+     */
+    plan() {
+        const plan = {
+            upload: [],
+            unchanged: [],
+            delete: [],
+            skipped: []
+        }
+        const onSkipped = (file) => {
+            plan.skipped.push(file)
+        }
+        this.on('fileSkipped', onSkipped)
+
+        let files
+        return this.listFiles()
+            .then((list) => {
+                this.removeListener('fileSkipped', onSkipped)
+                files = list
+                if (!this.checksum) {
+                    return
+                }
+
+                // Compute the hashes of the local files
+                return Utils.forEachConcurrent(files, this.concurrency, (file) => {
+                    return md5File(file.path).then((md5) => {
+                        file.md5 = md5
+                    })
+                })
+            }, (err) => {
+                this.removeListener('fileSkipped', onSkipped)
+                throw err
+            })
+            .then(() => this.listRemote())
+            .then((backups) => {
+                for (const file of files) {
+                    const remote = backups[file.relativePath]
+                    const reason = compare(file, remote, this.checksum)
+                    if (reason) {
+                        plan.upload.push(_.assign({reason, remote: remote || null}, file))
+                    }
+                    else {
+                        plan.unchanged.push(file)
+                    }
+                }
+
+                // Backups of files that were removed
+                // Blobs with the same name as a local file are never deleted, as they might be its backup
+                if (this.delete) {
+                    const local = {}
+                    for (const file of files) {
+                        local[file.relativePath] = true
+                    }
+                    const isLocal = (name) => !!local[ContainerClient.parseBlobName(name.substr(this._blobPrefix.length), {singleBlob: true}).backup]
+                    for (const relativePath of Object.keys(backups).sort()) {
+                        if (local[relativePath] || !this._walker.isSelected(relativePath)) {
+                            continue
+                        }
+                        const blobs = backups[relativePath].blobs
+                            .map((blob) => blob.name)
+                            .filter((name) => !isLocal(name))
+                        if (blobs.length) {
+                            plan.delete.push({relativePath, blobs})
+                        }
+                    }
+                }
+
+                return plan
+            })
+    }
+
+    /**
+     * Start the synchronization: upload new and changed files, and delete the backups of removed files if
+     * `delete` is set.
+     *
+     * Failed files do not stop the synchronization: the promise is rejected only if the source directory
+     * or the existing blobs can't be listed.
+     *
+     * @return {Promise} Promise resolving to a summary, with the lists of files `succeeded` (each with their `urls`), `failed` (each with their `error`), `unchanged` and `skipped`, and the lists of backups `deleted` and `deleteFailed` (each with their `error`)
+     */
+    upload() {
+        const summary = {
+            succeeded: [],
+            failed: [],
+            unchanged: [],
+            skipped: [],
+            deleted: [],
+            deleteFailed: []
+        }
+
+        let plan
+        return this.plan()
+            .then((result) => {
+                plan = result
+                summary.unchanged = plan.unchanged
+                summary.skipped = plan.skipped
+                return this._uploadFiles(plan.upload, summary)
+            })
+            .then(() => {
+                // Delete the parts of old backups that weren't overwritten by the new ones
+                const stale = []
+                for (const file of summary.succeeded) {
+                    if (!file.remote) {
+                        continue
+                    }
+                    const options = {singleBlob: this._singleBlob}
+                    const uploaded = file.urls.map((url) => ContainerClient.parseBlobName(url, options).seqId)
+                    const blobs = file.remote.blobs
+                        .map((blob) => blob.name)
+                        .filter((name) => {
+                            const parsed = ContainerClient.parseBlobName(name, options)
+                            return parsed.manifest ? !file.urls.manifestUrl : uploaded.indexOf(parsed.seqId) < 0
+                        })
+                    if (blobs.length) {
+                        stale.push({relativePath: file.relativePath, blobs})
+                    }
+                }
+
+                return Utils.forEachConcurrent(stale, this.concurrency, (backup) => {
+                    return this._deleteBlobs(backup.blobs)
+                        .catch((error) => {
+                            summary.deleteFailed.push(_.assign({error}, backup))
+                            this.emit('deleteFailed', _.assign({error}, backup))
+                        })
+                })
+            })
+            .then(() => {
+                // Delete the backups of removed files
+                return Utils.forEachConcurrent(plan.delete, this.concurrency, (backup) => {
+                    return this._deleteBlobs(backup.blobs)
+                        .then(() => {
+                            summary.deleted.push(backup)
+                            this.emit('backupDeleted', backup)
+                        }, (error) => {
+                            summary.deleteFailed.push(_.assign({error}, backup))
+                            this.emit('deleteFailed', _.assign({error}, backup))
+                        })
+                })
+            })
+            .then(() => summary)
+    }
+
+    /**
+     * Set the options of the StreamUpload object of a file, including `singleBlob`.
+     *
+     * @param {StreamUpload} upload - StreamUpload object
+     * @param {Object} file - File to upload, as returned by {@link DirectoryUpload#listFiles}
+     * @private
+     */
+    _setupUpload(upload, file) {
+        super._setupUpload(upload, file)
+        upload.singleBlob = this._singleBlob
+    }
+
+    /**
+     * Delete a list of blobs, one at a time.
+     *
+     * @param {string[]} names - Names of the blobs, without the container
+     * @return {Promise} Promise resolving when all blobs are deleted
+     * @private
+     */
+    _deleteBlobs(names) {
+        let p = Promise.resolve()
+        for (const name of names) {
+            p = p.then(() => this._containerClient.deleteBlob(name))
+        }
+        return p
+    }
+}
+
+module.exports = DirectorySync
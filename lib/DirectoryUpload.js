@@ -0,0 +1,249 @@
+'use strict'
+
+const EventEmitter = require('events')
+const fs = require('fs')
+const _ = require('lodash')
+const DirectoryWalker = require('./DirectoryWalker')
+const StreamUpload = require('./StreamUpload')
+const Utils = require('./Utils')
+
+/**
+ * Uploads all files in a directory tree to Azure Blob Storage. Each file is uploaded to the blob with
+ * the same relative path under the destination prefix, using a StreamUpload object; multiple files
+ * are uploaded at once. The size and modification time of each file are stored in the metadata of
+ * its blobs (see {@link StreamUpload#sourceFile}).
+ *
+ * While uploading, the following events are emitted:
+ * - `fileStart`: the upload of a file started; the argument is an object with `path`, `relativePath`, `blob`, `size` and `mtime`
+ * - `fileCompleted`: a file was uploaded; the argument is the same as for `fileStart`, plus `urls`
+ * - `fileFailed`: the upload of a file failed; the argument is the same as for `fileStart`, plus `error`
+ * - `fileSkipped`: a file or directory was skipped while listing the files; the argument is an object with
+ *   `path`, `relativePath` and `reason`
+ */
+class DirectoryUpload extends EventEmitter {
+    /**
+     * Constructor: initialize a DirectoryUpload object.
+     *
+     * @param {string} sourceDir - Path of the local directory
+     * @param {string} prefix - Destination prefix, including the container name (e.g. /container or /container/path)
+     * @param {Object} authData - Authentication data, as for {@link StreamUpload}
+     */
+    constructor(sourceDir, prefix, authData) {
+        super()
+
+        if (!sourceDir || !_.isString(sourceDir)) {
+            throw Error('Parameter sourceDir must be a non-empty string')
+        }
+        if (!prefix || !_.isString(prefix) || !prefix.match(/^\/(\$root|[a-z0-9](([a-z0-9-])){1,61}[a-z0-9])(\/.*)?$/)) {
+            throw Error('Parameter prefix must be in the format /container or /container/path')
+        }
+        Utils.validateAuthData(authData)
+
+        this._prefix = prefix.replace(/\/+$/, '')
+        this._authData = authData
+
+        // Files are selected by a DirectoryWalker, whose events are re-emitted
+        this._walker = new DirectoryWalker(sourceDir)
+        this._walker.on('fileSkipped', (file) => this.emit('fileSkipped', file))
+
+        // Set default values for properties
+        this._concurrency = DirectoryUpload.defaultConcurrency
+        this._configureUpload = undefined
+    }
+
+    /**
+     * Glob patterns of the files to upload; when empty (the default), all files are uploaded.
+     *
+     * See {@link DirectoryWalker#include} for more information.
+     *
+     * @type {string[]}
+     */
+    get include() {
+        return this._walker.include
+    }
+    set include(val) {
+        this._walker.include = val
+    }
+
+    /**
+     * Glob patterns of the files and directories to skip.
+     *
+     * See {@link DirectoryWalker#exclude} for more information.
+     *
+     * @type {string[]}
+     */
+    get exclude() {
+        return this._walker.exclude
+    }
+    set exclude(val) {
+        this._walker.exclude = val
+    }
+
+    /**
+     * Policy for symbolic links: "skip" (the default) or "follow".
+     *
+     * See {@link DirectoryWalker#symlinks} for more information.
+     *
+     * @type {string}
+     */
+    get symlinks() {
+        return this._walker.symlinks
+    }
+    set symlinks(val) {
+        this._walker.symlinks = val
+    }
+
+    /**
+     * Number of files uploaded at once.
+     *
+     * Each file is uploaded with the concurrency of its StreamUpload object, so the memory used is
+     * proportional to this value multiplied by the concurrency and block size of each upload.
+     *
+     * @type {number}
+     */
+    get concurrency() {
+        return this._concurrency
+    }
+    set concurrency(val) {
+        val = parseInt(val, 10)
+        if (!val || val < 1) {
+            throw Error('Concurrency must be a positive integer')
+        }
+        this._concurrency = val
+    }
+
+    /**
+     * Function invoked with each StreamUpload object before it starts, to set its options
+     * (e.g. `blockSize`, `metadata` or `encryption`). The arguments are the StreamUpload object and an
+     * object with `path`, `relativePath`, `blob`, `size` and `mtime`.
+     *
+     * @type {Function}
+     */
+    get configureUpload() {
+        return this._configureUpload
+    }
+    set configureUpload(val) {
+        if (val !== undefined && val !== null && !_.isFunction(val)) {
+            throw Error('configureUpload must be a function')
+        }
+        this._configureUpload = val || undefined
+    }
+
+    /**
+     * List the files to upload, walking the source directory recursively.
+     *
+     * Files and directories that are skipped because of the symlinks policy, or because they're not
+     * regular files, are reported with the `fileSkipped` event; excluded ones are not reported.
+     *
+     * @return {Promise} Promise resolving to the list of files, sorted by path; each one is an object with `path`, `relativePath`, `blob`, `size` and `mtime` (modification time)
+     */
+    listFiles() {
+        return this._walker.list()
+            .then((entries) => entries.map((entry) => {
+                return {
+                    path: entry.path,
+                    relativePath: entry.relativePath,
+                    blob: this._prefix + '/' + entry.relativePath,
+                    size: entry.stats.size,
+                    mtime: entry.stats.mtime
+                }
+            }))
+    }
+
+    /**
+     * Start the upload of all files.
+     *
+     * Failed files do not stop the upload of the others: the promise is rejected only if the source
+     * directory can't be listed.
+     *
+     * @return {Promise} Promise resolving to a summary, with the lists of files `succeeded` (each with their `urls`), `failed` (each with their `error`) and `skipped`
+     */
+    upload() {
+        const summary = {
+            succeeded: [],
+            failed: [],
+            skipped: []
+        }
+        const onSkipped = (file) => {
+            summary.skipped.push(file)
+        }
+        this.on('fileSkipped', onSkipped)
+
+        return this.listFiles()
+            .then((files) => {
+                this.removeListener('fileSkipped', onSkipped)
+                return this._uploadFiles(files, summary)
+            }, (err) => {
+                this.removeListener('fileSkipped', onSkipped)
+                throw err
+            })
+            .then(() => summary)
+    }
+
+    /**
+     * Upload a list of files with a pool of workers, adding them to the `succeeded` and `failed` lists of the summary.
+     *
+     * @param {Object[]} files - Files to upload, as returned by {@link DirectoryUpload#listFiles}
+     * @param {Object} summary - Summary of the upload
+     * @return {Promise} Promise resolving when all files are processed
+     * @private
+     */
+    _uploadFiles(files, summary) {
+        return Utils.forEachConcurrent(files, this.concurrency, (file) => {
+            return this._uploadFile(file)
+                .then((urls) => {
+                    summary.succeeded.push(_.assign({urls}, file))
+                    this.emit('fileCompleted', _.assign({urls}, file))
+                }, (error) => {
+                    summary.failed.push(_.assign({error}, file))
+                    this.emit('fileFailed', _.assign({error}, file))
+                })
+        })
+    }
+
+    /**
+     * Upload a single file with a StreamUpload object.
+     *
+     * @param {Object} file - File to upload, as returned by {@link DirectoryUpload#listFiles}
+     * @return {Promise} Promise resolving to the list of URLs of the blobs
+     * @private
+     */
+    _uploadFile(file) {
+        // Files are opened only when their upload starts, to limit the number of open files
+        const sourceStream = fs.createReadStream(file.path)
+        let upload
+        try {
+            // Names of files are used as they are, without expanding placeholders, as they can contain braces
+            upload = new StreamUpload(sourceStream, file.blob, this._authData)
+            if (this._configureUpload) {
+                this._configureUpload(upload, file)
+            }
+            this._setupUpload(upload, file)
+        }
+        catch (err) {
+            sourceStream.destroy()
+            return Promise.reject(err)
+        }
+
+        this.emit('fileStart', file)
+
+        return upload.upload()
+    }
+
+    /**
+     * Set the options of the StreamUpload object of a file that depend on the file, after `configureUpload`.
+     *
+     * @param {StreamUpload} upload - StreamUpload object
+     * @param {Object} file - File to upload, as returned by {@link DirectoryUpload#listFiles}
+     * @private
+     */
+    _setupUpload(upload, file) {
+        upload.expectedSize = file.size
+        upload.sourceFile = {size: file.size, mtime: file.mtime, md5: file.md5}
+    }
+}
+
+// Default number of files uploaded at once
+DirectoryUpload.defaultConcurrency = 4
+
+module.exports = DirectoryUpload
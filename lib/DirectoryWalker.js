@@ -0,0 +1,219 @@
+'use strict'
+
+const EventEmitter = require('events')
+const fs = require('fs')
+const path = require('path')
+const {promisify} = require('util')
+const Utils = require('./Utils')
+
+// Promisified versions of the fs methods used
+const readdir = promisify(fs.readdir)
+const lstat = promisify(fs.lstat)
+const stat = promisify(fs.stat)
+const realpath = promisify(fs.realpath)
+
+// Compile a list of glob patterns; patterns without a slash match the name of the file or directory,
+// while the others match the entire relative path
+const compilePatterns = (patterns) => {
+    if (!Array.isArray(patterns)) {
+        throw Error('Patterns must be an array of strings')
+    }
+
+    return patterns.map((pattern) => {
+        return {
+            source: pattern,
+            regexp: Utils.globToRegExp(pattern),
+            matchName: pattern.replace(/^\/+|\/+$/g, '').indexOf('/') < 0
+        }
+    })
+}
+
+// Check if a relative path matches any of the compiled patterns
+const matchesAny = (relativePath, compiled) => {
+    const name = relativePath.substr(relativePath.lastIndexOf('/') + 1)
+    return compiled.some((pattern) => pattern.regexp.test(pattern.matchName ? name : relativePath))
+}
+
+/**
+ * Walks a directory tree recursively, selecting files with glob patterns and applying a policy for symbolic links.
+ *
+ * While walking, the following events are emitted:
+ * - `fileSkipped`: a file or directory was skipped because of the symlinks policy, or because it's not a regular
+ *   file; the argument is an object with `path`, `relativePath` and `reason` (excluded files are not reported)
+ */
+class DirectoryWalker extends EventEmitter {
+    /**
+     * Constructor: initialize a DirectoryWalker object.
+     *
+     * @param {string} root - Path of the local directory
+     */
+    constructor(root) {
+        super()
+
+        if (!root || typeof root != 'string') {
+            throw Error('Parameter root must be a non-empty string')
+        }
+        this._root = root
+
+        // Set default values for properties
+        this._include = []
+        this._exclude = []
+        this._symlinks = DirectoryWalker.defaultSymlinks
+    }
+
+    /**
+     * Glob patterns of the files to select; when empty (the default), all files are selected.
+     *
+     * Patterns without a slash (e.g. "*.log") match the name of the file, while the others
+     * (e.g. "logs/**") match the path relative to the root directory, always separated by "/".
+     * See {@link Utils.globToRegExp} for the supported syntax.
+     *
+     * @type {string[]}
+     */
+    get include() {
+        return this._include.map((pattern) => pattern.source)
+    }
+    set include(val) {
+        this._include = compilePatterns(val || [])
+    }
+
+    /**
+     * Glob patterns of the files and directories to skip, with the same syntax as `include`.
+     * Excluded directories are not traversed.
+     *
+     * @type {string[]}
+     */
+    get exclude() {
+        return this._exclude.map((pattern) => pattern.source)
+    }
+    set exclude(val) {
+        this._exclude = compilePatterns(val || [])
+    }
+
+    /**
+     * Policy for symbolic links: "skip" (the default) ignores them, while "follow" selects the files
+     * they point to, and traverses the directories they point to (loops are detected and skipped).
+     *
+     * @type {string}
+     */
+    get symlinks() {
+        return this._symlinks
+    }
+    set symlinks(val) {
+        if (DirectoryWalker.symlinkPolicies.indexOf(val) < 0) {
+            throw Error('Symlinks policy must be one of: ' + DirectoryWalker.symlinkPolicies.join(', '))
+        }
+        this._symlinks = val
+    }
+
+    /**
+     * Check if a file with the given relative path would be selected by the `include` and `exclude`
+     * patterns, which includes checking that none of its parent directories is excluded.
+     *
+     * This is used for paths that don't exist locally, such as files that were deleted.
+     *
+     * @param {string} relativePath - Path relative to the root directory, separated by "/"
+     * @return {boolean} True if the file would be selected
+     */
+    isSelected(relativePath) {
+        const parts = relativePath.split('/')
+        for (let i = 1; i <= parts.length; i++) {
+            if (matchesAny(parts.slice(0, i).join('/'), this._exclude)) {
+                return false
+            }
+        }
+
+        return !this._include.length || matchesAny(relativePath, this._include)
+    }
+
+    /**
+     * List the entries of the directory tree, in depth-first order, with names sorted.
+     *
+     * When directories are listed too, those that don't contain any selected file are omitted if
+     * `include` patterns are set.
+     *
+     * @param {boolean} [directories=false] - If true, list directories as well as files
+     * @return {Promise} Promise resolving to the list of entries; each one is an object with `path`, `relativePath` and `stats` (an fs.Stats object)
+     */
+    list(directories) {
+        const entries = []
+
+        // Walk a directory; ancestors contains the real paths of the directories being traversed, to detect loops
+        const walk = (dir, relativeDir, ancestors) => {
+            return readdir(dir).then((names) => {
+                names.sort()
+                let p = Promise.resolve()
+                for (const name of names) {
+                    p = p.then(() => visit(path.join(dir, name), relativeDir ? relativeDir + '/' + name : name, ancestors))
+                }
+                return p
+            })
+        }
+
+        // Visit an entry in a directory
+        const visit = (fullPath, relativePath, ancestors) => {
+            const skip = (reason) => {
+                this.emit('fileSkipped', {path: fullPath, relativePath, reason})
+            }
+
+            return lstat(fullPath)
+                .then((stats) => {
+                    if (!stats.isSymbolicLink()) {
+                        return stats
+                    }
+                    if (this._symlinks != 'follow') {
+                        skip('symbolic link')
+                        return null
+                    }
+                    return stat(fullPath).catch(() => {
+                        skip('broken symbolic link')
+                        return null
+                    })
+                })
+                .then((stats) => {
+                    if (!stats || matchesAny(relativePath, this._exclude)) {
+                        return
+                    }
+
+                    if (stats.isDirectory()) {
+                        return realpath(fullPath).then((real) => {
+                            if (ancestors.indexOf(real) >= 0) {
+                                skip('symbolic link loop')
+                                return
+                            }
+
+                            const pos = entries.length
+                            if (directories) {
+                                entries.push({path: fullPath, relativePath, stats})
+                            }
+                            return walk(fullPath, relativePath, ancestors.concat([real]))
+                                .then(() => {
+                                    // Omit directories without any selected file
+                                    if (directories && this._include.length && entries.length == pos + 1) {
+                                        entries.pop()
+                                    }
+                                })
+                        })
+                    }
+                    if (!stats.isFile()) {
+                        skip('not a regular file')
+                        return
+                    }
+
+                    if (!this._include.length || matchesAny(relativePath, this._include)) {
+                        entries.push({path: fullPath, relativePath, stats})
+                    }
+                })
+        }
+
+        return realpath(this._root)
+            .then((real) => walk(this._root, '', [real]))
+            .then(() => entries)
+    }
+}
+
+// Default policy for symbolic links, and supported ones
+DirectoryWalker.defaultSymlinks = 'skip'
+DirectoryWalker.symlinkPolicies = ['skip', 'follow']
+
+module.exports = DirectoryWalker
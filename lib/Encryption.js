@@ -0,0 +1,307 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const through2 = require('through2')
+const _ = require('lodash')
+const Errors = require('./Errors')
+
+/**
+ * Client-side encryption of streams, using AES-256-GCM.
+ *
+ * The stream is split into segments of fixed size, and each segment is encrypted with its own nonce,
+ * made of a random prefix (chosen for each stream) and the number of the segment. Each encrypted
+ * segment is followed by its 16-byte authentication tag. The last segment is authenticated as
+ * such, so truncated streams are detected too.
+ *
+ * Parameters needed for decrypting (cipher, nonce prefix, segment size, key ID and KDF parameters)
+ * are returned as metadata, which StreamUpload stores on each blob.
+ */
+class Encryption {
+    /**
+     * Constructor: initialize an Encryption object with a key or a passphrase.
+     *
+     * When using a passphrase, the key is derived with PBKDF2-SHA256, using a random salt for each stream.
+     *
+     * @param {Object} options - Key or passphrase
+     * @param {Buffer} options.key - 256-bit key (required if `passphrase` is not set)
+     * @param {string} options.passphrase - Passphrase (required if `key` is not set)
+     */
+    constructor(options) {
+        const hasKey = !!(options && Buffer.isBuffer(options.key))
+        const hasPassphrase = !!(options && options.passphrase && _.isString(options.passphrase))
+        if ((!hasKey && !hasPassphrase) || (hasKey && hasPassphrase)) {
+            throw Error('One and only one of key and passphrase must be set')
+        }
+        if (hasKey && options.key.length != Encryption.keyLength) {
+            throw Error('Key must be ' + Encryption.keyLength + ' bytes long')
+        }
+
+        this._key = hasKey ? options.key : undefined
+        this._passphrase = hasPassphrase ? options.passphrase : undefined
+    }
+
+    /**
+     * Create an Encryption object with the key read from a file.
+     *
+     * The file can contain the 256-bit key as raw bytes, or encoded as hex or base64.
+     *
+     * @param {string} path - Path of the key file
+     * @return {Encryption} Encryption object
+     */
+    static fromKeyFile(path) {
+        const data = fs.readFileSync(path)
+
+        // Raw bytes
+        if (data.length == Encryption.keyLength) {
+            return new Encryption({key: data})
+        }
+
+        // Hex or base64
+        const str = data.toString('utf8').trim()
+        let key = null
+        if (str.match(/^[0-9a-fA-F]+$/)) {
+            key = Buffer.from(str, 'hex')
+        }
+        else if (str.match(/^[A-Za-z0-9+/]+={0,2}$/)) {
+            key = Buffer.from(str, 'base64')
+        }
+        if (!key || key.length != Encryption.keyLength) {
+            throw Error('Key file must contain a ' + (Encryption.keyLength * 8) + '-bit key, as raw bytes or encoded as hex or base64')
+        }
+
+        return new Encryption({key})
+    }
+
+    /**
+     * Create an Encryption object with a passphrase read from an environmental variable.
+     *
+     * @param {string} name - Name of the environmental variable
+     * @return {Encryption} Encryption object
+     */
+    static fromPassphraseEnv(name) {
+        const passphrase = process.env[name]
+        if (!passphrase) {
+            throw Error('Environmental variable ' + name + ' is empty or not set')
+        }
+
+        return new Encryption({passphrase})
+    }
+
+    /**
+     * Check if the metadata of a blob indicates that its content is encrypted.
+     *
+     * @param {Object} metadata - Metadata of the blob (without the "x-ms-meta-" prefix)
+     * @return {boolean} True if the content is encrypted
+     */
+    static isEncrypted(metadata) {
+        return !!(metadata && metadata.azbak_cipher)
+    }
+
+    /**
+     * Create a stream that encrypts the data piped into it.
+     *
+     * @return {Promise} Promise resolving to a Transform stream, with the `metadata` property containing the parameters needed to decrypt the data
+     */
+    createCipher() {
+        const noncePrefix = crypto.randomBytes(Encryption.noncePrefixLength)
+
+        return this._getKey(null)
+            .then((result) => {
+                const metadata = _.assign({
+                    azbak_cipher: Encryption.cipher,
+                    azbak_nonce: noncePrefix.toString('base64'),
+                    azbak_segment_size: Encryption.segmentSize + '',
+                    azbak_keyid: Encryption.keyId(result.key)
+                }, result.metadata)
+
+                const stream = this._segmentStream(Encryption.segmentSize, (segment, num, final) => {
+                    const cipher = crypto.createCipheriv(Encryption.cipher, result.key, Encryption._nonce(noncePrefix, num))
+                    cipher.setAAD(Buffer.from([final ? 1 : 0]))
+                    const encrypted = Buffer.concat([cipher.update(segment), cipher.final()])
+                    return Buffer.concat([encrypted, cipher.getAuthTag()])
+                })
+                stream.metadata = metadata
+
+                return stream
+            })
+    }
+
+    /**
+     * Create a stream that decrypts the data piped into it.
+     *
+     * @param {Object} metadata - Metadata of the blob (without the "x-ms-meta-" prefix), as returned by {@link Encryption#createCipher}
+     * @return {Promise} Promise resolving to a Transform stream
+     */
+    createDecipher(metadata) {
+        if (!Encryption.isEncrypted(metadata)) {
+            return Promise.reject(Error('Data is not encrypted'))
+        }
+        if (metadata.azbak_cipher != Encryption.cipher) {
+            return Promise.reject(Error('Unsupported cipher: ' + metadata.azbak_cipher))
+        }
+
+        const noncePrefix = Buffer.from(metadata.azbak_nonce || '', 'base64')
+        const segmentSize = parseInt(metadata.azbak_segment_size, 10)
+        if (noncePrefix.length != Encryption.noncePrefixLength || !segmentSize || segmentSize < 1) {
+            return Promise.reject(Error('Encryption metadata is not valid'))
+        }
+
+        return this._getKey(metadata)
+            .then((result) => {
+                if (metadata.azbak_keyid && metadata.azbak_keyid != Encryption.keyId(result.key)) {
+                    throw Error('Data was encrypted with a different key (key ID ' + metadata.azbak_keyid + ')')
+                }
+
+                return this._segmentStream(segmentSize + Encryption.tagLength, (segment, num, final) => {
+                    if (segment.length < Encryption.tagLength) {
+                        throw new Errors.IntegrityError('Encrypted data is truncated')
+                    }
+                    const decipher = crypto.createDecipheriv(Encryption.cipher, result.key, Encryption._nonce(noncePrefix, num))
+                    decipher.setAAD(Buffer.from([final ? 1 : 0]))
+                    decipher.setAuthTag(segment.slice(segment.length - Encryption.tagLength))
+                    try {
+                        return Buffer.concat([decipher.update(segment.slice(0, segment.length - Encryption.tagLength)), decipher.final()])
+                    }
+                    catch (e) {
+                        throw new Errors.IntegrityError('Encrypted data failed authentication: it was modified or truncated, or the key is wrong')
+                    }
+                })
+            })
+    }
+
+    /**
+     * Return the key, deriving it from the passphrase if needed.
+     *
+     * @param {Object} [metadata] - When decrypting, metadata containing the KDF parameters
+     * @return {Promise} Promise resolving to an object with `key` and the `metadata` for the KDF
+     * @private
+     */
+    _getKey(metadata) {
+        if (this._key) {
+            return Promise.resolve({key: this._key, metadata: {}})
+        }
+
+        // When encrypting, generate a new salt
+        let salt, iterations
+        if (metadata) {
+            if (metadata.azbak_kdf != Encryption.kdf) {
+                return Promise.reject(Error('Data was not encrypted with a passphrase, or the KDF is not supported'))
+            }
+            salt = Buffer.from(metadata.azbak_kdf_salt || '', 'base64')
+            iterations = parseInt(metadata.azbak_kdf_iterations, 10)
+            if (!salt.length || !iterations || iterations < 1) {
+                return Promise.reject(Error('Encryption metadata is not valid'))
+            }
+        }
+        else {
+            salt = crypto.randomBytes(16)
+            iterations = Encryption.kdfIterations
+        }
+
+        return new Promise((resolve, reject) => {
+            crypto.pbkdf2(this._passphrase, salt, iterations, Encryption.keyLength, 'sha256', (err, key) => {
+                if (err) {
+                    return reject(err)
+                }
+
+                resolve({
+                    key,
+                    metadata: {
+                        azbak_kdf: Encryption.kdf,
+                        azbak_kdf_salt: salt.toString('base64'),
+                        azbak_kdf_iterations: iterations + ''
+                    }
+                })
+            })
+        })
+    }
+
+    /**
+     * Create a Transform stream that splits data in segments of fixed size, and passes each one to a function.
+     *
+     * The last segment, which can be shorter (or empty), is flagged as final.
+     *
+     * @param {number} size - Size of each segment
+     * @param {Function} fn - Function invoked with the segment, its number and the final flag; returns the data to push
+     * @return {stream.Transform} Transform stream
+     * @private
+     */
+    _segmentStream(size, fn) {
+        let pending = Buffer.alloc(0)
+        let num = 0
+
+        return through2(
+            // Transform function
+            function(chunk, enc, callback) {
+                pending = Buffer.concat([pending, chunk])
+
+                // Process a segment only when there's more data after it, so we know it's not the last one
+                try {
+                    while (pending.length > size) {
+                        this.push(fn(pending.slice(0, size), num++, false))
+                        pending = pending.slice(size)
+                    }
+                }
+                catch (e) {
+                    return callback(e)
+                }
+
+                callback()
+            },
+            // Flush function
+            function(callback) {
+                try {
+                    this.push(fn(pending, num++, true))
+                }
+                catch (e) {
+                    return callback(e)
+                }
+
+                callback()
+            }
+        )
+    }
+
+    /**
+     * Compute the ID of a key, which can be stored safely to identify what key was used.
+     *
+     * @param {Buffer} key - Key
+     * @return {string} Key ID, hex-encoded
+     */
+    static keyId(key) {
+        return crypto.createHmac('sha256', key)
+            .update('azbak-key-id')
+            .digest('hex')
+            .substring(0, 16)
+    }
+
+    /**
+     * Build the nonce for a segment.
+     *
+     * @param {Buffer} prefix - Random prefix
+     * @param {number} num - Number of the segment
+     * @return {Buffer} Nonce
+     * @private
+     */
+    static _nonce(prefix, num) {
+        const counter = Buffer.alloc(4)
+        counter.writeUInt32BE(num, 0)
+        return Buffer.concat([prefix, counter])
+    }
+}
+
+// Cipher and parameters
+Encryption.cipher = 'aes-256-gcm'
+Encryption.keyLength = 32
+Encryption.tagLength = 16
+Encryption.noncePrefixLength = 8
+
+// Size of each segment of plaintext, in bytes
+Encryption.segmentSize = 64 * 1024
+
+// Key derivation function for passphrases
+Encryption.kdf = 'pbkdf2-sha256'
+Encryption.kdfIterations = 600000
+
+module.exports = Encryption
@@ -0,0 +1,195 @@
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * Errors raised by azbak, with the details of the failure and of the blob involved.
+ *
+ * Errors returned by Azure Blob Storage are parsed to read the error code and message, so they can be told apart
+ * (e.g. wrong credentials, a missing container or throttling) with `instanceof`:
+ *
+ * - {@link RequestError}: the request failed with an error status code; it's the base class of:
+ *   - {@link AuthenticationError}: the credentials are not valid, or don't grant access to the resource (401 and 403)
+ *   - {@link ContainerNotFoundError}: the container does not exist
+ *   - {@link BlobNotFoundError}: the blob does not exist
+ *   - {@link BlobAlreadyExistsError}: the blob already exists
+ *   - {@link ThrottledError}: the request was throttled, and failed after all attempts (429, and 503 "ServerBusy")
+ * - {@link IntegrityError}: data was corrupted, in transfer (e.g. "Md5Mismatch") or in storage
+ * - {@link NetworkError}: the request failed without a response, for example because the host can't be reached or
+ *   the request timed out
+ *
+ * All errors extend {@link AzBakError}.
+ */
+
+/**
+ * Base class for errors raised by azbak.
+ *
+ * Besides the message, errors have these properties, which are null when not applicable:
+ * - `statusCode`: status code of the response
+ * - `code`: error code returned by Azure Blob Storage (e.g. "AuthenticationFailed"), or by the network (e.g. "ECONNREFUSED")
+ * - `requestId`: ID of the request, as returned by Azure Blob Storage in the "x-ms-request-id" header
+ * - `blob`: name of the blob involved (starting with /), including the suffix of the part
+ * - `seqId`: suffix of the part (e.g. ".000")
+ * - `blockId`: ID of the block
+ */
+class AzBakError extends Error {
+    /**
+     * Constructor: initialize an error.
+     *
+     * @param {string} message - Error message
+     * @param {Object} [details] - Values for the properties of the error (`statusCode`, `code`, `requestId`, `blob`, `seqId`, `blockId`)
+     */
+    constructor(message, details) {
+        super(message)
+        details = details || {}
+
+        this.name = this.constructor.name
+        for (const key of AzBakError.detailKeys) {
+            this[key] = (details[key] === undefined) ? null : details[key]
+        }
+    }
+}
+
+// Properties with the details of errors
+AzBakError.detailKeys = ['statusCode', 'code', 'requestId', 'blob', 'seqId', 'blockId']
+
+/**
+ * A request failed with an error status code.
+ */
+class RequestError extends AzBakError {}
+
+/**
+ * The credentials are not valid, or don't grant access to the resource.
+ */
+class AuthenticationError extends RequestError {}
+
+/**
+ * The container does not exist.
+ */
+class ContainerNotFoundError extends RequestError {}
+
+/**
+ * The blob does not exist.
+ */
+class BlobNotFoundError extends RequestError {}
+
+/**
+ * The blob already exists.
+ */
+class BlobAlreadyExistsError extends RequestError {}
+
+/**
+ * The request was throttled by Azure Blob Storage, and failed after all attempts.
+ */
+class ThrottledError extends RequestError {}
+
+/**
+ * Data was corrupted, in transfer or in storage.
+ */
+class IntegrityError extends AzBakError {}
+
+/**
+ * A request failed without a response. The original error is in the `cause` property.
+ */
+class NetworkError extends AzBakError {
+    /**
+     * Constructor: initialize an error.
+     *
+     * @param {string} message - Error message
+     * @param {Object} [details] - Values for the properties of the error, as for {@link AzBakError}, and `cause`
+     */
+    constructor(message, details) {
+        super(message, details)
+        this.cause = (details && details.cause) || null
+    }
+}
+
+// Error codes of Azure Blob Storage mapped to error classes
+const errorCodes = {
+    ContainerNotFound: ContainerNotFoundError,
+    BlobNotFound: BlobNotFoundError,
+    BlobAlreadyExists: BlobAlreadyExistsError,
+    ServerBusy: ThrottledError,
+    Md5Mismatch: IntegrityError,
+    Crc64Mismatch: IntegrityError,
+    InvalidMd5: IntegrityError
+}
+
+/**
+ * Parse the body of an error response of Azure Blob Storage, such as
+ * `<Error><Code>ContainerNotFound</Code><Message>The specified container does not exist.</Message></Error>`.
+ *
+ * @param {string|Buffer} [body] - Body of the response
+ * @return {Object} Object with `code` and `message` (the first line of it), which are null if not found
+ */
+const parseErrorBody = (body) => {
+    body = (body === undefined || body === null) ? '' : body.toString()
+
+    const code = body.match(/<Error>[\s\S]*<Code>([^<]*)<\/Code>/)
+    const message = body.match(/<Error>[\s\S]*<Message>([^<]*)<\/Message>/)
+    return {
+        code: code ? code[1].trim() : null,
+        message: message ? message[1].trim().split(/\r?\n/)[0] : null
+    }
+}
+
+/**
+ * Create the error for a response with an error status code, choosing the class from the status code and from the
+ * error code returned by Azure Blob Storage.
+ *
+ * @param {Object} response - Response
+ * @param {Object} [context] - Details about the request, such as `blob`, `seqId` and `blockId`
+ * @return {RequestError|IntegrityError} Error object
+ */
+const fromResponse = (response, context) => {
+    const headers = response.headers || {}
+    const parsed = parseErrorBody(response.body)
+    const code = parsed.code || headers['x-ms-error-code'] || null
+
+    let ErrorClass = RequestError
+    if (response.statusCode == 401 || response.statusCode == 403) {
+        ErrorClass = AuthenticationError
+    }
+    else if (response.statusCode == 429) {
+        ErrorClass = ThrottledError
+    }
+    else if (code && errorCodes[code]) {
+        ErrorClass = errorCodes[code]
+    }
+
+    const message = 'Request error (' + response.statusCode + (code ? ' ' + code : '') + '): ' + (parsed.message || response.statusMessage)
+    return new ErrorClass(message, _.assign({}, context, {
+        statusCode: response.statusCode,
+        code,
+        requestId: headers['x-ms-request-id'] || null
+    }))
+}
+
+/**
+ * Create the error for a request that failed without a response.
+ *
+ * @param {Error} err - Error returned by the HTTP client
+ * @param {Object} [context] - Details about the request, such as `blob`, `seqId` and `blockId`
+ * @return {NetworkError} Error object
+ */
+const fromNetworkError = (err, context) => {
+    return new NetworkError('Network error' + (err.code ? ' (' + err.code + ')' : '') + ': ' + err.message, _.assign({}, context, {
+        code: err.code || null,
+        cause: err
+    }))
+}
+
+module.exports = {
+    AzBakError,
+    RequestError,
+    AuthenticationError,
+    ContainerNotFoundError,
+    BlobNotFoundError,
+    BlobAlreadyExistsError,
+    ThrottledError,
+    IntegrityError,
+    NetworkError,
+    parseErrorBody,
+    fromResponse,
+    fromNetworkError
+}
@@ -0,0 +1,102 @@
+'use strict'
+
+const os = require('os')
+const _ = require('lodash')
+const Utils = require('./Utils')
+
+// Placeholders in paths: {name} or {name:argument}
+const placeholderRegex = /\{([a-z]+)(?::([^{}]*))?\}/gi
+
+// Default formats for the date and time placeholders
+const defaultDateFormat = 'YYYY-MM-DD'
+const defaultTimeFormat = 'HHmmss'
+
+// Format a date with the tokens YYYY, YY, MM, DD, HH, mm and ss, using UTC or local time
+const formatDate = (date, format, localTime) => {
+    const get = (utcMethod, localMethod) => localTime ? date[localMethod]() : date[utcMethod]()
+    const tokens = {
+        YYYY: get('getUTCFullYear', 'getFullYear') + '',
+        YY: Utils.zeroPad(get('getUTCFullYear', 'getFullYear') % 100, 2),
+        MM: Utils.zeroPad(get('getUTCMonth', 'getMonth') + 1, 2),
+        DD: Utils.zeroPad(get('getUTCDate', 'getDate'), 2),
+        HH: Utils.zeroPad(get('getUTCHours', 'getHours'), 2),
+        mm: Utils.zeroPad(get('getUTCMinutes', 'getMinutes'), 2),
+        ss: Utils.zeroPad(get('getUTCSeconds', 'getSeconds'), 2)
+    }
+
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, (token) => tokens[token])
+}
+
+/**
+ * Expands placeholders in destination paths, such as the date or the hostname, so that each run of a
+ * scheduled backup is stored in a different blob.
+ *
+ * Supported placeholders:
+ * - `{date}` and `{date:FORMAT}`: date of the upload; the format can contain the tokens YYYY, YY, MM, DD,
+ *   HH, mm and ss (the default one is YYYY-MM-DD)
+ * - `{time}` and `{time:FORMAT}`: time of the upload, with the same tokens (the default format is HHmmss)
+ * - `{epoch}`: seconds since the Unix epoch
+ * - `{hostname}`: name of the host
+ * - `{env:VAR}`: value of the environmental variable VAR, which must be set
+ *
+ * Dates and times are in UTC, unless local time is requested.
+ */
+const PathTemplate = {
+    /**
+     * Check if a path contains placeholders.
+     *
+     * @param {string} path - Path to check
+     * @return {boolean} True if the path contains at least one placeholder
+     */
+    hasPlaceholders: (path) => {
+        return !!(path && _.isString(path) && path.match(placeholderRegex))
+    },
+
+    /**
+     * Expand the placeholders in a path.
+     *
+     * @param {string} template - Path with placeholders (e.g. "/container/db-{date}.sql")
+     * @param {Object} [options] - Options
+     * @param {Date} options.date - Date used for the date and time placeholders (optional; defaults to the current date)
+     * @param {boolean} options.localTime - If true, dates and times are in local time instead of UTC (optional)
+     * @param {Object} options.env - Environmental variables (optional; defaults to `process.env`)
+     * @param {string} options.hostname - Name of the host (optional; defaults to the value returned by `os.hostname()`)
+     * @return {string} Path with the placeholders replaced
+     */
+    expand: (template, options) => {
+        if (!_.isString(template)) {
+            throw Error('Path template must be a string')
+        }
+        options = options || {}
+        const date = options.date || new Date()
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+            throw Error('Date must be a valid Date object')
+        }
+        const env = options.env || process.env
+
+        return template.replace(placeholderRegex, (match, name, arg) => {
+            switch (name) {
+                case 'date':
+                    return formatDate(date, arg || defaultDateFormat, options.localTime)
+                case 'time':
+                    return formatDate(date, arg || defaultTimeFormat, options.localTime)
+                case 'epoch':
+                    return Math.floor(date.getTime() / 1000) + ''
+                case 'hostname':
+                    return options.hostname || os.hostname()
+                case 'env':
+                    if (!arg) {
+                        throw Error('Placeholder {env:VAR} requires the name of a variable')
+                    }
+                    if (env[arg] === undefined || env[arg] === '') {
+                        throw Error('Environmental variable ' + arg + ' used in the path is not set')
+                    }
+                    return env[arg]
+                default:
+                    throw Error('Unknown placeholder in path: ' + match)
+            }
+        })
+    }
+}
+
+module.exports = PathTemplate
@@ -0,0 +1,248 @@
+'use strict'
+
+const stream = require('stream')
+const _ = require('lodash')
+const Utils = require('./Utils')
+
+// Return the minutes since midnight of a "HH:MM" string, or null if it's not valid
+const parseTime = (str) => {
+    const match = (str + '').match(/^(\d{1,2}):(\d{2})$/)
+    if (!match || parseInt(match[1], 10) > 24 || parseInt(match[2], 10) > 59) {
+        return null
+    }
+    const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10)
+    return minutes <= 24 * 60 ? minutes : null
+}
+
+/**
+ * Limits the bandwidth used by uploads, with a token bucket on the bytes sent.
+ *
+ * The same RateLimiter object can be shared by multiple requests (and multiple StreamUpload objects), which
+ * are then limited together. Data is sent in small chunks (see {@link RateLimiter.chunkSize}), so the limit is
+ * accurate even with large blocks; bursts are limited to a tenth of a second of data.
+ *
+ * The rate can change with the time of day, using a schedule: for example, uploads can run at full speed
+ * during the night, and be limited during the day.
+ */
+class RateLimiter {
+    /**
+     * Constructor: initialize a RateLimiter object.
+     *
+     * @param {number} [rate] - Maximum rate, in bytes per second (optional; 0 or undefined mean unlimited)
+     */
+    constructor(rate) {
+        // Set default values for properties
+        this._rate = 0
+        this._schedule = []
+        this.rate = rate
+
+        // State of the token bucket, and requests waiting for tokens, in order
+        this._tokens = 0
+        this._lastRefill = Date.now()
+        this._queue = []
+        this._timer = null
+    }
+
+    /**
+     * Maximum rate, in bytes per second, used outside the windows of the schedule; 0 means unlimited.
+     *
+     * @type {number}
+     */
+    get rate() {
+        return this._rate
+    }
+    set rate(val) {
+        this._rate = RateLimiter._validateRate(val)
+    }
+
+    /**
+     * Rates for windows of the day, in local time. Each window is an object with `start` and `end` (in the
+     * format "HH:MM"; windows can span midnight, e.g. from "22:00" to "06:00") and `rate` (bytes per second;
+     * 0 means unlimited). The first window that contains the current time is used; outside the windows, the
+     * rate is the value of {@link RateLimiter#rate}.
+     *
+     * @type {Object[]}
+     */
+    get schedule() {
+        return this._schedule
+    }
+    set schedule(val) {
+        if (!val) {
+            this._schedule = []
+            return
+        }
+        if (!Array.isArray(val)) {
+            throw Error('Schedule must be an array')
+        }
+        this._schedule = val.map((window) => {
+            if (!window || parseTime(window.start) === null || parseTime(window.end) === null) {
+                throw Error('Start and end of each window in the schedule must be times in the format HH:MM')
+            }
+            return {start: window.start, end: window.end, rate: RateLimiter._validateRate(window.rate)}
+        })
+    }
+
+    /**
+     * Return the rate in effect at a given time, according to the schedule.
+     *
+     * @param {Date} [date] - Date and time (optional; defaults to the current time)
+     * @return {number} Maximum rate, in bytes per second; 0 means unlimited
+     */
+    currentRate(date) {
+        date = date || new Date()
+        const minutes = date.getHours() * 60 + date.getMinutes()
+        for (const window of this._schedule) {
+            const start = parseTime(window.start)
+            const end = parseTime(window.end)
+            const inWindow = (start <= end) ?
+                (minutes >= start && minutes < end) :
+                (minutes >= start || minutes < end)
+            if (inWindow) {
+                return window.rate
+            }
+        }
+
+        return this._rate
+    }
+
+    /**
+     * Wait until a number of bytes can be sent.
+     *
+     * Requests are served in order, so concurrent uploads share the bandwidth fairly.
+     *
+     * @param {number} bytes - Number of bytes to send
+     * @return {Promise} Promise resolving when the bytes can be sent
+     */
+    consume(bytes) {
+        return new Promise((resolve) => {
+            this._queue.push({bytes, resolve})
+            this._drain()
+        })
+    }
+
+    /**
+     * Return a readable stream with the content of a buffer, that is sent at the rate allowed by the limiter.
+     *
+     * A new stream must be created for each request, including retries.
+     *
+     * @param {Buffer} buffer - Data to send
+     * @return {stream.Readable} Readable stream
+     */
+    stream(buffer) {
+        let offset = 0
+        let waiting = false
+        const limiter = this
+
+        return new stream.Readable({
+            read() {
+                if (waiting) {
+                    return
+                }
+                if (offset >= buffer.length) {
+                    this.push(null)
+                    return
+                }
+
+                const chunk = buffer.slice(offset, offset + RateLimiter.chunkSize)
+                offset += chunk.length
+                waiting = true
+                limiter.consume(chunk.length)
+                    .then(() => {
+                        waiting = false
+                        this.push(chunk)
+                    })
+            }
+        })
+    }
+
+    /**
+     * Serve the requests waiting for tokens, and schedule the next check if tokens are not enough.
+     *
+     * @private
+     */
+    _drain() {
+        if (this._timer) {
+            return
+        }
+
+        while (this._queue.length) {
+            const now = Date.now()
+            const rate = this.currentRate(new Date(now))
+
+            // When unlimited, serve all requests, and start from an empty bucket when the limit applies again
+            if (!rate) {
+                this._tokens = 0
+                this._lastRefill = now
+                this._queue.shift().resolve()
+                continue
+            }
+
+            // Refill the bucket
+            const capacity = Math.max(rate / 10, RateLimiter.chunkSize)
+            this._tokens = Math.min(capacity, this._tokens + (now - this._lastRefill) * rate / 1000)
+            this._lastRefill = now
+
+            // Requests larger than the bucket are served when it's full, and leave it in debt
+            const needed = Math.min(this._queue[0].bytes, capacity)
+            if (this._tokens < needed) {
+                const wait = Math.ceil((needed - this._tokens) * 1000 / rate)
+                this._timer = setTimeout(() => {
+                    this._timer = null
+                    this._drain()
+                }, wait)
+                return
+            }
+            this._tokens -= this._queue[0].bytes
+            this._queue.shift().resolve()
+        }
+    }
+
+    /**
+     * Validate a rate, which can be a number of bytes per second or a string with a unit (e.g. "20M").
+     * Throws an exception if the value is not valid.
+     *
+     * @param {number|string} val - Rate to validate
+     * @return {number} Rate, in bytes per second; 0 means unlimited
+     * @private
+     */
+    static _validateRate(val) {
+        if (val === undefined || val === null || val === '') {
+            return 0
+        }
+        const rate = _.isString(val) ? Utils.parseBytes(val) : val
+        if (!_.isNumber(rate) || !(rate >= 0) || !isFinite(rate)) {
+            throw Error('Rate must be a non-negative number of bytes per second')
+        }
+        return rate
+    }
+
+    /**
+     * Parse a schedule in the format "HH:MM-HH:MM=rate", with multiple windows separated by commas
+     * (e.g. "01:00-05:00=0,08:00-18:00=5M"). Rates can have a unit (K, M or G); 0 and "unlimited" mean unlimited.
+     * Throws an exception if the value is not valid.
+     *
+     * @param {string} str - Schedule to parse
+     * @return {Object[]} Schedule, as for {@link RateLimiter#schedule}
+     */
+    static parseSchedule(str) {
+        return (str + '').split(',').map((item) => {
+            const match = item.trim().match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})=(.+)$/)
+            if (!match) {
+                throw Error('Windows in the schedule must be in the format HH:MM-HH:MM=rate: ' + item)
+            }
+            const rate = match[3].trim().toLowerCase() == 'unlimited' ? 0 : Utils.parseBytes(match[3])
+            if (rate === null) {
+                throw Error('Invalid rate in the schedule: ' + match[3])
+            }
+            if (parseTime(match[1]) === null || parseTime(match[2]) === null) {
+                throw Error('Invalid time in the schedule: ' + item)
+            }
+            return {start: match[1], end: match[2], rate}
+        })
+    }
+}
+
+// Data is sent in chunks of this size, in bytes
+RateLimiter.chunkSize = 64 * 1024
+
+module.exports = RateLimiter
@@ -0,0 +1,383 @@
+'use strict'
+
+const EventEmitter = require('events')
+const _ = require('lodash')
+const ContainerClient = require('./ContainerClient')
+const Utils = require('./Utils')
+
+// Timestamps in the names of backups: YYYY-MM-DD or YYYYMMDD, optionally followed by the time as HH:MM[:SS] or HHMM[SS]
+const timestampRegex = /(^|\D)(\d{4})(-?)(\d{2})\3(\d{2})(?:[T_ -]?(\d{2})(:?)(\d{2})(?:\7(\d{2}))?)?(?!\d)/g
+
+// Return the ISO 8601 week of a date (in UTC), such as "2026-W43"
+const isoWeek = (date) => {
+    // Weeks start on Monday, and belong to the year of their Thursday
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+    thursday.setUTCDate(thursday.getUTCDate() - (thursday.getUTCDay() + 6) % 7 + 3)
+    const dayOfYear = Math.round((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / 86400000)
+    return thursday.getUTCFullYear() + '-W' + Utils.zeroPad(Math.floor(dayOfYear / 7) + 1, 2)
+}
+
+// Rules of the retention policy, with the function returning the period of a date for each one
+const rules = {
+    keepLast: null,
+    keepDaily: (date) => date.toISOString().substr(0, 10),
+    keepWeekly: isoWeek,
+    keepMonthly: (date) => date.toISOString().substr(0, 7)
+}
+
+/**
+ * Applies a retention policy to the backups in a container (or with a prefix), deleting the ones that aren't
+ * kept by any rule, with all their parts and their manifest.
+ *
+ * Rules are in the "grandfather-father-son" style: `keepLast` keeps the most recent backups, while
+ * `keepDaily`, `keepWeekly` and `keepMonthly` keep the most recent backup of each of the last days, weeks
+ * and months that have backups. The most recent backup is always kept.
+ *
+ * The time of each backup is read from a timestamp in its name (e.g. "db-2026-10-19.sql" or
+ * "db-20261019-0100.sql", in UTC), or else is the creation time of the blobs. Backups whose name contains a
+ * timestamp are grouped into sets with the same name except for the timestamp (e.g. "db-*.sql" and "web-*.tar"),
+ * and rules are applied to each set separately; each backup without a timestamp is a set by itself, so it's
+ * always kept.
+ *
+ * Only backups uploaded by azbak are considered, that is the ones with a manifest or with "azbak_" metadata:
+ * other blobs in the container are never deleted.
+ *
+ * While pruning, the following events are emitted:
+ * - `backupPruned`: a backup was deleted; the argument is the backup, as returned by {@link Retention#plan}, plus
+ *   the lists `deleted`, `failed` and `skipped` (see {@link ContainerClient#deleteBackup})
+ * - `pruneFailed`: the deletion of a backup failed; the argument is the same as for `backupPruned`, plus `error`
+ *   (the first error)
+ */
+class Retention extends EventEmitter {
+    /**
+     * Constructor: initialize a Retention object.
+     *
+     * @param {string} path - Container, optionally followed by a prefix of the names of the backups (e.g. /container or /container/prefix)
+     * @param {Object} authData - Authentication data, as for {@link StreamUpload}
+     */
+    constructor(path, authData) {
+        super()
+
+        const match = _.isString(path) && path.match(/^\/([^/]+)(?:\/(.*))?$/)
+        if (!match || !Utils.isValidContainerName(match[1])) {
+            throw Error('Parameter path must be in the format /container or /container/prefix')
+        }
+        this._containerClient = new ContainerClient(match[1], authData)
+        this._prefix = match[2] || ''
+
+        // Set default values for properties
+        this._keepLast = undefined
+        this._keepDaily = undefined
+        this._keepWeekly = undefined
+        this._keepMonthly = undefined
+        this._includeSnapshots = false
+    }
+
+    /**
+     * ContainerClient object used to list and delete blobs.
+     *
+     * This is a read-only value.
+     *
+     * @type {ContainerClient}
+     */
+    get containerClient() {
+        return this._containerClient
+    }
+
+    /**
+     * Number of most recent backups to keep.
+     *
+     * @type {number}
+     */
+    get keepLast() {
+        return this._keepLast
+    }
+    set keepLast(val) {
+        this._keepLast = Retention._validateRule('keepLast', val)
+    }
+
+    /**
+     * Number of days for which the most recent backup is kept.
+     *
+     * @type {number}
+     */
+    get keepDaily() {
+        return this._keepDaily
+    }
+    set keepDaily(val) {
+        this._keepDaily = Retention._validateRule('keepDaily', val)
+    }
+
+    /**
+     * Number of weeks (from Monday to Sunday) for which the most recent backup is kept.
+     *
+     * @type {number}
+     */
+    get keepWeekly() {
+        return this._keepWeekly
+    }
+    set keepWeekly(val) {
+        this._keepWeekly = Retention._validateRule('keepWeekly', val)
+    }
+
+    /**
+     * Number of months for which the most recent backup is kept.
+     *
+     * @type {number}
+     */
+    get keepMonthly() {
+        return this._keepMonthly
+    }
+    set keepMonthly(val) {
+        this._keepMonthly = Retention._validateRule('keepMonthly', val)
+    }
+
+    /**
+     * If true, the snapshots of the blobs of pruned backups are deleted too; otherwise, blobs with snapshots
+     * can't be deleted. This is disabled by default.
+     *
+     * @type {boolean}
+     */
+    get includeSnapshots() {
+        return this._includeSnapshots
+    }
+    set includeSnapshots(val) {
+        this._includeSnapshots = !!val
+    }
+
+    /**
+     * List the backups, and decide which ones to keep according to the rules.
+     *
+     * The result is an object with `keep` and `prune`, lists of backups as returned by
+     * {@link ContainerClient.groupBackups} (only the ones uploaded by azbak, see {@link Retention.isAzbakBackup}),
+     * with the `name` including the container (e.g. "/container/db.sql"),
+     * plus `time` (Date used by the rules), `set` (name of the set of backups) and `reasons` (names of the
+     * rules that keep the backup, or "newest"; empty for backups to prune). Lists are sorted from the newest backup.
+     *
+     * @return {Promise} Promise resolving to the plan
+     */
+    plan() {
+        let policy
+        try {
+            policy = this._policy()
+        }
+        catch (err) {
+            return Promise.reject(err)
+        }
+
+        return this._containerClient.listBlobs({prefix: this._prefix, include: ['metadata']})
+            .then((result) => {
+                const backups = ContainerClient.groupBackups(result.blobs).filter(Retention.isAzbakBackup).map((backup) => {
+                    return _.assign({}, backup, Retention.backupTime(backup), {
+                        name: '/' + this._containerClient.container + '/' + backup.name
+                    })
+                })
+
+                return Retention.select(backups, policy)
+            })
+    }
+
+    /**
+     * Delete the backups that aren't kept by any rule.
+     *
+     * Backups are deleted with {@link ContainerClient#deleteBackup}, one at a time. Failed deletions do not stop
+     * the others: the promise is rejected only if the backups can't be listed.
+     *
+     * @return {Promise} Promise resolving to a summary, with the lists of backups `kept`, `pruned` and `failed` (each with their `error`); pruned and failed backups include the lists `deleted`, `failed` and `skipped` of their blobs
+     */
+    prune() {
+        const summary = {
+            kept: [],
+            pruned: [],
+            failed: []
+        }
+
+        return this.plan()
+            .then((plan) => {
+                summary.kept = plan.keep
+
+                const onFailed = (backup) => {
+                    summary.failed.push(backup)
+                    this.emit('pruneFailed', backup)
+                }
+
+                // Delete the backups one at a time
+                return Utils.forEachConcurrent(plan.prune, 1, (backup) => {
+                    return this._containerClient.deleteBackup(backup, {includeSnapshots: this._includeSnapshots})
+                        .then((result) => {
+                            if (result.failed.length) {
+                                return onFailed(_.assign({error: result.failed[0].error}, result))
+                            }
+                            summary.pruned.push(result)
+                            this.emit('backupPruned', result)
+                        }, (error) => {
+                            onFailed(_.assign({error, deleted: [], failed: [], skipped: []}, backup))
+                        })
+                })
+            })
+            .then(() => summary)
+    }
+
+    /**
+     * Return the rules that are set, throwing an error if none is.
+     *
+     * @return {Object} Dictionary of rules and their values
+     * @private
+     */
+    _policy() {
+        const policy = {}
+        for (const rule of Object.keys(rules)) {
+            if (this['_' + rule]) {
+                policy[rule] = this['_' + rule]
+            }
+        }
+        if (_.isEmpty(policy)) {
+            throw Error('At least one of keepLast, keepDaily, keepWeekly and keepMonthly must be set')
+        }
+
+        return policy
+    }
+
+    /**
+     * Validate the value of a rule.
+     *
+     * @param {string} rule - Name of the rule
+     * @param {number} val - Value of the rule
+     * @return {number|undefined} The value, or undefined if not set
+     * @private
+     */
+    static _validateRule(rule, val) {
+        if (val === undefined || val === null) {
+            return undefined
+        }
+        if (!(val >= 0) || val !== Math.floor(val)) {
+            throw Error('Value of ' + rule + ' must be a non-negative integer')
+        }
+        return val
+    }
+
+    /**
+     * Return the time of a backup and the set it belongs to.
+     *
+     * The time is read from the last timestamp in the name of the backup (YYYY-MM-DD or YYYYMMDD, optionally
+     * followed by the time as HH:MM[:SS] or HHMM[SS], separated by "T", "_", "-" or a space), interpreted as UTC.
+     * For backups whose name does not contain a timestamp, the creation time (or, if not available, the last
+     * modified time) of the blobs is used.
+     *
+     * @param {Object} backup - Backup, as returned by {@link ContainerClient.groupBackups}
+     * @return {Object} Object with `time` (a Date object) and `set` (the name of the backup with the timestamp replaced by "*", or the name itself for backups without a timestamp)
+     */
+    static backupTime(backup) {
+        let found = null
+        let match
+        timestampRegex.lastIndex = 0
+        while ((match = timestampRegex.exec(backup.name))) {
+            const time = new Date(Date.UTC(
+                parseInt(match[2], 10),
+                parseInt(match[4], 10) - 1,
+                parseInt(match[5], 10),
+                parseInt(match[6] || '0', 10),
+                parseInt(match[8] || '0', 10),
+                parseInt(match[9] || '0', 10)
+            ))
+
+            // Ignore sequences of digits that aren't valid dates and times
+            const valid = time.getUTCMonth() == parseInt(match[4], 10) - 1 &&
+                time.getUTCDate() == parseInt(match[5], 10) &&
+                time.getUTCHours() == parseInt(match[6] || '0', 10) &&
+                time.getUTCMinutes() == parseInt(match[8] || '0', 10)
+            if (valid) {
+                const start = match.index + match[1].length
+                found = {
+                    time,
+                    set: backup.name.substr(0, start) + '*' + backup.name.substr(match.index + match[0].length)
+                }
+            }
+
+            // Allow overlapping matches, as the previous character is part of the match
+            timestampRegex.lastIndex = match.index + match[1].length + 1
+        }
+        if (found) {
+            return found
+        }
+
+        return {
+            time: backup.creationTime || backup.lastModified || backup.blobs[0].lastModified,
+            set: backup.name
+        }
+    }
+
+    /**
+     * Check if a backup was uploaded by azbak: it has a manifest, or its blobs have "azbak_" metadata
+     * (such as the hash of each part).
+     *
+     * @param {Object} backup - Backup, as returned by {@link ContainerClient.groupBackups} (with metadata)
+     * @return {boolean} True if the backup was uploaded by azbak
+     */
+    static isAzbakBackup(backup) {
+        return backup.manifest || Object.keys(backup.metadata || {}).some((key) => key.startsWith('azbak_'))
+    }
+
+    /**
+     * Decide which backups to keep according to the rules, applying them to each set of backups separately.
+     *
+     * @param {Object[]} backups - List of backups, each one with `time` and `set` (see {@link Retention.backupTime})
+     * @param {Object} policy - Dictionary with the rules: `keepLast`, `keepDaily`, `keepWeekly` and `keepMonthly`
+     * @return {Object} Object with `keep` and `prune`, as for {@link Retention#plan}
+     */
+    static select(backups, policy) {
+        const result = {
+            keep: [],
+            prune: []
+        }
+
+        // Sort from the newest backup, and group by set
+        const sorted = _.sortBy(backups, (backup) => -backup.time.getTime())
+        const sets = _.groupBy(sorted, (backup) => backup.set)
+
+        for (const set of Object.keys(sets)) {
+            const reasons = sets[set].map(() => [])
+
+            // The newest backup is always kept
+            reasons[0].push('newest')
+
+            for (const rule of Object.keys(rules)) {
+                const count = policy[rule]
+                if (!count) {
+                    continue
+                }
+
+                // Keep the newest backup of each period, until the count is reached
+                const seen = {}
+                let kept = 0
+                for (let i = 0; i < sets[set].length && kept < count; i++) {
+                    const period = rules[rule] ? rules[rule](sets[set][i].time) : i
+                    if (seen[period]) {
+                        continue
+                    }
+                    seen[period] = true
+                    reasons[i].push(rule)
+                    kept++
+                }
+            }
+
+            for (let i = 0; i < sets[set].length; i++) {
+                const backup = _.assign({}, sets[set][i], {reasons: reasons[i]})
+                if (reasons[i].length) {
+                    result.keep.push(backup)
+                }
+                else {
+                    result.prune.push(backup)
+                }
+            }
+        }
+
+        // Sort the lists from the newest backup again
+        result.keep = _.sortBy(result.keep, (backup) => -backup.time.getTime())
+        result.prune = _.sortBy(result.prune, (backup) => -backup.time.getTime())
+
+        return result
+    }
+}
+
+module.exports = Retention
@@ -0,0 +1,268 @@
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * Policy for retrying failed requests to Azure Blob Storage: how many times, after how long, and for which errors.
+ *
+ * Network errors (including timeouts) are always retried, as are responses with one of the retryable status
+ * codes. Delays grow exponentially from `baseDelay` up to `maxDelay`, and are randomized by `jitter` so that
+ * parallel requests don't retry all at once. When the response has a Retry-After header (e.g. when Azure
+ * throttles requests, with status 429 or 503), the delay is at least the time requested by the server.
+ */
+class RetryPolicy {
+    /**
+     * Constructor: initialize a RetryPolicy object.
+     *
+     * @param {Object} [options] - Options; each one sets the property with the same name (see below)
+     * @param {number} options.maxAttempts - Maximum number of attempts for each request
+     * @param {number} options.baseDelay - Delay before the first retry, in milliseconds
+     * @param {number} options.maxDelay - Maximum delay between attempts, in milliseconds
+     * @param {number} options.jitter - Fraction of the delay that is randomized, between 0 and 1
+     * @param {number} options.timeout - Timeout of each request, in milliseconds
+     * @param {number[]} options.retryableStatusCodes - Status codes of the responses that are retried
+     */
+    constructor(options) {
+        options = options || {}
+
+        // Set default values for properties
+        this._maxAttempts = RetryPolicy.defaultMaxAttempts
+        this._baseDelay = RetryPolicy.defaultBaseDelay
+        this._maxDelay = RetryPolicy.defaultMaxDelay
+        this._jitter = RetryPolicy.defaultJitter
+        this._timeout = RetryPolicy.defaultTimeout
+        this._retryableStatusCodes = RetryPolicy.defaultRetryableStatusCodes.slice()
+
+        for (const key of ['maxAttempts', 'baseDelay', 'maxDelay', 'jitter', 'timeout', 'retryableStatusCodes']) {
+            if (options[key] !== undefined) {
+                this[key] = options[key]
+            }
+        }
+    }
+
+    /**
+     * Maximum number of attempts for each request, including the first one; 1 disables retries.
+     *
+     * @type {number}
+     */
+    get maxAttempts() {
+        return this._maxAttempts
+    }
+    set maxAttempts(val) {
+        if (!(val >= 1) || val !== Math.floor(val)) {
+            throw Error('Maximum number of attempts must be a positive integer')
+        }
+        this._maxAttempts = val
+    }
+
+    /**
+     * Delay before the first retry, in milliseconds; it doubles at each following attempt.
+     *
+     * @type {number}
+     */
+    get baseDelay() {
+        return this._baseDelay
+    }
+    set baseDelay(val) {
+        this._baseDelay = RetryPolicy._validateDelay(val, 'Base delay')
+    }
+
+    /**
+     * Maximum delay between attempts, in milliseconds (except when the server requests a longer one with Retry-After).
+     *
+     * @type {number}
+     */
+    get maxDelay() {
+        return this._maxDelay
+    }
+    set maxDelay(val) {
+        this._maxDelay = RetryPolicy._validateDelay(val, 'Maximum delay')
+    }
+
+    /**
+     * Fraction of the delay that is randomized, between 0 (delays are exact) and 1 (delays are anywhere between
+     * 0 and the full value).
+     *
+     * @type {number}
+     */
+    get jitter() {
+        return this._jitter
+    }
+    set jitter(val) {
+        if (!_.isNumber(val) || !(val >= 0 && val <= 1)) {
+            throw Error('Jitter must be a number between 0 and 1')
+        }
+        this._jitter = val
+    }
+
+    /**
+     * Timeout of each request, in milliseconds: maximum time to establish the connection, and then to wait
+     * without any data being sent or received. Requests that time out are retried. 0 disables the timeout.
+     *
+     * @type {number}
+     */
+    get timeout() {
+        return this._timeout
+    }
+    set timeout(val) {
+        this._timeout = RetryPolicy._validateDelay(val, 'Timeout')
+    }
+
+    /**
+     * Status codes of the responses that are retried. By default, these are 408 (Request Timeout), 429 (Too Many
+     * Requests) and the 5xx server errors that are usually transient, including 503 (Server Busy), which Azure
+     * returns when throttling requests.
+     *
+     * @type {number[]}
+     */
+    get retryableStatusCodes() {
+        return this._retryableStatusCodes
+    }
+    set retryableStatusCodes(val) {
+        if (!Array.isArray(val)) {
+            throw Error('Retryable status codes must be an array')
+        }
+        for (const code of val) {
+            if (code !== Math.floor(code) || !(code >= 100 && code <= 599)) {
+                throw Error('Retryable status codes must be HTTP status codes: ' + code)
+            }
+        }
+        this._retryableStatusCodes = val.slice()
+    }
+
+    /**
+     * Check if a request must be retried.
+     *
+     * @param {Error} [error] - Error, for requests that failed without a response
+     * @param {Object} [response] - Response
+     * @return {boolean} True if the request must be retried (as long as there are attempts left)
+     */
+    isRetryable(error, response) {
+        // Always retry network errors and timeouts
+        if (error) {
+            return true
+        }
+
+        return !!response && this._retryableStatusCodes.indexOf(response.statusCode) >= 0
+    }
+
+    /**
+     * Return the delay before the next attempt.
+     *
+     * @param {number} attempt - Number of the attempt that failed, starting from 1
+     * @param {Object} [response] - Response of the failed attempt, if any, which might have a Retry-After header
+     * @return {number} Delay, in milliseconds
+     */
+    getDelay(attempt, response) {
+        // Exponential backoff, with a random part
+        let delay = Math.min(this._maxDelay, this._baseDelay * Math.pow(2, Math.max(attempt - 1, 0)))
+        delay = Math.round(delay * (1 - this._jitter * Math.random()))
+
+        // Wait at least as long as requested by the server
+        const retryAfter = RetryPolicy.parseRetryAfter(response && response.headers && response.headers['retry-after'])
+        if (retryAfter !== null) {
+            delay = Math.max(delay, retryAfter)
+        }
+
+        return delay
+    }
+
+    /**
+     * Return the options for request-retry that implement this policy.
+     *
+     * @param {Function} [onRetry] - Function invoked before waiting to retry a request, with an object with
+     *   `attempt` (number of the attempt that failed), `statusCode`, `error` and `delay` (in milliseconds)
+     * @return {Object} Options `maxAttempts`, `timeout` (if set), `retryStrategy` and `delayStrategy`
+     */
+    requestOptions(onRetry) {
+        const options = {
+            maxAttempts: this._maxAttempts,
+            retryStrategy: (err, response) => this.isRetryable(err, response),
+            // The delay strategy is invoked only before retrying
+            delayStrategy: (err, response) => {
+                const attempt = (err || response).attempts
+                const delay = this.getDelay(attempt, response)
+                if (onRetry) {
+                    onRetry({
+                        attempt,
+                        statusCode: response ? response.statusCode : null,
+                        error: err || null,
+                        delay
+                    })
+                }
+                return delay
+            }
+        }
+        if (this._timeout) {
+            options.timeout = this._timeout
+        }
+
+        return options
+    }
+
+    /**
+     * Parse the value of a Retry-After header, which is either a number of seconds or a HTTP date.
+     *
+     * @param {string} [val] - Value of the header
+     * @return {number|null} Delay requested, in milliseconds, or null if the value is missing or not valid
+     */
+    static parseRetryAfter(val) {
+        if (val === undefined || val === null || val === '') {
+            return null
+        }
+        val = (val + '').trim()
+        if (val.match(/^\d+$/)) {
+            return parseInt(val, 10) * 1000
+        }
+
+        const date = Date.parse(val)
+        if (isNaN(date)) {
+            return null
+        }
+        return Math.max(date - Date.now(), 0)
+    }
+
+    /**
+     * Parse a list of status codes separated by commas (e.g. "408,429,500,503").
+     * Throws an exception if the value is not valid.
+     *
+     * @param {string} str - List of status codes
+     * @return {number[]} Status codes
+     */
+    static parseStatusCodes(str) {
+        return (str + '').split(',').map((item) => {
+            item = item.trim()
+            if (!item.match(/^\d{3}$/)) {
+                throw Error('Invalid status code: ' + item)
+            }
+            return parseInt(item, 10)
+        })
+    }
+
+    /**
+     * Validate a delay, which must be a non-negative number of milliseconds.
+     * Throws an exception if the value is not valid.
+     *
+     * @param {number} val - Value to validate
+     * @param {string} name - Name of the property, used in error messages
+     * @return {number} Delay, in milliseconds
+     * @private
+     */
+    static _validateDelay(val, name) {
+        if (!_.isNumber(val) || !(val >= 0) || !isFinite(val)) {
+            throw Error(name + ' must be a non-negative number of milliseconds')
+        }
+        return val
+    }
+}
+
+// Default values for the policy
+// Delays are in milliseconds: without jitter, requests are retried after 2s, 4s, 8s, 16s and 32s, for about a minute
+RetryPolicy.defaultMaxAttempts = 6
+RetryPolicy.defaultBaseDelay = 2000
+RetryPolicy.defaultMaxDelay = 60000
+RetryPolicy.defaultJitter = 0.5
+RetryPolicy.defaultTimeout = 120000
+RetryPolicy.defaultRetryableStatusCodes = [408, 429, 500, 502, 503, 504]
+
+module.exports = RetryPolicy
@@ -0,0 +1,215 @@
+'use strict'
+
+const crypto = require('crypto')
+const _ = require('lodash')
+const Authorization = require('./Authorization')
+const Utils = require('./Utils')
+
+// Permissions that can be granted, in the order required by Azure Blob Storage
+const permissions = {
+    blob: 'racwd',
+    container: 'racwdl',
+    account: 'rwdlacup'
+}
+
+// Validate the permissions, and return them in the required order
+const normalizePermissions = (val, allowed) => {
+    if (!val || !_.isString(val)) {
+        throw Error('Permissions must be a non-empty string, with any of: ' + allowed)
+    }
+    for (const char of val) {
+        if (allowed.indexOf(char) < 0) {
+            throw Error('Permission ' + char + ' is not valid: permissions must be any of: ' + allowed)
+        }
+    }
+
+    return allowed.split('').filter((char) => val.indexOf(char) >= 0).join('')
+}
+
+// Format a date as required in SAS tokens (ISO 8601, without milliseconds)
+const formatDate = (val, name) => {
+    const date = (val instanceof Date) ? val : new Date(val)
+    if (!val || isNaN(date.getTime())) {
+        throw Error(name + ' must be a valid date')
+    }
+
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z')
+}
+
+// Validate the common parameters, returning them ready to be signed
+const commonParams = (authData, options) => {
+    if (!authData || !authData.storageAccountName || !authData.storageAccountKey) {
+        throw Error('Storage account name and key are required to generate SAS tokens')
+    }
+    if (!options || !_.isObject(options)) {
+        throw Error('Options must be an object')
+    }
+
+    const result = {
+        version: options.version || Authorization.apiVersion,
+        start: options.start ? formatDate(options.start, 'Start time') : '',
+        expiry: formatDate(options.expiry, 'Expiry time'),
+        ip: options.ip || '',
+        protocol: options.protocol || ''
+    }
+    if (!Utils.isValidApiVersion(result.version) || result.version < '2015-04-05') {
+        throw Error('Version must be 2015-04-05 or higher, in the format YYYY-MM-DD')
+    }
+    if (result.start && Date.parse(result.start) >= Date.parse(result.expiry)) {
+        throw Error('Expiry time must be after the start time')
+    }
+    if (result.ip && !result.ip.match(/^\d{1,3}(\.\d{1,3}){3}(-\d{1,3}(\.\d{1,3}){3})?$/)) {
+        throw Error('IP must be an IPv4 address or a range of addresses, such as 10.0.0.1-10.0.0.255')
+    }
+    if (result.protocol && result.protocol != 'https' && result.protocol != 'https,http') {
+        throw Error('Protocol must be either "https" or "https,http"')
+    }
+
+    return result
+}
+
+// Sign a string with the account key
+const sign = (authData, stringToSign) => {
+    return crypto.createHmac('sha256', Buffer.from(authData.storageAccountKey, 'base64'))
+        .update(stringToSign, 'utf8')
+        .digest('base64')
+}
+
+// Build the token from a list of key-value pairs, skipping empty values
+const buildToken = (pairs) => {
+    return pairs
+        .filter((pair) => pair[1])
+        .map((pair) => pair[0] + '=' + encodeURIComponent(pair[1]))
+        .join('&')
+}
+
+module.exports = {
+    /**
+     * Generate a service SAS token, granting access to a container or to a single blob.
+     *
+     * The token is returned without the leading "?", and can be used as `storageAccountSasToken`.
+     *
+     * @param {Object} authData - Authentication data
+     * @param {string} authData.storageAccountName - Name of the Azure Storage Account
+     * @param {string} authData.storageAccountKey - Key of the Azure Storage Account
+     * @param {Object} options - Parameters for the token
+     * @param {string} options.path - Path of the container (e.g. "/container") or of the blob (e.g. "/container/path/to/file")
+     * @param {string} options.permissions - Permissions granted: any of "racwd" for blobs, and "racwdl" for containers (r: read, a: add, c: create, w: write, d: delete, l: list)
+     * @param {Date|string} options.expiry - Expiry time of the token
+     * @param {Date|string} [options.start] - Start time of the token (optional)
+     * @param {string} [options.ip] - IP address or range of addresses allowed (optional, e.g. "10.0.0.1-10.0.0.255")
+     * @param {string} [options.protocol] - Protocols allowed: "https" or "https,http" (optional)
+     * @param {string} [options.identifier] - Identifier of a stored access policy of the container (optional)
+     * @param {string} [options.version] - Version of the Azure Storage REST API (optional; defaults to `Authorization.apiVersion`)
+     * @return {string} SAS token
+     */
+    generateServiceSas: (authData, options) => {
+        const params = commonParams(authData, options)
+
+        // Container or blob
+        const match = (options.path || '').match(/^\/(\$root|[a-z0-9](?:[a-z0-9-]){1,61}[a-z0-9])(?:\/(.+))?$/)
+        if (!match) {
+            throw Error('Path must be in the format /container or /container/path/to/file')
+        }
+        const isBlob = !!match[2]
+        const resource = isBlob ? 'b' : 'c'
+        const sp = normalizePermissions(options.permissions, isBlob ? permissions.blob : permissions.container)
+        const canonicalizedResource = '/blob/' + authData.storageAccountName + options.path
+
+        // The string to sign depends on the version
+        const components = [
+            sp,
+            params.start,
+            params.expiry,
+            canonicalizedResource,
+            options.identifier || '',
+            params.ip,
+            params.protocol,
+            params.version
+        ]
+        if (params.version >= '2018-11-09') {
+            // Signed resource and snapshot time
+            components.push(resource, '')
+        }
+        if (params.version >= '2020-12-06') {
+            // Encryption scope
+            components.push('')
+        }
+        // Response headers overrides (rscc, rscd, rsce, rscl, rsct), which aren't used
+        components.push('', '', '', '', '')
+
+        return buildToken([
+            ['sv', params.version],
+            ['sp', sp],
+            ['st', params.start],
+            ['se', params.expiry],
+            ['sip', params.ip],
+            ['spr', params.protocol],
+            ['sr', resource],
+            ['si', options.identifier],
+            ['sig', sign(authData, components.join('\n'))]
+        ])
+    },
+
+    /**
+     * Generate an account SAS token, granting access to the Blob service of the storage account.
+     *
+     * The token is returned without the leading "?", and can be used as `storageAccountSasToken`.
+     *
+     * @param {Object} authData - Authentication data
+     * @param {string} authData.storageAccountName - Name of the Azure Storage Account
+     * @param {string} authData.storageAccountKey - Key of the Azure Storage Account
+     * @param {Object} options - Parameters for the token
+     * @param {string} options.permissions - Permissions granted: any of "rwdlacup" (r: read, w: write, d: delete, l: list, a: add, c: create, u: update, p: process)
+     * @param {string} [options.resourceTypes="sco"] - Resource types: any of "s" (service), "c" (container) and "o" (object)
+     * @param {Date|string} options.expiry - Expiry time of the token
+     * @param {Date|string} [options.start] - Start time of the token (optional)
+     * @param {string} [options.ip] - IP address or range of addresses allowed (optional, e.g. "10.0.0.1-10.0.0.255")
+     * @param {string} [options.protocol] - Protocols allowed: "https" or "https,http" (optional)
+     * @param {string} [options.version] - Version of the Azure Storage REST API (optional; defaults to `Authorization.apiVersion`)
+     * @return {string} SAS token
+     */
+    generateAccountSas: (authData, options) => {
+        const params = commonParams(authData, options)
+
+        const sp = normalizePermissions(options.permissions, permissions.account)
+        const srt = options.resourceTypes || 'sco'
+        if (!srt.match(/^[sco]+$/)) {
+            throw Error('Resource types must be any of: s (service), c (container), o (object)')
+        }
+        const normalizedSrt = 'sco'.split('').filter((char) => srt.indexOf(char) >= 0).join('')
+
+        // Only the Blob service is used
+        const ss = 'b'
+
+        const components = [
+            authData.storageAccountName,
+            sp,
+            ss,
+            normalizedSrt,
+            params.start,
+            params.expiry,
+            params.ip,
+            params.protocol,
+            params.version
+        ]
+        if (params.version >= '2020-12-06') {
+            // Encryption scope
+            components.push('')
+        }
+        // The string to sign ends with a newline
+        components.push('')
+
+        return buildToken([
+            ['sv', params.version],
+            ['ss', ss],
+            ['srt', normalizedSrt],
+            ['sp', sp],
+            ['st', params.start],
+            ['se', params.expiry],
+            ['sip', params.ip],
+            ['spr', params.protocol],
+            ['sig', sign(authData, components.join('\n'))]
+        ])
+    }
+}
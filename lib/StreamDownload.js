@@ -0,0 +1,828 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const request = require('requestretry')
+const {Readable} = require('stream')
+const _ = require('lodash')
+const Authorization = require('./Authorization')
+const Compression = require('./Compression')
+const Encryption = require('./Encryption')
+const Errors = require('./Errors')
+const RetryPolicy = require('./RetryPolicy')
+const StreamUpload = require('./StreamUpload')
+const Utils = require('./Utils')
+
+/**
+ * Downloads a backup from Azure Blob Storage as a stream.
+ *
+ * Backups created by StreamUpload can be split into multiple blobs, with names .000, .001, .002, etc.
+ * This class finds all parts of the backup and returns them, in order, as one readable stream.
+ * Each part is downloaded with multiple ranged requests in parallel.
+ */
+class StreamDownload {
+    /**
+     * Constructor: initialize a StreamDownload object.
+     *
+     * @param {string} blob - Name of the blob (starting with /), without the numeric suffix
+     * @param {Object} authData - Authentication data
+     * @param {string} authData.storageAccountName - Name of the Azure Storage Account (required)
+     * @param {string} authData.storageAccountKey - Key of the Azure Storage Account (required if `storageAccountSasToken` is not set)
+     * @param {string} authData.storageAccountSasToken - SAS token (required if `storageAccountKey` is not set)
+     * @param {TokenCredential} authData.tokenCredential - Credential used to obtain Azure AD access tokens (alternative to `storageAccountKey` and `storageAccountSasToken`)
+     */
+    constructor(blob, authData) {
+        // Validate blob parameter
+        if (!Utils.isValidBlobName(blob)) {
+            throw Error('Parameter blob must be a valid resource name for a blob in Azure Blob Storage')
+        }
+        this._blob = blob
+
+        // Store authentication data
+        Utils.validateAuthData(authData)
+        this._authData = authData
+
+        // Set default values for properties
+        this._blockSize = StreamDownload.defaultBlockSize
+        this._concurrency = StreamUpload.defaultConcurrency
+        this._singleBlob = false
+        this._endpoint = StreamUpload.defaultEndpoint
+        this._encryption = undefined
+        this._decompress = true
+        this._apiVersion = Authorization.apiVersion
+        this._blobEndpoint = undefined
+        this._basePath = ''
+        this._retryPolicy = new RetryPolicy()
+    }
+
+    /**
+     * Base URL for the blob.
+     *
+     * This is a read-only value.
+     *
+     * @type {string}
+     */
+    get blobUrl() {
+        return this.blobEndpoint + this._blob
+    }
+
+    /**
+     * Size of each range requested from Azure Blob Storage, in bytes.
+     *
+     * Memory usage is roughly this value multiplied by the concurrency.
+     *
+     * @type {number}
+     */
+    get blockSize() {
+        return this._blockSize
+    }
+    set blockSize(val) {
+        val |= 0
+        if (val < 1) {
+            throw Error('Block size must be a positive integer')
+        }
+        this._blockSize = val
+    }
+
+    /**
+     * Number of parallel download tasks.
+     *
+     * @type {number}
+     */
+    get concurrency() {
+        return this._concurrency
+    }
+    set concurrency(val) {
+        val |= 0
+        if (val < 1) {
+            throw Error('Concurrency must be a positive integer')
+        }
+        this._concurrency = val
+    }
+
+    /**
+     * The backup was uploaded as a single blob, without the numeric suffix.
+     *
+     * When this is disabled (the default), parts with the ".000" suffix are looked up first, and
+     * the blob without suffix is used only if those don't exist.
+     *
+     * @type {boolean}
+     */
+    get singleBlob() {
+        return this._singleBlob
+    }
+    set singleBlob(val) {
+        this._singleBlob = !!val
+    }
+
+    /**
+     * Set what endpoint to use for Azure Blob Storage.
+     *
+     * See {@link StreamUpload#endpoint} for more information.
+     *
+     * @type {string}
+     */
+    get endpoint() {
+        return this._endpoint
+    }
+    set endpoint(val) {
+        val += ''
+        if (!val) {
+            throw Error('Endpoint is empty')
+        }
+        this._endpoint = val
+    }
+
+    /**
+     * URL of the Blob service, such as "https://account.blob.core.windows.net".
+     *
+     * See {@link StreamUpload#blobEndpoint} for more information.
+     *
+     * @type {string}
+     */
+    get blobEndpoint() {
+        return this._blobEndpoint || ('https://' + this._authData.storageAccountName + '.' + this.endpoint)
+    }
+    set blobEndpoint(val) {
+        if (!Utils.isValidBlobEndpoint(val)) {
+            throw Error('Blob endpoint must be a http or https URL')
+        }
+        this._blobEndpoint = val.replace(/\/+$/, '')
+        this._basePath = Utils.blobEndpointPath(this._blobEndpoint)
+    }
+
+    /**
+     * Encryption object used to decrypt backups that were encrypted by StreamUpload.
+     *
+     * This is required only if the backup is encrypted; the other parameters are read from the
+     * metadata of the blobs.
+     *
+     * @type {Encryption}
+     */
+    get encryption() {
+        return this._encryption
+    }
+    set encryption(val) {
+        if (val && !(val instanceof Encryption)) {
+            throw Error('Encryption must be an instance of the Encryption class')
+        }
+        this._encryption = val || undefined
+    }
+
+    /**
+     * Automatically decompress backups that were compressed by StreamUpload.
+     * This is enabled by default.
+     *
+     * @type {boolean}
+     */
+    get decompress() {
+        return this._decompress
+    }
+    set decompress(val) {
+        this._decompress = !!val
+    }
+
+    /**
+     * Version of the Azure Storage REST API used for requests.
+     *
+     * The default value is `Authorization.apiVersion`.
+     *
+     * @type {string}
+     */
+    get apiVersion() {
+        return this._apiVersion
+    }
+    set apiVersion(val) {
+        if (!Utils.isValidApiVersion(val)) {
+            throw Error('API version must be a date in the format YYYY-MM-DD')
+        }
+        this._apiVersion = val
+    }
+
+    /**
+     * RetryPolicy object used for the requests, as for {@link StreamUpload#retryPolicy}. By default, a RetryPolicy
+     * with the default values is used.
+     *
+     * @type {RetryPolicy}
+     */
+    get retryPolicy() {
+        return this._retryPolicy
+    }
+    set retryPolicy(val) {
+        if (!(val instanceof RetryPolicy)) {
+            throw Error('Retry policy must be a RetryPolicy object')
+        }
+        this._retryPolicy = val
+    }
+
+    /**
+     * Find all parts of the backup.
+     *
+     * @return {Promise} Promise resolving to the list of parts, in order; each one is an object with `seqId`, `blobUrl`, `size` and `metadata`
+     */
+    listParts() {
+        // Single blob: there's just one part
+        if (this.singleBlob) {
+            return this.getBlobProperties('')
+                .then((part) => {
+                    if (!part) {
+                        throw new Errors.BlobNotFoundError('Blob not found: ' + this._blob, {blob: this._blob})
+                    }
+                    return [part]
+                })
+        }
+
+        // Request the properties of each part, in sequence, until one is not found
+        const parts = []
+        const next = () => {
+            const seqId = '.' + Utils.zeroPad(parts.length, 3)
+            return this.getBlobProperties(seqId)
+                .then((part) => {
+                    if (part) {
+                        parts.push(part)
+                        return next()
+                    }
+                    return parts
+                })
+        }
+
+        return next()
+            .then((parts) => {
+                if (parts.length) {
+                    return parts
+                }
+
+                // If there's no part with a numeric suffix, look for the blob without suffix
+                return this.getBlobProperties('')
+                    .then((part) => {
+                        if (!part) {
+                            throw new Errors.BlobNotFoundError('Blob not found: ' + this._blob, {blob: this._blob})
+                        }
+                        return [part]
+                    })
+            })
+    }
+
+    /**
+     * Start the download of the backup.
+     *
+     * @return {Promise} Promise resolving to a readable stream with the content of the backup, once all parts have been found
+     */
+    download() {
+        return this.listParts()
+            .then((parts) => {
+                return this._createDecodeStreams(parts[0].metadata)
+                    .then((pipeline) => {
+                        return StreamDownload._pipeAll(this._createStream(parts), pipeline)
+                    })
+            })
+    }
+
+    /**
+     * Verify that a backup is complete and intact, by downloading all its parts and computing their hashes.
+     *
+     * Hashes and sizes are compared with the ones recorded at upload time in the manifest, or in the
+     * metadata of each part if there's no manifest.
+     *
+     * When the path of a local file is passed, the data is also decrypted and decompressed (if
+     * needed) while it's downloaded, and compared with the content of the local file.
+     *
+     * The result of the promise is a report object with:
+     * - `ok`: true if the backup was verified successfully
+     * - `manifest`: true if the manifest was found
+     * - `parts`: list of parts, each one with `seqId`, `url`, `size`, `expectedSize`, `sha256`, `expectedSha256` and `status` (one of "ok", "missing", "size-mismatch", "hash-mismatch" or "unverified")
+     * - `sha256` and `expectedSha256`: hashes of the whole stream, as stored
+     * - `local`: when comparing with a local file, an object with `path`, `size`, `sha256`, `remoteSize` and `remoteSha256` (hash of the remote data, decoded)
+     * - `errors` and `warnings`: lists of messages
+     *
+     * @param {string} [localPath] - Path of the local file to compare the backup with (optional)
+     * @return {Promise} Promise resolving to the report
+     */
+    verify(localPath) {
+        const report = {
+            ok: false,
+            manifest: false,
+            parts: [],
+            sha256: null,
+            expectedSha256: null,
+            local: null,
+            errors: [],
+            warnings: []
+        }
+
+        // Parts that can be downloaded
+        const available = []
+        let expectedSourceSha256 = null
+
+        return this.getManifest()
+            .then((manifest) => {
+                // If there's a manifest, check every part listed there
+                if (manifest) {
+                    report.manifest = true
+                    report.expectedSha256 = manifest.sha256 || null
+                    expectedSourceSha256 = manifest.sourceSha256 || null
+                    return Promise.all(manifest.parts.map((expected) => {
+                        return this.getBlobProperties(expected.seqId)
+                            .then((props) => ({expected, props}))
+                    }))
+                }
+
+                report.warnings.push('Manifest not found; checking parts using their metadata')
+                return this.listParts()
+                    .then((parts) => parts.map((props) => ({expected: null, props})))
+            })
+            .then((list) => {
+                // Check that all parts exist and have the expected size
+                for (const item of list) {
+                    const seqId = item.expected ? item.expected.seqId : item.props.seqId
+                    const result = {
+                        seqId,
+                        url: this.blobUrl + seqId,
+                        size: item.props ? item.props.size : null,
+                        expectedSize: item.expected ? item.expected.size : null,
+                        sha256: null,
+                        expectedSha256: item.expected ?
+                            (item.expected.sha256 || null) :
+                            (item.props.metadata.azbak_sha256 || null),
+                        status: 'ok'
+                    }
+                    report.parts.push(result)
+
+                    if (!item.props) {
+                        result.status = 'missing'
+                        report.errors.push('Part ' + result.url + ' is missing')
+                        continue
+                    }
+                    if (result.expectedSize !== null && result.size !== result.expectedSize) {
+                        result.status = 'size-mismatch'
+                        report.errors.push('Part ' + result.url + ' has size ' + result.size + ', but expected ' + result.expectedSize)
+                    }
+
+                    available.push({
+                        part: item.props,
+                        result,
+                        hash: crypto.createHash('sha256')
+                    })
+                }
+
+                // Data can be decoded and compared with the local file only if all parts are there
+                const complete = available.length == report.parts.length
+                if (localPath && !complete) {
+                    report.errors.push('Cannot compare with the local file, because some parts are missing')
+                }
+                const decode = !!(localPath && complete && available.length)
+
+                return (decode ? this._createDecodeStreams(available[0].part.metadata) : Promise.resolve(null))
+                    .then((pipeline) => this._verifyData(available, pipeline, localPath, report))
+                    .then((sha256) => {
+                        if (complete) {
+                            report.sha256 = sha256
+                        }
+                    })
+            })
+            .then(() => {
+                // Compare hashes of each part
+                let verifiedParts = 0
+                for (const item of available) {
+                    const result = item.result
+                    if (result.status != 'ok') {
+                        continue
+                    }
+                    if (!result.expectedSha256) {
+                        result.status = 'unverified'
+                        continue
+                    }
+                    if (result.sha256 != result.expectedSha256) {
+                        result.status = 'hash-mismatch'
+                        report.errors.push('Part ' + result.url + ' has SHA-256 ' + result.sha256 + ', but expected ' + result.expectedSha256)
+                        continue
+                    }
+                    verifiedParts++
+                }
+
+                // Compare hash of the whole stream
+                if (report.sha256 && report.expectedSha256 && report.sha256 != report.expectedSha256) {
+                    report.errors.push('Backup has SHA-256 ' + report.sha256 + ', but expected ' + report.expectedSha256)
+                }
+
+                // Compare with the local file
+                let localMatch = false
+                if (report.local && report.local.remoteSha256) {
+                    if (report.local.size !== report.local.remoteSize || report.local.sha256 != report.local.remoteSha256) {
+                        report.errors.push('Backup does not match the local file ' + report.local.path)
+                    }
+                    else {
+                        localMatch = true
+                    }
+                }
+                if (report.local && expectedSourceSha256 && report.local.sha256 != expectedSourceSha256) {
+                    report.errors.push('Local file ' + report.local.path + ' does not match the hash of the source recorded in the manifest')
+                }
+
+                // Ensure something was actually verified
+                if (verifiedParts < available.length) {
+                    const msg = 'No checksum recorded for ' + (available.length - verifiedParts) + ' part(s)'
+                    if (!localMatch && !report.errors.length) {
+                        report.errors.push(msg + '; use a local file to verify the backup')
+                    }
+                    else {
+                        report.warnings.push(msg)
+                    }
+                }
+
+                report.ok = !report.errors.length
+                return report
+            })
+    }
+
+    /**
+     * Download the parts and compute their hashes for {@link StreamDownload#verify}.
+     *
+     * @param {Array} available - List of parts to download, each one with `part`, `result` and `hash`
+     * @param {Array} [pipeline] - Streams used to decode the data, if comparing with a local file
+     * @param {string} [localPath] - Path of the local file
+     * @param {Object} report - Report object, which is modified
+     * @return {Promise} Promise that resolves with the SHA-256 hash of all data, when it has been read
+     * @private
+     */
+    _verifyData(available, pipeline, localPath, report) {
+        const wholeHash = crypto.createHash('sha256')
+        const waitFor = []
+
+        // Hash the data as stored, splitting it in parts
+        const raw = this._createStream(available.map((el) => el.part))
+        let index = 0
+        let consumed = 0
+        raw.on('data', (chunk) => {
+            wholeHash.update(chunk)
+            while (chunk.length) {
+                // Skip parts that are complete (including empty ones)
+                while (consumed == available[index].part.size) {
+                    index++
+                    consumed = 0
+                }
+
+                const piece = chunk.slice(0, available[index].part.size - consumed)
+                available[index].hash.update(piece)
+                consumed += piece.length
+                chunk = chunk.slice(piece.length)
+            }
+        })
+        waitFor.push(new Promise((resolve, reject) => {
+            raw.on('error', reject)
+            raw.on('end', () => {
+                for (const el of available) {
+                    el.result.sha256 = el.hash.digest('hex')
+                }
+                resolve(wholeHash.digest('hex'))
+            })
+        }))
+
+        if (localPath) {
+            report.local = {
+                path: localPath,
+                size: 0,
+                sha256: null,
+                remoteSize: null,
+                remoteSha256: null
+            }
+
+            // Hash the local file
+            waitFor.push(StreamDownload._hashStream(fs.createReadStream(localPath))
+                .then((result) => {
+                    report.local.size = result.size
+                    report.local.sha256 = result.sha256
+                }))
+
+            // Hash the remote data, decoded, in the same pass
+            if (pipeline) {
+                const decoded = StreamDownload._pipeAll(raw, pipeline)
+                waitFor.push(StreamDownload._hashStream(decoded)
+                    .then((result) => {
+                        report.local.remoteSize = result.size
+                        report.local.remoteSha256 = result.sha256
+                    }, (err) => {
+                        // If the data can't be decoded, report the error but continue reading it
+                        report.errors.push('Backup could not be decoded: ' + err.message)
+                        raw.resume()
+                    }))
+            }
+        }
+
+        return Promise.all(waitFor)
+            .then((results) => results[0])
+    }
+
+    /**
+     * Download the manifest of the backup, if it exists.
+     *
+     * @return {Promise} Promise resolving to the manifest object, or null if the manifest does not exist
+     */
+    getManifest() {
+        const suffix = StreamUpload.manifestSuffix
+
+        // Authorization header
+        const auth = new Authorization('GET', this._blob + suffix, {
+            apiVersion: this.apiVersion,
+            basePath: this._basePath
+        })
+
+        // Request, and return the response
+        return auth.setAuthData(this._authData)
+            .then(() => request(_.assign({
+                method: 'GET',
+                url: this.blobUrl + suffix,
+                qs: auth.querystring(),
+                headers: auth.requestHeaders(),
+
+                // Configuration for request-retry
+                fullResponse: true
+            }, this._retryPolicy.requestOptions()))
+                .catch((err) => {
+                    throw Errors.fromNetworkError(err, {blob: this._blob + suffix})
+                }))
+            .then((response) => {
+                // Manifest not found; the container must exist
+                if (response.statusCode == 404) {
+                    const error = Errors.fromResponse(response, {blob: this._blob + suffix})
+                    if (error instanceof Errors.ContainerNotFoundError) {
+                        throw error
+                    }
+                    return null
+                }
+
+                // If the status code is not 2xx, raise an error
+                if (response.statusCode && (response.statusCode < 200 || response.statusCode > 300)) {
+                    throw Errors.fromResponse(response, {blob: this._blob + suffix})
+                }
+
+                let manifest
+                try {
+                    manifest = JSON.parse(response.body)
+                }
+                catch (e) {
+                    throw Error('Manifest is not valid JSON')
+                }
+                if (!manifest || !Array.isArray(manifest.parts)) {
+                    throw Error('Manifest is not valid')
+                }
+
+                return manifest
+            })
+    }
+
+    /**
+     * Create the streams used to decrypt and decompress the data, according to the metadata of the blobs.
+     *
+     * @param {Object} metadata - Metadata of the first part
+     * @return {Promise} Promise resolving to the list of Transform streams (can be empty)
+     * @private
+     */
+    _createDecodeStreams(metadata) {
+        metadata = metadata || {}
+
+        const pipeline = []
+        let prepare = Promise.resolve()
+        if (Encryption.isEncrypted(metadata)) {
+            if (!this.encryption) {
+                return Promise.reject(Error('Backup is encrypted, but no key or passphrase was set'))
+            }
+
+            prepare = this.encryption.createDecipher(metadata)
+                .then((decipher) => {
+                    pipeline.push(decipher)
+                })
+        }
+
+        return prepare
+            .then(() => {
+                if (this.decompress && metadata.azbak_compression) {
+                    pipeline.push(Compression.createDecompressStream(metadata.azbak_compression))
+                }
+
+                return pipeline
+            })
+    }
+
+    /**
+     * Pipe a stream through a list of Transform streams; errors are forwarded to the last stream, which is returned.
+     *
+     * @param {stream.Readable} stream - Source stream
+     * @param {Array} pipeline - List of Transform streams
+     * @return {stream.Readable} Last stream
+     * @private
+     */
+    static _pipeAll(stream, pipeline) {
+        for (const el of pipeline) {
+            stream.on('error', (err) => {
+                el.destroy(err)
+            })
+            stream = stream.pipe(el)
+        }
+
+        return stream
+    }
+
+    /**
+     * Compute the SHA-256 hash and size of a stream.
+     *
+     * @param {stream.Readable} stream - Stream to read
+     * @return {Promise} Promise resolving to an object with `size` and `sha256`
+     * @private
+     */
+    static _hashStream(stream) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256')
+            let size = 0
+            stream.on('data', (chunk) => {
+                hash.update(chunk)
+                size += chunk.length
+            })
+            stream.on('error', reject)
+            stream.on('end', () => {
+                resolve({size, sha256: hash.digest('hex')})
+            })
+        })
+    }
+
+    /**
+     * Create the readable stream that downloads all ranges of all parts, in order.
+     *
+     * @param {Array} parts - List of parts, as returned by {@link StreamDownload#listParts}
+     * @return {stream.Readable} Readable stream
+     * @private
+     */
+    _createStream(parts) {
+        // Split all parts into ranges of blockSize bytes
+        const ranges = []
+        for (const part of parts) {
+            for (let start = 0; start < part.size; start += this.blockSize) {
+                ranges.push({
+                    seqId: part.seqId,
+                    start: start,
+                    end: Math.min(start + this.blockSize, part.size) - 1
+                })
+            }
+        }
+
+        // Requests that are in progress, in order
+        const pending = []
+        let nextRange = 0
+        let waiting = false
+
+        const pump = () => {
+            if (waiting) {
+                return
+            }
+
+            // Start new requests, up to the concurrency limit
+            while (pending.length < this.concurrency && nextRange < ranges.length) {
+                const range = ranges[nextRange++]
+                const promise = this.getRange(range.seqId, range.start, range.end)
+                // Errors are handled when the promise reaches the head of the queue
+                promise.catch(() => {})
+                pending.push(promise)
+            }
+
+            // If there's nothing left, end the stream
+            if (!pending.length) {
+                stream.push(null)
+                return
+            }
+
+            // Wait for the first request in the queue
+            waiting = true
+            pending[0]
+                .then((data) => {
+                    pending.shift()
+                    waiting = false
+                    if (stream.push(data)) {
+                        pump()
+                    }
+                }, (err) => {
+                    stream.destroy(err)
+                })
+        }
+
+        const stream = new Readable({
+            read: pump
+        })
+
+        return stream
+    }
+
+    /**
+     * Request the properties of a blob.
+     *
+     * @param {string} [seqId] - Optional suffix for the blob name
+     * @return {Promise} Promise resolving to an object with `seqId`, `blobUrl`, `size`, `metadata` and `headers`, or null if the blob does not exist
+     */
+    getBlobProperties(seqId) {
+        seqId = seqId || ''
+
+        // Authorization header
+        const auth = new Authorization('HEAD', this._blob + seqId, {
+            apiVersion: this.apiVersion,
+            basePath: this._basePath
+        })
+
+        // Request, and return the response
+        return auth.setAuthData(this._authData)
+            .then(() => request(_.assign({
+                method: 'HEAD',
+                url: this.blobUrl + seqId,
+                qs: auth.querystring(),
+                headers: auth.requestHeaders(),
+
+                // Configuration for request-retry
+                fullResponse: true
+            }, this._retryPolicy.requestOptions()))
+                .catch((err) => {
+                    throw Errors.fromNetworkError(err, {blob: this._blob + seqId, seqId})
+                }))
+            .then((response) => {
+                // Blob not found; the container must exist
+                if (response.statusCode == 404) {
+                    const error = Errors.fromResponse(response, {blob: this._blob + seqId, seqId})
+                    if (error instanceof Errors.ContainerNotFoundError) {
+                        throw error
+                    }
+                    return null
+                }
+
+                // If the status code is not 2xx, raise an error
+                if (response.statusCode && (response.statusCode < 200 || response.statusCode > 300)) {
+                    throw Errors.fromResponse(response, {blob: this._blob + seqId, seqId})
+                }
+
+                // Metadata is returned in the "x-ms-meta-*" headers
+                const metadata = {}
+                for (const key of Object.keys(response.headers)) {
+                    if (key.match(/^x-ms-meta-/i)) {
+                        metadata[key.substring(10).toLowerCase()] = response.headers[key]
+                    }
+                }
+
+                return {
+                    seqId: seqId,
+                    blobUrl: this.blobUrl + seqId,
+                    size: parseInt(response.headers['content-length'], 10) || 0,
+                    metadata: metadata,
+                    headers: response.headers
+                }
+            })
+    }
+
+    /**
+     * Download a range of bytes from a blob.
+     *
+     * @param {string} seqId - Suffix for the blob name (can be an empty string)
+     * @param {number} start - Position of the first byte
+     * @param {number} end - Position of the last byte (inclusive)
+     * @return {Promise} Promise resolving to a Buffer with the data
+     */
+    getRange(seqId, start, end) {
+        seqId = seqId || ''
+
+        // Authorization header
+        const auth = new Authorization('GET', this._blob + seqId, {
+            apiVersion: this.apiVersion,
+            basePath: this._basePath
+        })
+        auth.addCustomHeader('x-ms-range', 'bytes=' + start + '-' + end)
+
+        // Request, and return the response
+        return auth.setAuthData(this._authData)
+            .then(() => request(_.assign({
+                method: 'GET',
+                url: this.blobUrl + seqId,
+                qs: auth.querystring(),
+                headers: auth.requestHeaders(),
+                encoding: null,
+
+                // Configuration for request-retry
+                fullResponse: true
+            }, this._retryPolicy.requestOptions()))
+                .catch((err) => {
+                    throw Errors.fromNetworkError(err, {blob: this._blob + seqId, seqId})
+                }))
+            .then((response) => {
+                // If the status code is not 2xx, raise an error
+                if (response.statusCode && (response.statusCode < 200 || response.statusCode > 300)) {
+                    throw Errors.fromResponse(response, {blob: this._blob + seqId, seqId})
+                }
+
+                // Ensure we received the entire range
+                if (response.body.length != (end - start + 1)) {
+                    throw new Errors.IntegrityError('Received ' + response.body.length + ' bytes, but expected ' + (end - start + 1), {blob: this._blob + seqId, seqId})
+                }
+
+                return response.body
+            })
+    }
+}
+
+// Size of each range requested, in bytes
+StreamDownload.defaultBlockSize = 4 * 1024 * 1024
+
+module.exports = StreamDownload
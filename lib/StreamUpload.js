@@ -1,11 +1,23 @@
 'use strict'
 
 const crypto = require('crypto')
+const EventEmitter = require('events')
+const fs = require('fs')
 const request = require('requestretry')
-const StreamChunkify = require('stream-chunkify')
-const through2Concurrent = require('through2-concurrent')
+const stream = require('stream')
+const _ = require('lodash')
 const Authorization = require('./Authorization')
+const BlockReader = require('./BlockReader')
+const BufferPool = require('./BufferPool')
+const Compression = require('./Compression')
+const Encryption = require('./Encryption')
+const Errors = require('./Errors')
+const PathTemplate = require('./PathTemplate')
+const RateLimiter = require('./RateLimiter')
+const RetryPolicy = require('./RetryPolicy')
+const UploadJournal = require('./UploadJournal')
 const Utils = require('./Utils')
+const pkgInfo = require('../package.json')
 
 /**
  * Uploads a stream to Azure Blob Storage.
@@ -13,53 +25,109 @@ const Utils = require('./Utils')
  * Azure Blob Storage can support up to 50,000 blocks of up to 100MB each,
  * for a total size of approximately ~4.8TB per blob (we're using block blobs).
  * For files larger than 4.8TB, multiple blobs are created, with names .000, .001, .002, etc.
+ *
+ * While uploading, the following events are emitted:
+ * - `blockStart`: the upload of a block started; the argument is an object with `seqId`, `blockId`, `blockNum` and `size`
+ * - `blockUploaded`: a block was uploaded; the argument is the same as for `blockStart`
+ * - `blockRetry`: the upload of a block failed and will be retried; the argument is an object with `seqId`, `blockId`, `attempt`, `statusCode`, `error` and `delay`
+ * - `retry`: any request failed and will be retried (see {@link StreamUpload#retryPolicy}); the argument is an object with `operation`
+ *   (the name of the method, e.g. "putBlock" or "commitBlockBlob"), `seqId`, `blockId` (for blocks only), `attempt`, `statusCode`,
+ *   `error` and `delay` (in milliseconds)
+ * - `sequenceCommitted`: a blob (part) was committed; the argument is an object with `seqId`, `blobUrl` and `blockCount`
+ * - `progress`: emitted after each block; the argument is an object with `bytes` (uploaded), `blocks` (uploaded),
+ *   `sourceBytes` (read from the source stream), `totalBytes` (the expectedSize, if set), `bytesPerSecond`
+ *   (current throughput), `elapsed` and `eta` (in seconds; the latter is null if the size is not known)
  */
-class StreamUpload {
+class StreamUpload extends EventEmitter {
     /**
      * Constructor: initialize a StreamUpload object.
      *
      * @param {Object} sourceStream - Stream containing the data to be sent
-     * @param {string} blob - Name of the blob (starting with /)
+     * @param {string} blob - Name of the blob (starting with /); it's used as is, so it can contain braces (use {@link StreamUpload.fromTemplate} to expand placeholders such as `{date}`)
      * @param {Object} authData - Authentication data
      * @param {string} authData.storageAccountName - Name of the Azure Storage Account (required)
      * @param {string} authData.storageAccountKey - Key of the Azure Storage Account (required if `storageAccountSasToken` is not set)
      * @param {string} authData.storageAccountSasToken - SAS token (required if `storageAccountKey` is not set)
+     * @param {TokenCredential} authData.tokenCredential - Credential used to obtain Azure AD access tokens (alternative to `storageAccountKey` and `storageAccountSasToken`)
      */
     constructor(sourceStream, blob, authData) {
+        super()
+
         // Validate blob parameter
-        if (!blob || typeof blob != 'string' || !blob.match(/\/(\$root|[a-z0-9](([a-z0-9-])){1,61}[a-z0-9])\/(.*){1,1024}/)) {
+        if (!Utils.isValidBlobName(blob)) {
             throw Error('Parameter blob must be a valid resource name for a blob in Azure Blob Storage')
         }
 
         // Store source stream and blob name in the object
+        // The template and its date are set only by StreamUpload.fromTemplate
         this._sourceStream = sourceStream
         this._blob = blob
+        this._blobTemplate = undefined
+        this._templateDate = undefined
+        this._localTime = false
 
         // Store authentication data
-        if (!authData ||
-            !authData.storageAccountName ||
-            !authData.storageAccountName.match(/^[a-z0-9]{3,24}$/)) {
-            throw Error('Storage account name is empty or not valid')
-        }
-
-        const hasValidStorageAccountKey = !!(authData.storageAccountKey &&
-            authData.storageAccountKey.match(/^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/))
-        const hasValidStorageAccountSasToken = !!(authData.storageAccountSasToken &&
-            authData.storageAccountSasToken.match(/^(\?|&)?(\w+(=[\w-%:]*)?(&\w+(=[\w-%:\.]*)?)*)?$/))
-        if ((!hasValidStorageAccountKey && !hasValidStorageAccountSasToken) ||
-            (hasValidStorageAccountKey && hasValidStorageAccountSasToken)) {
-            throw Error('Either one of storage account key or SAS token must be set and valid')
-        }
-
+        Utils.validateAuthData(authData)
         this._authData = authData
 
         // Set default values for properties
         this._blockSize = StreamUpload.defaultBlockSize
         this._blocksPerBlob = StreamUpload.maxBlocksPerBlob
+        this._autoBlockSize = false
+        this._maxMemory = undefined
         this._concurrency = StreamUpload.defaultConcurrency
+        this._rateLimiter = undefined
+        this._retryPolicy = new RetryPolicy()
         this._md5 = true
         this._singleBlob = false
         this._endpoint = StreamUpload.defaultEndpoint
+        this._resumeJournal = undefined
+        this._encryption = undefined
+        this._compression = undefined
+        this._compressionLevel = undefined
+        this._expectedSize = undefined
+        this._sourceFile = undefined
+        this._manifest = true
+        this._metadata = {}
+        this._contentType = undefined
+        this._contentEncoding = undefined
+        this._contentDisposition = undefined
+        this._cacheControl = undefined
+        this._tier = undefined
+        this._apiVersion = Authorization.apiVersion
+        this._blobEndpoint = undefined
+        this._basePath = ''
+
+        // Metadata and headers added to each blob when committing it, set while uploading
+        // Metadata in _partMetadata is specific to each part, and is keyed by seqId
+        this._commitMetadata = {}
+        this._commitHeaders = {}
+        this._partMetadata = {}
+    }
+
+    /**
+     * Create a StreamUpload object whose blob name is a template, with placeholders such as `{date}`, `{time}`,
+     * `{hostname}`, `{epoch}` and `{env:VAR}` (see {@link PathTemplate}). Placeholders are expanded before the
+     * name of the blob is validated; the resolved name is the `blob` property, and it's returned in the result of
+     * the upload too.
+     *
+     * @param {Object} sourceStream - Stream containing the data to be sent
+     * @param {string} template - Name of the blob (starting with /), with placeholders
+     * @param {Object} authData - Authentication data, as for the constructor
+     * @param {Object} [options] - Options
+     * @param {boolean} options.localTime - If true, dates and times are in local time instead of UTC (optional; see {@link StreamUpload#localTime})
+     * @param {Date} options.date - Date used for the date and time placeholders (optional; defaults to the current date)
+     * @return {StreamUpload} StreamUpload object
+     */
+    static fromTemplate(sourceStream, template, authData, options) {
+        options = options || {}
+        const date = options.date || new Date()
+        const upload = new StreamUpload(sourceStream, StreamUpload._expandBlobName(template, date, !!options.localTime), authData)
+        upload._blobTemplate = template
+        upload._templateDate = date
+        upload._localTime = !!options.localTime
+
+        return upload
     }
 
     /**
@@ -70,7 +138,50 @@ class StreamUpload {
      * @type {string}
      */
     get blobUrl() {
-        return 'https://' + this._authData.storageAccountName + '.' + this.endpoint + this._blob
+        return this.blobEndpoint + this._blob
+    }
+
+    /**
+     * Name of the blob (starting with /).
+     *
+     * This is a read-only value.
+     *
+     * @type {string}
+     */
+    get blob() {
+        return this._blob
+    }
+
+    /**
+     * Name of the blob with the placeholders, for objects created with {@link StreamUpload.fromTemplate};
+     * undefined otherwise.
+     *
+     * This is a read-only value.
+     *
+     * @type {string}
+     */
+    get blobTemplate() {
+        return this._blobTemplate
+    }
+
+    /**
+     * If true, date and time placeholders in the name of the blob are expanded using local time instead of UTC.
+     * This has effect only for objects created with {@link StreamUpload.fromTemplate}.
+     *
+     * The date used is always the one when the object was created, so changing this value does not alter the
+     * other placeholders.
+     *
+     * @type {boolean}
+     */
+    get localTime() {
+        return this._localTime
+    }
+    set localTime(val) {
+        val = !!val
+        if (this._blobTemplate !== undefined) {
+            this._blob = StreamUpload._expandBlobName(this._blobTemplate, this._templateDate, val)
+        }
+        this._localTime = val
     }
 
     /**
@@ -124,10 +235,53 @@ class StreamUpload {
         this._blocksPerBlob = val
     }
 
+    /**
+     * If true, `blockSize` and `blocksPerBlob` are chosen automatically when the upload starts, from the
+     * expected size of the data (see {@link StreamUpload#expectedSize}), so that it fits in as few blobs as
+     * possible: blocks are as small as possible (but not smaller than the default block size), within the
+     * limits of `maxMemory` and `concurrency`. See {@link StreamUpload.planBlocks}.
+     *
+     * If the expected size is not known, the values of `blockSize` and `blocksPerBlob` are used.
+     * This is disabled by default.
+     *
+     * @type {boolean}
+     */
+    get autoBlockSize() {
+        return this._autoBlockSize
+    }
+    set autoBlockSize(val) {
+        this._autoBlockSize = !!val
+    }
+
+    /**
+     * Maximum memory used for the blocks being read and uploaded, in bytes.
+     *
+     * Blocks are stored in a fixed pool of buffers of `blockSize` bytes, which are reused: by default there is
+     * one for each parallel upload task, so the memory used is `blockSize` × `concurrency`. When this is set,
+     * the number of buffers (and so of parallel uploads) is reduced to fit it, and the block size chosen
+     * automatically is limited too (see {@link StreamUpload#autoBlockSize}). It must be at least `blockSize`.
+     *
+     * @type {number}
+     */
+    get maxMemory() {
+        return this._maxMemory
+    }
+    set maxMemory(val) {
+        if (val === undefined || val === null) {
+            this._maxMemory = undefined
+            return
+        }
+        if (!(val >= 1) || val !== Math.floor(val)) {
+            throw Error('Maximum memory must be a positive integer')
+        }
+        this._maxMemory = val
+    }
+
     /**
      * Number of parallel upload tasks.
      *
-     * Please note that the higher the number of parallel uploads, the more memory is required.
+     * Please note that the higher the number of parallel uploads, the more memory is required: one block
+     * for each task (see {@link StreamUpload#maxMemory}).
      *
      * @type {number}
      */
@@ -142,6 +296,41 @@ class StreamUpload {
         this._concurrency = val
     }
 
+    /**
+     * RateLimiter object used to limit the bandwidth of the uploads; unlimited if not set.
+     *
+     * The limit is shared by all blocks uploaded concurrently. To limit multiple uploads together, set the
+     * same object on all of them.
+     *
+     * @type {RateLimiter}
+     */
+    get rateLimiter() {
+        return this._rateLimiter
+    }
+    set rateLimiter(val) {
+        if (val && !(val instanceof RateLimiter)) {
+            throw Error('Rate limiter must be a RateLimiter object')
+        }
+        this._rateLimiter = val || undefined
+    }
+
+    /**
+     * RetryPolicy object used for the requests: how many times failed requests are retried, the delays between
+     * attempts, the timeout of each request and the status codes that are retried. By default, a RetryPolicy
+     * with the default values is used.
+     *
+     * @type {RetryPolicy}
+     */
+    get retryPolicy() {
+        return this._retryPolicy
+    }
+    set retryPolicy(val) {
+        if (!(val instanceof RetryPolicy)) {
+            throw Error('Retry policy must be a RetryPolicy object')
+        }
+        this._retryPolicy = val
+    }
+
     /**
      * Calculate MD5 of blocks before uploading them, to ensure integrity during transfer.
      * This is enabled by default.
@@ -193,23 +382,491 @@ class StreamUpload {
         this._endpoint = val
     }
 
+    /**
+     * URL of the Blob service, such as "https://account.blob.core.windows.net".
+     *
+     * By default, this is built from the storage account name and the `endpoint` property.
+     * Setting this allows using plain http, and path-style URLs as used by the storage
+     * emulator (e.g. "http://127.0.0.1:10000/devstoreaccount1") or by some private endpoints.
+     * When set, the `endpoint` property is ignored.
+     *
+     * @type {string}
+     */
+    get blobEndpoint() {
+        return this._blobEndpoint || ('https://' + this._authData.storageAccountName + '.' + this.endpoint)
+    }
+    set blobEndpoint(val) {
+        if (!Utils.isValidBlobEndpoint(val)) {
+            throw Error('Blob endpoint must be a http or https URL')
+        }
+        this._blobEndpoint = val.replace(/\/+$/, '')
+        this._basePath = Utils.blobEndpointPath(this._blobEndpoint)
+    }
+
+    /**
+     * Path of a local journal file, used to resume interrupted uploads.
+     *
+     * When set, each block acknowledged by Azure Blob Storage is recorded in the journal. If the
+     * journal already exists when the upload starts, blocks that are in both the journal and the
+     * list of uncommitted blocks of the blob are not uploaded again; when the source stream is a
+     * file (created with `fs.createReadStream`), those blocks are not read either, if they are at the
+     * beginning of the file. Blocks whose data changed are uploaded again, and resuming fails if the size or
+     * modification time of the source file changed.
+     *
+     * Options such as blockSize, blocksPerBlob and singleBlob must not change when resuming.
+     * The journal is deleted once the upload completes successfully.
+     * This is disabled by default.
+     *
+     * @type {string}
+     */
+    get resumeJournal() {
+        return this._resumeJournal
+    }
+    set resumeJournal(val) {
+        this._resumeJournal = val ? (val + '') : undefined
+    }
+
+    /**
+     * Encrypt the data before uploading it, using the Encryption object passed.
+     *
+     * Data is encrypted before being split into blocks, and the parameters needed to decrypt it
+     * (except the key) are stored as metadata on each blob. This can't be used together with
+     * resumeJournal.
+     * This is disabled by default.
+     *
+     * @type {Encryption}
+     */
+    get encryption() {
+        return this._encryption
+    }
+    set encryption(val) {
+        if (val && !(val instanceof Encryption)) {
+            throw Error('Encryption must be an instance of the Encryption class')
+        }
+        this._encryption = val || undefined
+    }
+
+    /**
+     * Compress the data before uploading it, using the algorithm with this name: "gzip", "brotli"
+     * (requires Node.js 11.7 or higher) or "zstd" (requires Node.js 22.15 or higher).
+     *
+     * Data is compressed before being encrypted (if enabled) and split into blocks. The algorithm is
+     * stored as metadata on each blob, so StreamDownload can decompress data automatically; when data
+     * is not encrypted, the Content-Encoding property of the blobs is set too.
+     * This is disabled by default.
+     *
+     * @type {string}
+     */
+    get compression() {
+        return this._compression
+    }
+    set compression(val) {
+        if (val) {
+            Compression.validate(val)
+        }
+        this._compression = val || undefined
+    }
+
+    /**
+     * Compression level, whose range depends on the algorithm (gzip: 0-9; brotli: 0-11; zstd: 1-22).
+     *
+     * When not set, the default level of the algorithm is used.
+     *
+     * @type {number}
+     */
+    get compressionLevel() {
+        return this._compressionLevel
+    }
+    set compressionLevel(val) {
+        if (val === undefined || val === null) {
+            this._compressionLevel = undefined
+            return
+        }
+        if (val !== (val | 0)) {
+            throw Error('Compression level must be an integer')
+        }
+        this._compressionLevel = val
+    }
+
+    /**
+     * Expected size of the source stream, in bytes, if known.
+     *
+     * This is used to calculate the estimated time to completion in `progress` events, and to choose the
+     * block size automatically (see {@link StreamUpload#autoBlockSize}). When the data isn't compressed and
+     * `singleBlob` is set, uploads whose data can't fit one blob fail before any block is uploaded.
+     *
+     * @type {number}
+     */
+    get expectedSize() {
+        return this._expectedSize
+    }
+    set expectedSize(val) {
+        if (val === undefined || val === null) {
+            this._expectedSize = undefined
+            return
+        }
+        if (!(val >= 0) || val !== Math.floor(val)) {
+            throw Error('Expected size must be a non-negative integer')
+        }
+        this._expectedSize = val
+    }
+
+    /**
+     * Properties of the source file, stored in the metadata of each blob so that changes to the file can
+     * be detected without downloading the backup (for example, by {@link DirectorySync}).
+     *
+     * The value is an object with `size` (in bytes), `mtime` (modification time, as a Date object) and,
+     * optionally, `md5` (hex-encoded MD5 hash of the file); they are stored in the "azbak_source_size",
+     * "azbak_source_mtime" (in milliseconds since the epoch) and "azbak_source_md5" metadata. The hash is not
+     * stored when encryption is enabled, as it would reveal information about the data.
+     *
+     * @type {Object}
+     */
+    get sourceFile() {
+        return this._sourceFile
+    }
+    set sourceFile(val) {
+        if (val === undefined || val === null) {
+            this._sourceFile = undefined
+            return
+        }
+        if (!_.isPlainObject(val) || !(val.size >= 0) || val.size !== Math.floor(val.size)) {
+            throw Error('Source file must be an object with a non-negative integer size')
+        }
+        if (!(val.mtime instanceof Date) || isNaN(val.mtime.getTime())) {
+            throw Error('Modification time of the source file must be a valid Date object')
+        }
+        if (val.md5 && !(_.isString(val.md5) && val.md5.match(/^[0-9a-f]{32}$/))) {
+            throw Error('MD5 hash of the source file must be a hex-encoded string')
+        }
+        this._sourceFile = {size: val.size, mtime: val.mtime, md5: val.md5 || undefined}
+    }
+
+    /**
+     * Write a manifest describing the backup, after all blobs have been committed.
+     *
+     * The manifest is a JSON document stored in a blob with the same name and the ".manifest.json"
+     * suffix; it contains the list of parts with their URL, size, number of blocks and SHA-256 hash,
+     * the SHA-256 hash of the whole stream (as uploaded, and as read from the source), the version of
+     * azbak and the start and end time of the upload.
+     * This is enabled by default.
+     *
+     * @type {boolean}
+     */
+    get manifest() {
+        return this._manifest
+    }
+    set manifest(val) {
+        this._manifest = !!val
+    }
+
+    /**
+     * Metadata to set on each blob, as a dictionary of name-value pairs.
+     *
+     * Names must be valid C# identifiers, and are case-insensitive; names starting with "azbak_" are
+     * reserved. Values must contain printable ASCII characters only.
+     *
+     * @type {Object}
+     */
+    get metadata() {
+        return this._metadata
+    }
+    set metadata(val) {
+        val = val || {}
+        if (!_.isPlainObject(val)) {
+            throw Error('Metadata must be an object')
+        }
+
+        const names = {}
+        for (const key of Object.keys(val)) {
+            if (!Utils.isValidMetadataName(key)) {
+                throw Error('Metadata name ' + key + ' is not valid: it must be a valid C# identifier')
+            }
+            if (key.toLowerCase().startsWith('azbak_')) {
+                throw Error('Metadata name ' + key + ' is reserved')
+            }
+            if (names[key.toLowerCase()]) {
+                throw Error('Metadata name ' + key + ' is set more than once')
+            }
+            if (!Utils.isValidHeaderValue(val[key])) {
+                throw Error('Value for metadata ' + key + ' must be a non-empty string of printable ASCII characters, without leading or trailing whitespace')
+            }
+            names[key.toLowerCase()] = true
+        }
+
+        this._metadata = _.assign({}, val)
+    }
+
+    /**
+     * Value for the Content-Type property of each blob.
+     *
+     * The default value is "application/octet-stream" (set by Azure Blob Storage).
+     *
+     * @type {string}
+     */
+    get contentType() {
+        return this._contentType
+    }
+    set contentType(val) {
+        this._contentType = StreamUpload._validateProperty(val, 'Content type')
+    }
+
+    /**
+     * Value for the Content-Encoding property of each blob.
+     *
+     * When not set and data is compressed (but not encrypted), this is set automatically.
+     *
+     * @type {string}
+     */
+    get contentEncoding() {
+        return this._contentEncoding
+    }
+    set contentEncoding(val) {
+        this._contentEncoding = StreamUpload._validateProperty(val, 'Content encoding')
+    }
+
+    /**
+     * Value for the Content-Disposition property of each blob.
+     *
+     * @type {string}
+     */
+    get contentDisposition() {
+        return this._contentDisposition
+    }
+    set contentDisposition(val) {
+        this._contentDisposition = StreamUpload._validateProperty(val, 'Content disposition')
+    }
+
+    /**
+     * Value for the Cache-Control property of each blob.
+     *
+     * @type {string}
+     */
+    get cacheControl() {
+        return this._cacheControl
+    }
+    set cacheControl(val) {
+        this._cacheControl = StreamUpload._validateProperty(val, 'Cache control')
+    }
+
+    /**
+     * Access tier of the blobs: "Hot", "Cool" or "Archive".
+     *
+     * Tiers are supported by General Purpose v2 and Blob Storage accounts only; with other account
+     * types, committing the blobs fails. The manifest blob is always stored in the default tier of
+     * the account, so it can be read even when the backup is archived.
+     * When not set, the default tier of the account is used.
+     *
+     * @type {string}
+     */
+    get tier() {
+        return this._tier
+    }
+    set tier(val) {
+        if (!val) {
+            this._tier = undefined
+            return
+        }
+
+        // Accept values in any case, but store them as expected by Azure Blob Storage
+        const tier = StreamUpload.tiers.find((el) => el.toLowerCase() == (val + '').toLowerCase())
+        if (!tier) {
+            throw Error('Access tier must be one of: ' + StreamUpload.tiers.join(', '))
+        }
+        this._tier = tier
+    }
+
+    /**
+     * Version of the Azure Storage REST API used for requests.
+     *
+     * The default value is `Authorization.apiVersion`. Setting the access tier requires version
+     * 2018-11-09 or higher.
+     *
+     * @type {string}
+     */
+    get apiVersion() {
+        return this._apiVersion
+    }
+    set apiVersion(val) {
+        if (!Utils.isValidApiVersion(val)) {
+            throw Error('API version must be a date in the format YYYY-MM-DD')
+        }
+        this._apiVersion = val
+    }
+
     /**
      * Start upload of the stream
+     *
+     * The result of the promise is the list of URLs of the blobs uploaded; the array has also the
+     * `manifest` property, with the manifest object (see {@link StreamUpload#manifest}), and the
+     * `manifestUrl` property, if the manifest was written, and the `blob` property, with the name of
+     * the blob (with the placeholders expanded, for objects created with {@link StreamUpload.fromTemplate}).
+     *
      * @return {Promise} Promise containing the result of the upload
      */
     upload() {
-        // First step: commit all blocks
-        return new Promise((resolve, reject) => {
-            let chunkCount = 0
-
-            // Transform function for the pipe
-            const transformFunction = through2Concurrent(
-                // Options
-                {
-                    maxConcurrency: this.concurrency
-                },
-                // Transform function
-                (chunk, enc, callback) => {
+        // Blocks that were already uploaded, when resuming; and number of blocks to skip in the stream
+        let journal = null
+        let skipBlocks = 0
+
+        // Streams the data goes through before being split into blocks (for compression and encryption)
+        let pipeline = null
+        this._commitMetadata = _.assign({}, this.metadata)
+        this._commitHeaders = {}
+        this._partMetadata = {}
+
+        // Properties of the source file; metadata is not encrypted, so the hash of encrypted data is not stored
+        if (this.sourceFile) {
+            this._commitMetadata.azbak_source_size = this.sourceFile.size + ''
+            this._commitMetadata.azbak_source_mtime = this.sourceFile.mtime.getTime() + ''
+            if (this.sourceFile.md5 && !this.encryption) {
+                this._commitMetadata.azbak_source_md5 = this.sourceFile.md5
+            }
+        }
+
+        // Properties of the blobs
+        const properties = {
+            'x-ms-blob-content-type': this.contentType,
+            'x-ms-blob-content-encoding': this.contentEncoding,
+            'x-ms-blob-content-disposition': this.contentDisposition,
+            'x-ms-blob-cache-control': this.cacheControl
+        }
+        for (const key of Object.keys(properties)) {
+            if (properties[key]) {
+                this._commitHeaders[key] = properties[key]
+            }
+        }
+
+        // Sizes and hashes of the data, for the manifest
+        const startTime = new Date()
+        const streamHash = crypto.createHash('sha256')
+        const sourceHash = crypto.createHash('sha256')
+        const parts = {}
+        const getPart = (seqId) => {
+            if (!parts[seqId]) {
+                parts[seqId] = {
+                    hash: crypto.createHash('sha256'),
+                    size: 0
+                }
+            }
+            return parts[seqId]
+        }
+
+        return Promise.resolve()
+            // First step: if we're resuming, load the journal
+            .then(() => {
+                if (this.tier && this.apiVersion < StreamUpload.tierMinApiVersion) {
+                    throw Error('Access tier requires API version ' + StreamUpload.tierMinApiVersion + ' or higher')
+                }
+
+                // Choose the block size, and check that the data can fit before uploading anything
+                this._planUpload()
+
+                if (!this.resumeJournal) {
+                    return
+                }
+
+                // Data encrypted again would not match the blocks already uploaded
+                if (this.encryption) {
+                    throw Error('resumeJournal cannot be used together with encryption')
+                }
+
+                journal = new UploadJournal(this.resumeJournal)
+                return this._prepareResume(journal)
+                    .then((skip) => {
+                        skipBlocks = skip
+                    })
+            })
+            // Second step: set up the stream, compressing and encrypting it if necessary
+            .then(() => {
+                pipeline = [this._sourceStream]
+
+                if (this.compression) {
+                    pipeline.push(Compression.createCompressStream(this.compression, this.compressionLevel))
+                    this._commitMetadata.azbak_compression = this.compression
+                    if (!this.encryption && !this.contentEncoding) {
+                        this._commitHeaders['x-ms-blob-content-encoding'] = Compression.contentEncoding(this.compression)
+                    }
+                }
+
+                if (!this.encryption) {
+                    return
+                }
+
+                return this.encryption.createCipher()
+                    .then((cipher) => {
+                        _.assign(this._commitMetadata, cipher.metadata)
+                        pipeline.push(cipher)
+                    })
+            })
+            // Third step: upload all blocks
+            .then(() => new Promise((resolve, reject) => {
+                let chunkCount = skipBlocks
+
+                // Track progress; blocks skipped when resuming are counted as uploaded
+                const progress = this._createProgressTracker(skipBlocks * this.blockSize, skipBlocks)
+
+                // Blocks skipped without reading them are counted in the size of each part
+                for (let i = 0; i < skipBlocks; i++) {
+                    getPart(this.singleBlob ? '' : '.' + Utils.zeroPad(Math.trunc(i / this.blocksPerBlob), 3)).size += this.blockSize
+                }
+
+                // On the first error, stop reading the source and compressing or encrypting it; blocks being
+                // uploaded complete, but no new block is started
+                let reader = null
+                let failed = false
+                const fail = (error) => {
+                    if (failed) {
+                        return
+                    }
+                    failed = true
+                    if (reader) {
+                        reader.destroy()
+                    }
+                    if (pipeline.length > 1) {
+                        this._sourceStream.removeListener('data', onSourceData)
+                        this._sourceStream.unpipe()
+                        this._sourceStream.pause()
+                        for (const el of pipeline.slice(1)) {
+                            el.destroy()
+                        }
+                    }
+                    reject(error)
+                }
+
+                // Blocks are read into a fixed number of buffers, which are reused once uploaded: the source is
+                // read only when a buffer is free. If the source is a file, blocks are read by offset
+                const sourcePath = this._sourceFilePath()
+                if (sourcePath) {
+                    this._sourceStream.destroy()
+                    reader = new BlockReader(sourcePath, {start: skipBlocks * this.blockSize})
+                }
+                else {
+                    // Errors reading, compressing or encrypting the data
+                    let output = null
+                    for (const el of pipeline) {
+                        el.on('error', fail)
+                        output = output ? output.pipe(el) : el
+                    }
+                    reader = new BlockReader(output)
+                }
+                const pool = new BufferPool(this.blockSize, this._bufferCount())
+
+                // When data is compressed or encrypted, the source is hashed as it's read; otherwise, the blocks
+                // contain the data of the source
+                const onSourceData = (chunk) => {
+                    progress.sourceBytes += chunk.length
+                    sourceHash.update(chunk)
+                }
+                if (pipeline.length > 1) {
+                    this._sourceStream.on('data', onSourceData)
+                }
+
+                let active = 0
+                let ended = false
+
+                // Upload a block, unless it was already uploaded when resuming
+                const uploadBlock = (chunk) => {
                     // Get sequence number and number of block in the sequence
                     const seqNum = Math.trunc(chunkCount /  this.blocksPerBlob)
                     const blockNum = chunkCount % this.blocksPerBlob
@@ -217,41 +874,85 @@ class StreamUpload {
 
                     // If we have a single blob, we can't upload more than 1 sequence
                     if (this.singleBlob && seqNum > 0) {
-                        return reject(new Error('singleBlob option is set, but stream is too big to fit one blob'))
+                        throw Error('singleBlob option is set, but stream is too big to fit one blob')
                     }
 
                     // Get the sequence and block ids
                     const seqId = (this.singleBlob ? '' : '.' + Utils.zeroPad(seqNum, 3))
                     const blockId = this.generateBlockId(blockNum)
 
-                    //DebugLog('(Seq ' + seqId + ') Starting upload of block ' + blockNum + ', length ' + chunk.length + ', blockId ' + blockId)
+                    // Update sizes and hashes
+                    const part = getPart(seqId)
+                    part.hash.update(chunk)
+                    part.size += chunk.length
+                    streamHash.update(chunk)
+                    if (pipeline.length == 1) {
+                        progress.sourceBytes += chunk.length
+                        sourceHash.update(chunk)
+                    }
 
-                    this.putBlock(chunk, blockId, seqId)
-                        .then((/*response*/) => {
-                            //DebugLog('(Seq ' + seqId + ') Finished upload of chunk ' + blockNum  + ', blockId ' + blockId, response.body)
-                            callback()
+                    // When resuming, skip blocks that were already uploaded, if their data didn't change
+                    const md5 = journal ? crypto.createHash('md5').update(chunk).digest('base64') : null
+                    if (journal && journal.getBlockSize(seqId, blockId) === chunk.length && journal.getBlockMd5(seqId, blockId) === md5) {
+                        progress.add(chunk.length)
+                        return Promise.resolve()
+                    }
+
+                    const blockInfo = {seqId, blockId, blockNum, size: chunk.length}
+                    this.emit('blockStart', blockInfo)
+
+                    return this.putBlock(chunk, blockId, seqId)
+                        .then(() => {
+                            // Record the block in the journal
+                            if (journal) {
+                                return journal.record(seqId, blockId, chunk.length, md5)
+                            }
                         })
-                        .catch((error) => {
-                            reject(error)
+                        .then(() => {
+                            this.emit('blockUploaded', blockInfo)
+                            progress.add(chunk.length)
                         })
-                },
-                // Flush function
-                (callback) => {
-                    callback()
-
-                    // Resolve the promise at the end, returning the number of chunks uploaded
-                    resolve(chunkCount)
                 }
-            )
 
-            this._sourceStream
-                .pipe(StreamChunkify(this.blockSize))
-                .pipe(transformFunction)
-        })
-        // Second step: commit the blobs by sending the list
-            .then((chunkCount) => {
-            //DebugLog('Uploaded total: ' + chunkCount)
+                // Read the next block as soon as a buffer is free, and upload it
+                // At the end, resolve the promise returning the number of chunks uploaded
+                const next = () => {
+                    pool.acquire()
+                        .then((buffer) => (failed ? Promise.resolve(0) : reader.read(buffer))
+                            .then((length) => {
+                                if (failed || !length) {
+                                    pool.release(buffer)
+                                    ended = true
+                                    if (!active && !failed) {
+                                        resolve(chunkCount)
+                                    }
+                                    return
+                                }
 
+                                // The last block can be shorter: use a view of the buffer, without copying it
+                                active++
+                                Promise.resolve()
+                                    .then(() => uploadBlock(buffer.slice(0, length)))
+                                    .then(() => {
+                                        pool.release(buffer)
+                                        active--
+                                        if (ended && !active && !failed) {
+                                            resolve(chunkCount)
+                                        }
+                                    }, (err) => {
+                                        pool.release(buffer)
+                                        active--
+                                        fail(err)
+                                    })
+                                next()
+                            })
+                        )
+                        .catch(fail)
+                }
+                next()
+            }))
+            // Fourth step: commit the blobs by sending the list
+            .then((chunkCount) => {
                 // Promises to return
                 const requests = []
 
@@ -268,19 +969,208 @@ class StreamUpload {
                         (chunkCount % this.blocksPerBlob) :
                         this.blocksPerBlob
 
+                    // Hashes can't be computed if blocks were skipped without reading them
+                    const part = getPart(seqId)
+                    part.blockCount = blocksInSeq
+                    part.sha256 = skipBlocks ? null : part.hash.digest('hex')
+                    if (part.sha256) {
+                        this._partMetadata[seqId] = {azbak_sha256: part.sha256}
+                    }
+
                     requests.push(this.commitBlockBlob(blocksInSeq, seqId))
                 }
 
                 return Promise.all(requests)
             })
             .then((requests) => {
-            // Gather all URLs
-                return requests.map((value) => {
+                // Gather all URLs
+                const urls = requests.map((value) => {
                     return value.blobUrl
                 })
+
+                // Build the manifest
+                const manifest = {
+                    version: 1,
+                    azbakVersion: pkgInfo.version,
+                    blob: this._blob,
+                    startTime: startTime.toISOString(),
+                    endTime: (new Date()).toISOString(),
+                    size: 0,
+                    sha256: skipBlocks ? null : streamHash.digest('hex'),
+                    sourceSha256: skipBlocks ? null : sourceHash.digest('hex'),
+                    compression: this.compression || null,
+                    encrypted: !!this.encryption,
+                    tier: this.tier || null,
+                    blockSize: this.blockSize,
+                    blocksPerBlob: this.blocksPerBlob,
+                    parts: []
+                }
+
+                // The manifest is not encrypted, and the hash of the plaintext would reveal information about it
+                if (this.encryption) {
+                    delete manifest.sourceSha256
+                }
+
+                for (let i = 0; i < requests.length; i++) {
+                    const seqId = (this.singleBlob ? '' : '.' + Utils.zeroPad(i, 3))
+                    const part = parts[seqId]
+                    manifest.size += part.size
+                    manifest.parts.push({
+                        seqId,
+                        url: urls[i],
+                        size: part.size,
+                        blockCount: part.blockCount,
+                        blockSize: this.blockSize,
+                        sha256: part.sha256
+                    })
+                }
+                urls.manifest = manifest
+                urls.blob = this._blob
+
+                // Write the manifest
+                if (!this.manifest) {
+                    return urls
+                }
+                return this.putBlob(Buffer.from(JSON.stringify(manifest, null, 2)), StreamUpload.manifestSuffix, 'application/json')
+                    .then((response) => {
+                        urls.manifestUrl = response.blobUrl
+                        return urls
+                    })
+            })
+            .then((urls) => {
+                // The upload is complete, so the journal isn't needed anymore
+                if (journal) {
+                    return journal.remove()
+                        .then(() => urls)
+                }
+
+                return urls
             })
     }
 
+    /**
+     * Prepare to resume an upload: load the journal and check it against the lists of uncommitted
+     * blocks in Azure Blob Storage.
+     *
+     * If the source is a file that is read by offset, the blocks at the beginning of the file that were
+     * already uploaded are skipped without reading them. The size and modification time of the source file
+     * are stored in the journal, and resuming fails if they changed.
+     *
+     * @param {UploadJournal} journal - Journal object
+     * @return {Promise} Promise resolving to the number of blocks skipped in the source stream
+     * @private
+     */
+    _prepareResume(journal) {
+        return this._sourceStats()
+            .then((source) => journal.open({
+                blob: this._blob,
+                blockSize: this.blockSize,
+                blocksPerBlob: this.blocksPerBlob,
+                singleBlob: this.singleBlob,
+                compression: this.compression || null,
+                compressionLevel: this.compressionLevel === undefined ? null : this.compressionLevel,
+                source
+            }))
+            .then(() => {
+                // Request the list of uncommitted blocks for every sequence in the journal
+                const seqIds = journal.seqIds()
+                return Promise.all(seqIds.map((seqId) => this.getUncommittedBlocks(seqId)))
+                    .then((lists) => {
+                        // Keep only blocks that are in the journal and in Azure Blob Storage, with the same size
+                        for (let i = 0; i < seqIds.length; i++) {
+                            const uncommitted = lists[i]
+                            for (let blockNum = 0; blockNum < this.blocksPerBlob; blockNum++) {
+                                const blockId = this.generateBlockId(blockNum)
+                                const size = journal.getBlockSize(seqIds[i], blockId)
+                                if (size !== undefined && uncommitted[blockId] !== size) {
+                                    journal.forget(seqIds[i], blockId)
+                                }
+                            }
+                        }
+                    })
+            })
+            .then(() => {
+                // Count the blocks at the beginning of the stream that were already uploaded
+                // Only full blocks can be skipped, as the last one might have been shorter
+                const isUploaded = (chunkNum) => {
+                    if (this.singleBlob && chunkNum >= this.blocksPerBlob) {
+                        return false
+                    }
+                    const seqNum = Math.trunc(chunkNum / this.blocksPerBlob)
+                    const seqId = (this.singleBlob ? '' : '.' + Utils.zeroPad(seqNum, 3))
+                    return journal.getBlockSize(seqId, this.generateBlockId(chunkNum % this.blocksPerBlob)) === this.blockSize
+                }
+                let skip = 0
+                while (isUploaded(skip)) {
+                    skip++
+                }
+
+                // Can skip reading only if the source is read by offset (see _sourceFilePath)
+                return this._sourceFilePath() ? skip : 0
+            })
+    }
+
+    /**
+     * Return the size and modification time of the source, if it's a file: either the file of the source stream
+     * (created with `fs.createReadStream`), or the one described by `sourceFile`.
+     *
+     * @return {Promise} Promise resolving to an object with `size` and `mtime` (in milliseconds since the epoch), or null if the source is not a file
+     * @private
+     */
+    _sourceStats() {
+        const source = this._sourceStream
+        if (source instanceof fs.ReadStream && typeof source.path == 'string') {
+            return new Promise((resolve, reject) => {
+                fs.stat(source.path, (err, stats) => {
+                    if (err) {
+                        return reject(err)
+                    }
+                    resolve({size: stats.size, mtime: stats.mtime.getTime()})
+                })
+            })
+        }
+        if (this.sourceFile) {
+            return Promise.resolve({size: this.sourceFile.size, mtime: this.sourceFile.mtime.getTime()})
+        }
+        return Promise.resolve(null)
+    }
+
+    /**
+     * Return the path of the source file, if blocks can be read from it by offset: that is, if the source stream
+     * is a file (created with `fs.createReadStream`) that hasn't been read yet, and blocks map directly to the
+     * file (i.e. data is not compressed nor encrypted).
+     *
+     * @return {string|null} Path of the file, or null if the source stream must be read
+     * @private
+     */
+    _sourceFilePath() {
+        const source = this._sourceStream
+        if (this.compression ||
+            this.encryption ||
+            !(source instanceof fs.ReadStream) ||
+            typeof source.path != 'string' ||
+            source.start !== undefined ||
+            source.bytesRead > 0) {
+            return null
+        }
+
+        return source.path
+    }
+
+    /**
+     * Return the number of buffers used for the blocks being read and uploaded: one for each parallel upload
+     * task, within the limit of `maxMemory`.
+     *
+     * @return {number} Number of buffers
+     * @private
+     */
+    _bufferCount() {
+        if (!this.maxMemory) {
+            return this.concurrency
+        }
+        return Math.max(1, Math.min(this.concurrency, Math.floor(this.maxMemory / this.blockSize)))
+    }
+
     /**
      * Commit a block blob into Azure Blob Storage by sending the list of blocks.
      *
@@ -291,18 +1181,7 @@ class StreamUpload {
     commitBlockBlob(blockCount, seqId) {
         seqId = seqId || ''
 
-        //DebugLog('Commiting seq ' + seqId + ' with ' + blockCount + ' blocks')
-
         // Authorization header
-        const qsArgs = {
-            'comp': 'blocklist'
-        }
-        const auth = new Authorization('PUT', this._blob  + seqId, {
-            contentType: 'application/octet-stream',
-            qs: qsArgs
-        })
-        auth.setStorageAccount(this._authData.storageAccountName, this._authData.storageAccountKey, this._authData.storageAccountSasToken)
-
         // List of blocks as XML
         let xmlData = '<?xml version="1.0" encoding="utf-8"?><BlockList>'
         for (let i = 0; i < blockCount; i++) {
@@ -310,33 +1189,119 @@ class StreamUpload {
         }
         xmlData += '</BlockList>'
 
-        // Request, and return the response
-        return request({
-            method: 'PUT',
-            url: this.blobUrl + seqId,
-            qs: auth.querystring(),
-            body: xmlData,
-            headers: auth.requestHeaders(),
-
-            // Configuration for request-retry
-            fullResponse: true,
-            maxAttempts: 3,
-            retryStrategy: StreamUpload.requestRetryStrategy
+        // Authorization header
+        const auth = new Authorization('PUT', this._blob  + seqId, {
+            contentType: 'application/octet-stream',
+            contentLength: Buffer.byteLength(xmlData),
+            qs: {
+                'comp': 'blocklist'
+            },
+            apiVersion: this.apiVersion,
+            basePath: this._basePath
         })
+        const metadata = _.assign({}, this._commitMetadata, this._partMetadata[seqId])
+        for (const key of Object.keys(metadata)) {
+            auth.addCustomHeader('x-ms-meta-' + key, metadata[key])
+        }
+        for (const key of Object.keys(this._commitHeaders)) {
+            auth.addCustomHeader(key, this._commitHeaders[key])
+        }
+        if (this.tier) {
+            auth.addCustomHeader('x-ms-access-tier', this.tier)
+        }
+
+        // Request, and return the response
+        return auth.setAuthData(this._authData)
+            .then(() => request(_.assign({
+                method: 'PUT',
+                url: this.blobUrl + seqId,
+                qs: auth.querystring(),
+                body: xmlData,
+                headers: auth.requestHeaders(),
+
+                // Configuration for request-retry
+                fullResponse: true
+            }, this._retryOptions('commitBlockBlob', {seqId})))
+                .catch((err) => {
+                    throw Errors.fromNetworkError(err, {blob: this._blob + seqId, seqId})
+                }))
             .then((response) =>  {
-            // If the status code is not 2xx, raise an error
+                // Tiers are not supported by all account types
+                if (this.tier && StreamUpload.isTierNotSupportedError(response)) {
+                    // Same class and details as the error of the response, with a more helpful message
+                    const error = Errors.fromResponse(response, {blob: this._blob + seqId, seqId})
+                    throw new error.constructor('Access tier ' + this.tier + ' is not supported by this storage account: tiers require a General Purpose v2 or Blob Storage account (' + error.message + ')', error)
+                }
+
+                // If the status code is not 2xx, raise an error
                 if (response.statusCode && (response.statusCode < 200 || response.statusCode > 300)) {
-                    throw Error('Request error (' + response.statusCode + '): ' + response.statusMessage)
+                    throw Errors.fromResponse(response, {blob: this._blob + seqId, seqId})
                 }
             
                 // Add the "blobUrl" parameter to the response object
                 response.blobUrl = this.blobUrl + seqId
+
+                this.emit('sequenceCommitted', {
+                    seqId,
+                    blobUrl: response.blobUrl,
+                    blockCount
+                })
             
                 // Pass response down the chain
                 return response
             })
     }
 
+    /**
+     * Upload a small blob in a single request (used for the manifest).
+     *
+     * @param {Buffer} data - Content of the blob (maximum 100MB in size)
+     * @param {string} suffix - Suffix appended to the name of the blob
+     * @param {string} [contentType] - Content type of the blob
+     * @return {Promise} Promise containing the result of the operation
+     */
+    putBlob(data, suffix, contentType) {
+        suffix = suffix || ''
+        contentType = contentType || 'application/octet-stream'
+
+        // Authorization header
+        const auth = new Authorization('PUT', this._blob + suffix, {
+            contentType: contentType,
+            contentMD5: crypto.createHash('md5').update(data).digest('base64'),
+            contentLength: data.length,
+            apiVersion: this.apiVersion,
+            basePath: this._basePath
+        })
+        auth.addCustomHeader('x-ms-blob-type', 'BlockBlob')
+
+        // Request, and return the response
+        return auth.setAuthData(this._authData)
+            .then(() => request(_.assign({
+                method: 'PUT',
+                url: this.blobUrl + suffix,
+                qs: auth.querystring(),
+                body: data,
+                headers: auth.requestHeaders(),
+
+                // Configuration for request-retry
+                fullResponse: true
+            }, this._retryOptions('putBlob', {seqId: suffix})))
+                .catch((err) => {
+                    throw Errors.fromNetworkError(err, {blob: this._blob + suffix})
+                }))
+            .then((response) => {
+                // If the status code is not 2xx, raise an error
+                if (response.statusCode && (response.statusCode < 200 || response.statusCode > 300)) {
+                    throw Errors.fromResponse(response, {blob: this._blob + suffix})
+                }
+
+                // Add the "blobUrl" parameter to the response object
+                response.blobUrl = this.blobUrl + suffix
+
+                return response
+            })
+    }
+
     /**
      * Upload a block of data to the block blob in Azure Blob Storage
      * 
@@ -366,33 +1331,49 @@ class StreamUpload {
         const auth = new Authorization('PUT', this._blob  + seqId, {
             contentType: 'application/octet-stream',
             contentMD5: md5,
+            contentLength: block.length,
             qs: {
-                // We're using SharedKeyLite, so we don't include blockid here
-                'comp': 'block'
-            }
+                'comp': 'block',
+                'blockid': blockId
+            },
+            apiVersion: this.apiVersion,
+            basePath: this._basePath
         })
-        auth.setStorageAccount(this._authData.storageAccountName, this._authData.storageAccountKey, this._authData.storageAccountSasToken)
+
+        // The block is sent as a stream (limited by the rate limiter, if any), so the HTTP client never copies it;
+        // the stream must be created again for each attempt
+        // The Content-Length header is set explicitly, as the HTTP client can't calculate it for streams
+        const rateLimiter = this._rateLimiter
+        const createBody = () => rateLimiter ? rateLimiter.stream(block) : StreamUpload._blockStream(block)
+        const retryOptions = this._retryOptions('putBlock', {seqId, blockId})
+        const retryStrategy = (err, response, responseBody, options) => {
+            options.body = createBody()
+            return {
+                mustRetry: retryOptions.retryStrategy(err, response),
+                options
+            }
+        }
 
         // Request
-        const requestQs = auth.querystring()
-        requestQs.comp = 'block'
-        requestQs.blockid = blockId
-        return request({
-            method: 'PUT',
-            url: this.blobUrl + seqId,
-            qs: requestQs,
-            body: block,
-            headers: auth.requestHeaders(),
-
-            // Configuration for request-retry
-            fullResponse: true,
-            maxAttempts: 3,
-            retryStrategy: StreamUpload.requestRetryStrategy
-        })
+        return auth.setAuthData(this._authData)
+            .then(() => request(_.assign({}, retryOptions, {
+                method: 'PUT',
+                url: this.blobUrl + seqId,
+                qs: auth.querystring(),
+                body: createBody(),
+                headers: _.assign({'Content-Length': block.length}, auth.requestHeaders()),
+
+                // Configuration for request-retry
+                fullResponse: true,
+                retryStrategy
+            }))
+                .catch((err) => {
+                    throw Errors.fromNetworkError(err, {blob: this._blob + seqId, seqId, blockId})
+                }))
             .then((response) =>  {
             // If the status code is not 2xx, raise an error
                 if (response.statusCode && (response.statusCode < 200 || response.statusCode > 300)) {
-                    throw Error('Request error (' + response.statusCode + '): ' + response.statusMessage)
+                    throw Errors.fromResponse(response, {blob: this._blob + seqId, seqId, blockId})
                 }
 
                 // Add the "blobUrl" parameter to the response object
@@ -403,6 +1384,144 @@ class StreamUpload {
             })
     }
 
+    /**
+     * Return the options for request-retry implementing the retry policy, which emit the `retry` event (and
+     * `blockRetry`, for blocks) before retrying.
+     *
+     * @param {string} operation - Name of the operation, used in the events
+     * @param {Object} info - Properties added to the events, such as `seqId` and `blockId`
+     * @return {Object} Options for request-retry
+     * @private
+     */
+    _retryOptions(operation, info) {
+        return this._retryPolicy.requestOptions((retry) => {
+            this.emit('retry', _.assign({operation}, info, retry))
+            if (operation == 'putBlock') {
+                this.emit('blockRetry', _.assign({}, info, retry))
+            }
+        })
+    }
+
+    /**
+     * Create the object that tracks the progress of the upload, and emits `progress` events.
+     *
+     * @param {number} bytes - Bytes already uploaded (e.g. when resuming)
+     * @param {number} blocks - Blocks already uploaded (e.g. when resuming)
+     * @return {Object} Object with the `sourceBytes` counter and the `add(bytes)` method, to invoke after each block
+     * @private
+     */
+    _createProgressTracker(bytes, blocks) {
+        const startTime = Date.now()
+
+        // Samples used to calculate the current throughput, over a moving window
+        const samples = []
+        samples.push({time: startTime, bytes})
+
+        const tracker = {
+            sourceBytes: bytes,
+            add: (size) => {
+                bytes += size
+                blocks++
+
+                const now = Date.now()
+                samples.push({time: now, bytes})
+                while (samples.length > 2 && (now - samples[1].time) > StreamUpload.throughputWindow) {
+                    samples.shift()
+                }
+
+                // Throughput, in bytes per second
+                const interval = (now - samples[0].time) / 1000
+                const bytesPerSecond = interval > 0 ? Math.round((bytes - samples[0].bytes) / interval) : 0
+
+                // Estimated time to completion, if the size is known, based on the data read from the source
+                // This is computed from the data read, as it could be compressed or encrypted before upload
+                const elapsed = (now - startTime) / 1000
+                let eta = null
+                if (this.expectedSize !== undefined) {
+                    const remaining = Math.max(this.expectedSize - tracker.sourceBytes, 0)
+                    if (!remaining) {
+                        eta = 0
+                    }
+                    else if (tracker.sourceBytes > 0 && elapsed > 0) {
+                        eta = Math.round(remaining / (tracker.sourceBytes / elapsed))
+                    }
+                }
+
+                this.emit('progress', {
+                    bytes,
+                    blocks,
+                    sourceBytes: tracker.sourceBytes,
+                    totalBytes: this.expectedSize === undefined ? null : this.expectedSize,
+                    bytesPerSecond,
+                    elapsed: Math.round(elapsed),
+                    eta
+                })
+            }
+        }
+
+        return tracker
+    }
+
+    /**
+     * Request the list of uncommitted blocks of a blob.
+     *
+     * @param {string} [seqId] - Optional suffix for the blob name (for storing files bigger than 4.8TB)
+     * @return {Promise} Promise resolving to a dictionary whose keys are the block ids, and values their size
+     */
+    getUncommittedBlocks(seqId) {
+        seqId = seqId || ''
+
+        // Authorization header
+        const auth = new Authorization('GET', this._blob + seqId, {
+            qs: {
+                'comp': 'blocklist',
+                'blocklisttype': 'uncommitted'
+            },
+            apiVersion: this.apiVersion,
+            basePath: this._basePath
+        })
+
+        // Request
+        return auth.setAuthData(this._authData)
+            .then(() => request(_.assign({
+                method: 'GET',
+                url: this.blobUrl + seqId,
+                qs: auth.querystring(),
+                headers: auth.requestHeaders(),
+
+                // Configuration for request-retry
+                fullResponse: true
+            }, this._retryOptions('getUncommittedBlocks', {seqId})))
+                .catch((err) => {
+                    throw Errors.fromNetworkError(err, {blob: this._blob + seqId, seqId})
+                }))
+            .then((response) => {
+                // If the blob doesn't exist, there are no blocks (but the container must exist)
+                if (response.statusCode == 404) {
+                    const error = Errors.fromResponse(response, {blob: this._blob + seqId, seqId})
+                    if (error instanceof Errors.ContainerNotFoundError) {
+                        throw error
+                    }
+                    return {}
+                }
+
+                // If the status code is not 2xx, raise an error
+                if (response.statusCode && (response.statusCode < 200 || response.statusCode > 300)) {
+                    throw Errors.fromResponse(response, {blob: this._blob + seqId, seqId})
+                }
+
+                // Parse the list of blocks from the XML response
+                const blocks = {}
+                const regex = /<Block>\s*<Name>([^<]*)<\/Name>\s*<Size>(\d+)<\/Size>\s*<\/Block>/g
+                let match
+                while ((match = regex.exec(response.body || ''))) {
+                    blocks[match[1]] = parseInt(match[2], 10)
+                }
+
+                return blocks
+            })
+    }
+
     /**
      * Generate a block id. This implementation returns the number of the block with padding 0's in front, converted to base64
      *
@@ -415,6 +1534,132 @@ class StreamUpload {
             .from(Utils.zeroPad(blockNum, 5), 'utf8')
             .toString('base64')
     }
+
+    /**
+     * Choose the block size and the number of blocks per blob if requested, and check that the data can fit one
+     * blob when `singleBlob` is set, and that a block can fit `maxMemory`. Throws an exception if they can't fit.
+     *
+     * @private
+     */
+    _planUpload() {
+        // Size of the data uploaded: compressed data is usually smaller, but can't be known in advance;
+        // encrypted data has an authentication tag for each segment
+        let size = this.expectedSize
+        if (size !== undefined) {
+            if (this.encryption) {
+                size += Math.ceil(size / Encryption.segmentSize) * Encryption.tagLength
+            }
+
+            if (this.autoBlockSize) {
+                const plan = StreamUpload.planBlocks(size, {concurrency: this.concurrency, maxMemory: this.maxMemory})
+                this.blockSize = plan.blockSize
+                this.blocksPerBlob = plan.blocksPerBlob
+            }
+
+            const maxBlobSize = this.blockSize * this.blocksPerBlob
+            if (this.singleBlob && !this.compression && size > maxBlobSize) {
+                throw Error('singleBlob option is set, but the data (' + Utils.formatBytes(size) + ') is too big to fit one blob, ' +
+                    'whose maximum size is ' + Utils.formatBytes(maxBlobSize) + ' with blocks of ' + Utils.formatBytes(this.blockSize))
+            }
+        }
+
+        // At least one block must fit in memory
+        if (this.maxMemory && this.maxMemory < this.blockSize) {
+            throw Error('Maximum memory (' + Utils.formatBytes(this.maxMemory) + ') must be at least the block size (' + Utils.formatBytes(this.blockSize) + ')')
+        }
+    }
+
+    /**
+     * Choose the block size and the number of blocks per blob for data of a given size, so that it fits in as few
+     * blobs as possible.
+     *
+     * Blocks are as small as possible, rounded up to a multiple of 1MB, but not smaller than the default block size;
+     * if `maxMemory` is set, blocks are at most `maxMemory / concurrency` bytes, so larger data may need more blobs.
+     *
+     * @param {number} size - Size of the data, in bytes
+     * @param {Object} [options] - Options
+     * @param {number} options.concurrency - Number of parallel upload tasks (optional; defaults to `StreamUpload.defaultConcurrency`)
+     * @param {number} options.maxMemory - Maximum memory used for the blocks being uploaded, in bytes (optional)
+     * @return {Object} Object with `blockSize`, `blocksPerBlob` and `blobs` (number of blobs needed)
+     */
+    static planBlocks(size, options) {
+        options = options || {}
+        const concurrency = options.concurrency || StreamUpload.defaultConcurrency
+
+        // Largest block allowed by the memory limit
+        let maxBlockSize = StreamUpload.maxBlockSize
+        if (options.maxMemory) {
+            maxBlockSize = Math.min(maxBlockSize, Math.floor(options.maxMemory / concurrency))
+        }
+        if (maxBlockSize < 1) {
+            throw Error('Maximum memory is too small for ' + concurrency + ' parallel upload tasks')
+        }
+
+        // Smallest block that allows the data to fit one blob
+        const megabyte = 1024 * 1024
+        const needed = Math.ceil(size / StreamUpload.maxBlocksPerBlob / megabyte) * megabyte
+        const blockSize = Math.min(maxBlockSize, Math.max(StreamUpload.defaultBlockSize, needed))
+        const blocksPerBlob = StreamUpload.maxBlocksPerBlob
+
+        return {
+            blockSize,
+            blocksPerBlob,
+            blobs: Math.max(1, Math.ceil(size / (blockSize * blocksPerBlob)))
+        }
+    }
+
+    /**
+     * Expand the placeholders in the name of a blob, then validate it.
+     * Throws an exception if the name is not valid.
+     *
+     * @param {string} blob - Name of the blob, with placeholders
+     * @param {Date} date - Date used for the date and time placeholders
+     * @param {boolean} localTime - If true, dates and times are in local time instead of UTC
+     * @return {string} Name of the blob with the placeholders expanded
+     * @private
+     */
+    static _expandBlobName(blob, date, localTime) {
+        blob = PathTemplate.expand(blob, {date, localTime})
+        if (!Utils.isValidBlobName(blob)) {
+            throw Error('Parameter blob must be a valid resource name for a blob in Azure Blob Storage')
+        }
+        return blob
+    }
+
+    /**
+     * Validate the value for a property of the blobs, such as the content type.
+     * Throws an exception if the value is not valid.
+     *
+     * @param {string} val - Value to validate (empty values unset the property)
+     * @param {string} name - Name of the property, used in error messages
+     * @return {string|undefined} Value for the property
+     * @private
+     */
+    static _validateProperty(val, name) {
+        if (val === undefined || val === null || val === '') {
+            return undefined
+        }
+        if (!Utils.isValidHeaderValue(val)) {
+            throw Error(name + ' must be a string of printable ASCII characters, without leading or trailing whitespace')
+        }
+        return val
+    }
+
+    /**
+     * Return a readable stream with the content of a block, without copying it.
+     *
+     * @param {Buffer} block - Block of data
+     * @return {stream.Readable} Readable stream
+     * @private
+     */
+    static _blockStream(block) {
+        return new stream.Readable({
+            read() {
+                this.push(block)
+                this.push(null)
+            }
+        })
+    }
 }
 
 // Blocks in Azure Blob Storage are at most 100MB in size, but by default we're
@@ -429,24 +1674,32 @@ StreamUpload.maxBlocksPerBlob = 50000
 // Maximum concurrent operations
 StreamUpload.defaultConcurrency = 3
 
+// Access tiers that can be set on blobs, and minimum version of the API required
+StreamUpload.tiers = ['Hot', 'Cool', 'Archive']
+StreamUpload.tierMinApiVersion = '2018-11-09'
+
+// Suffix for the name of the manifest blob
+StreamUpload.manifestSuffix = '.manifest.json'
+
+// Window used to calculate the current throughput for progress events, in milliseconds
+StreamUpload.throughputWindow = 10000
+
 // Default endpoint for requests to Azure Blob Storage
 StreamUpload.defaultEndpoint = 'blob.core.windows.net'
 
-// Retry strategy for request-retry
-StreamUpload.requestRetryStrategy = (error, response) => {
-    // Always retry for any error
-    if (error) {
-        return true
+// Check if a response is an error because the storage account does not support access tiers
+StreamUpload.isTierNotSupportedError = (response) => {
+    if (response.statusCode != 400 && response.statusCode != 409) {
+        return false
     }
 
-    // Expect a 2xx status code
-    // Do not retry on 4xx errors, which are generally unrecoverable
-    // Retry on 5xx server errors
-    if (response.statusCode >= 500 && response.statusCode < 600) {
+    const errorCode = (response.headers && response.headers['x-ms-error-code']) || ''
+    if (['InvalidBlobTier', 'FeatureNotSupportedForAccount', 'BlobTierInadequateForContentLength'].indexOf(errorCode) >= 0) {
         return true
     }
 
-    return false
+    // The header that wasn't accepted is reported in the body
+    return errorCode == 'InvalidHeaderValue' && !!(response.body + '').match(/x-ms-access-tier/i)
 }
 
 module.exports = StreamUpload
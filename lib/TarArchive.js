@@ -0,0 +1,305 @@
+'use strict'
+
+const fs = require('fs')
+const {Readable} = require('stream')
+const DirectoryWalker = require('./DirectoryWalker')
+
+// Size of the blocks of tar archives
+const blockSize = 512
+
+// Maximum values that fit in the octal fields of ustar headers
+const maxSize = 0o77777777777
+const maxId = 0o7777777
+
+// Write a number as a zero-padded octal string terminated by NUL
+const writeOctal = (buf, offset, length, value) => {
+    buf.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii')
+}
+
+// Build a ustar header block
+const ustarHeader = (fields) => {
+    const buf = Buffer.alloc(blockSize)
+    buf.write(fields.name, 0, 100, 'utf8')
+    writeOctal(buf, 100, 8, fields.mode)
+    writeOctal(buf, 108, 8, fields.uid)
+    writeOctal(buf, 116, 8, fields.gid)
+    writeOctal(buf, 124, 12, fields.size)
+    writeOctal(buf, 136, 12, fields.mtime)
+    buf.write(fields.type, 156, 1, 'ascii')
+    buf.write('ustar\0' + '00', 257, 8, 'ascii')
+
+    // The checksum is computed with the checksum field filled with spaces
+    buf.fill(' ', 148, 156)
+    let checksum = 0
+    for (let i = 0; i < blockSize; i++) {
+        checksum += buf[i]
+    }
+    buf.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii')
+
+    return buf
+}
+
+// Build a pax extended header record: "<length> <key>=<value>\n", where length includes itself
+const paxRecord = (key, value) => {
+    const base = Buffer.byteLength(' ' + key + '=' + value + '\n')
+    let length = base + String(base).length
+    if (String(length).length != String(base).length) {
+        length = base + String(length).length
+    }
+
+    return length + ' ' + key + '=' + value + '\n'
+}
+
+// Zeros needed to pad data to a multiple of the block size
+const padding = (size) => {
+    return Buffer.alloc((blockSize - size % blockSize) % blockSize)
+}
+
+// Readable stream of zeros, used to fill files that shrank while being archived
+const zeroStream = (length) => {
+    return new Readable({
+        read() {
+            const size = Math.min(length, 64 * 1024)
+            length -= size
+            this.push(size ? Buffer.alloc(size) : null)
+        }
+    })
+}
+
+/**
+ * Readable stream with a POSIX (pax) tar archive of a directory, which can be passed to StreamUpload
+ * to store the whole directory in a single backup.
+ *
+ * Entries are named with their path relative to the source directory (directories have a trailing
+ * slash), and store the mode, owner IDs, size and modification time of files and directories.
+ * Paths longer than 100 bytes or containing non-ASCII characters, files bigger than 8 GB and large
+ * owner IDs are stored in pax extended headers.
+ *
+ * Files are read one at a time, respecting backpressure, so memory usage does not depend on the size
+ * of the files. The size of each file is read when the directory is listed: files that grow while
+ * being archived are truncated to that size, and files that shrink are padded with zeros.
+ *
+ * Besides the events of readable streams, the following ones are emitted:
+ * - `fileSkipped`: see {@link DirectoryWalker}
+ * - `fileChanged`: a file shrank while it was being archived, and was padded with zeros; the argument is an
+ *   object with `path`, `relativePath`, `size` (stored in the archive) and `bytesRead`
+ */
+class TarArchive extends Readable {
+    /**
+     * Constructor: initialize a TarArchive object.
+     *
+     * The directory is listed when the stream is first read.
+     *
+     * @param {string} sourceDir - Path of the local directory
+     */
+    constructor(sourceDir) {
+        super()
+
+        // Files are selected by a DirectoryWalker, whose events are re-emitted
+        this._walker = new DirectoryWalker(sourceDir)
+        this._walker.on('fileSkipped', (file) => this.emit('fileSkipped', file))
+
+        // List of entries still to archive (null until the directory is listed), and the stream of the current entry
+        this._entries = null
+        this._listing = false
+        this._source = null
+    }
+
+    /**
+     * Glob patterns of the files to archive; when empty (the default), all files are archived.
+     *
+     * See {@link DirectoryWalker#include} for more information.
+     *
+     * @type {string[]}
+     */
+    get include() {
+        return this._walker.include
+    }
+    set include(val) {
+        this._walker.include = val
+    }
+
+    /**
+     * Glob patterns of the files and directories to skip.
+     *
+     * See {@link DirectoryWalker#exclude} for more information.
+     *
+     * @type {string[]}
+     */
+    get exclude() {
+        return this._walker.exclude
+    }
+    set exclude(val) {
+        this._walker.exclude = val
+    }
+
+    /**
+     * Policy for symbolic links: "skip" (the default) or "follow".
+     *
+     * See {@link DirectoryWalker#symlinks} for more information.
+     *
+     * @type {string}
+     */
+    get symlinks() {
+        return this._walker.symlinks
+    }
+    set symlinks(val) {
+        this._walker.symlinks = val
+    }
+
+    /**
+     * Build the header blocks for an entry: a pax extended header if needed, followed by the ustar header.
+     *
+     * @param {string} name - Name of the entry (directories must have a trailing slash)
+     * @param {fs.Stats} stats - Stats of the file or directory
+     * @return {Buffer} Header blocks
+     */
+    static header(name, stats) {
+        const isDirectory = stats.isDirectory()
+        const fields = {
+            name,
+            mode: stats.mode & 0o7777,
+            uid: stats.uid,
+            gid: stats.gid,
+            size: isDirectory ? 0 : stats.size,
+            mtime: Math.floor(stats.mtime.getTime() / 1000),
+            type: isDirectory ? '5' : '0'
+        }
+
+        // Values that don't fit in the ustar header are stored in pax records
+        let records = ''
+        if (Buffer.byteLength(name) > 100 || !name.match(/^[\x20-\x7E]*$/)) {
+            records += paxRecord('path', name)
+            fields.name = name.replace(/[^\x20-\x7E]/g, '_').substr(0, 100)
+        }
+        if (fields.size > maxSize) {
+            records += paxRecord('size', fields.size)
+            fields.size = 0
+        }
+        for (const key of ['uid', 'gid']) {
+            if (fields[key] > maxId) {
+                records += paxRecord(key, fields[key])
+                fields[key] = 0
+            }
+        }
+        if (!records) {
+            return ustarHeader(fields)
+        }
+
+        const data = Buffer.from(records, 'utf8')
+        const paxName = ('PaxHeader/' + name.replace(/\/$/, '').split('/').pop()).replace(/[^\x20-\x7E]/g, '_').substr(0, 100)
+        return Buffer.concat([
+            ustarHeader({name: paxName, mode: 0o644, uid: 0, gid: 0, size: data.length, mtime: fields.mtime, type: 'x'}),
+            data,
+            padding(data.length),
+            ustarHeader(fields)
+        ])
+    }
+
+    /**
+     * Implementation of Readable#_read.
+     *
+     * @private
+     */
+    _read() {
+        // List the directory the first time
+        if (!this._entries) {
+            if (!this._listing) {
+                this._listing = true
+                this._walker.list(true)
+                    .then((entries) => {
+                        this._entries = entries
+                        this._continue()
+                    }, (err) => {
+                        this.emit('error', err)
+                    })
+            }
+            return
+        }
+
+        // Resume the current file, or move to the next entries
+        if (this._source) {
+            this._source.resume()
+        }
+        else {
+            this._continue()
+        }
+    }
+
+    /**
+     * Push the next entries, until a file needs to be read or the consumer needs to catch up.
+     *
+     * @private
+     */
+    _continue() {
+        while (!this._source) {
+            const entry = this._entries.shift()
+
+            // End of the archive: two blocks of zeros
+            if (!entry) {
+                this.push(Buffer.alloc(blockSize * 2))
+                this.push(null)
+                return
+            }
+
+            const isDirectory = entry.stats.isDirectory()
+            const more = this.push(TarArchive.header(entry.relativePath + (isDirectory ? '/' : ''), entry.stats))
+            if (!isDirectory && entry.stats.size > 0) {
+                this._readFile(entry)
+                return
+            }
+            if (!more) {
+                return
+            }
+        }
+    }
+
+    /**
+     * Push the content of a file, followed by the padding.
+     *
+     * @param {Object} entry - Entry, as returned by {@link DirectoryWalker#list}
+     * @private
+     */
+    _readFile(entry) {
+        const size = entry.stats.size
+        let bytesRead = 0
+
+        // Pipe a source into this stream, pausing it when the consumer needs to catch up
+        const pipe = (source, onEnd) => {
+            this._source = source
+            source.on('data', (chunk) => {
+                bytesRead += chunk.length
+                if (!this.push(chunk)) {
+                    source.pause()
+                }
+            })
+            source.on('error', (err) => {
+                this.emit('error', err)
+            })
+            source.on('end', onEnd)
+        }
+
+        pipe(fs.createReadStream(entry.path, {start: 0, end: size - 1}), () => {
+            const done = () => {
+                this._source = null
+                const pad = padding(size)
+                if (!pad.length || this.push(pad)) {
+                    this._continue()
+                }
+            }
+
+            if (bytesRead >= size) {
+                return done()
+            }
+
+            // The file shrank: fill it with zeros, as the size in the header can't change
+            this.emit('fileChanged', {path: entry.path, relativePath: entry.relativePath, size, bytesRead})
+            pipe(zeroStream(size - bytesRead), done)
+        })
+    }
+}
+
+// Supported archive formats
+TarArchive.formats = ['tar']
+
+module.exports = TarArchive
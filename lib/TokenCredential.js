@@ -0,0 +1,264 @@
+'use strict'
+
+const request = require('requestretry')
+const _ = require('lodash')
+const Errors = require('./Errors')
+const RetryPolicy = require('./RetryPolicy')
+
+/**
+ * Obtains OAuth 2.0 access tokens from Azure AD (Microsoft Entra ID), for authenticating requests
+ * to Azure Blob Storage with "Authorization: Bearer" headers.
+ *
+ * Tokens can be obtained from three sources:
+ * - `clientSecret`: client credentials flow for a service principal, against the authority host
+ * - `managedIdentity`: the managed identity endpoint of the Azure Instance Metadata Service (IMDS)
+ * - `static`: a token passed as-is, for example read from an environmental variable
+ *
+ * Tokens are cached, and requested again before they expire.
+ */
+class TokenCredential {
+    /**
+     * Constructor. Use the static methods {@link TokenCredential.fromClientSecret},
+     * {@link TokenCredential.fromManagedIdentity} and {@link TokenCredential.fromEnv} to create
+     * objects more conveniently.
+     *
+     * @param {Object} options - Options
+     * @param {string} options.type - Source of the tokens: "clientSecret", "managedIdentity" or "static"
+     * @param {string} options.tenantId - ID of the tenant (required for "clientSecret")
+     * @param {string} options.clientId - ID of the client (required for "clientSecret"; for "managedIdentity", optional ID of the user-assigned identity)
+     * @param {string} options.clientSecret - Secret of the client (required for "clientSecret")
+     * @param {string} options.authorityHost - URL of the authority (optional for "clientSecret"; defaults to `TokenCredential.defaultAuthorityHost`)
+     * @param {string} options.endpoint - URL of the managed identity endpoint (optional for "managedIdentity"; defaults to `TokenCredential.defaultImdsEndpoint`)
+     * @param {string} options.token - Access token (required for "static")
+     */
+    constructor(options) {
+        if (!options || !_.isObject(options)) {
+            throw Error('Options must be an object')
+        }
+
+        const isSet = (val) => !!(val && _.isString(val))
+        switch (options.type) {
+            case 'clientSecret':
+                if (!isSet(options.tenantId) || !isSet(options.clientId) || !isSet(options.clientSecret)) {
+                    throw Error('Tenant ID, client ID and client secret are required')
+                }
+                break
+            case 'managedIdentity':
+                break
+            case 'static':
+                if (!isSet(options.token)) {
+                    throw Error('Token is empty')
+                }
+                break
+            default:
+                throw Error('Type must be one of: clientSecret, managedIdentity, static')
+        }
+
+        this._options = _.assign({
+            authorityHost: TokenCredential.defaultAuthorityHost,
+            endpoint: TokenCredential.defaultImdsEndpoint
+        }, options)
+
+        // Cached token, with its expiration time (in ms), and the pending request, if any
+        this._token = options.type == 'static' ? options.token : null
+        this._expiresOn = null
+        this._pending = null
+
+        this._retryPolicy = new RetryPolicy()
+    }
+
+    /**
+     * Create a TokenCredential object that uses the client credentials flow.
+     *
+     * @param {string} tenantId - ID of the tenant
+     * @param {string} clientId - ID of the client (application)
+     * @param {string} clientSecret - Secret of the client
+     * @param {string} [authorityHost] - URL of the authority (optional)
+     * @return {TokenCredential} TokenCredential object
+     */
+    static fromClientSecret(tenantId, clientId, clientSecret, authorityHost) {
+        return new TokenCredential({type: 'clientSecret', tenantId, clientId, clientSecret, authorityHost: authorityHost || undefined})
+    }
+
+    /**
+     * Create a TokenCredential object that requests tokens from the managed identity endpoint.
+     *
+     * @param {string} [clientId] - ID of the user-assigned identity (optional; uses the system-assigned identity if not set)
+     * @param {string} [endpoint] - URL of the managed identity endpoint (optional)
+     * @return {TokenCredential} TokenCredential object
+     */
+    static fromManagedIdentity(clientId, endpoint) {
+        return new TokenCredential({type: 'managedIdentity', clientId: clientId || undefined, endpoint: endpoint || undefined})
+    }
+
+    /**
+     * Create a TokenCredential object with a static token read from an environmental variable.
+     *
+     * Static tokens are never refreshed.
+     *
+     * @param {string} name - Name of the environmental variable
+     * @return {TokenCredential} TokenCredential object
+     */
+    static fromEnv(name) {
+        const token = process.env[name]
+        if (!token) {
+            throw Error('Environmental variable ' + name + ' is empty or not set')
+        }
+
+        return new TokenCredential({type: 'static', token})
+    }
+
+    /**
+     * Source of the tokens: "clientSecret", "managedIdentity" or "static".
+     *
+     * This is a read-only value.
+     *
+     * @type {string}
+     */
+    get type() {
+        return this._options.type
+    }
+
+    /**
+     * RetryPolicy object used for the requests for tokens. By default, a RetryPolicy with the default values is used.
+     *
+     * @type {RetryPolicy}
+     */
+    get retryPolicy() {
+        return this._retryPolicy
+    }
+    set retryPolicy(val) {
+        if (!(val instanceof RetryPolicy)) {
+            throw Error('Retry policy must be a RetryPolicy object')
+        }
+        this._retryPolicy = val
+    }
+
+    /**
+     * Return an access token, requesting a new one if there's no cached token, or if it's about to expire.
+     *
+     * Concurrent invocations share the same request.
+     *
+     * @return {Promise} Promise resolving to the access token
+     */
+    getToken() {
+        // Static tokens and cached tokens that are still valid
+        if (this._token && (this._expiresOn === null || this._expiresOn - Date.now() > TokenCredential.refreshMargin)) {
+            return Promise.resolve(this._token)
+        }
+
+        if (!this._pending) {
+            this._pending = this._requestToken()
+                .then((result) => {
+                    this._pending = null
+                    this._token = result.token
+                    this._expiresOn = result.expiresOn
+                    return result.token
+                }, (err) => {
+                    this._pending = null
+                    throw err
+                })
+        }
+
+        return this._pending
+    }
+
+    /**
+     * Request a new token from the authority or the managed identity endpoint.
+     *
+     * @return {Promise} Promise resolving to an object with `token` and `expiresOn` (in ms)
+     * @private
+     */
+    _requestToken() {
+        const options = this._options
+        let requestOptions
+        if (options.type == 'clientSecret') {
+            requestOptions = {
+                method: 'POST',
+                url: options.authorityHost.replace(/\/+$/, '') + '/' + encodeURIComponent(options.tenantId) + '/oauth2/v2.0/token',
+                form: {
+                    'grant_type': 'client_credentials',
+                    'client_id': options.clientId,
+                    'client_secret': options.clientSecret,
+                    'scope': TokenCredential.resource + '.default'
+                }
+            }
+        }
+        else {
+            const qs = {
+                'api-version': TokenCredential.imdsApiVersion,
+                'resource': TokenCredential.resource
+            }
+            if (options.clientId) {
+                qs['client_id'] = options.clientId
+            }
+            requestOptions = {
+                method: 'GET',
+                url: options.endpoint,
+                qs,
+                headers: {
+                    'Metadata': 'true'
+                }
+            }
+        }
+
+        return request(_.assign(requestOptions, {
+            json: true,
+
+            // Configuration for request-retry
+            fullResponse: true
+        }, this._retryPolicy.requestOptions()))
+            .catch((err) => {
+                throw Errors.fromNetworkError(err)
+            })
+            .then((response) => {
+                const body = response.body || {}
+                if (response.statusCode < 200 || response.statusCode >= 300 || !body.access_token) {
+                    const reason = body.error_description || body.error || response.statusMessage
+
+                    // Client errors mean that the credentials are not valid
+                    const ErrorClass = (response.statusCode >= 400 && response.statusCode < 500) ? Errors.AuthenticationError : Errors.RequestError
+                    throw new ErrorClass('Could not obtain an access token (' + response.statusCode + '): ' + reason, {
+                        statusCode: response.statusCode,
+                        code: body.error || null
+                    })
+                }
+
+                // Client credentials return expires_in; IMDS returns expires_on too (as a UNIX timestamp)
+                let expiresOn = null
+                if (parseInt(body.expires_in, 10) > 0) {
+                    expiresOn = Date.now() + parseInt(body.expires_in, 10) * 1000
+                }
+                else if (parseInt(body.expires_on, 10) > 0) {
+                    expiresOn = parseInt(body.expires_on, 10) * 1000
+                }
+
+                // Without the expiration time, the token couldn't be cached
+                if (expiresOn === null) {
+                    throw new Errors.RequestError('Could not obtain an access token (' + response.statusCode + '): the response does not contain the expiration time', {
+                        statusCode: response.statusCode
+                    })
+                }
+
+                return {
+                    token: body.access_token,
+                    expiresOn
+                }
+            })
+    }
+}
+
+// Resource (audience) of the tokens for Azure Storage
+TokenCredential.resource = 'https://storage.azure.com/'
+
+// Default authority host for the client credentials flow
+TokenCredential.defaultAuthorityHost = 'https://login.microsoftonline.com'
+
+// Default managed identity endpoint, and version of the API
+TokenCredential.defaultImdsEndpoint = 'http://169.254.169.254/metadata/identity/oauth2/token'
+TokenCredential.imdsApiVersion = '2018-02-01'
+
+// Tokens are refreshed when they expire in less than this time, in milliseconds
+TokenCredential.refreshMargin = 5 * 60 * 1000
+
+module.exports = TokenCredential
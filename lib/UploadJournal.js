@@ -0,0 +1,186 @@
+'use strict'
+
+const fs = require('fs')
+const _ = require('lodash')
+
+/**
+ * Journal of the blocks uploaded by StreamUpload, stored in a local file, used to resume uploads.
+ *
+ * The file contains one JSON object per line. The first line contains the parameters of the upload
+ * (blob name, block size, etc), which must not change when resuming; every other line is a block
+ * that was acknowledged by Azure Blob Storage, with its seqId, blockId, size and the MD5 hash of its data,
+ * so blocks whose data changed since they were uploaded can be detected.
+ */
+class UploadJournal {
+    /**
+     * Constructor
+     *
+     * @param {string} path - Path of the journal file
+     */
+    constructor(path) {
+        if (!path || !_.isString(path)) {
+            throw Error('Parameter path must be a non-empty string')
+        }
+
+        this._path = path
+        this._blocks = {}
+    }
+
+    /**
+     * Path of the journal file.
+     *
+     * This is a read-only value.
+     *
+     * @type {string}
+     */
+    get path() {
+        return this._path
+    }
+
+    /**
+     * Open the journal, reading the list of blocks if the file exists, or creating a new file.
+     *
+     * If the file exists, its parameters must match the ones passed; the `source` parameter, if any, describes
+     * the source data (e.g. size and modification time of the file), and is checked separately, so that the
+     * error says that the source changed.
+     *
+     * @param {Object} params - Parameters of the upload (e.g. blob name, block size); must be JSON-serializable
+     * @return {Promise} Promise that resolves when the journal is ready
+     */
+    open(params) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(this._path, 'utf8', (err, data) => {
+                if (err) {
+                    // If the file doesn't exist, create it
+                    if (err.code == 'ENOENT') {
+                        return fs.writeFile(this._path, JSON.stringify(params) + '\n', (err) => {
+                            if (err) {
+                                return reject(err)
+                            }
+                            resolve()
+                        })
+                    }
+                    return reject(err)
+                }
+
+                const lines = data.split('\n')
+
+                // First line contains the parameters
+                let header
+                try {
+                    header = JSON.parse(lines[0])
+                }
+                catch (e) {
+                    return reject(Error('Journal file ' + this._path + ' is not valid'))
+                }
+                if (!_.isEqual(_.omit(header, 'source'), _.omit(params, 'source'))) {
+                    return reject(Error('Journal file ' + this._path + ' belongs to a different upload or was created with different options'))
+                }
+                if (!_.isEqual(header.source || null, params.source || null)) {
+                    return reject(Error('Journal file ' + this._path + ' was created when the source had a different size or modification time; the upload can\'t be resumed'))
+                }
+
+                // Read all blocks
+                for (let i = 1; i < lines.length; i++) {
+                    let entry
+                    try {
+                        entry = JSON.parse(lines[i])
+                    }
+                    catch (e) {
+                        // Ignore empty or truncated lines, e.g. if the process was interrupted while writing
+                        continue
+                    }
+                    if (entry && _.isString(entry.seqId) && entry.blockId && entry.size >= 0) {
+                        this._blocks[entry.seqId + '/' + entry.blockId] = {size: entry.size, md5: entry.md5 || null}
+                    }
+                }
+
+                resolve()
+            })
+        })
+    }
+
+    /**
+     * List of the seqId's with at least one block in the journal.
+     *
+     * @return {string[]} List of seqId's
+     */
+    seqIds() {
+        return _.uniq(Object.keys(this._blocks).map((key) => key.substring(0, key.lastIndexOf('/'))))
+    }
+
+    /**
+     * Return the size of a block recorded in the journal.
+     *
+     * @param {string} seqId - Suffix of the blob the block belongs to
+     * @param {string} blockId - ID of the block
+     * @return {number|undefined} Size of the block, or undefined if the block is not in the journal
+     */
+    getBlockSize(seqId, blockId) {
+        const block = this._blocks[seqId + '/' + blockId]
+        return block ? block.size : undefined
+    }
+
+    /**
+     * Return the MD5 hash of the data of a block recorded in the journal.
+     *
+     * @param {string} seqId - Suffix of the blob the block belongs to
+     * @param {string} blockId - ID of the block
+     * @return {string|null|undefined} Base64-encoded MD5 hash of the block, null if it wasn't recorded, or undefined if the block is not in the journal
+     */
+    getBlockMd5(seqId, blockId) {
+        const block = this._blocks[seqId + '/' + blockId]
+        return block ? block.md5 : undefined
+    }
+
+    /**
+     * Remove a block from the list read from the journal (in memory only).
+     *
+     * @param {string} seqId - Suffix of the blob the block belongs to
+     * @param {string} blockId - ID of the block
+     */
+    forget(seqId, blockId) {
+        delete this._blocks[seqId + '/' + blockId]
+    }
+
+    /**
+     * Record that a block was uploaded.
+     *
+     * @param {string} seqId - Suffix of the blob the block belongs to
+     * @param {string} blockId - ID of the block
+     * @param {number} size - Size of the block, in bytes
+     * @param {string} md5 - Base64-encoded MD5 hash of the data of the block
+     * @return {Promise} Promise that resolves when the block has been written to the journal
+     */
+    record(seqId, blockId, size, md5) {
+        this._blocks[seqId + '/' + blockId] = {size, md5: md5 || null}
+
+        const line = JSON.stringify({seqId, blockId, size, md5}) + '\n'
+        return new Promise((resolve, reject) => {
+            fs.appendFile(this._path, line, (err) => {
+                if (err) {
+                    return reject(err)
+                }
+                resolve()
+            })
+        })
+    }
+
+    /**
+     * Delete the journal file, once the upload has completed.
+     *
+     * @return {Promise} Promise that resolves when the file has been deleted
+     */
+    remove() {
+        return new Promise((resolve, reject) => {
+            fs.unlink(this._path, (err) => {
+                if (err && err.code != 'ENOENT') {
+                    return reject(err)
+                }
+                resolve()
+            })
+        })
+    }
+}
+
+module.exports = UploadJournal
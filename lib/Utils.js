@@ -1,5 +1,7 @@
 'use strict'
 
+const url = require('url')
+
 module.exports = {
     /**
      * Sort an object by key.
@@ -28,5 +30,264 @@ module.exports = {
         const pad = '0'.repeat(length - str.length)
 
         return pad + str
+    },
+
+    /**
+     * Format a number of bytes in a human-readable way (e.g. "1.5 MB"), using binary units
+     *
+     * @param {number} bytes - Number of bytes
+     * @return {string} Formatted value
+     */
+    formatBytes: (bytes) => {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB']
+        let i = 0
+        while (bytes >= 1024 && i < units.length - 1) {
+            bytes /= 1024
+            i++
+        }
+
+        return (i ? bytes.toFixed(1) : bytes) + ' ' + units[i]
+    },
+
+    /**
+     * Parse a number of bytes with an optional binary unit (e.g. "512K", "20M", "1.5GB")
+     *
+     * @param {string|number} str - Value to parse
+     * @return {number|null} Number of bytes (rounded down), or null if the value is not valid
+     */
+    parseBytes: (str) => {
+        const match = (str + '').trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)(?:i?B)?$/i)
+        if (!match) {
+            return null
+        }
+        const exponent = ['', 'K', 'M', 'G', 'T'].indexOf(match[2].toUpperCase())
+
+        return Math.floor(parseFloat(match[1]) * Math.pow(1024, exponent))
+    },
+
+    /**
+     * Format a duration in a human-readable way (e.g. "1h 2m 3s")
+     *
+     * @param {number} seconds - Duration in seconds
+     * @return {string} Formatted value
+     */
+    formatDuration: (seconds) => {
+        seconds = Math.round(seconds)
+        const h = Math.floor(seconds / 3600)
+        const m = Math.floor((seconds % 3600) / 60)
+        const s = seconds % 60
+
+        if (h) {
+            return h + 'h ' + m + 'm ' + s + 's'
+        }
+        if (m) {
+            return m + 'm ' + s + 's'
+        }
+        return s + 's'
+    },
+
+    /**
+     * Check if a string is a valid resource name for a blob in Azure Blob Storage,
+     * in the format /container/path/to/blob
+     *
+     * @param {string} blob - Name of the blob (starting with /)
+     * @return {boolean} True if the name is valid
+     */
+    isValidBlobName: (blob) => {
+        return !!(blob && typeof blob == 'string' && blob.match(/\/(\$root|[a-z0-9](([a-z0-9-])){1,61}[a-z0-9])\/(.*){1,1024}/))
+    },
+
+    /**
+     * Check if a string is a valid name for a container
+     *
+     * @param {string} container - Name of the container (without slashes)
+     * @return {boolean} True if the name is valid
+     */
+    isValidContainerName: (container) => {
+        return !!(container && typeof container == 'string' && container.match(/^(\$root|[a-z0-9](([a-z0-9-])){1,61}[a-z0-9])$/))
+    },
+
+    /**
+     * Validate the authentication data passed to the objects that access Azure Blob Storage.
+     * Throws an exception if the data is not valid.
+     *
+     * @param {Object} authData - Authentication data
+     * @param {string} authData.storageAccountName - Name of the Azure Storage Account (required)
+     * @param {string} authData.storageAccountKey - Key of the Azure Storage Account (required if `storageAccountSasToken` is not set)
+     * @param {string} authData.storageAccountSasToken - SAS token (required if `storageAccountKey` is not set)
+     * @param {TokenCredential} authData.tokenCredential - Object that returns OAuth access tokens (alternative to `storageAccountKey` and `storageAccountSasToken`)
+     */
+    validateAuthData: (authData) => {
+        if (!authData ||
+            !authData.storageAccountName ||
+            !authData.storageAccountName.match(/^[a-z0-9]{3,24}$/)) {
+            throw Error('Storage account name is empty or not valid')
+        }
+
+        const hasValidStorageAccountKey = !!(authData.storageAccountKey &&
+            authData.storageAccountKey.match(/^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/))
+        const hasValidStorageAccountSasToken = !!(authData.storageAccountSasToken &&
+            authData.storageAccountSasToken.match(/^(\?|&)?(\w+(=[\w-%:]*)?(&\w+(=[\w-%:.]*)?)*)?$/))
+        const hasTokenCredential = !!(authData.tokenCredential && typeof authData.tokenCredential.getToken == 'function')
+        const count = [hasValidStorageAccountKey, hasValidStorageAccountSasToken, hasTokenCredential].filter((el) => el).length
+        if (count != 1) {
+            throw Error('Either one of storage account key or SAS token, or a token credential, must be set and valid')
+        }
+    },
+
+    /**
+     * Check if a string can be used as the value of a HTTP header sent to Azure Blob Storage:
+     * it must contain printable ASCII characters only, and no leading or trailing whitespace
+     *
+     * @param {string} value - Value of the header
+     * @return {boolean} True if the value is valid
+     */
+    isValidHeaderValue: (value) => {
+        return !!(value && typeof value == 'string' && value.match(/^[\x21-\x7E]([\x20-\x7E]*[\x21-\x7E])?$/))
+    },
+
+    /**
+     * Check if a string is a valid name for metadata of a blob, which must be a valid C# identifier
+     *
+     * @param {string} name - Name of the metadata (without the "x-ms-meta-" prefix)
+     * @return {boolean} True if the name is valid
+     */
+    isValidMetadataName: (name) => {
+        return !!(name && typeof name == 'string' && name.match(/^[A-Za-z_][A-Za-z0-9_]*$/))
+    },
+
+    /**
+     * Check if a string is a valid version of the Azure Storage REST API, in the format YYYY-MM-DD
+     *
+     * @param {string} version - Version of the API
+     * @return {boolean} True if the version is valid
+     */
+    isValidApiVersion: (version) => {
+        return !!(version && typeof version == 'string' && version.match(/^\d{4}-\d{2}-\d{2}$/))
+    },
+
+    /**
+     * Check if a string is a valid URL for the Blob service: a http or https URL, without querystring
+     *
+     * @param {string} endpoint - URL of the Blob service (e.g. "https://account.blob.core.windows.net")
+     * @return {boolean} True if the URL is valid
+     */
+    isValidBlobEndpoint: (endpoint) => {
+        return !!(endpoint && typeof endpoint == 'string' && endpoint.match(/^https?:\/\/[^/?#]+(\/[^?#]*)?$/))
+    },
+
+    /**
+     * Return the path of the URL of the Blob service, without trailing slashes. This is empty for
+     * host-style URLs (e.g. "https://account.blob.core.windows.net"), while for path-style URLs
+     * it contains the account name (e.g. "/devstoreaccount1" for "http://127.0.0.1:10000/devstoreaccount1")
+     *
+     * @param {string} endpoint - URL of the Blob service
+     * @return {string} Path of the URL
+     */
+    blobEndpointPath: (endpoint) => {
+        return (url.parse(endpoint).pathname || '').replace(/\/+$/, '')
+    },
+
+    /**
+     * Convert a glob pattern to a regular expression that matches paths separated by "/".
+     *
+     * Supported syntax: `*` (any characters except "/"), `**` (any characters, including "/"; `**` followed
+     * by a slash matches zero or more directories), `?` (one character except "/"), `[abc]` and `[!abc]`
+     * (character classes) and `{a,b}` (alternatives). Leading and trailing slashes are ignored.
+     *
+     * @param {string} pattern - Glob pattern
+     * @return {RegExp} Regular expression matching the entire path
+     */
+    globToRegExp: (pattern) => {
+        if (!pattern || typeof pattern != 'string') {
+            throw Error('Glob pattern must be a non-empty string')
+        }
+        pattern = pattern.replace(/^\/+|\/+$/g, '')
+
+        let result = ''
+        let braces = 0
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i]
+            switch (char) {
+                case '*':
+                    if (pattern[i + 1] == '*') {
+                        // "**/" matches zero or more directories, and "**" anything
+                        if (pattern[i + 2] == '/') {
+                            result += '(?:.*/)?'
+                            i += 2
+                        }
+                        else {
+                            result += '.*'
+                            i++
+                        }
+                    }
+                    else {
+                        result += '[^/]*'
+                    }
+                    break
+                case '?':
+                    result += '[^/]'
+                    break
+                case '[': {
+                    const end = pattern.indexOf(']', i + 2)
+                    if (end < 0) {
+                        result += '\\['
+                        break
+                    }
+                    let chars = pattern.substring(i + 1, end)
+                    const negate = chars[0] == '!' || chars[0] == '^'
+                    if (negate) {
+                        chars = chars.substr(1)
+                    }
+                    result += '[' + (negate ? '^/' : '') + chars.replace(/[\\\]^]/g, '\\$&') + ']'
+                    i = end
+                    break
+                }
+                case '{':
+                    result += '(?:'
+                    braces++
+                    break
+                case '}':
+                    result += braces ? ')' : '\\}'
+                    braces = Math.max(0, braces - 1)
+                    break
+                case ',':
+                    result += braces ? '|' : ','
+                    break
+                default:
+                    result += char.replace(/[.+^$()|\\]/g, '\\$&')
+                    break
+            }
+        }
+        if (braces) {
+            throw Error('Glob pattern has unbalanced braces: ' + pattern)
+        }
+
+        return new RegExp('^' + result + '$')
+    },
+
+    /**
+     * Invoke an asynchronous function for each item of a list, with at most `concurrency` invocations
+     * running at once.
+     *
+     * @param {Array} items - List of items
+     * @param {number} concurrency - Maximum number of invocations running at once
+     * @param {Function} fn - Function invoked with each item; it must return a Promise
+     * @return {Promise} Promise resolving when all invocations are completed, or rejected as soon as one of them fails
+     */
+    forEachConcurrent: (items, concurrency, fn) => {
+        const queue = items.slice()
+        const worker = () => {
+            if (!queue.length) {
+                return Promise.resolve()
+            }
+            return fn(queue.shift()).then(worker)
+        }
+
+        const workers = []
+        for (let i = 0; i < Math.min(concurrency, queue.length); i++) {
+            workers.push(worker())
+        }
+        return Promise.all(workers)
     }
 }
@@ -62,3 +62,159 @@ describe('Authorization', function() {
         }, /key and sasToken/i)
     })
 })
+
+describe('Authorization signatures', function() {
+    // Known-good signatures were computed offline with the official Azure Storage SDK, using these credentials
+    const storageAccountName = 'azbaktest'
+    const storageAccountKey = Buffer.from('azbak-test-key').toString('base64')
+    const date = new Date('2026-10-19T10:00:00Z')
+
+    const sign = (auth) => {
+        auth.setStorageAccount(storageAccountName, storageAccountKey)
+        return auth.requestHeaders().Authorization
+    }
+
+    it('Put Block', function() {
+        const auth = new Authorization('PUT', '/container/test.jpg.000', {
+            contentMD5: 'Q2hlY2sgSW50ZWdyaXR5IQ==',
+            contentType: 'application/octet-stream',
+            contentLength: 10240,
+            qs: {
+                comp: 'block',
+                blockid: 'MDAwMDE='
+            },
+            date
+        })
+        assert.equal(sign(auth), 'SharedKey azbaktest:0h/v5O40vK0xYRPzJeqWme8amsLxRLyggk1cHgqdSKw=')
+    })
+
+    it('Put Block List with custom headers', function() {
+        const auth = new Authorization('PUT', '/container/test.jpg', {
+            contentType: 'application/octet-stream',
+            contentLength: 120,
+            qs: {
+                comp: 'blocklist'
+            },
+            date
+        })
+        auth.addCustomHeader('x-ms-meta-host', 'db01')
+        auth.addCustomHeader('X-Ms-Blob-Content-Type', 'image/jpeg')
+        auth.addCustomHeader('x-ms-access-tier', 'Cool')
+        assert.equal(sign(auth), 'SharedKey azbaktest:FmOAioK4TNHFXPwmK4At76zVKpIg7u9K/vSwMYjUz6w=')
+    })
+
+    it('standard headers and sorted querystring', function() {
+        const auth = new Authorization('GET', '/container/test.jpg', {
+            headers: {
+                'If-Match': '"0x8D4BCC2E4835CD0"',
+                'Range': 'bytes=0-1023'
+            },
+            qs: {
+                comp: 'blocklist',
+                blocklisttype: 'uncommitted'
+            },
+            date
+        })
+        assert.equal(sign(auth), 'SharedKey azbaktest:YFQcHOcLoUWLaW/YX5XTpLtDQd/ZAdxWQOfFABSxuUs=')
+        assert.equal(auth.requestHeaders()['range'], 'bytes=0-1023')
+
+        assert.throws(() => {
+            new Authorization('GET', '/container/test.jpg', {
+                headers: {'Authorization': 'foo'}
+            })
+        }, /not a standard header/)
+    })
+
+    it('requests without body', function() {
+        const auth = new Authorization('HEAD', '/container/test.jpg', {date})
+        assert.equal(sign(auth), 'SharedKey azbaktest:kZZhgLinCyiWQ0HDgfOqAruEASRgeMHJDk0TH0QmY7I=')
+    })
+
+    it('canonicalized querystring', function() {
+        assert.equal(Authorization.canonicalizeQuerystring({}), '')
+        assert.equal(
+            Authorization.canonicalizeQuerystring({restype: 'container', Comp: 'list', include: ['snapshots', 'metadata']}),
+            '\ncomp:list\ninclude:metadata,snapshots\nrestype:container'
+        )
+    })
+
+    it('SharedKeyLite', function() {
+        const auth = new Authorization('PUT', '/container/test.jpg', {
+            contentType: 'application/octet-stream',
+            qs: {
+                comp: 'block',
+                blockid: 'MDAwMDE='
+            },
+            keyType: 'SharedKeyLite',
+            date
+        })
+        auth.setStorageAccount(storageAccountName, storageAccountKey)
+
+        // Only the "comp" parameter is part of the resource
+        assert.equal(auth.stringToSign(), [
+            'PUT',
+            '',
+            'application/octet-stream',
+            '',
+            'x-ms-date:Mon, 19 Oct 2026 10:00:00 GMT',
+            'x-ms-version:' + Authorization.apiVersion,
+            '/azbaktest/container/test.jpg?comp=block'
+        ].join('\n'))
+        assert.ok(auth.requestHeaders().Authorization.startsWith('SharedKeyLite azbaktest:'))
+    })
+
+    it('path-style URLs', function() {
+        // The path of the service, including the account name, is part of the canonicalized resource
+        const auth = new Authorization('GET', '/container/test.jpg', {
+            qs: {comp: 'metadata'},
+            basePath: '/azbaktest/',
+            date
+        })
+        auth.setStorageAccount(storageAccountName, storageAccountKey)
+        assert.ok(auth.stringToSign().endsWith('\n/azbaktest/azbaktest/container/test.jpg\ncomp:metadata'))
+
+        assert.throws(() => {
+            new Authorization('GET', '/container/test.jpg', {basePath: 'azbaktest'})
+        }, /Base path/)
+    })
+
+    it('API version', function() {
+        const auth = new Authorization('GET', '/container/test.jpg', {apiVersion: '2021-08-06'})
+        assert.equal(auth.apiVersion, '2021-08-06')
+        assert.equal(auth.headers['x-ms-version'], '2021-08-06')
+        assert.equal(new Authorization('GET', '/container/test.jpg').apiVersion, Authorization.apiVersion)
+
+        assert.throws(() => {
+            new Authorization('GET', '/container/test.jpg', {apiVersion: 'latest'})
+        }, /API version/)
+    })
+})
+
+describe('Authorization with bearer tokens', function() {
+    it('setBearerToken', function() {
+        const auth = new Authorization('PUT', '/container/test.jpg', {qs: {comp: 'block', blockid: 'YmxvY2sx'}})
+        auth.setBearerToken('azbaktest', 'eyJ0eXAi.token')
+
+        assert.strictEqual(auth.generateSignature(), null)
+        assert.equal(auth.requestHeaders().Authorization, 'Bearer eyJ0eXAi.token')
+        assert.deepEqual(auth.querystring(), {comp: 'block', blockid: 'YmxvY2sx'})
+
+        assert.throws(() => {
+            auth.setBearerToken('azbaktest', '')
+        }, /token must be a non-empty string/)
+    })
+
+    it('setAuthData with a token credential', function() {
+        const auth = new Authorization('GET', '/container/test.jpg')
+        const authData = {
+            storageAccountName: 'azbaktest',
+            tokenCredential: {
+                getToken: () => Promise.resolve('eyJ0eXAi.token')
+            }
+        }
+
+        return auth.setAuthData(authData).then(() => {
+            assert.equal(auth.requestHeaders().Authorization, 'Bearer eyJ0eXAi.token')
+        })
+    })
+})
@@ -0,0 +1,97 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const stream = require('stream')
+
+const BlockReader = require('../lib/BlockReader')
+
+describe('BlockReader', function() {
+    const sourcePath = './test/assets/unsplash1.jpg'
+    const source = fs.readFileSync(sourcePath)
+
+    // Read all blocks, reusing the same buffer
+    const readAll = (reader, blockSize) => {
+        const buffer = Buffer.alloc(blockSize)
+        const blocks = []
+        const next = () => reader.read(buffer)
+            .then((length) => {
+                if (!length) {
+                    return blocks
+                }
+                blocks.push(Buffer.from(buffer.slice(0, length)))
+                return next()
+            })
+        return next()
+    }
+
+    it('constructor', function() {
+        assert.throws(() => {
+            new BlockReader({})
+        }, /readable stream/)
+        assert.throws(() => {
+            new BlockReader('')
+        }, /non-empty/)
+    })
+
+    it('read from a stream', function() {
+        // Chunks of the stream don't match the blocks
+        const input = new stream.PassThrough({highWaterMark: 1000})
+        const reader = new BlockReader(input)
+        let offset = 0
+        const write = () => {
+            while (offset < source.length) {
+                const chunk = source.slice(offset, offset + 3000)
+                offset += chunk.length
+                if (!input.write(chunk)) {
+                    return input.once('drain', write)
+                }
+            }
+            input.end()
+        }
+        write()
+
+        return readAll(reader, 10 * 1024)
+            .then((blocks) => {
+                assert.equal(blocks.length, Math.ceil(source.length / (10 * 1024)))
+                assert.ok(Buffer.concat(blocks).equals(source))
+                for (let i = 0; i < blocks.length - 1; i++) {
+                    assert.equal(blocks[i].length, 10 * 1024)
+                }
+            })
+    })
+
+    it('read from a file by offset', function() {
+        const reader = new BlockReader(sourcePath, {start: 20 * 1024})
+        return readAll(reader, 10 * 1024)
+            .then((blocks) => {
+                assert.ok(Buffer.concat(blocks).equals(source.slice(20 * 1024)))
+
+                // The file is closed at the end
+                assert.strictEqual(reader._fd, null)
+            })
+    })
+
+    it('errors', function() {
+        const input = new stream.PassThrough()
+        const reader = new BlockReader(input)
+        const result = reader.read(Buffer.alloc(1024))
+        input.emit('error', new Error('Simulated failure'))
+
+        return result
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/Simulated failure/))
+                return new BlockReader('/nonexistent/file').read(Buffer.alloc(1024))
+            })
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.equal(err.code, 'ENOENT')
+            })
+    })
+})
@@ -0,0 +1,62 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+
+const BufferPool = require('../lib/BufferPool')
+
+describe('BufferPool', function() {
+    it('constructor', function() {
+        const pool = new BufferPool(1024, 2)
+        assert.equal(pool.size, 1024)
+        assert.equal(pool.count, 2)
+        assert.equal(pool.allocated, 0)
+
+        assert.throws(() => {
+            new BufferPool(0, 2)
+        }, /size/)
+        assert.throws(() => {
+            new BufferPool(1024, 1.5)
+        }, /count/)
+    })
+
+    it('buffers are reused, and requests wait for a free buffer', function() {
+        const pool = new BufferPool(1024, 2)
+        let third = null
+
+        return Promise.all([pool.acquire(), pool.acquire()])
+            .then((buffers) => {
+                assert.equal(buffers[0].length, 1024)
+                assert.notStrictEqual(buffers[0], buffers[1])
+                assert.equal(pool.allocated, 2)
+                assert.equal(pool.inUse, 2)
+
+                // The third request waits until a buffer is released
+                let resolved = false
+                third = pool.acquire()
+                    .then((buffer) => {
+                        resolved = true
+                        return buffer
+                    })
+                return new Promise((resolve) => setTimeout(resolve, 10))
+                    .then(() => {
+                        assert.ok(!resolved)
+                        pool.release(buffers[1])
+                        return third
+                    })
+                    .then((buffer) => {
+                        assert.strictEqual(buffer, buffers[1])
+                        assert.equal(pool.allocated, 2)
+
+                        assert.throws(() => {
+                            pool.release(Buffer.alloc(10))
+                        }, /does not belong/)
+                        pool.release(buffer)
+                        pool.release(buffers[0])
+                        assert.equal(pool.inUse, 0)
+                    })
+            })
+    })
+})
@@ -0,0 +1,81 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const zlib = require('zlib')
+
+const Compression = require('../lib/Compression')
+
+describe('Compression', function() {
+    // Pipe data through a transform stream and collect the result
+    const transform = (stream, data) => {
+        return new Promise((resolve, reject) => {
+            const chunks = []
+            stream.on('data', (chunk) => chunks.push(chunk))
+            stream.on('error', reject)
+            stream.on('end', () => resolve(Buffer.concat(chunks)))
+            stream.end(data)
+        })
+    }
+
+    it('validate', function() {
+        assert.deepEqual(Compression.algorithms, ['gzip', 'brotli', 'zstd'])
+
+        Compression.validate('gzip')
+        Compression.validate('gzip', 9)
+
+        assert.throws(() => {
+            Compression.validate('lzma')
+        }, /must be one of/)
+        assert.throws(() => {
+            Compression.validate('gzip', 10)
+        }, /between 0 and 9/)
+        assert.throws(() => {
+            Compression.validate('gzip', 1.5)
+        }, /between 0 and 9/)
+
+        if (typeof zlib.createZstdCompress != 'function') {
+            assert.throws(() => {
+                Compression.validate('zstd')
+            }, /not supported/)
+        }
+    })
+
+    it('contentEncoding', function() {
+        assert.equal(Compression.contentEncoding('gzip'), 'gzip')
+        if (typeof zlib.createBrotliCompress == 'function') {
+            assert.equal(Compression.contentEncoding('brotli'), 'br')
+        }
+    })
+
+    it('compress and decompress', function() {
+        // Compressible data
+        const data = Buffer.from(crypto.randomBytes(1000).toString('hex').repeat(50))
+
+        // Test all algorithms supported by this version of Node.js
+        const supported = Compression.algorithms.filter((algorithm) => {
+            try {
+                Compression.validate(algorithm)
+                return true
+            }
+            catch (e) {
+                return false
+            }
+        })
+        assert.ok(supported.indexOf('gzip') >= 0)
+
+        return Promise.all(supported.map((algorithm) => {
+            return transform(Compression.createCompressStream(algorithm, 1), data)
+                .then((compressed) => {
+                    assert.ok(compressed.length < data.length)
+                    return transform(Compression.createDecompressStream(algorithm), compressed)
+                })
+                .then((decompressed) => {
+                    assert.ok(decompressed.equals(data))
+                })
+        }))
+    })
+})
@@ -0,0 +1,74 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+
+const ConnectionString = require('../lib/ConnectionString')
+
+describe('ConnectionString', function() {
+    const key = Buffer.from('azbak-test-key').toString('base64')
+
+    it('account name and key', function() {
+        assert.deepEqual(ConnectionString.parse('DefaultEndpointsProtocol=https;AccountName=azbaktest;AccountKey=' + key + ';EndpointSuffix=core.windows.net'), {
+            authData: {
+                storageAccountName: 'azbaktest',
+                storageAccountKey: key
+            },
+            blobEndpoint: 'https://azbaktest.blob.core.windows.net'
+        })
+
+        // Protocol and suffix
+        assert.equal(ConnectionString.parse('AccountName=azbaktest;AccountKey=' + key).blobEndpoint, 'https://azbaktest.blob.core.windows.net')
+        assert.equal(ConnectionString.parse('DefaultEndpointsProtocol=http;AccountName=azbaktest;AccountKey=' + key + ';EndpointSuffix=core.chinacloudapi.cn;').blobEndpoint, 'http://azbaktest.blob.core.chinacloudapi.cn')
+    })
+
+    it('blob endpoint and SAS token', function() {
+        // Account name from the hostname
+        assert.deepEqual(ConnectionString.parse('BlobEndpoint=https://azbaktest.blob.core.windows.net/;QueueEndpoint=https://azbaktest.queue.core.windows.net/;SharedAccessSignature=sv=2019-02-02&sp=rw&sig=abc%3D'), {
+            authData: {
+                storageAccountName: 'azbaktest',
+                storageAccountSasToken: 'sv=2019-02-02&sp=rw&sig=abc%3D'
+            },
+            blobEndpoint: 'https://azbaktest.blob.core.windows.net'
+        })
+
+        // Path-style URLs, such as for private endpoints or emulators
+        assert.deepEqual(ConnectionString.parse('BlobEndpoint=http://10.0.0.5:10000/azbaktest;AccountKey=' + key), {
+            authData: {
+                storageAccountName: 'azbaktest',
+                storageAccountKey: key
+            },
+            blobEndpoint: 'http://10.0.0.5:10000/azbaktest'
+        })
+    })
+
+    it('development storage', function() {
+        const parsed = ConnectionString.parse('UseDevelopmentStorage=true')
+        assert.equal(parsed.authData.storageAccountName, 'devstoreaccount1')
+        assert.ok(parsed.authData.storageAccountKey.startsWith('Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2U'))
+        assert.equal(parsed.blobEndpoint, 'http://127.0.0.1:10000/devstoreaccount1')
+    })
+
+    it('errors', function() {
+        assert.throws(() => {
+            ConnectionString.parse('')
+        }, /non-empty string/)
+        assert.throws(() => {
+            ConnectionString.parse('AccountName')
+        }, /key=value pairs/)
+        assert.throws(() => {
+            ConnectionString.parse('AccountKey=' + key)
+        }, /AccountName or BlobEndpoint/)
+        assert.throws(() => {
+            ConnectionString.parse('DefaultEndpointsProtocol=ftp;AccountName=azbaktest')
+        }, /https or http/)
+        assert.throws(() => {
+            ConnectionString.parse('BlobEndpoint=azbaktest.blob.core.windows.net;AccountName=azbaktest')
+        }, /http or https URL/)
+        assert.throws(() => {
+            ConnectionString.parse('BlobEndpoint=http://127.0.0.1:10000/;AccountKey=' + key)
+        }, /must contain AccountName/)
+    })
+})
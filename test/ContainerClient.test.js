@@ -0,0 +1,293 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const http = require('http')
+const url = require('url')
+
+const ContainerClient = require('../lib/ContainerClient')
+const RetryPolicy = require('../lib/RetryPolicy')
+
+describe('ContainerClient', function() {
+    // These tests do not access Azure Blob Storage, so they use fake credentials
+    const credentials = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+
+    // Build the XML response of List Blobs
+    const listXml = (names, nextMarker) => {
+        const blobs = names.map((name) => '<Blob><Name>' + name + '</Name><Properties>' +
+            '<Last-Modified>Mon, 19 Oct 2026 10:00:00 GMT</Last-Modified><Content-Length>10</Content-Length>' +
+            '</Properties><Metadata /></Blob>')
+        return '<?xml version="1.0" encoding="utf-8"?><EnumerationResults ContainerName="container"><Blobs>' +
+            blobs.join('') + '</Blobs><NextMarker>' + (nextMarker || '') + '</NextMarker></EnumerationResults>'
+    }
+
+    it('constructor', function() {
+        assert.throws(() => {
+            new ContainerClient('/container', credentials)
+        }, /container/)
+        assert.throws(() => {
+            new ContainerClient('container', {})
+        }, /Storage account name/)
+
+        const client = new ContainerClient('container', credentials)
+        assert.equal(client.containerUrl, 'https://azbaktest.blob.core.windows.net/container')
+        client.blobEndpoint = 'http://127.0.0.1:10000/devstoreaccount1/'
+        assert.equal(client.containerUrl, 'http://127.0.0.1:10000/devstoreaccount1/container')
+    })
+
+    it('parseListBlobs', function() {
+        const xml = `<?xml version="1.0" encoding="utf-8"?>
+            <EnumerationResults ServiceEndpoint="https://azbaktest.blob.core.windows.net/" ContainerName="container">
+                <Prefix>bak/</Prefix>
+                <Blobs>
+                    <Blob>
+                        <Name>bak/R&amp;D &#233;t&#xE9;.tar.000</Name>
+                        <Properties>
+                            <Creation-Time>Sun, 18 Oct 2026 10:00:00 GMT</Creation-Time>
+                            <Last-Modified>Mon, 19 Oct 2026 10:00:00 GMT</Last-Modified>
+                            <Etag>0x8D8740C8F6C6B8A</Etag>
+                            <Content-Length>1048576</Content-Length>
+                            <Content-Type>application/x-tar</Content-Type>
+                            <Content-Encoding />
+                            <Content-MD5 />
+                            <BlobType>BlockBlob</BlobType>
+                            <AccessTier>Cool</AccessTier>
+                        </Properties>
+                        <Metadata>
+                            <azbak_sha256>abc</azbak_sha256>
+                            <Host>db01</Host>
+                        </Metadata>
+                    </Blob>
+                    <Blob>
+                        <Name>bak/file.txt</Name>
+                        <Properties>
+                            <Last-Modified>Mon, 19 Oct 2026 11:00:00 GMT</Last-Modified>
+                            <Content-Length>3</Content-Length>
+                            <Content-MD5>rL0Y20zC+Fzt72VPzMSk2A==</Content-MD5>
+                        </Properties>
+                    </Blob>
+                    <BlobPrefix><Name>bak/logs/</Name></BlobPrefix>
+                </Blobs>
+                <NextMarker>2!88!MDAw</NextMarker>
+            </EnumerationResults>`
+
+        const result = ContainerClient.parseListBlobs(xml)
+        assert.equal(result.nextMarker, '2!88!MDAw')
+        assert.deepEqual(result.prefixes, ['bak/logs/'])
+        assert.equal(result.blobs.length, 2)
+        assert.deepEqual(result.blobs[0], {
+            name: 'bak/R&D été.tar.000',
+            size: 1048576,
+            lastModified: new Date('2026-10-19T10:00:00Z'),
+            creationTime: new Date('2026-10-18T10:00:00Z'),
+            etag: '0x8D8740C8F6C6B8A',
+            contentType: 'application/x-tar',
+            contentMD5: null,
+            blobType: 'BlockBlob',
+            tier: 'Cool',
+            snapshot: null,
+            metadata: {azbak_sha256: 'abc', host: 'db01'}
+        })
+        assert.equal(result.blobs[1].contentMD5, 'rL0Y20zC+Fzt72VPzMSk2A==')
+        assert.equal(result.blobs[1].creationTime, null)
+        assert.deepEqual(result.blobs[1].metadata, {})
+
+        // Last page
+        assert.equal(ContainerClient.parseListBlobs(listXml([])).nextMarker, null)
+    })
+
+    it('parseBlobName', function() {
+        assert.deepEqual(ContainerClient.parseBlobName('bak/db.sql.000'), {backup: 'bak/db.sql', seqId: '.000', manifest: false})
+        assert.deepEqual(ContainerClient.parseBlobName('bak/db.sql.manifest.json'), {backup: 'bak/db.sql', seqId: null, manifest: true})
+        assert.deepEqual(ContainerClient.parseBlobName('bak/db.sql'), {backup: 'bak/db.sql', seqId: '', manifest: false})
+    })
+
+    it('groupBackups', function() {
+        const blob = (name, size, tier, lastModified) => {
+            return {name, size, tier, lastModified: new Date(lastModified), creationTime: null, metadata: {part: name}}
+        }
+        const backups = ContainerClient.groupBackups([
+            blob('db/a.sql.000', 100, 'Cool', '2026-10-19T10:00:00Z'),
+            blob('db/a.sql.001', 50, 'Cool', '2026-10-19T10:05:00Z'),
+            blob('db/a.sql.manifest.json', 900, 'Hot', '2026-10-19T10:06:00Z'),
+            blob('db/b.sql', 12, 'Hot', '2026-10-18T10:00:00Z'),
+            blob('db/c.sql.000', 10, 'Cool', '2026-10-18T10:00:00Z'),
+            blob('db/c.sql.001', 10, 'Archive', '2026-10-18T10:00:00Z')
+        ])
+
+        assert.deepEqual(backups.map((b) => [b.name, b.parts, b.size, b.tier, b.manifest, b.blobs.length]), [
+            ['db/a.sql', 2, 150, 'Cool', true, 3],
+            ['db/b.sql', 1, 12, 'Hot', false, 1],
+            ['db/c.sql', 2, 20, 'Mixed', false, 2]
+        ])
+
+        // The manifest is not a part
+        assert.deepEqual(backups[0].lastModified, new Date('2026-10-19T10:05:00Z'))
+        assert.deepEqual(backups[0].metadata, {part: 'db/a.sql.000'})
+    })
+
+    it('listBlobs follows all pages, and deleteBlob', function(done) {
+        // Local server returning two pages
+        const requests = []
+        const server = http.createServer((req, res) => {
+            requests.push(req)
+            const query = url.parse(req.url, true).query
+            if (req.method == 'DELETE') {
+                res.writeHead(req.url.indexOf('missing') >= 0 ? 404 : 202)
+                res.end()
+                return
+            }
+            res.writeHead(200, {'Content-Type': 'application/xml'})
+            res.end(query.marker ? listXml(['bak/c']) : listXml(['bak/a', 'bak/b'], 'page2'))
+        })
+        server.listen(0, '127.0.0.1', () => {
+            const client = new ContainerClient('container', credentials)
+            client.blobEndpoint = 'http://127.0.0.1:' + server.address().port
+
+            client.listBlobs({prefix: 'bak/', include: ['metadata']})
+                .then((result) => {
+                    assert.deepEqual(result.blobs.map((b) => b.name), ['bak/a', 'bak/b', 'bak/c'])
+                    assert.equal(requests.length, 2)
+                    const first = url.parse(requests[0].url, true)
+                    assert.equal(first.pathname, '/container')
+                    assert.deepEqual(first.query, {restype: 'container', comp: 'list', prefix: 'bak/', include: 'metadata'})
+                    assert.equal(url.parse(requests[1].url, true).query.marker, 'page2')
+                    assert.ok(requests[0].headers.authorization.startsWith('SharedKey azbaktest:'))
+
+                    return client.deleteBlob('bak/a')
+                })
+                .then((deleted) => {
+                    assert.strictEqual(deleted, true)
+                    assert.equal(requests[2].method, 'DELETE')
+                    assert.equal(requests[2].url, '/container/bak/a')
+
+                    return client.deleteBlob('bak/missing')
+                })
+                .then((deleted) => {
+                    assert.strictEqual(deleted, false)
+                })
+                .then(() => server.close(done), (err) => server.close(() => done(err)))
+        })
+    })
+
+    it('requests are retried with the retry policy', function(done) {
+        // Local server failing the first request of each kind
+        const requests = []
+        const server = http.createServer((req, res) => {
+            requests.push(req)
+            if (requests.filter((r) => r.method == req.method).length == 1) {
+                res.writeHead(503)
+                res.end()
+                return
+            }
+            res.writeHead(req.method == 'DELETE' ? 202 : 200, {'Content-Type': 'application/xml'})
+            res.end(req.method == 'DELETE' ? '' : listXml(['bak/a']))
+        })
+        server.listen(0, '127.0.0.1', () => {
+            const client = new ContainerClient('container', credentials)
+            client.blobEndpoint = 'http://127.0.0.1:' + server.address().port
+            assert.ok(client.retryPolicy instanceof RetryPolicy)
+            assert.throws(() => {
+                client.retryPolicy = null
+            }, /RetryPolicy object/)
+            client.retryPolicy = new RetryPolicy({baseDelay: 10, jitter: 0})
+
+            client.listBlobsPage({prefix: 'bak/'})
+                .then((page) => {
+                    assert.deepEqual(page.blobs.map((b) => b.name), ['bak/a'])
+                    assert.equal(requests.length, 2)
+
+                    return client.deleteBlob('bak/a')
+                })
+                .then((deleted) => {
+                    assert.strictEqual(deleted, true)
+                    assert.equal(requests.length, 4)
+
+                    // With a single attempt, the failure is returned
+                    client.retryPolicy = new RetryPolicy({maxAttempts: 1})
+                    requests.length = 0
+                    return client.listBlobsPage({})
+                })
+                .then(() => {
+                    assert.fail('Should have thrown')
+                }, (err) => {
+                    assert.equal(err.statusCode, 503)
+                    assert.equal(requests.length, 1)
+                })
+                .then(() => server.close(done), (err) => server.close(() => done(err)))
+        })
+    })
+
+    it('findBackup and deleteBackup', function(done) {
+        // Local server listing a backup with two parts, a manifest and a snapshot, plus another backup with the same prefix
+        const requests = []
+        const failing = []
+        const server = http.createServer((req, res) => {
+            requests.push(req)
+            if (req.method == 'DELETE') {
+                if (failing.indexOf(req.url) >= 0) {
+                    res.writeHead(409, 'This operation is not permitted because the blob has snapshots.')
+                }
+                else {
+                    res.writeHead(202)
+                }
+                res.end()
+                return
+            }
+            const xml = listXml(['bak/db.sql.000', 'bak/db.sql.000', 'bak/db.sql.001', 'bak/db.sql.manifest.json', 'bak/db.sql.old.000'])
+                .replace('<Name>bak/db.sql.000</Name>', '<Name>bak/db.sql.000</Name><Snapshot>2026-10-19T10:00:00.0000000Z</Snapshot>')
+            res.writeHead(200, {'Content-Type': 'application/xml'})
+            res.end(xml)
+        })
+        server.listen(0, '127.0.0.1', () => {
+            const client = new ContainerClient('container', credentials)
+            client.blobEndpoint = 'http://127.0.0.1:' + server.address().port
+
+            client.findBackup('bak/db.sql', {includeSnapshots: true})
+                .then((backup) => {
+                    assert.equal(url.parse(requests[0].url, true).query.include, 'snapshots')
+                    assert.deepEqual(backup.blobs.map((b) => b.name), ['bak/db.sql.000', 'bak/db.sql.001', 'bak/db.sql.manifest.json'])
+                    assert.deepEqual(backup.snapshots.map((b) => b.snapshot), ['2026-10-19T10:00:00.0000000Z'])
+                    assert.equal(backup.parts, 2)
+
+                    return client.deleteBackup(backup, {includeSnapshots: true})
+                })
+                .then((result) => {
+                    // The manifest is deleted last
+                    assert.deepEqual(result.deleted, ['bak/db.sql.000', 'bak/db.sql.001', 'bak/db.sql.manifest.json'])
+                    assert.deepEqual(requests.slice(1).map((req) => req.method + ' ' + req.url), [
+                        'DELETE /container/bak/db.sql.000',
+                        'DELETE /container/bak/db.sql.001',
+                        'DELETE /container/bak/db.sql.manifest.json'
+                    ])
+                    assert.equal(requests[1].headers['x-ms-delete-snapshots'], 'include')
+
+                    // When a part can't be deleted, the others are, but the manifest is kept
+                    requests.length = 0
+                    failing.push('/container/bak/db.sql.000')
+                    return client.deleteBackup('bak/db.sql')
+                })
+                .then((result) => {
+                    assert.equal(requests[1].headers['x-ms-delete-snapshots'], undefined)
+                    assert.deepEqual(result.deleted, ['bak/db.sql.001'])
+                    assert.deepEqual(result.failed.map((f) => f.name + ': ' + f.error.message), [
+                        'bak/db.sql.000: Request error (409): This operation is not permitted because the blob has snapshots.'
+                    ])
+                    assert.deepEqual(result.skipped, ['bak/db.sql.manifest.json'])
+
+                    return client.deleteBackup('bak/missing.sql')
+                })
+                .then(() => {
+                    assert.fail('Should have thrown')
+                }, (err) => {
+                    assert.equal(err.message, 'Backup not found: /container/bak/missing.sql')
+                })
+                .then(() => server.close(done), (err) => server.close(() => done(err)))
+        })
+    })
+})
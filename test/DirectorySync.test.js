@@ -0,0 +1,277 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const DirectorySync = require('../lib/DirectorySync')
+const StreamUpload = require('../lib/StreamUpload')
+
+describe('DirectorySync', function() {
+    // These tests do not access Azure Blob Storage, so they use fake credentials
+    const credentials = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+    const root = path.join(os.tmpdir(), 'azbak-sync-' + process.pid)
+    const mtime = new Date('2026-10-19T10:00:00Z')
+
+    // Local files
+    const tree = {
+        'a.txt': 'a',
+        'b.txt': 'bb',
+        'c.txt': 'ccc',
+        'd.txt': 'dddd'
+    }
+
+    // Existing blobs: a.txt is unchanged, b.txt was modified, c.txt is new, d.txt was uploaded by another tool,
+    // gone.txt was removed, and keep.tmp is excluded
+    const md5 = (str) => crypto.createHash('md5').update(str).digest()
+    const blob = (name, size, metadata, extra) => {
+        return Object.assign({
+            name: 'pre/' + name,
+            size,
+            lastModified: new Date('2026-10-19T12:00:00Z'),
+            contentMD5: null,
+            metadata: metadata || {}
+        }, extra)
+    }
+    const sourceMetadata = (size, time) => {
+        return {azbak_source_size: size + '', azbak_source_mtime: time.getTime() + ''}
+    }
+    const remoteBlobs = [
+        blob('a.txt.000', 1, Object.assign({azbak_source_md5: md5('x').toString('hex')}, sourceMetadata(1, mtime))),
+        blob('a.txt.manifest.json', 500),
+        blob('b.txt.000', 10, sourceMetadata(2, new Date('2026-10-18T10:00:00Z'))),
+        blob('b.txt.001', 10),
+        blob('b.txt.manifest.json', 500),
+        blob('d.txt', 4, {}, {contentMD5: md5('dddd').toString('base64')}),
+        blob('gone.txt.000', 10),
+        blob('gone.txt.manifest.json', 500),
+        blob('keep.tmp', 10)
+    ]
+
+    before('create test directory', function() {
+        for (const name of Object.keys(tree)) {
+            const file = path.join(root, name)
+            fs.mkdirSync(path.dirname(file), {recursive: true})
+            fs.writeFileSync(file, tree[name])
+            fs.utimesSync(file, mtime, mtime)
+        }
+    })
+
+    after('remove test directory', function() {
+        for (const name of Object.keys(tree).concat(['archive.7z.001'])) {
+            if (fs.existsSync(path.join(root, name))) {
+                fs.unlinkSync(path.join(root, name))
+            }
+        }
+        fs.rmdirSync(root)
+    })
+
+    // Create a DirectorySync object whose requests are simulated
+    const createSync = () => {
+        const sync = new DirectorySync(root, '/container/pre', credentials)
+        sync.exclude = ['*.tmp']
+        sync.deleted = []
+        sync.uploaded = []
+        sync.containerClient.listBlobs = (options) => {
+            assert.deepEqual(options, {prefix: 'pre/', include: ['metadata']})
+            return Promise.resolve({blobs: remoteBlobs, prefixes: []})
+        }
+        sync.containerClient.deleteBlob = (name) => {
+            sync.deleted.push(name)
+            return Promise.resolve(true)
+        }
+        sync.configureUpload = (fileUpload, file) => {
+            fileUpload.upload = () => {
+                // The file is not read
+                fileUpload._sourceStream.destroy()
+                sync.uploaded.push(file.relativePath)
+                assert.deepEqual(fileUpload.sourceFile, {size: file.size, mtime, md5: file.md5})
+                const urls = [fileUpload.blobUrl + '.000']
+                urls.manifestUrl = fileUpload.blobUrl + StreamUpload.manifestSuffix
+                return Promise.resolve(urls)
+            }
+        }
+        return sync
+    }
+
+    it('properties', function() {
+        assert.throws(() => {
+            new DirectorySync(root, 'container', credentials)
+        }, /prefix/)
+
+        const sync = new DirectorySync(root, '/container', credentials)
+        assert.equal(sync.delete, false)
+        assert.equal(sync.checksum, false)
+        assert.equal(sync.containerClient.container, 'container')
+    })
+
+    it('plan', function() {
+        const sync = createSync()
+
+        return sync.plan()
+            .then((plan) => {
+                assert.deepEqual(plan.upload.map((f) => f.relativePath + ' ' + f.reason), ['b.txt modified', 'c.txt new'])
+                assert.deepEqual(plan.unchanged.map((f) => f.relativePath), ['a.txt', 'd.txt'])
+
+                // Nothing is deleted unless requested
+                assert.deepEqual(plan.delete, [])
+
+                sync.delete = true
+                return sync.plan()
+            })
+            .then((plan) => {
+                // Excluded files are not deleted
+                assert.deepEqual(plan.delete, [
+                    {relativePath: 'gone.txt', blobs: ['pre/gone.txt.000', 'pre/gone.txt.manifest.json']}
+                ])
+                assert.deepEqual(sync.uploaded, [])
+                assert.deepEqual(sync.deleted, [])
+            })
+    })
+
+    it('plan with checksums', function() {
+        const sync = createSync()
+        sync.checksum = true
+
+        return sync.plan()
+            .then((plan) => {
+                // a.txt has a different hash; d.txt has the same Content-MD5
+                assert.deepEqual(plan.upload.map((f) => f.relativePath + ' ' + f.reason), ['a.txt checksum', 'b.txt modified', 'c.txt new'])
+                assert.deepEqual(plan.unchanged.map((f) => f.relativePath), ['d.txt'])
+                assert.equal(plan.upload[0].md5, md5('a').toString('hex'))
+            })
+    })
+
+    it('plan with checksums of encrypted blobs', function() {
+        // The Content-MD5 of encrypted blobs is the hash of the encrypted data, and the hash of the source is not
+        // stored, so they're compared by size and modification time
+        const sync = createSync()
+        sync.checksum = true
+        sync.include = ['a.txt', 'b.txt']
+        sync.containerClient.listBlobs = () => Promise.resolve({
+            blobs: [
+                blob('a.txt', 29, Object.assign({azbak_cipher: 'aes-256-gcm'}, sourceMetadata(1, mtime)), {contentMD5: md5('encrypted').toString('base64')}),
+                blob('b.txt.000', 30, Object.assign({azbak_cipher: 'aes-256-gcm', azbak_source_md5: md5('x').toString('hex')}, sourceMetadata(2, new Date('2026-10-18T10:00:00Z'))))
+            ],
+            prefixes: []
+        })
+
+        return sync.plan()
+            .then((plan) => {
+                assert.deepEqual(plan.upload.map((f) => f.relativePath + ' ' + f.reason), ['b.txt modified'])
+                assert.deepEqual(plan.unchanged.map((f) => f.relativePath), ['a.txt'])
+            })
+    })
+
+    it('upload', function() {
+        const sync = createSync()
+        sync.delete = true
+        const events = []
+        sync.on('fileCompleted', (file) => events.push('completed ' + file.relativePath))
+        sync.on('backupDeleted', (backup) => events.push('deleted ' + backup.relativePath))
+
+        return sync.upload()
+            .then((summary) => {
+                assert.deepEqual(sync.uploaded.sort(), ['b.txt', 'c.txt'])
+
+                // The old part of b.txt that was not overwritten is deleted, as well as the removed file
+                assert.deepEqual(sync.deleted, ['pre/b.txt.001', 'pre/gone.txt.000', 'pre/gone.txt.manifest.json'])
+                assert.deepEqual(events.sort(), ['completed b.txt', 'completed c.txt', 'deleted gone.txt'])
+                assert.equal(summary.succeeded.length, 2)
+                assert.equal(summary.unchanged.length, 2)
+                assert.equal(summary.deleted.length, 1)
+                assert.equal(summary.failed.length, 0)
+                assert.equal(summary.deleteFailed.length, 0)
+            })
+    })
+
+    it('reports failed deletions', function() {
+        const sync = createSync()
+        sync.delete = true
+        sync.containerClient.deleteBlob = () => Promise.reject(Error('Simulated failure'))
+
+        return sync.upload()
+            .then((summary) => {
+                assert.deepEqual(summary.deleteFailed.map((b) => b.relativePath + ': ' + b.error.message), [
+                    'b.txt: Simulated failure',
+                    'gone.txt: Simulated failure'
+                ])
+                assert.equal(summary.deleted.length, 0)
+            })
+    })
+
+    it('files with numeric endings uploaded as single blobs', function() {
+        // The blob of archive.7z.001 must not be taken for the second part of archive.7z (the file is removed with the directory)
+        const file = path.join(root, 'archive.7z.001')
+        fs.writeFileSync(file, 'abc')
+        fs.utimesSync(file, mtime, mtime)
+        const blobs = [
+            blob('archive.7z.001', 3, sourceMetadata(3, mtime)),
+            blob('archive.7z.001.manifest.json', 500)
+        ]
+
+        const sync = createSync()
+        sync.include = ['archive.7z.*']
+        sync.delete = true
+        sync.containerClient.listBlobs = () => Promise.resolve({blobs, prefixes: []})
+
+        return sync.plan()
+            .then((plan) => {
+                // Without singleBlob, the file is uploaded again, but its blobs are not deleted
+                assert.deepEqual(plan.upload.map((f) => f.relativePath), ['archive.7z.001'])
+                assert.deepEqual(plan.delete, [])
+
+                sync.singleBlob = true
+                return sync.plan()
+            })
+            .then((plan) => {
+                assert.deepEqual(plan.upload, [])
+                assert.deepEqual(plan.unchanged.map((f) => f.relativePath), ['archive.7z.001'])
+                assert.deepEqual(plan.delete, [])
+
+                // Uploads use single blobs too
+                fs.utimesSync(file, new Date(), new Date())
+                sync.configureUpload = (fileUpload) => {
+                    fileUpload.upload = () => {
+                        fileUpload._sourceStream.destroy()
+                        assert.strictEqual(fileUpload.singleBlob, true)
+                        sync.uploaded.push(fileUpload.blobUrl)
+                        const urls = [fileUpload.blobUrl]
+                        urls.manifestUrl = fileUpload.blobUrl + StreamUpload.manifestSuffix
+                        return Promise.resolve(urls)
+                    }
+                }
+                return sync.upload()
+            })
+            .then((summary) => {
+                assert.equal(summary.succeeded.length, 1)
+                assert.ok(sync.uploaded[0].endsWith('/container/pre/archive.7z.001'), sync.uploaded[0])
+                assert.deepEqual(sync.deleted, [])
+            })
+    })
+
+    it('sourceFile of StreamUpload', function() {
+        const upload = new StreamUpload(null, '/container/file', credentials)
+        assert.equal(upload.sourceFile, undefined)
+        assert.throws(() => {
+            upload.sourceFile = {size: -1, mtime}
+        }, /size/)
+        assert.throws(() => {
+            upload.sourceFile = {size: 1, mtime: 'yesterday'}
+        }, /Modification time/)
+        assert.throws(() => {
+            upload.sourceFile = {size: 1, mtime, md5: 'abc'}
+        }, /MD5/)
+
+        upload.sourceFile = {size: 1, mtime}
+        assert.deepEqual(upload.sourceFile, {size: 1, mtime, md5: undefined})
+    })
+})
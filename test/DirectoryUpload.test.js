@@ -0,0 +1,228 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const DirectoryUpload = require('../lib/DirectoryUpload')
+const DirectoryWalker = require('../lib/DirectoryWalker')
+const Utils = require('../lib/Utils')
+
+describe('DirectoryUpload', function() {
+    // These tests do not access Azure Blob Storage, so they use fake credentials
+    const credentials = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+    const root = path.join(os.tmpdir(), 'azbak-dir-' + process.pid)
+
+    // Tree of files used by the tests
+    const tree = {
+        'a.txt': 'a',
+        'b.log': 'bb',
+        'logs/1.log': '111',
+        'logs/old/0.log': '0',
+        'node_modules/x/index.js': 'x',
+        'src/main.js': 'main',
+        'src/lib/util.js': 'util'
+    }
+
+    before('create test directory', function() {
+        for (const name of Object.keys(tree)) {
+            const file = path.join(root, name)
+            fs.mkdirSync(path.dirname(file), {recursive: true})
+            fs.writeFileSync(file, tree[name])
+        }
+
+        // Symbolic links to a file, to a directory, and to an ancestor (loop)
+        fs.symlinkSync(path.join(root, 'a.txt'), path.join(root, 'link.txt'))
+        fs.symlinkSync(path.join(root, 'src'), path.join(root, 'linkdir'))
+        fs.symlinkSync(root, path.join(root, 'src', 'loop'))
+    })
+
+    after('remove test directory', function() {
+        const remove = (p) => {
+            if (fs.lstatSync(p).isDirectory()) {
+                for (const name of fs.readdirSync(p)) {
+                    remove(path.join(p, name))
+                }
+                fs.rmdirSync(p)
+            }
+            else {
+                fs.unlinkSync(p)
+            }
+        }
+        remove(root)
+    })
+
+    it('constructor and properties', function() {
+        assert.throws(() => {
+            new DirectoryUpload(root, 'container', credentials)
+        }, /prefix/)
+        assert.throws(() => {
+            new DirectoryUpload('', '/container', credentials)
+        }, /sourceDir/)
+
+        const upload = new DirectoryUpload(root, '/container/prefix/', credentials)
+        assert.equal(upload.symlinks, DirectoryWalker.defaultSymlinks)
+        assert.equal(upload.concurrency, DirectoryUpload.defaultConcurrency)
+        assert.throws(() => {
+            upload.symlinks = 'copy'
+        }, /Symlinks policy/)
+        assert.throws(() => {
+            upload.concurrency = 0
+        }, /Concurrency/)
+        assert.throws(() => {
+            upload.include = '*.log'
+        }, /array/)
+
+        upload.include = ['*.log']
+        assert.deepEqual(upload.include, ['*.log'])
+    })
+
+    it('globToRegExp', function() {
+        const match = (pattern, str) => Utils.globToRegExp(pattern).test(str)
+
+        assert.ok(match('*.log', 'b.log'))
+        assert.ok(!match('*.log', 'logs/1.log'))
+        assert.ok(match('**/*.log', 'b.log'))
+        assert.ok(match('**/*.log', 'logs/old/0.log'))
+        assert.ok(match('logs/**', 'logs/old/0.log'))
+        assert.ok(match('src/*.{js,ts}', 'src/main.ts'))
+        assert.ok(match('file?.[0-9]', 'file1.2'))
+        assert.ok(!match('[!a]*', 'a.txt'))
+        assert.ok(!match('a.txt', 'abtxt'))
+        assert.throws(() => {
+            Utils.globToRegExp('{a,b')
+        }, /unbalanced/)
+    })
+
+    it('listFiles', function() {
+        const upload = new DirectoryUpload(root, '/container/prefix', credentials)
+        const skipped = []
+        upload.on('fileSkipped', (file) => skipped.push(file.relativePath + ': ' + file.reason))
+
+        return upload.listFiles()
+            .then((files) => {
+                assert.deepEqual(files.map((f) => f.relativePath), [
+                    'a.txt',
+                    'b.log',
+                    'logs/1.log',
+                    'logs/old/0.log',
+                    'node_modules/x/index.js',
+                    'src/lib/util.js',
+                    'src/main.js'
+                ])
+                assert.deepEqual(files[2], {
+                    path: path.join(root, 'logs', '1.log'),
+                    relativePath: 'logs/1.log',
+                    blob: '/container/prefix/logs/1.log',
+                    size: 3,
+                    mtime: fs.statSync(path.join(root, 'logs', '1.log')).mtime
+                })
+
+                // Symbolic links are skipped by default
+                assert.deepEqual(skipped, ['link.txt: symbolic link', 'linkdir: symbolic link', 'src/loop: symbolic link'])
+            })
+    })
+
+    it('include and exclude', function() {
+        const upload = new DirectoryUpload(root, '/container', credentials)
+        upload.include = ['*.log', 'src/**']
+        upload.exclude = ['old', 'lib/**']
+
+        return upload.listFiles()
+            .then((files) => {
+                // "lib/**" doesn't match "src/lib", as patterns with a slash match the entire path
+                assert.deepEqual(files.map((f) => f.blob), [
+                    '/container/b.log',
+                    '/container/logs/1.log',
+                    '/container/src/lib/util.js',
+                    '/container/src/main.js'
+                ])
+            })
+    })
+
+    it('follow symbolic links', function() {
+        const upload = new DirectoryUpload(root, '/container', credentials)
+        upload.symlinks = 'follow'
+        upload.exclude = ['node_modules', 'logs']
+        const skipped = []
+        upload.on('fileSkipped', (file) => skipped.push(file.relativePath + ': ' + file.reason))
+
+        return upload.listFiles()
+            .then((files) => {
+                assert.deepEqual(files.map((f) => f.relativePath), [
+                    'a.txt',
+                    'b.log',
+                    'link.txt',
+                    'linkdir/lib/util.js',
+                    'linkdir/main.js',
+                    'src/lib/util.js',
+                    'src/main.js'
+                ])
+                assert.deepEqual(skipped, ['linkdir/loop: symbolic link loop', 'src/loop: symbolic link loop'])
+            })
+    })
+
+    it('upload', function() {
+        const upload = new DirectoryUpload(root, '/container/prefix', credentials)
+        upload.include = ['*.log', '*.js']
+        upload.exclude = ['node_modules']
+        upload.concurrency = 2
+
+        // Replace the upload of each file, failing one of them
+        let running = 0
+        let maxRunning = 0
+        const configured = []
+        upload.configureUpload = (fileUpload, file) => {
+            fileUpload.blockSize = 1024 * 1024
+            configured.push(file.relativePath)
+            fileUpload.upload = () => {
+                running++
+                maxRunning = Math.max(running, maxRunning)
+                return new Promise((resolve) => setTimeout(resolve, 10))
+                    .then(() => {
+                        running--
+                        assert.equal(fileUpload.blockSize, 1024 * 1024)
+                        assert.equal(fileUpload.expectedSize, file.size)
+                        if (file.relativePath == 'logs/1.log') {
+                            throw Error('Simulated failure')
+                        }
+                        return [fileUpload.blobUrl + '.000']
+                    })
+            }
+        }
+        const events = []
+        upload.on('fileCompleted', (file) => events.push('completed ' + file.relativePath))
+        upload.on('fileFailed', (file) => events.push('failed ' + file.relativePath))
+
+        return upload.upload()
+            .then((summary) => {
+                assert.equal(maxRunning, 2)
+                assert.equal(configured.length, 5)
+                assert.equal(events.length, 5)
+                assert.deepEqual(summary.succeeded.map((f) => f.relativePath).sort(), ['b.log', 'logs/old/0.log', 'src/lib/util.js', 'src/main.js'])
+                assert.deepEqual(summary.succeeded.find((f) => f.relativePath == 'b.log').urls, ['https://azbaktest.blob.core.windows.net/container/prefix/b.log.000'])
+                assert.equal(summary.failed.length, 1)
+                assert.equal(summary.failed[0].relativePath, 'logs/1.log')
+                assert.equal(summary.failed[0].error.message, 'Simulated failure')
+                assert.equal(summary.skipped.length, 3)
+            })
+    })
+
+    it('upload fails if the directory does not exist', function() {
+        const upload = new DirectoryUpload(path.join(root, 'missing'), '/container', credentials)
+
+        return upload.upload()
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.equal(err.code, 'ENOENT')
+            })
+    })
+})
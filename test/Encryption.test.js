@@ -0,0 +1,197 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {PassThrough} = require('stream')
+
+const Encryption = require('../lib/Encryption')
+
+describe('Encryption', function() {
+    const key = crypto.randomBytes(32)
+
+    // Pipe data through a transform stream and collect the result
+    const transform = (stream, data) => {
+        return new Promise((resolve, reject) => {
+            const chunks = []
+            stream.on('data', (chunk) => chunks.push(chunk))
+            stream.on('error', reject)
+            stream.on('end', () => resolve(Buffer.concat(chunks)))
+
+            // Write data in small chunks of varying size
+            const source = new PassThrough()
+            source.pipe(stream)
+            let pos = 0
+            while (pos < data.length) {
+                const len = 1 + Math.floor(Math.random() * 30000)
+                source.write(data.slice(pos, pos + len))
+                pos += len
+            }
+            source.end()
+        })
+    }
+
+    // Encrypt and return the data and metadata
+    const encrypt = (encryption, data) => {
+        return encryption.createCipher()
+            .then((cipher) => {
+                return transform(cipher, data)
+                    .then((encrypted) => ({encrypted, metadata: cipher.metadata}))
+            })
+    }
+
+    // Decrypt data
+    const decrypt = (encryption, encrypted, metadata) => {
+        return encryption.createDecipher(metadata)
+            .then((decipher) => transform(decipher, encrypted))
+    }
+
+    it('constructor', function() {
+        new Encryption({key})
+        new Encryption({passphrase: 'hello world'})
+
+        assert.throws(() => {
+            new Encryption()
+        }, /key and passphrase/)
+        assert.throws(() => {
+            new Encryption({key, passphrase: 'hello world'})
+        }, /key and passphrase/)
+        assert.throws(() => {
+            new Encryption({key: Buffer.alloc(16)})
+        }, /32 bytes/)
+    })
+
+    it('fromKeyFile', function() {
+        const keyPath = path.join(os.tmpdir(), 'azbak-key-' + process.pid)
+        try {
+            for (const content of [key, key.toString('hex'), key.toString('base64') + '\n']) {
+                fs.writeFileSync(keyPath, content)
+                const encryption = Encryption.fromKeyFile(keyPath)
+                assert.ok(encryption._key.equals(key))
+            }
+
+            fs.writeFileSync(keyPath, 'not a key')
+            assert.throws(() => {
+                Encryption.fromKeyFile(keyPath)
+            }, /256-bit key/)
+        }
+        finally {
+            fs.unlinkSync(keyPath)
+        }
+    })
+
+    it('fromPassphraseEnv', function() {
+        process.env.AZBAK_TEST_PASSPHRASE = 'hello world'
+        try {
+            assert.equal(Encryption.fromPassphraseEnv('AZBAK_TEST_PASSPHRASE')._passphrase, 'hello world')
+        }
+        finally {
+            delete process.env.AZBAK_TEST_PASSPHRASE
+        }
+
+        assert.throws(() => {
+            Encryption.fromPassphraseEnv('AZBAK_TEST_PASSPHRASE')
+        }, /not set/)
+    })
+
+    it('encrypt and decrypt with key', function() {
+        const encryption = new Encryption({key})
+        const data = crypto.randomBytes(Encryption.segmentSize * 3 + 123)
+
+        return encrypt(encryption, data)
+            .then((result) => {
+                // Each segment has a tag
+                assert.equal(result.encrypted.length, data.length + 4 * Encryption.tagLength)
+                assert.equal(result.metadata.azbak_cipher, 'aes-256-gcm')
+                assert.equal(result.metadata.azbak_keyid, Encryption.keyId(key))
+                assert.ok(Encryption.isEncrypted(result.metadata))
+
+                return decrypt(encryption, result.encrypted, result.metadata)
+            })
+            .then((decrypted) => {
+                assert.ok(decrypted.equals(data))
+            })
+    })
+
+    it('encrypt and decrypt empty streams and full segments', function() {
+        const encryption = new Encryption({key})
+
+        return Promise.all([0, Encryption.segmentSize, Encryption.segmentSize * 2].map((size) => {
+            const data = crypto.randomBytes(size)
+            return encrypt(encryption, data)
+                .then((result) => decrypt(encryption, result.encrypted, result.metadata))
+                .then((decrypted) => {
+                    assert.ok(decrypted.equals(data))
+                })
+        }))
+    })
+
+    it('encrypt and decrypt with passphrase', function() {
+        // Use fewer iterations to speed up tests
+        const iterations = Encryption.kdfIterations
+        Encryption.kdfIterations = 1000
+
+        const encryption = new Encryption({passphrase: 'hello world'})
+        const data = crypto.randomBytes(1000)
+
+        return encrypt(encryption, data)
+            .then((result) => {
+                Encryption.kdfIterations = iterations
+                assert.equal(result.metadata.azbak_kdf, 'pbkdf2-sha256')
+                assert.equal(result.metadata.azbak_kdf_iterations, '1000')
+
+                return decrypt(new Encryption({passphrase: 'hello world'}), result.encrypted, result.metadata)
+                    .then((decrypted) => {
+                        assert.ok(decrypted.equals(data))
+
+                        // Wrong passphrase
+                        return decrypt(new Encryption({passphrase: 'wrong'}), result.encrypted, result.metadata)
+                    })
+            })
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                Encryption.kdfIterations = iterations
+                assert.ok(err.message.match(/different key/))
+            })
+    })
+
+    it('detects tampering and truncation', function() {
+        const encryption = new Encryption({key})
+        const data = crypto.randomBytes(Encryption.segmentSize * 2 + 10)
+
+        return encrypt(encryption, data)
+            .then((result) => {
+                // Modified data
+                const modified = Buffer.from(result.encrypted)
+                modified[100] ^= 1
+                const expectFailure = (promise) => {
+                    return promise.then(() => {
+                        assert.fail('Should have thrown')
+                    }, (err) => {
+                        assert.ok(err.message.match(/failed authentication/))
+                    })
+                }
+
+                return Promise.all([
+                    expectFailure(decrypt(encryption, modified, result.metadata)),
+
+                    // Last segment removed
+                    expectFailure(decrypt(encryption, result.encrypted.slice(0, 2 * (Encryption.segmentSize + Encryption.tagLength)), result.metadata)),
+
+                    // Wrong key
+                    decrypt(new Encryption({key: crypto.randomBytes(32)}), result.encrypted, result.metadata)
+                        .then(() => {
+                            assert.fail('Should have thrown')
+                        }, (err) => {
+                            assert.ok(err.message.match(/different key/))
+                        })
+                ])
+            })
+    })
+})
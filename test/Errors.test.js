@@ -0,0 +1,168 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const http = require('http')
+
+const Errors = require('../lib/Errors')
+const RetryPolicy = require('../lib/RetryPolicy')
+const StreamUpload = require('../lib/StreamUpload')
+
+describe('Errors', function() {
+    // These tests do not access Azure Blob Storage, so they use fake credentials
+    const credentials = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+
+    // Body of an error response of Azure Blob Storage
+    const errorBody = (code, message) => '﻿<?xml version="1.0" encoding="utf-8"?><Error><Code>' + code + '</Code><Message>' + message + '\nRequestId:8d2c5d1e-001e-0051-5b2a-0a1b2c000000\nTime:2026-10-19T10:00:00.0000000Z</Message></Error>'
+
+    it('parseErrorBody', function() {
+        assert.deepEqual(Errors.parseErrorBody(errorBody('ContainerNotFound', 'The specified container does not exist.')), {
+            code: 'ContainerNotFound',
+            message: 'The specified container does not exist.'
+        })
+        assert.deepEqual(Errors.parseErrorBody(Buffer.from('<Error><Code>BlobNotFound</Code></Error>')), {
+            code: 'BlobNotFound',
+            message: null
+        })
+        assert.deepEqual(Errors.parseErrorBody(''), {code: null, message: null})
+        assert.deepEqual(Errors.parseErrorBody(undefined), {code: null, message: null})
+        assert.deepEqual(Errors.parseErrorBody('<html>Bad Gateway</html>'), {code: null, message: null})
+    })
+
+    it('fromResponse', function() {
+        const response = (statusCode, code, headers) => ({
+            statusCode,
+            statusMessage: 'Status message',
+            headers: headers || {},
+            body: code ? errorBody(code, 'Message for ' + code + '.') : ''
+        })
+
+        // Class of the error, from the status code and the error code
+        const cases = [
+            [response(403, 'AuthenticationFailed'), Errors.AuthenticationError],
+            [response(401), Errors.AuthenticationError],
+            [response(404, 'ContainerNotFound'), Errors.ContainerNotFoundError],
+            [response(404, 'BlobNotFound'), Errors.BlobNotFoundError],
+            [response(409, 'BlobAlreadyExists'), Errors.BlobAlreadyExistsError],
+            [response(429), Errors.ThrottledError],
+            [response(503, 'ServerBusy'), Errors.ThrottledError],
+            [response(400, 'Md5Mismatch'), Errors.IntegrityError],
+            [response(404, null, {'x-ms-error-code': 'ContainerNotFound'}), Errors.ContainerNotFoundError],
+            [response(500, 'InternalError'), Errors.RequestError],
+            [response(404), Errors.RequestError]
+        ]
+        for (const item of cases) {
+            const err = Errors.fromResponse(item[0])
+            assert.strictEqual(err.constructor, item[1], item[0].statusCode + ' ' + err.code)
+            assert.ok(err instanceof Errors.AzBakError)
+            assert.ok(err instanceof Error)
+            assert.equal(err.name, item[1].name)
+        }
+        assert.ok(Errors.fromResponse(response(403)) instanceof Errors.RequestError)
+        assert.ok(!(Errors.fromResponse(response(400, 'Md5Mismatch')) instanceof Errors.RequestError))
+
+        // Message and details
+        const err = Errors.fromResponse(response(403, 'AuthenticationFailed', {'x-ms-request-id': 'abc-123'}), {blob: '/bak/db.sql.000', seqId: '.000'})
+        assert.equal(err.message, 'Request error (403 AuthenticationFailed): Message for AuthenticationFailed.')
+        assert.equal(err.statusCode, 403)
+        assert.equal(err.code, 'AuthenticationFailed')
+        assert.equal(err.requestId, 'abc-123')
+        assert.equal(err.blob, '/bak/db.sql.000')
+        assert.equal(err.seqId, '.000')
+        assert.strictEqual(err.blockId, null)
+
+        // Without a body, the status message is used
+        assert.equal(Errors.fromResponse(response(500)).message, 'Request error (500): Status message')
+    })
+
+    it('fromNetworkError', function() {
+        const cause = Error('connect ECONNREFUSED 127.0.0.1:1')
+        cause.code = 'ECONNREFUSED'
+        const err = Errors.fromNetworkError(cause, {blob: '/bak/file', seqId: null})
+        assert.ok(err instanceof Errors.NetworkError)
+        assert.equal(err.message, 'Network error (ECONNREFUSED): connect ECONNREFUSED 127.0.0.1:1')
+        assert.equal(err.code, 'ECONNREFUSED')
+        assert.strictEqual(err.cause, cause)
+        assert.equal(err.blob, '/bak/file')
+        assert.strictEqual(err.statusCode, null)
+    })
+
+    it('requests fail with typed errors, including the blob and block', function(done) {
+        const server = http.createServer((req, res) => {
+            req.resume()
+            req.on('end', () => {
+                res.writeHead(404, {
+                    'x-ms-request-id': 'req-404',
+                    'x-ms-error-code': 'ContainerNotFound'
+                })
+                res.end(errorBody('ContainerNotFound', 'The specified container does not exist.'))
+            })
+        })
+        server.listen(0, '127.0.0.1', () => {
+            const upload = new StreamUpload(null, '/container/file', credentials)
+            upload.blobEndpoint = 'http://127.0.0.1:' + server.address().port
+            upload.retryPolicy = new RetryPolicy({maxAttempts: 1})
+
+            upload.putBlock(Buffer.alloc(100), 'MDAwMDA=', '.000')
+                .then(() => {
+                    assert.fail('Should have thrown')
+                }, (err) => {
+                    assert.ok(err instanceof Errors.ContainerNotFoundError, err.message)
+                    assert.equal(err.message, 'Request error (404 ContainerNotFound): The specified container does not exist.')
+                    assert.equal(err.requestId, 'req-404')
+                    assert.equal(err.blob, '/container/file.000')
+                    assert.equal(err.seqId, '.000')
+                    assert.equal(err.blockId, 'MDAwMDA=')
+
+                    // Requests that can't connect fail with a network error (nothing listens on port 1)
+                    upload.blobEndpoint = 'http://127.0.0.1:1'
+                    return upload.commitBlockBlob(1, '.000')
+                })
+                .then(() => {
+                    assert.fail('Should have thrown')
+                }, (err) => {
+                    assert.ok(err instanceof Errors.NetworkError, err.message)
+                    assert.equal(err.code, 'ECONNREFUSED')
+                    assert.equal(err.blob, '/container/file.000')
+                })
+                .then(() => server.close(() => done()), (err) => server.close(() => done(err)))
+        })
+    })
+
+    it('access tiers not supported by the account fail with a typed error', function(done) {
+        const server = http.createServer((req, res) => {
+            req.resume()
+            req.on('end', () => {
+                res.writeHead(400, {
+                    'x-ms-request-id': 'req-400',
+                    'x-ms-error-code': 'InvalidBlobTier'
+                })
+                res.end(errorBody('InvalidBlobTier', 'The specified blob tier is invalid.'))
+            })
+        })
+        server.listen(0, '127.0.0.1', () => {
+            const upload = new StreamUpload(null, '/container/file', credentials)
+            upload.blobEndpoint = 'http://127.0.0.1:' + server.address().port
+            upload.tier = 'Archive'
+
+            upload.commitBlockBlob(1, '.000')
+                .then(() => {
+                    assert.fail('Should have thrown')
+                }, (err) => {
+                    assert.ok(err instanceof Errors.RequestError, err.message)
+                    assert.equal(err.message, 'Access tier Archive is not supported by this storage account: tiers require a General Purpose v2 or Blob Storage account (Request error (400 InvalidBlobTier): The specified blob tier is invalid.)')
+                    assert.equal(err.statusCode, 400)
+                    assert.equal(err.code, 'InvalidBlobTier')
+                    assert.equal(err.requestId, 'req-400')
+                    assert.equal(err.blob, '/container/file.000')
+                    assert.equal(err.seqId, '.000')
+                })
+                .then(() => server.close(() => done()), (err) => server.close(() => done(err)))
+        })
+    })
+})
@@ -0,0 +1,102 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const os = require('os')
+
+const PathTemplate = require('../lib/PathTemplate')
+const StreamUpload = require('../lib/StreamUpload')
+
+describe('PathTemplate', function() {
+    // These tests do not access Azure Blob Storage, so they use fake credentials
+    const credentials = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+    const date = new Date('2026-10-19T01:02:03Z')
+
+    it('hasPlaceholders', function() {
+        assert.strictEqual(PathTemplate.hasPlaceholders('/bak/db-{date}.sql'), true)
+        assert.strictEqual(PathTemplate.hasPlaceholders('/bak/db.sql'), false)
+        assert.strictEqual(PathTemplate.hasPlaceholders(null), false)
+    })
+
+    it('expand dates and times', function() {
+        assert.equal(PathTemplate.expand('/bak/db-{date}-{time}.sql', {date}), '/bak/db-2026-10-19-010203.sql')
+        assert.equal(PathTemplate.expand('/bak/{date:YYYY/MM}/db-{date:YYMMDD}T{time:HH:mm}.sql', {date}), '/bak/2026/10/db-261019T01:02.sql')
+        assert.equal(PathTemplate.expand('/bak/db-{epoch}.sql', {date}), '/bak/db-' + (date.getTime() / 1000) + '.sql')
+        assert.equal(PathTemplate.expand('/bak/db.sql', {date}), '/bak/db.sql')
+
+        // Local time
+        const local = date.getFullYear() + '-' + ('0' + (date.getMonth() + 1)).substr(-2) + '-' + ('0' + date.getDate()).substr(-2) +
+            '-' + ('0' + date.getHours()).substr(-2)
+        assert.equal(PathTemplate.expand('{date}-{time:HH}', {date, localTime: true}), local)
+
+        assert.throws(() => {
+            PathTemplate.expand('/bak/{date}', {date: new Date('invalid')})
+        }, /Date/)
+    })
+
+    it('expand hostname and environmental variables', function() {
+        assert.equal(PathTemplate.expand('/bak/{hostname}/db.sql'), '/bak/' + os.hostname() + '/db.sql')
+        assert.equal(PathTemplate.expand('/bak/{hostname}/db.sql', {hostname: 'db01'}), '/bak/db01/db.sql')
+
+        const env = {AZBAK_HOST: 'web01', EMPTY: ''}
+        assert.equal(PathTemplate.expand('/bak/{env:AZBAK_HOST}.tar', {env}), '/bak/web01.tar')
+        assert.throws(() => {
+            PathTemplate.expand('/bak/{env:EMPTY}.tar', {env})
+        }, /EMPTY/)
+        assert.throws(() => {
+            PathTemplate.expand('/bak/{env:MISSING}.tar', {env})
+        }, /MISSING/)
+        assert.throws(() => {
+            PathTemplate.expand('/bak/{env}.tar', {env})
+        }, /requires the name/)
+        assert.throws(() => {
+            PathTemplate.expand('/bak/{user}.tar')
+        }, /Unknown placeholder in path: \{user\}/)
+    })
+
+    it('StreamUpload expands placeholders', function() {
+        const upload = StreamUpload.fromTemplate(null, '/container/db-{date:YYYYMMDD}-{epoch}.sql', credentials)
+        assert.ok(upload.blob.match(/^\/container\/db-\d{8}-\d+\.sql$/))
+        assert.equal(upload.blobTemplate, '/container/db-{date:YYYYMMDD}-{epoch}.sql')
+        assert.equal(upload.blobUrl, 'https://azbaktest.blob.core.windows.net' + upload.blob)
+
+        // Changing the time zone does not change the date used
+        const epoch = upload.blob.match(/-(\d+)\.sql$/)[1]
+        upload.localTime = true
+        assert.strictEqual(upload.localTime, true)
+        assert.equal(upload.blob.match(/-(\d+)\.sql$/)[1], epoch)
+
+        // Dates can be passed, in UTC or local time
+        assert.equal(StreamUpload.fromTemplate(null, '/container/db-{date}-{time}.sql', credentials, {date}).blob, '/container/db-2026-10-19-010203.sql')
+        const local = StreamUpload.fromTemplate(null, '/container/{time:HH}', credentials, {date, localTime: true})
+        assert.strictEqual(local.localTime, true)
+        assert.equal(local.blob, '/container/' + ('0' + date.getHours()).substr(-2))
+
+        // The path is validated after expanding the placeholders
+        assert.throws(() => {
+            StreamUpload.fromTemplate(null, '/{env:AZBAK_TEST_UNSET}/db.sql', credentials)
+        }, /AZBAK_TEST_UNSET/)
+        assert.throws(() => {
+            StreamUpload.fromTemplate(null, '/{hostname:x}', credentials)
+        }, /valid resource name/)
+    })
+
+    it('StreamUpload uses names as they are', function() {
+        // Placeholders are expanded only by fromTemplate, so braces in names are not altered
+        assert.equal(new StreamUpload(null, '/container/dir/notes{draft}.txt', credentials).blob, '/container/dir/notes{draft}.txt')
+        const upload = new StreamUpload(null, '/container/dir/log{date}.txt', credentials)
+        assert.equal(upload.blob, '/container/dir/log{date}.txt')
+        assert.strictEqual(upload.blobTemplate, undefined)
+        assert.equal(upload.blobUrl, 'https://azbaktest.blob.core.windows.net/container/dir/log{date}.txt')
+        upload.localTime = true
+        assert.equal(upload.blob, '/container/dir/log{date}.txt')
+
+        const expanded = new StreamUpload(null, PathTemplate.expand('/container/db-{date:YYYYMMDD}-{epoch}.sql'), credentials)
+        assert.ok(expanded.blob.match(/^\/container\/db-\d{8}-\d+\.sql$/))
+    })
+})
@@ -0,0 +1,121 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const http = require('http')
+
+const RateLimiter = require('../lib/RateLimiter')
+const RetryPolicy = require('../lib/RetryPolicy')
+const StreamUpload = require('../lib/StreamUpload')
+const Utils = require('../lib/Utils')
+
+describe('RateLimiter', function() {
+    // These tests do not access Azure Blob Storage, so they use fake credentials
+    const credentials = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+
+    it('parseBytes', function() {
+        assert.strictEqual(Utils.parseBytes('100'), 100)
+        assert.strictEqual(Utils.parseBytes('512K'), 512 * 1024)
+        assert.strictEqual(Utils.parseBytes('20M'), 20 * 1024 * 1024)
+        assert.strictEqual(Utils.parseBytes('1.5GB'), 1.5 * 1024 * 1024 * 1024)
+        assert.strictEqual(Utils.parseBytes('2 MiB'), 2 * 1024 * 1024)
+        assert.strictEqual(Utils.parseBytes('20X'), null)
+        assert.strictEqual(Utils.parseBytes('-1M'), null)
+    })
+
+    it('rate and schedule', function() {
+        const limiter = new RateLimiter('5M')
+        assert.equal(limiter.rate, 5 * 1024 * 1024)
+        assert.throws(() => {
+            limiter.rate = -1
+        }, /Rate/)
+        assert.throws(() => {
+            limiter.schedule = [
+                {start: '1:00', end: '25:00', rate: 0}
+            ]
+        }, /HH:MM/)
+
+        limiter.schedule = RateLimiter.parseSchedule('01:00-05:00=unlimited, 22:00-00:30=1M')
+        assert.deepEqual(limiter.schedule, [
+            {start: '01:00', end: '05:00', rate: 0},
+            {start: '22:00', end: '00:30', rate: 1024 * 1024}
+        ])
+        assert.equal(limiter.currentRate(new Date(2026, 9, 19, 1, 0)), 0)
+        assert.equal(limiter.currentRate(new Date(2026, 9, 19, 4, 59)), 0)
+        assert.equal(limiter.currentRate(new Date(2026, 9, 19, 5, 0)), 5 * 1024 * 1024)
+        assert.equal(limiter.currentRate(new Date(2026, 9, 19, 23, 0)), 1024 * 1024)
+        assert.equal(limiter.currentRate(new Date(2026, 9, 19, 0, 15)), 1024 * 1024)
+
+        assert.throws(() => {
+            RateLimiter.parseSchedule('01:00-05:00')
+        }, /format/)
+        assert.throws(() => {
+            RateLimiter.parseSchedule('01:00-05:00=fast')
+        }, /Invalid rate/)
+    })
+
+    it('consume limits the rate of concurrent requests', function() {
+        const limiter = new RateLimiter(1024 * 1024)
+        const start = Date.now()
+
+        // 4 requests of 64KB each are 256KB, which take about a quarter of a second
+        const requests = [1, 2, 3, 4].map(() => limiter.consume(64 * 1024))
+        return Promise.all(requests)
+            .then(() => {
+                const elapsed = Date.now() - start
+                assert.ok(elapsed >= 240 && elapsed < 600, 'elapsed: ' + elapsed)
+            })
+    })
+
+    it('putBlock sends large blocks at the limited rate, including retries', function(done) {
+        // Local server that fails the first request, and measures the time to receive each block
+        const received = []
+        const server = http.createServer((req, res) => {
+            const start = Date.now()
+            let bytes = 0
+            req.on('data', (data) => {
+                bytes += data.length
+            })
+            req.on('end', () => {
+                received.push({bytes, length: parseInt(req.headers['content-length'], 10), elapsed: Date.now() - start})
+                res.writeHead(received.length == 1 ? 503 : 201)
+                res.end()
+            })
+        })
+        server.listen(0, '127.0.0.1', () => {
+            const upload = new StreamUpload(null, '/container/file', credentials)
+            upload.blobEndpoint = 'http://127.0.0.1:' + server.address().port
+            upload.rateLimiter = new RateLimiter(2 * 1024 * 1024)
+            upload.retryPolicy = new RetryPolicy({baseDelay: 10})
+            assert.throws(() => {
+                upload.rateLimiter = {rate: 1}
+            }, /RateLimiter/)
+
+            const retries = []
+            upload.on('blockRetry', (info) => retries.push(info.statusCode))
+
+            // 1MB is sent in about half a second each time, instead of all at once
+            upload.putBlock(Buffer.alloc(1024 * 1024, 1), 'MDAwMDA=', '.000')
+                .then((response) => {
+                    assert.equal(response.statusCode, 201)
+                    assert.deepEqual(retries, [503])
+                    assert.equal(received.length, 2)
+                    for (const block of received) {
+                        assert.equal(block.bytes, 1024 * 1024)
+                        assert.equal(block.length, 1024 * 1024)
+                        assert.ok(block.elapsed >= 400, 'elapsed: ' + block.elapsed)
+                    }
+                })
+                .then(() => {
+                    server.close(done)
+                }, (err) => {
+                    server.close(() => done(err))
+                })
+        })
+    })
+})
@@ -0,0 +1,186 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+
+const Retention = require('../lib/Retention')
+
+describe('Retention', function() {
+    // These tests do not access Azure Blob Storage, so they use fake credentials
+    const credentials = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+
+    // Build a list of backups with the given times
+    const backups = (set, times) => {
+        return times.map((time) => {
+            return {name: set.replace('*', time), time: new Date(time), set}
+        })
+    }
+    const names = (list) => list.map((backup) => backup.name)
+
+    it('constructor and properties', function() {
+        assert.throws(() => {
+            new Retention('container', credentials)
+        }, /path/)
+
+        const retention = new Retention('/container/db-', credentials)
+        assert.equal(retention.containerClient.container, 'container')
+        assert.throws(() => {
+            retention.keepDaily = -1
+        }, /keepDaily/)
+        retention.keepDaily = 7
+        assert.equal(retention.keepDaily, 7)
+
+        // At least one rule is required
+        return new Retention('/container', credentials).plan()
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/At least one/))
+            })
+    })
+
+    it('backupTime', function() {
+        const created = new Date('2026-01-01T00:00:00Z')
+        const time = (name) => Retention.backupTime({name, creationTime: created, lastModified: null, blobs: []})
+
+        assert.deepEqual(time('db/db-2026-10-19.sql'), {time: new Date('2026-10-19T00:00:00Z'), set: 'db/db-*.sql'})
+        assert.deepEqual(time('db-20261019-0130.sql.gz'), {time: new Date('2026-10-19T01:30:00Z'), set: 'db-*.sql.gz'})
+        assert.deepEqual(time('2026-10-19T01:02:03.tar'), {time: new Date('2026-10-19T01:02:03Z'), set: '*.tar'})
+
+        // The last timestamp in the name is used
+        assert.deepEqual(time('2025-01-01/db-20261019.sql'), {time: new Date('2026-10-19T00:00:00Z'), set: '2025-01-01/db-*.sql'})
+
+        // Sequences of digits that aren't dates are ignored; backups without a timestamp are a set by themselves
+        assert.deepEqual(time('db-20261399.sql'), {time: created, set: 'db-20261399.sql'})
+        assert.deepEqual(time('db-123456789.sql'), {time: created, set: 'db-123456789.sql'})
+        assert.deepEqual(time('logs.tar'), {time: created, set: 'logs.tar'})
+    })
+
+    it('select with daily, weekly and monthly rules', function() {
+        // One backup per day, from Monday 2026-09-07 to Monday 2026-10-19, plus an older one in the afternoon of 2026-10-18
+        const times = []
+        for (let day = new Date('2026-10-19T01:00:00Z'); day >= new Date('2026-09-07T00:00:00Z'); day.setUTCDate(day.getUTCDate() - 1)) {
+            times.push(day.toISOString().substr(0, 19))
+        }
+        times.push('2026-10-18T00:00:00')
+        const list = backups('db-*.sql', times)
+
+        const daily = Retention.select(list, {keepDaily: 3})
+        assert.deepEqual(names(daily.keep), ['db-2026-10-19T01:00:00.sql', 'db-2026-10-18T01:00:00.sql', 'db-2026-10-17T01:00:00.sql'])
+        assert.deepEqual(daily.keep[0].reasons, ['newest', 'keepDaily'])
+        assert.equal(daily.prune.length, list.length - 3)
+        assert.deepEqual(daily.prune[0].reasons, [])
+
+        // Weeks start on Monday, and the newest backup of each week (Sunday) is kept
+        const weekly = Retention.select(list, {keepLast: 1, keepWeekly: 3})
+        assert.deepEqual(names(weekly.keep), ['db-2026-10-19T01:00:00.sql', 'db-2026-10-18T01:00:00.sql', 'db-2026-10-11T01:00:00.sql'])
+        assert.deepEqual(weekly.keep[0].reasons, ['newest', 'keepLast', 'keepWeekly'])
+
+        const monthly = Retention.select(list, {keepMonthly: 5})
+        assert.deepEqual(names(monthly.keep), ['db-2026-10-19T01:00:00.sql', 'db-2026-09-30T01:00:00.sql'])
+
+        // Rules are combined
+        const combined = Retention.select(list, {keepDaily: 2, keepMonthly: 2})
+        assert.deepEqual(names(combined.keep), ['db-2026-10-19T01:00:00.sql', 'db-2026-10-18T01:00:00.sql', 'db-2026-09-30T01:00:00.sql'])
+    })
+
+    it('select applies rules to each set', function() {
+        const list = backups('db-*.sql', ['2026-10-19', '2026-10-18', '2026-10-17'])
+            .concat(backups('web-*.tar', ['2026-10-01', '2026-09-01']))
+
+        const result = Retention.select(list, {keepLast: 2})
+        assert.deepEqual(names(result.keep), ['db-2026-10-19.sql', 'db-2026-10-18.sql', 'web-2026-10-01.tar', 'web-2026-09-01.tar'])
+        assert.deepEqual(names(result.prune), ['db-2026-10-17.sql'])
+    })
+
+    it('plan considers only backups uploaded by azbak', function() {
+        const retention = new Retention('/container', credentials)
+        retention.keepLast = 1
+
+        const blob = (name, creationTime, metadata) => {
+            return {name, size: 10, tier: 'Hot', lastModified: new Date(creationTime), creationTime: new Date(creationTime), metadata: metadata || {}}
+        }
+        retention.containerClient.listBlobs = () => {
+            return Promise.resolve({
+                blobs: [
+                    blob('db.sql.000', '2026-10-18T01:00:00Z'),
+                    blob('db.sql.manifest.json', '2026-10-18T01:05:00Z'),
+                    blob('logs.tar', '2026-10-19T01:00:00Z', {azbak_sha256: 'abc'}),
+                    blob('photos/cat.jpg', '2026-10-10T01:00:00Z'),
+                    blob('readme.txt', '2026-10-01T01:00:00Z')
+                ],
+                prefixes: []
+            })
+        }
+
+        return retention.plan()
+            .then((plan) => {
+                // Backups without a timestamp are not grouped together, and other blobs are ignored
+                assert.deepEqual(names(plan.keep), ['/container/logs.tar', '/container/db.sql'])
+                assert.deepEqual(plan.prune, [])
+            })
+    })
+
+    it('prune deletes all parts and the manifest', function() {
+        const retention = new Retention('/container/db-', credentials)
+        retention.keepLast = 1
+        assert.strictEqual(retention.includeSnapshots, false)
+        retention.includeSnapshots = true
+
+        const blob = (name, creationTime) => {
+            return {name, size: 10, tier: 'Cool', lastModified: new Date(creationTime), creationTime: new Date(creationTime), metadata: {}}
+        }
+        retention.containerClient.listBlobs = (options) => {
+            assert.deepEqual(options, {prefix: 'db-', include: ['metadata']})
+            return Promise.resolve({
+                blobs: [
+                    blob('db-2026-10-17.sql.000', '2026-10-17T01:00:00Z'),
+                    blob('db-2026-10-17.sql.001', '2026-10-17T01:00:00Z'),
+                    blob('db-2026-10-17.sql.manifest.json', '2026-10-17T01:05:00Z'),
+                    blob('db-2026-10-18.sql.000', '2026-10-18T01:00:00Z'),
+                    blob('db-2026-10-18.sql.001', '2026-10-18T01:00:00Z'),
+                    blob('db-2026-10-18.sql.manifest.json', '2026-10-18T01:05:00Z'),
+                    blob('db-2026-10-19.sql.000', '2026-10-19T01:00:00Z'),
+                    blob('db-2026-10-19.sql.manifest.json', '2026-10-19T01:05:00Z')
+                ],
+                prefixes: []
+            })
+        }
+
+        // The first part of the oldest backup can't be deleted
+        const deleted = []
+        retention.containerClient.deleteBlob = (name, options) => {
+            assert.deepEqual(options, {includeSnapshots: true})
+            if (name == 'db-2026-10-17.sql.000') {
+                return Promise.reject(Error('Simulated failure'))
+            }
+            deleted.push(name)
+            return Promise.resolve(true)
+        }
+        const events = []
+        retention.on('backupPruned', (backup) => events.push('pruned ' + backup.name))
+        retention.on('pruneFailed', (backup) => events.push('failed ' + backup.name + ': ' + backup.error.message))
+
+        return retention.prune()
+            .then((summary) => {
+                // Parts are deleted first, and the manifest only if all parts were deleted
+                assert.deepEqual(deleted, ['db-2026-10-18.sql.000', 'db-2026-10-18.sql.001', 'db-2026-10-18.sql.manifest.json', 'db-2026-10-17.sql.001'])
+                assert.deepEqual(events, ['pruned /container/db-2026-10-18.sql', 'failed /container/db-2026-10-17.sql: Simulated failure'])
+                assert.deepEqual(names(summary.kept), ['/container/db-2026-10-19.sql'])
+
+                assert.deepEqual(names(summary.pruned), ['/container/db-2026-10-18.sql'])
+                assert.equal(summary.pruned[0].parts, 2)
+                assert.equal(summary.pruned[0].deleted.length, 3)
+
+                assert.deepEqual(names(summary.failed), ['/container/db-2026-10-17.sql'])
+                assert.deepEqual(summary.failed[0].deleted, ['db-2026-10-17.sql.001'])
+                assert.deepEqual(summary.failed[0].failed.map((f) => f.name), ['db-2026-10-17.sql.000'])
+                assert.deepEqual(summary.failed[0].skipped, ['db-2026-10-17.sql.manifest.json'])
+            })
+    })
+})
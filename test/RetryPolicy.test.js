@@ -0,0 +1,194 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const http = require('http')
+
+const RetryPolicy = require('../lib/RetryPolicy')
+const StreamUpload = require('../lib/StreamUpload')
+
+describe('RetryPolicy', function() {
+    // These tests do not access Azure Blob Storage, so they use fake credentials
+    const credentials = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+
+    // Start a local server that replies to each request with the next fault in the list (or success, when the list
+    // is empty): a status code, optionally with headers, or 'hang' to never reply
+    const faultServer = (faults, cb) => {
+        const requests = []
+        const server = http.createServer((req, res) => {
+            let bytes = 0
+            req.on('data', (data) => {
+                bytes += data.length
+            })
+            req.on('end', () => {
+                requests.push({method: req.method, url: req.url, bytes})
+                const fault = faults.shift()
+                if (fault == 'hang') {
+                    return
+                }
+                res.writeHead((fault && fault.statusCode) || 201, (fault && fault.headers) || {})
+                res.end()
+            })
+        })
+        server.listen(0, '127.0.0.1', () => {
+            const upload = new StreamUpload(null, '/container/file', credentials)
+            upload.blobEndpoint = 'http://127.0.0.1:' + server.address().port
+            upload.retryPolicy = new RetryPolicy({baseDelay: 10, jitter: 0})
+
+            const retries = []
+            upload.on('retry', (info) => retries.push(info))
+
+            cb(upload, requests, retries, (err, done) => {
+                // Close open connections too, such as the ones of requests that never got a reply
+                server.close(() => done(err))
+                if (server.closeAllConnections) {
+                    server.closeAllConnections()
+                }
+            })
+        })
+    }
+
+    it('properties', function() {
+        const policy = new RetryPolicy({maxAttempts: 4, retryableStatusCodes: [503]})
+        assert.equal(policy.maxAttempts, 4)
+        assert.equal(policy.baseDelay, RetryPolicy.defaultBaseDelay)
+        assert.deepEqual(policy.retryableStatusCodes, [503])
+
+        assert.throws(() => {
+            policy.maxAttempts = 0
+        }, /attempts/)
+        assert.throws(() => {
+            policy.baseDelay = -1
+        }, /Base delay/)
+        assert.throws(() => {
+            policy.jitter = 2
+        }, /Jitter/)
+        assert.throws(() => {
+            policy.retryableStatusCodes = [600]
+        }, /status codes/)
+        assert.throws(() => {
+            new StreamUpload(null, '/container/file', credentials).retryPolicy = {maxAttempts: 3}
+        }, /RetryPolicy/)
+
+        assert.deepEqual(RetryPolicy.parseStatusCodes('408, 429,503'), [408, 429, 503])
+        assert.throws(() => {
+            RetryPolicy.parseStatusCodes('5xx')
+        }, /Invalid status code/)
+    })
+
+    it('delays', function() {
+        const policy = new RetryPolicy({baseDelay: 100, maxDelay: 1000, jitter: 0})
+
+        // Exponential backoff, up to the maximum delay
+        assert.deepEqual([1, 2, 3, 4, 5].map((attempt) => policy.getDelay(attempt)), [100, 200, 400, 800, 1000])
+
+        // Jitter reduces the delay by a random part
+        policy.jitter = 0.5
+        for (let i = 0; i < 20; i++) {
+            const delay = policy.getDelay(3)
+            assert.ok(delay >= 200 && delay <= 400, 'delay: ' + delay)
+        }
+
+        // Retry-After, in seconds or as a date, is honored even if longer than the maximum delay
+        assert.equal(policy.getDelay(1, {headers: {'retry-after': '5'}}), 5000)
+        const date = policy.getDelay(1, {headers: {'retry-after': new Date(Date.now() + 10000).toUTCString()}})
+        assert.ok(date > 8000 && date <= 10000, 'delay: ' + date)
+        assert.strictEqual(RetryPolicy.parseRetryAfter('soon'), null)
+        assert.strictEqual(RetryPolicy.parseRetryAfter(undefined), null)
+
+        // Retryable responses
+        assert.ok(policy.isRetryable(new Error('ECONNRESET')))
+        assert.ok(policy.isRetryable(null, {statusCode: 429}))
+        assert.ok(policy.isRetryable(null, {statusCode: 503}))
+        assert.ok(!policy.isRetryable(null, {statusCode: 403}))
+    })
+
+    it('putBlock retries throttled and failed requests', function(done) {
+        const faults = [
+            {statusCode: 503},
+            {statusCode: 429, headers: {'Retry-After': '1'}},
+            {statusCode: 408}
+        ]
+        faultServer(faults, (upload, requests, retries, finish) => {
+            const blockRetries = []
+            upload.on('blockRetry', (info) => blockRetries.push(info))
+
+            const start = Date.now()
+            upload.putBlock(Buffer.alloc(1000, 1), 'MDAwMDA=', '.000')
+                .then((response) => {
+                    assert.equal(response.statusCode, 201)
+                    assert.equal(requests.length, 4)
+                    for (const req of requests) {
+                        assert.equal(req.bytes, 1000)
+                    }
+
+                    // Delays double at each attempt, and Retry-After is honored
+                    assert.deepEqual(retries.map((info) => info.statusCode), [503, 429, 408])
+                    assert.deepEqual(retries.map((info) => info.attempt), [1, 2, 3])
+                    assert.deepEqual(retries.map((info) => info.delay), [10, 1000, 40])
+                    assert.equal(retries[0].operation, 'putBlock')
+                    assert.equal(retries[0].seqId, '.000')
+                    assert.equal(retries[0].blockId, 'MDAwMDA=')
+                    assert.ok(Date.now() - start >= 1000)
+
+                    // blockRetry is emitted too
+                    assert.equal(blockRetries.length, 3)
+                    assert.equal(blockRetries[1].delay, 1000)
+                })
+                .then(() => finish(null, done), (err) => finish(err, done))
+        })
+    })
+
+    it('requests that time out are retried', function(done) {
+        faultServer(['hang'], (upload, requests, retries, finish) => {
+            upload.retryPolicy.timeout = 200
+
+            upload.commitBlockBlob(1, '.000')
+                .then((response) => {
+                    assert.equal(response.statusCode, 201)
+                    assert.equal(requests.length, 2)
+                    assert.equal(retries.length, 1)
+                    assert.equal(retries[0].operation, 'commitBlockBlob')
+                    assert.equal(retries[0].statusCode, null)
+                    assert.ok(retries[0].error.code.match(/TIMEDOUT/), retries[0].error.code)
+                })
+                .then(() => finish(null, done), (err) => finish(err, done))
+        })
+    })
+
+    it('requests fail when attempts are exhausted, or the error is not retryable', function(done) {
+        const faults = [
+            {statusCode: 500},
+            {statusCode: 500},
+            {statusCode: 403}
+        ]
+        faultServer(faults, (upload, requests, retries, finish) => {
+            upload.retryPolicy.maxAttempts = 2
+
+            upload.putBlock(Buffer.alloc(100), 'MDAwMDA=', '.000')
+                .then(() => {
+                    assert.fail('Should have thrown')
+                }, (err) => {
+                    assert.ok(err.message.match(/\(500\)/))
+                    assert.equal(requests.length, 2)
+                    assert.equal(retries.length, 1)
+
+                    // Not retried
+                    return upload.putBlob(Buffer.from('{}'), '.manifest.json')
+                })
+                .then(() => {
+                    assert.fail('Should have thrown')
+                }, (err) => {
+                    assert.ok(err.message.match(/\(403\)/))
+                    assert.equal(requests.length, 3)
+                    assert.equal(retries.length, 1)
+                })
+                .then(() => finish(null, done), (err) => finish(err, done))
+        })
+    })
+})
@@ -0,0 +1,120 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+
+const SharedAccessSignature = require('../lib/SharedAccessSignature')
+const Utils = require('../lib/Utils')
+
+describe('SharedAccessSignature', function() {
+    // Known-good signatures were computed offline with the official Azure Storage SDK, using these credentials
+    const authData = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+    const start = new Date('2026-10-19T10:00:00Z')
+    const expiry = new Date('2026-11-01T00:00:00Z')
+
+    it('service SAS for containers', function() {
+        const options = {
+            path: '/container',
+            permissions: 'lwr',
+            start,
+            expiry,
+            ip: '10.0.0.1-10.0.0.255',
+            protocol: 'https'
+        }
+        const expected = {
+            '2015-04-05': 'QYOJEjWZnzSE%2BUIElatHTCPpPqbhR3nYQi7nrbdINb0%3D',
+            '2019-02-02': '4Q6HcJbQswnXNHU97WL1b91Uz%2B6045fuq4Ux%2FN51ovQ%3D',
+            '2021-08-06': 'td150bxZBXxYwtcHgwUtwlSubde6IIXpGRGtP1dZwok%3D'
+        }
+        for (const version of Object.keys(expected)) {
+            options.version = version
+            assert.equal(
+                SharedAccessSignature.generateServiceSas(authData, options),
+                'sv=' + version + '&sp=rwl&st=2026-10-19T10%3A00%3A00Z&se=2026-11-01T00%3A00%3A00Z&sip=10.0.0.1-10.0.0.255&spr=https&sr=c&sig=' + expected[version]
+            )
+        }
+    })
+
+    it('service SAS for blobs', function() {
+        const options = {
+            path: '/container/path/to/file.tar',
+            permissions: 'r',
+            expiry
+        }
+        const expected = {
+            '2015-04-05': 'EzIstA82rBtgdurw%2F9p9eOMT2ihTGEPOuQQKfhhoCkI%3D',
+            '2019-02-02': 'gNSYNYxQht65Swv%2BDoHvkwUFtI%2BLz8c4MzY1v1fQM0g%3D',
+            '2021-08-06': 'PIFhUWMxJZ7xtVXZq5DGbgYeRt4zrwpVhmiQi1IMPgs%3D'
+        }
+        for (const version of Object.keys(expected)) {
+            options.version = version
+            assert.equal(
+                SharedAccessSignature.generateServiceSas(authData, options),
+                'sv=' + version + '&sp=r&se=2026-11-01T00%3A00%3A00Z&sr=b&sig=' + expected[version]
+            )
+        }
+
+        // Tokens are accepted as SAS tokens
+        delete options.version
+        assert.doesNotThrow(() => {
+            Utils.validateAuthData({
+                storageAccountName: 'azbaktest',
+                storageAccountSasToken: SharedAccessSignature.generateServiceSas(authData, options)
+            })
+        })
+    })
+
+    it('account SAS', function() {
+        const options = {
+            permissions: 'racwdl',
+            resourceTypes: 'oc',
+            start,
+            expiry,
+            ip: '192.168.1.10',
+            protocol: 'https,http'
+        }
+        const expected = {
+            '2019-02-02': '%2BBRnSFCGVrwNy5TwIwuNiuEjs1paGYv8DcRa2kyUpSg%3D',
+            '2021-08-06': 'E9%2Fzp%2Btz8ushy5Fcj9Daiuzwa7Silp4X9DjMY7Z4%2FjI%3D'
+        }
+        for (const version of Object.keys(expected)) {
+            options.version = version
+            assert.equal(
+                SharedAccessSignature.generateAccountSas(authData, options),
+                'sv=' + version + '&ss=b&srt=co&sp=rwdlac&st=2026-10-19T10%3A00%3A00Z&se=2026-11-01T00%3A00%3A00Z&sip=192.168.1.10&spr=https%2Chttp&sig=' + expected[version]
+            )
+        }
+    })
+
+    it('validates options', function() {
+        assert.throws(() => {
+            SharedAccessSignature.generateServiceSas({storageAccountName: 'azbaktest'}, {path: '/container', permissions: 'r', expiry})
+        }, /key are required/)
+        assert.throws(() => {
+            SharedAccessSignature.generateServiceSas(authData, {path: '/container/file', permissions: 'rl', expiry})
+        }, /permission l is not valid/i)
+        assert.throws(() => {
+            SharedAccessSignature.generateServiceSas(authData, {path: 'container', permissions: 'r', expiry})
+        }, /path/i)
+        assert.throws(() => {
+            SharedAccessSignature.generateServiceSas(authData, {path: '/container', permissions: 'r'})
+        }, /expiry time/i)
+        assert.throws(() => {
+            SharedAccessSignature.generateServiceSas(authData, {path: '/container', permissions: 'r', start: expiry, expiry: start})
+        }, /after the start time/)
+        assert.throws(() => {
+            SharedAccessSignature.generateAccountSas(authData, {permissions: 'r', expiry, ip: 'localhost'})
+        }, /IP/)
+        assert.throws(() => {
+            SharedAccessSignature.generateAccountSas(authData, {permissions: 'r', expiry, protocol: 'http'})
+        }, /protocol/i)
+        assert.throws(() => {
+            SharedAccessSignature.generateAccountSas(authData, {permissions: 'r', expiry, resourceTypes: 'x'})
+        }, /resource types/i)
+    })
+})
@@ -0,0 +1,413 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+
+const Authorization = require('../lib/Authorization')
+const ConnectionString = require('../lib/ConnectionString')
+const Encryption = require('../lib/Encryption')
+const RetryPolicy = require('../lib/RetryPolicy')
+const StreamDownload = require('../lib/StreamDownload')
+
+describe('StreamDownload', function() {
+    // These tests do not access Azure Blob Storage, so they use fake credentials
+    const credentials = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+
+    // Read an entire stream into a Buffer
+    const readAll = (stream) => {
+        return new Promise((resolve, reject) => {
+            const chunks = []
+            stream.on('data', (chunk) => chunks.push(chunk))
+            stream.on('error', reject)
+            stream.on('end', () => resolve(Buffer.concat(chunks)))
+        })
+    }
+
+    it('constructor', function() {
+        assert.doesNotThrow(() => {
+            new StreamDownload('/container/test.jpg', credentials)
+        })
+
+        assert.throws(() => {
+            new StreamDownload('', credentials)
+        }, /blob/i)
+        assert.throws(() => {
+            new StreamDownload('/container/test.jpg', {
+                storageAccountName: 'azbaktest'
+            })
+        }, /storage account key or SAS token/i)
+    })
+
+    it('options', function() {
+        const download = new StreamDownload('/container/test.jpg', credentials)
+
+        assert.equal(download.blockSize, StreamDownload.defaultBlockSize)
+        download.blockSize = 10
+        assert.equal(download.blockSize, 10)
+        assert.throws(() => {
+            download.blockSize = 0
+        }, /block size/i)
+
+        download.concurrency = 5
+        assert.equal(download.concurrency, 5)
+        assert.throws(() => {
+            download.concurrency = -1
+        }, /concurrency/i)
+
+        assert.ok(download.retryPolicy instanceof RetryPolicy)
+        assert.throws(() => {
+            download.retryPolicy = {}
+        }, /RetryPolicy object/)
+
+        assert.ok(download.blobUrl.match(/^https:\/\/azbaktest\.(.*?)\/container\/test\.jpg$/))
+    })
+
+    it('path-style endpoint over http', function(done) {
+        // Local server acting as the storage emulator
+        const requests = []
+        const server = http.createServer((req, res) => {
+            requests.push(req)
+            res.writeHead(200, {'Content-Length': 10, 'x-ms-meta-azbak_sha256': 'abc'})
+            res.end()
+        })
+        server.listen(0, '127.0.0.1', () => {
+            const parsed = ConnectionString.parse('UseDevelopmentStorage=true')
+            const download = new StreamDownload('/container/test.jpg', parsed.authData)
+            download.blobEndpoint = 'http://127.0.0.1:' + server.address().port + '/devstoreaccount1/'
+            assert.equal(download.blobUrl, 'http://127.0.0.1:' + server.address().port + '/devstoreaccount1/container/test.jpg')
+            assert.throws(() => {
+                download.blobEndpoint = '127.0.0.1:10000'
+            }, /http or https URL/)
+
+            download.getBlobProperties('.000')
+                .then((props) => {
+                    assert.equal(props.size, 10)
+                    assert.equal(requests.length, 1)
+                    assert.equal(requests[0].url, '/devstoreaccount1/container/test.jpg.000')
+
+                    // The account name appears twice in the canonicalized resource
+                    const auth = new Authorization('HEAD', '/container/test.jpg.000', {
+                        basePath: '/devstoreaccount1',
+                        date: new Date(requests[0].headers['x-ms-date'])
+                    })
+                    auth.setStorageAccount(parsed.authData.storageAccountName, parsed.authData.storageAccountKey)
+                    assert.ok(auth.stringToSign().endsWith('\n/devstoreaccount1/devstoreaccount1/container/test.jpg.000'))
+                    assert.equal(requests[0].headers.authorization, auth.requestHeaders().Authorization)
+                })
+                .then(() => server.close(done), (err) => server.close(() => done(err)))
+        })
+    })
+
+    it('requests are retried with the retry policy', function(done) {
+        // Local server failing the first request for each blob
+        const requests = []
+        const server = http.createServer((req, res) => {
+            requests.push(req)
+            if (requests.filter((r) => r.url == req.url).length == 1) {
+                res.writeHead(500)
+                res.end()
+                return
+            }
+            res.writeHead(req.method == 'HEAD' ? 200 : 206, {'Content-Length': 4})
+            res.end(req.method == 'HEAD' ? undefined : 'data')
+        })
+        server.listen(0, '127.0.0.1', () => {
+            const download = new StreamDownload('/container/test.jpg', credentials)
+            download.blobEndpoint = 'http://127.0.0.1:' + server.address().port
+            download.retryPolicy = new RetryPolicy({baseDelay: 10, jitter: 0})
+
+            download.getBlobProperties('.000')
+                .then((props) => {
+                    assert.equal(props.size, 4)
+                    assert.equal(requests.length, 2)
+
+                    return download.getRange('.001', 0, 3)
+                })
+                .then((data) => {
+                    assert.equal(data.toString(), 'data')
+                    assert.equal(requests.length, 4)
+                })
+                .then(() => server.close(done), (err) => server.close(() => done(err)))
+        })
+    })
+
+    it('listParts', function() {
+        const download = new StreamDownload('/container/test.jpg', credentials)
+
+        // Simulate a backup with 3 parts
+        download.getBlobProperties = (seqId) => {
+            const exists = ['.000', '.001', '.002'].indexOf(seqId) >= 0
+            return Promise.resolve(exists ? {seqId, size: 10} : null)
+        }
+
+        return download.listParts()
+            .then((parts) => {
+                assert.deepEqual(parts.map((p) => p.seqId), ['.000', '.001', '.002'])
+
+                // Backup uploaded without suffix
+                download.getBlobProperties = (seqId) => {
+                    return Promise.resolve(seqId === '' ? {seqId, size: 10} : null)
+                }
+                return download.listParts()
+            })
+            .then((parts) => {
+                assert.deepEqual(parts.map((p) => p.seqId), [''])
+
+                // Nothing found
+                download.getBlobProperties = () => Promise.resolve(null)
+                return download.listParts()
+            })
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/not found/i))
+            })
+    })
+
+    it('download returns ranges in order', function() {
+        const download = new StreamDownload('/container/test.jpg', credentials)
+        download.blockSize = 4
+        download.concurrency = 3
+
+        // Content of each part
+        const content = {
+            '.000': Buffer.from('0123456789'),
+            '.001': Buffer.from('abcdefg')
+        }
+        download.getBlobProperties = (seqId) => {
+            return Promise.resolve(content[seqId] ? {seqId, size: content[seqId].length} : null)
+        }
+
+        // Respond with random delays, so requests complete out of order
+        download.getRange = (seqId, start, end) => {
+            return new Promise((resolve) => {
+                setTimeout(() => {
+                    resolve(content[seqId].slice(start, end + 1))
+                }, Math.random() * 20)
+            })
+        }
+
+        return download.download()
+            .then(readAll)
+            .then((data) => {
+                assert.equal(data.toString(), '0123456789abcdefg')
+            })
+    })
+
+    it('download decrypts encrypted backups', function() {
+        const encryption = new Encryption({key: crypto.randomBytes(32)})
+        const data = crypto.randomBytes(100000)
+
+        return encryption.createCipher()
+            .then((cipher) => {
+                const encrypted = []
+                cipher.on('data', (chunk) => encrypted.push(chunk))
+                cipher.end(data)
+
+                return readAll(cipher)
+                    .then(() => ({encrypted: Buffer.concat(encrypted), metadata: cipher.metadata}))
+            })
+            .then((result) => {
+                const download = new StreamDownload('/container/test.jpg', credentials)
+                download.blockSize = 30000
+                download.getBlobProperties = (seqId) => {
+                    return Promise.resolve(seqId == '' ? {seqId, size: result.encrypted.length, metadata: result.metadata} : null)
+                }
+                download.getRange = (seqId, start, end) => {
+                    return Promise.resolve(result.encrypted.slice(start, end + 1))
+                }
+
+                // Fails without a key
+                return download.download()
+                    .then(() => {
+                        assert.fail('Should have thrown')
+                    }, (err) => {
+                        assert.ok(err.message.match(/encrypted/))
+
+                        download.encryption = encryption
+                        return download.download()
+                    })
+                    .then(readAll)
+                    .then((decrypted) => {
+                        assert.ok(decrypted.equals(data))
+                    })
+            })
+    })
+
+    it('download decompresses compressed backups', function() {
+        const data = Buffer.from('hello world '.repeat(1000))
+        const compressed = zlib.gzipSync(data)
+
+        const download = new StreamDownload('/container/test.jpg', credentials)
+        download.blockSize = 100
+        download.getBlobProperties = (seqId) => {
+            return Promise.resolve(seqId == '' ? {seqId, size: compressed.length, metadata: {azbak_compression: 'gzip'}} : null)
+        }
+        download.getRange = (seqId, start, end) => {
+            return Promise.resolve(compressed.slice(start, end + 1))
+        }
+
+        return download.download()
+            .then(readAll)
+            .then((result) => {
+                assert.ok(result.equals(data))
+
+                // Disable decompression
+                download.decompress = false
+                return download.download()
+            })
+            .then(readAll)
+            .then((result) => {
+                assert.ok(result.equals(compressed))
+            })
+    })
+
+    it('download fails when a range fails', function() {
+        const download = new StreamDownload('/container/test.jpg', credentials)
+        download.blockSize = 4
+
+        download.getBlobProperties = (seqId) => {
+            return Promise.resolve(seqId == '.000' ? {seqId, size: 20} : null)
+        }
+        download.getRange = (seqId, start) => {
+            return start == 8 ?
+                Promise.reject(new Error('Request error (500)')) :
+                Promise.resolve(Buffer.alloc(4))
+        }
+
+        return download.download()
+            .then(readAll)
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/500/))
+            })
+    })
+    describe('verify', function() {
+        const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+
+        // Create a download object with mocked requests, for a backup with the content and metadata passed
+        const mockDownload = (parts, manifest, metadata) => {
+            const download = new StreamDownload('/container/test.jpg', credentials)
+            download.blockSize = 7
+            download.getManifest = () => Promise.resolve(manifest || null)
+            download.getBlobProperties = (seqId) => {
+                return Promise.resolve(parts[seqId] ? {seqId, size: parts[seqId].length, metadata: metadata || {}} : null)
+            }
+            download.getRange = (seqId, start, end) => {
+                return Promise.resolve(parts[seqId].slice(start, end + 1))
+            }
+            return download
+        }
+
+        // Build a manifest for the parts
+        const buildManifest = (parts, source) => {
+            const seqIds = Object.keys(parts).sort()
+            return {
+                sha256: sha256(Buffer.concat(seqIds.map((seqId) => parts[seqId]))),
+                sourceSha256: source ? sha256(source) : null,
+                parts: seqIds.map((seqId) => ({
+                    seqId,
+                    size: parts[seqId].length,
+                    sha256: sha256(parts[seqId])
+                }))
+            }
+        }
+
+        const parts = {
+            '.000': Buffer.from('hello world, this is'),
+            '.001': Buffer.from(' a test')
+        }
+
+        it('succeeds for intact backups', function() {
+            return mockDownload(parts, buildManifest(parts)).verify()
+                .then((report) => {
+                    assert.ok(report.ok, report.errors.join('\n'))
+                    assert.ok(report.manifest)
+                    assert.deepEqual(report.parts.map((p) => p.status), ['ok', 'ok'])
+                    assert.equal(report.sha256, sha256(Buffer.concat([parts['.000'], parts['.001']])))
+                })
+        })
+
+        it('uses the metadata of parts without manifest', function() {
+            const download = mockDownload(parts, null)
+            download.getBlobProperties = (seqId) => {
+                return Promise.resolve(parts[seqId] ? {seqId, size: parts[seqId].length, metadata: {azbak_sha256: sha256(parts[seqId])}} : null)
+            }
+
+            return download.verify()
+                .then((report) => {
+                    assert.ok(report.ok, report.errors.join('\n'))
+                    assert.ok(!report.manifest)
+                    assert.equal(report.warnings.length, 1)
+
+                    // Without checksums, verification fails
+                    return mockDownload(parts, null).verify()
+                })
+                .then((report) => {
+                    assert.ok(!report.ok)
+                    assert.deepEqual(report.parts.map((p) => p.status), ['unverified', 'unverified'])
+                })
+        })
+
+        it('reports missing parts, size and hash mismatches', function() {
+            const manifest = buildManifest({
+                '.000': parts['.000'],
+                '.001': Buffer.from(' a tesT'),
+                '.002': Buffer.from('!')
+            })
+            manifest.parts[0].size = 5
+
+            return mockDownload(parts, manifest).verify()
+                .then((report) => {
+                    assert.ok(!report.ok)
+                    assert.deepEqual(report.parts.map((p) => p.status), ['size-mismatch', 'hash-mismatch', 'missing'])
+                    assert.strictEqual(report.sha256, null)
+                    assert.equal(report.errors.length, 3)
+                })
+        })
+
+        it('compares with a local file', function() {
+            const localPath = path.join(os.tmpdir(), 'azbak-verify-' + process.pid)
+            const source = Buffer.from('hello world '.repeat(100))
+            fs.writeFileSync(localPath, source)
+
+            const compressed = zlib.gzipSync(source)
+            const compressedParts = {
+                '.000': compressed.slice(0, 20),
+                '.001': compressed.slice(20)
+            }
+
+            return mockDownload(compressedParts, buildManifest(compressedParts, source), {azbak_compression: 'gzip'}).verify(localPath)
+                .then((report) => {
+                    assert.ok(report.ok, report.errors.join('\n'))
+                    assert.equal(report.local.sha256, sha256(source))
+                    assert.equal(report.local.remoteSha256, sha256(source))
+                    assert.equal(report.local.remoteSize, source.length)
+
+                    // Local file changed
+                    fs.writeFileSync(localPath, 'something else')
+                    return mockDownload(compressedParts, buildManifest(compressedParts, source), {azbak_compression: 'gzip'}).verify(localPath)
+                })
+                .then((report) => {
+                    assert.ok(!report.ok)
+                    assert.equal(report.errors.length, 2)
+                    fs.unlinkSync(localPath)
+                }, (err) => {
+                    fs.unlinkSync(localPath)
+                    throw err
+                })
+        })
+    })
+})
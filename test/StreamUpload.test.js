@@ -4,9 +4,15 @@
 'use strict'
 
 const assert = require('assert')
+const crypto = require('crypto')
 const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const stream = require('stream')
+const zlib = require('zlib')
 const TestUtils = require('./_TestUtils')
 
+const Encryption = require('../lib/Encryption')
 const StreamUpload = require('../lib/StreamUpload')
 
 describe('StreamUpload', function() {
@@ -201,3 +207,552 @@ describe('StreamUpload', function() {
         }, /concurrency/i)
     })
 })
+
+describe('StreamUpload without network', function() {
+    // These tests do not access Azure Blob Storage, so they use fake credentials
+    const credentials = {
+        storageAccountName: 'azbaktest',
+        storageAccountKey: Buffer.from('azbak-test-key').toString('base64')
+    }
+    const journalPath = path.join(os.tmpdir(), 'azbak-resume-' + process.pid + '.jsonl')
+    const sourcePath = './test/assets/unsplash1.jpg'
+    const sourceSize = fs.statSync(sourcePath).size
+
+    afterEach('remove journal file', function() {
+        if (fs.existsSync(journalPath)) {
+            fs.unlinkSync(journalPath)
+        }
+    })
+
+    // Create an upload object that doesn't send requests, and records the blocks "uploaded"
+    const mockUpload = (uncommitted, failAfter, source) => {
+        const upload = new StreamUpload(source || fs.createReadStream(sourcePath), '/container/test.jpg', credentials)
+        upload.blockSize = 10 * 1024
+        upload.blocksPerBlob = 4
+        upload.concurrency = 1
+        upload.resumeJournal = journalPath
+
+        upload.uploaded = []
+        upload.putBlock = (block, blockId, seqId) => {
+            if (failAfter !== undefined && upload.uploaded.length >= failAfter) {
+                return Promise.reject(new Error('Simulated failure'))
+            }
+            upload.uploaded.push(seqId + '/' + blockId)
+            uncommitted[seqId] = uncommitted[seqId] || {}
+            uncommitted[seqId][blockId] = block.length
+            return Promise.resolve({})
+        }
+        upload.getUncommittedBlocks = (seqId) => {
+            return Promise.resolve(uncommitted[seqId] || {})
+        }
+        upload.commitBlockBlob = (blockCount, seqId) => {
+            return Promise.resolve({blobUrl: upload.blobUrl + seqId})
+        }
+        upload.putBlob = (data, suffix) => {
+            upload.putBlobData = data
+            return Promise.resolve({blobUrl: upload.blobUrl + suffix})
+        }
+
+        return upload
+    }
+
+    it('resume skips blocks already uploaded', function() {
+        const totalBlocks = Math.ceil(sourceSize / (10 * 1024))
+        const uncommitted = {}
+
+        // First attempt fails after 5 blocks
+        const first = mockUpload(uncommitted, 5)
+        return first.upload()
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/Simulated failure/))
+                assert.equal(first.uploaded.length, 5)
+                assert.ok(fs.existsSync(journalPath))
+
+                // Lose one block on the server
+                delete uncommitted['.000']['MDAwMDE=']
+
+                // Second attempt uploads the missing blocks only
+                const second = mockUpload(uncommitted)
+                return second.upload()
+                    .then((urls) => {
+                        assert.equal(urls.length, Math.ceil(totalBlocks / 4))
+                        assert.equal(second.uploaded.length, totalBlocks - 4)
+                        assert.ok(second.uploaded.indexOf('.000/MDAwMDE=') >= 0)
+
+                        // Journal is removed at the end
+                        assert.ok(!fs.existsSync(journalPath))
+                    })
+            })
+    })
+
+    it('resume uploads again blocks whose data changed', function() {
+        // The source is not a file, so blocks are read again and compared with the hashes in the journal
+        const data = fs.readFileSync(sourcePath)
+        const bufferStream = (buffer) => new stream.PassThrough().end(buffer)
+        const uncommitted = {}
+
+        const first = mockUpload(uncommitted, 5, bufferStream(data))
+        return first.upload()
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/Simulated failure/))
+
+                // Change the data of the third block
+                const changed = Buffer.from(data)
+                changed[2 * 10 * 1024 + 5] ^= 0xff
+
+                const second = mockUpload(uncommitted, undefined, bufferStream(changed))
+                return second.upload()
+                    .then(() => {
+                        const totalBlocks = Math.ceil(sourceSize / (10 * 1024))
+                        assert.equal(second.uploaded.length, totalBlocks - 4)
+                        assert.ok(second.uploaded.indexOf('.000/MDAwMDI=') >= 0)
+                    })
+            })
+    })
+
+    it('resume fails if the source file changed', function() {
+        const copyPath = path.join(os.tmpdir(), 'azbak-resume-source-' + process.pid + '.jpg')
+        fs.copyFileSync(sourcePath, copyPath)
+
+        const first = mockUpload({}, 5, fs.createReadStream(copyPath))
+        return first.upload()
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/Simulated failure/))
+
+                // Touch the file
+                fs.utimesSync(copyPath, new Date(), new Date(Date.now() + 5000))
+                return mockUpload({}, undefined, fs.createReadStream(copyPath)).upload()
+            })
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/different size or modification time/), err.message)
+            })
+            .then(() => fs.unlinkSync(copyPath), (err) => {
+                fs.unlinkSync(copyPath)
+                throw err
+            })
+    })
+
+    it('resume cannot be used with encryption', function() {
+        const upload = mockUpload({})
+        upload.encryption = new Encryption({key: Buffer.alloc(32)})
+
+        return upload.upload()
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/encryption/))
+            })
+    })
+    it('compression', function() {
+        const uncommitted = {}
+        const upload = mockUpload(uncommitted)
+        upload.resumeJournal = undefined
+        upload.compression = 'gzip'
+        upload.compressionLevel = 9
+
+        assert.throws(() => {
+            upload.compression = 'lzma'
+        }, /compression algorithm/i)
+        assert.throws(() => {
+            upload.compressionLevel = 'high'
+        }, /compression level/i)
+
+        // Collect the blocks uploaded; they must be copied, as buffers are reused once the upload of the block is done
+        const blocks = []
+        upload.putBlock = (block) => {
+            blocks.push(Buffer.from(block))
+            return Promise.resolve({})
+        }
+
+        return upload.upload()
+            .then(() => {
+                assert.equal(upload._commitMetadata.azbak_compression, 'gzip')
+                assert.equal(upload._commitHeaders['x-ms-blob-content-encoding'], 'gzip')
+
+                const data = zlib.gunzipSync(Buffer.concat(blocks))
+                assert.ok(data.equals(fs.readFileSync(sourcePath)))
+            })
+    })
+    it('metadata and properties', function() {
+        const upload = mockUpload({})
+        upload.resumeJournal = undefined
+
+        assert.throws(() => {
+            upload.metadata = {'not-valid': 'foo'}
+        }, /C# identifier/)
+        assert.throws(() => {
+            upload.metadata = {azbak_sha256: 'foo'}
+        }, /reserved/)
+        assert.throws(() => {
+            upload.metadata = {host: 'a', Host: 'b'}
+        }, /more than once/)
+        assert.throws(() => {
+            upload.metadata = {host: 'caff\u00e8'}
+        }, /printable ASCII/)
+        assert.throws(() => {
+            upload.contentType = 'text/plain\n'
+        }, /content type/i)
+
+        upload.metadata = {host: 'db01', Retention: 'monthly'}
+        upload.contentType = 'image/jpeg'
+        upload.contentEncoding = 'identity'
+        upload.cacheControl = 'no-cache'
+        upload.compression = 'gzip'
+        assert.strictEqual(upload.contentDisposition, undefined)
+
+        return upload.upload()
+            .then(() => {
+                assert.equal(upload._commitMetadata.host, 'db01')
+                assert.equal(upload._commitMetadata.Retention, 'monthly')
+                assert.equal(upload._commitMetadata.azbak_compression, 'gzip')
+                assert.deepEqual(upload._commitHeaders, {
+                    'x-ms-blob-content-type': 'image/jpeg',
+                    'x-ms-blob-content-encoding': 'identity',
+                    'x-ms-blob-cache-control': 'no-cache'
+                })
+            })
+    })
+    it('tier', function() {
+        const upload = mockUpload({})
+        upload.resumeJournal = undefined
+
+        assert.strictEqual(upload.tier, undefined)
+        assert.throws(() => {
+            upload.tier = 'Cold storage'
+        }, /access tier/i)
+        upload.tier = 'cool'
+        assert.equal(upload.tier, 'Cool')
+
+        // Errors returned by accounts that don't support tiers
+        assert.ok(StreamUpload.isTierNotSupportedError({statusCode: 400, headers: {'x-ms-error-code': 'InvalidBlobTier'}}))
+        assert.ok(StreamUpload.isTierNotSupportedError({
+            statusCode: 400,
+            headers: {'x-ms-error-code': 'InvalidHeaderValue'},
+            body: '<Error><Code>InvalidHeaderValue</Code><HeaderName>x-ms-access-tier</HeaderName></Error>'
+        }))
+        assert.ok(!StreamUpload.isTierNotSupportedError({statusCode: 400, headers: {'x-ms-error-code': 'InvalidHeaderValue'}, body: ''}))
+        assert.ok(!StreamUpload.isTierNotSupportedError({statusCode: 500, headers: {'x-ms-error-code': 'InvalidBlobTier'}}))
+
+        return upload.upload()
+            .then((urls) => {
+                assert.equal(urls.manifest.tier, 'Cool')
+            })
+    })
+    it('events', function() {
+        const upload = mockUpload({})
+        upload.resumeJournal = undefined
+        upload.expectedSize = sourceSize
+
+        assert.throws(() => {
+            upload.expectedSize = -1
+        }, /expected size/i)
+
+        const events = {blockStart: 0, blockUploaded: 0}
+        let lastProgress = null
+        upload.on('blockStart', (info) => {
+            assert.ok(info.seqId && info.blockId && info.size > 0)
+            events.blockStart++
+        })
+        upload.on('blockUploaded', () => {
+            events.blockUploaded++
+        })
+        upload.on('progress', (progress) => {
+            assert.ok(!lastProgress || progress.bytes > lastProgress.bytes)
+            lastProgress = progress
+        })
+
+        return upload.upload()
+            .then(() => {
+                const totalBlocks = Math.ceil(sourceSize / (10 * 1024))
+                assert.equal(events.blockStart, totalBlocks)
+                assert.equal(events.blockUploaded, totalBlocks)
+                assert.equal(lastProgress.blocks, totalBlocks)
+                assert.equal(lastProgress.bytes, sourceSize)
+                assert.equal(lastProgress.sourceBytes, sourceSize)
+                assert.equal(lastProgress.totalBytes, sourceSize)
+                assert.strictEqual(lastProgress.eta, 0)
+                assert.ok(lastProgress.bytesPerSecond >= 0)
+            })
+    })
+    it('planBlocks', function() {
+        const MB = 1024 * 1024
+        const TB = 1024 * 1024 * MB
+
+        // Small data uses the default block size, and large data larger blocks (multiples of 1MB)
+        assert.deepEqual(StreamUpload.planBlocks(100 * MB), {blockSize: 20 * MB, blocksPerBlob: 50000, blobs: 1})
+        assert.deepEqual(StreamUpload.planBlocks(2 * TB), {blockSize: 42 * MB, blocksPerBlob: 50000, blobs: 1})
+        assert.deepEqual(StreamUpload.planBlocks(6 * TB), {blockSize: 100 * MB, blocksPerBlob: 50000, blobs: 2})
+
+        // Memory limit
+        assert.deepEqual(StreamUpload.planBlocks(2 * TB, {concurrency: 3, maxMemory: 90 * MB}), {blockSize: 30 * MB, blocksPerBlob: 50000, blobs: 2})
+        assert.deepEqual(StreamUpload.planBlocks(100 * MB, {concurrency: 4, maxMemory: 32 * MB}), {blockSize: 8 * MB, blocksPerBlob: 50000, blobs: 1})
+        assert.throws(() => {
+            StreamUpload.planBlocks(100, {concurrency: 4, maxMemory: 2})
+        }, /too small/)
+    })
+
+    it('automatic block size', function() {
+        const upload = mockUpload({})
+        upload.resumeJournal = undefined
+        upload.blockSize = 1024
+        upload.blocksPerBlob = 10
+        upload.autoBlockSize = true
+        upload.expectedSize = 1024 * 1024 * 1024 * 1024
+        assert.throws(() => {
+            upload.maxMemory = 0
+        }, /memory/)
+
+        return upload.upload()
+            .then(() => {
+                assert.equal(upload.blockSize, 21 * 1024 * 1024)
+                assert.equal(upload.blocksPerBlob, 50000)
+            })
+    })
+
+    it('singleBlob fails before uploading if the data does not fit', function() {
+        const upload = mockUpload({})
+        upload.resumeJournal = undefined
+        upload.singleBlob = true
+        upload.expectedSize = sourceSize
+
+        return upload.upload()
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/too big to fit one blob/))
+                assert.equal(upload.uploaded.length, 0)
+
+                // With automatic planning, the block size is increased instead
+                upload.autoBlockSize = true
+                upload._sourceStream = fs.createReadStream(sourcePath)
+                return upload.upload()
+            })
+            .then((urls) => {
+                assert.equal(urls.length, 1)
+                assert.equal(upload.blockSize, StreamUpload.defaultBlockSize)
+            })
+    })
+
+    it('manifest', function() {
+        const upload = mockUpload({})
+        upload.resumeJournal = undefined
+
+        const source = fs.readFileSync(sourcePath)
+        const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+
+        return upload.upload()
+            .then((urls) => {
+                const manifest = urls.manifest
+                assert.ok(manifest)
+                assert.equal(urls.manifestUrl, upload.blobUrl + '.manifest.json')
+                assert.deepEqual(JSON.parse(upload.putBlobData.toString()), manifest)
+
+                assert.equal(manifest.blob, '/container/test.jpg')
+                assert.equal(manifest.size, source.length)
+                assert.equal(manifest.sha256, sha256(source))
+                assert.equal(manifest.sourceSha256, sha256(source))
+                assert.equal(manifest.parts.length, urls.length)
+                assert.ok(Date.parse(manifest.startTime) <= Date.parse(manifest.endTime))
+
+                // Check each part
+                const partSize = 4 * 10 * 1024
+                for (let i = 0; i < manifest.parts.length; i++) {
+                    const part = manifest.parts[i]
+                    const data = source.slice(i * partSize, (i + 1) * partSize)
+                    assert.equal(part.url, urls[i])
+                    assert.equal(part.size, data.length)
+                    assert.equal(part.blockCount, Math.ceil(data.length / (10 * 1024)))
+                    assert.equal(part.sha256, sha256(data))
+                    assert.equal(upload._partMetadata[part.seqId].azbak_sha256, part.sha256)
+                }
+
+                // Disable the manifest
+                upload.manifest = false
+                upload.putBlobData = undefined
+                upload._sourceStream = fs.createReadStream(sourcePath)
+                return upload.upload()
+            })
+            .then((urls) => {
+                assert.ok(urls.manifest)
+                assert.ok(!urls.manifestUrl)
+                assert.ok(!upload.putBlobData)
+
+                // With encryption, the hash of the source is not stored, in the manifest nor in the metadata
+                upload.encryption = new Encryption({key: Buffer.alloc(32)})
+                upload.sourceFile = {size: source.length, mtime: new Date(), md5: crypto.createHash('md5').update(source).digest('hex')}
+                upload._sourceStream = fs.createReadStream(sourcePath)
+                return upload.upload()
+            })
+            .then((urls) => {
+                assert.ok(urls.manifest.encrypted)
+                assert.ok(urls.manifest.sha256)
+                assert.ok(!('sourceSha256' in urls.manifest))
+                assert.equal(upload._commitMetadata.azbak_source_size, source.length + '')
+                assert.ok(!('azbak_source_md5' in upload._commitMetadata))
+            })
+    })
+
+    it('blocks are read by offset from files', function() {
+        const upload = mockUpload({})
+        upload.resumeJournal = undefined
+        upload.concurrency = 3
+
+        const source = fs.readFileSync(sourcePath)
+        const blocks = []
+        upload.putBlock = (block, blockId, seqId) => {
+            blocks.push({seqId, blockId, data: Buffer.from(block)})
+            return Promise.resolve({})
+        }
+
+        return upload.upload()
+            .then((urls) => {
+                // The original stream is not read
+                assert.equal(upload._sourceStream.bytesRead, 0)
+                assert.equal(urls.manifest.sourceSha256, crypto.createHash('sha256').update(source).digest('hex'))
+
+                assert.equal(blocks.length, Math.ceil(source.length / (10 * 1024)))
+                for (let i = 0; i < blocks.length; i++) {
+                    assert.equal(blocks[i].seqId, '.' + ('00' + Math.trunc(i / 4)).slice(-3))
+                    assert.equal(blocks[i].blockId, upload.generateBlockId(i % 4))
+                    assert.ok(blocks[i].data.equals(source.slice(i * 10 * 1024, (i + 1) * 10 * 1024)))
+                }
+            })
+    })
+
+    it('memory is bounded by a pool of buffers', function() {
+        const blockSize = 10 * 1024
+        const totalBlocks = 20
+
+        // Source that generates data only when read, counting the bytes generated
+        let generated = 0
+        const source = new stream.Readable({
+            highWaterMark: 1024,
+            read() {
+                if (generated >= totalBlocks * blockSize) {
+                    return this.push(null)
+                }
+                generated += 1024
+                this.push(Buffer.alloc(1024, generated / 1024))
+            }
+        })
+
+        const upload = mockUpload({})
+        upload._sourceStream = source
+        upload.resumeJournal = undefined
+        upload.concurrency = 4
+        upload.maxMemory = 2 * blockSize + 100
+
+        // Blocks complete after a delay, so the source would be read ahead without backpressure
+        let active = 0
+        let maxActive = 0
+        let maxAhead = 0
+        let received = 0
+        const buffers = []
+        upload.putBlock = (block) => {
+            active++
+            maxActive = Math.max(maxActive, active)
+            maxAhead = Math.max(maxAhead, generated - received)
+            received += block.length
+            if (buffers.indexOf(block.buffer) < 0) {
+                buffers.push(block.buffer)
+            }
+            return new Promise((resolve) => setTimeout(resolve, 5))
+                .then(() => {
+                    active--
+                    return {}
+                })
+        }
+
+        return upload.upload()
+            .then(() => {
+                assert.equal(received, totalBlocks * blockSize)
+                assert.equal(maxActive, 2)
+                assert.equal(buffers.length, 2)
+
+                // At most another block (and the buffer of the stream) is read while blocks are being uploaded
+                assert.ok(maxAhead <= 2 * blockSize + 2 * 1024, 'read ahead: ' + maxAhead)
+
+                // Memory must fit at least one block
+                upload.maxMemory = blockSize - 1
+                upload._sourceStream = fs.createReadStream(sourcePath)
+                return upload.upload()
+            })
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/at least the block size/))
+            })
+    })
+
+    it('errors stop reading and compressing the source', function() {
+        const blockSize = 10 * 1024
+
+        // Source much bigger than the blocks uploaded, which fails after some data when failAt is set
+        const createSource = (failAt) => {
+            const source = new stream.Readable({
+                highWaterMark: 1024,
+                read() {
+                    if (failAt !== undefined && source.generated >= failAt) {
+                        return this.destroy(Error('Simulated read error'))
+                    }
+                    if (source.generated >= 100 * blockSize) {
+                        return this.push(null)
+                    }
+                    source.generated += 1024
+                    this.push(crypto.randomBytes(1024))
+                }
+            })
+            source.generated = 0
+            return source
+        }
+
+        const createUpload = (source, failAfter) => {
+            const upload = mockUpload({}, failAfter)
+            upload._sourceStream = source
+            upload.resumeJournal = undefined
+            upload.compression = 'gzip'
+            upload.concurrency = 2
+            return upload
+        }
+        const wait = () => new Promise((resolve) => setTimeout(resolve, 50))
+
+        // A block upload fails
+        let upload = createUpload(createSource(), 2)
+
+        return upload.upload()
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/Simulated failure/))
+                const generated = upload._sourceStream.generated
+                return wait()
+                    .then(() => {
+                        // Nothing is read after the failure
+                        assert.equal(upload._sourceStream.generated, generated)
+                        assert.equal(upload.uploaded.length, 2)
+
+                        // The source fails
+                        upload = createUpload(createSource(5 * blockSize))
+                        return upload.upload()
+                    })
+            })
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/Simulated read error/))
+                const uploaded = upload.uploaded.length
+                return wait()
+                    .then(() => {
+                        assert.equal(upload.uploaded.length, uploaded)
+                    })
+            })
+    })
+})
@@ -0,0 +1,191 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {Writable} = require('stream')
+
+const TarArchive = require('../lib/TarArchive')
+
+describe('TarArchive', function() {
+    const root = path.join(os.tmpdir(), 'azbak-tar-' + process.pid)
+    const mtime = new Date('2026-10-19T10:00:00Z')
+    const longDir = 'deeply/' + 'nested-directory-name/'.repeat(6)
+    const big = crypto.randomBytes(300 * 1024 + 123)
+
+    before('create test directory', function() {
+        const files = {
+            'a.txt': Buffer.from('hello'),
+            'empty': Buffer.alloc(0),
+            'big.bin': big,
+            'dati/àèìòù.txt': Buffer.from('unicode')
+        }
+        files[longDir + 'file.txt'] = Buffer.from('long path')
+        for (const name of Object.keys(files)) {
+            const file = path.join(root, name)
+            fs.mkdirSync(path.dirname(file), {recursive: true})
+            fs.writeFileSync(file, files[name])
+            fs.utimesSync(file, mtime, mtime)
+        }
+        fs.chmodSync(path.join(root, 'a.txt'), 0o750)
+        fs.mkdirSync(path.join(root, 'emptydir'))
+    })
+
+    after('remove test directory', function() {
+        const remove = (p) => {
+            if (fs.lstatSync(p).isDirectory()) {
+                for (const name of fs.readdirSync(p)) {
+                    remove(path.join(p, name))
+                }
+                fs.rmdirSync(p)
+            }
+            else {
+                fs.unlinkSync(p)
+            }
+        }
+        remove(root)
+    })
+
+    // Read a stream slowly, to exercise backpressure, and return its content
+    const readSlowly = (stream) => {
+        return new Promise((resolve, reject) => {
+            const chunks = []
+            stream.on('error', reject)
+            stream.pipe(new Writable({
+                highWaterMark: 1024,
+                write(chunk, encoding, done) {
+                    chunks.push(chunk)
+                    setImmediate(done)
+                }
+            })).on('finish', () => resolve(Buffer.concat(chunks)))
+        })
+    }
+
+    // Minimal tar parser, returning the entries with their pax records applied
+    const parse = (buf) => {
+        const entries = []
+        let pax = {}
+        let offset = 0
+        while (offset < buf.length) {
+            const header = buf.slice(offset, offset + 512)
+            offset += 512
+            if (header.every((b) => b === 0)) {
+                break
+            }
+
+            // Verify the checksum
+            const checksum = parseInt(header.toString('ascii', 148, 156), 8)
+            let sum = 0
+            for (let i = 0; i < 512; i++) {
+                sum += (i >= 148 && i < 156) ? 32 : header[i]
+            }
+            assert.equal(checksum, sum)
+            assert.equal(header.toString('ascii', 257, 265), 'ustar\u000000')
+
+            const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/, '')
+            const entry = {
+                name: field(0, 100),
+                mode: parseInt(field(100, 8), 8),
+                size: parseInt(field(124, 12), 8),
+                mtime: parseInt(field(136, 12), 8),
+                type: field(156, 1)
+            }
+            const data = buf.slice(offset, offset + entry.size)
+            offset += Math.ceil(entry.size / 512) * 512
+
+            if (entry.type == 'x') {
+                for (const record of data.toString('utf8').split('\n').filter((r) => r)) {
+                    const match = record.match(/^(\d+) ([^=]+)=(.*)$/)
+                    assert.equal(Buffer.byteLength(record + '\n'), parseInt(match[1], 10))
+                    pax[match[2]] = match[3]
+                }
+                continue
+            }
+            entry.name = pax.path || entry.name
+            entry.data = data
+            entries.push(entry)
+            pax = {}
+        }
+
+        return entries
+    }
+
+    it('archives directories', function() {
+        const archive = new TarArchive(root)
+
+        // Each level of the long path is a directory entry
+        const longDirs = []
+        let prefix = ''
+        for (const part of longDir.split('/').filter((p) => p)) {
+            prefix += part + '/'
+            longDirs.push(prefix)
+        }
+
+        return readSlowly(archive)
+            .then((buf) => {
+                assert.equal(buf.length % 512, 0)
+                const entries = parse(buf)
+                assert.deepEqual(entries.map((e) => e.name), [
+                    'a.txt',
+                    'big.bin',
+                    'dati/',
+                    'dati/àèìòù.txt',
+                    ...longDirs,
+                    longDir + 'file.txt',
+                    'empty',
+                    'emptydir/'
+                ])
+
+                const byName = {}
+                for (const entry of entries) {
+                    byName[entry.name] = entry
+                }
+                assert.equal(byName['a.txt'].mode, 0o750)
+                assert.equal(byName['a.txt'].mtime, mtime.getTime() / 1000)
+                assert.equal(byName['a.txt'].data.toString(), 'hello')
+                assert.equal(byName['a.txt'].type, '0')
+                assert.ok(byName['big.bin'].data.equals(big))
+                assert.equal(byName['dati/àèìòù.txt'].data.toString(), 'unicode')
+                assert.equal(byName[longDir + 'file.txt'].data.toString(), 'long path')
+                assert.equal(byName['empty'].size, 0)
+                assert.equal(byName['emptydir/'].type, '5')
+            })
+    })
+
+    it('include and exclude', function() {
+        const archive = new TarArchive(root)
+        archive.include = ['*.txt']
+        archive.exclude = ['deeply']
+
+        return readSlowly(archive)
+            .then((buf) => {
+                // Directories without selected files are omitted
+                assert.deepEqual(parse(buf).map((e) => e.name), ['a.txt', 'dati/', 'dati/àèìòù.txt'])
+            })
+    })
+
+    it('pax headers', function() {
+        const stats = fs.statSync(path.join(root, 'big.bin'))
+
+        // Files bigger than 8 GB
+        Object.defineProperty(stats, 'size', {value: 10 * 1024 * 1024 * 1024})
+        const header = TarArchive.header('huge.bin', stats)
+        assert.equal(header.length, 512 * 3)
+        assert.equal(header.toString('ascii', 156, 157), 'x')
+        assert.ok(header.slice(512, 1024).toString('utf8').startsWith('20 size=10737418240\n'))
+    })
+
+    it('fails if the directory does not exist', function() {
+        return readSlowly(new TarArchive(path.join(root, 'missing')))
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.equal(err.code, 'ENOENT')
+            })
+    })
+})
@@ -0,0 +1,224 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const http = require('http')
+const url = require('url')
+const querystring = require('querystring')
+
+const RetryPolicy = require('../lib/RetryPolicy')
+const TokenCredential = require('../lib/TokenCredential')
+
+describe('TokenCredential', function() {
+    // Local stub for the token endpoints; each test sets the response
+    let server
+    let baseUrl
+    let requests
+    let respond
+
+    before(function(done) {
+        server = http.createServer((req, res) => {
+            let body = ''
+            req.on('data', (chunk) => {
+                body += chunk
+            })
+            req.on('end', () => {
+                const parsed = url.parse(req.url, true)
+                requests.push({
+                    method: req.method,
+                    pathname: parsed.pathname,
+                    query: parsed.query,
+                    headers: req.headers,
+                    form: querystring.parse(body)
+                })
+
+                const result = respond(requests.length)
+                res.writeHead(result.statusCode || 200, {'Content-Type': 'application/json'})
+                res.end(JSON.stringify(result.body))
+            })
+        })
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = 'http://127.0.0.1:' + server.address().port
+            done()
+        })
+    })
+
+    after(function(done) {
+        server.close(done)
+    })
+
+    beforeEach(function() {
+        requests = []
+        respond = (n) => {
+            return {body: {'token_type': 'Bearer', 'access_token': 'token' + n, 'expires_in': 3600}}
+        }
+    })
+
+    it('constructor', function() {
+        assert.throws(() => {
+            new TokenCredential()
+        }, /must be an object/)
+        assert.throws(() => {
+            new TokenCredential({type: 'password'})
+        }, /Type must be one of/)
+        assert.throws(() => {
+            TokenCredential.fromClientSecret('tenant', 'client')
+        }, /client secret are required/)
+
+        assert.equal(TokenCredential.fromClientSecret('tenant', 'client', 'secret').type, 'clientSecret')
+        assert.equal(TokenCredential.fromManagedIdentity().type, 'managedIdentity')
+    })
+
+    it('client secret', function() {
+        const credential = TokenCredential.fromClientSecret('my-tenant', 'my-client', 'my-secret', baseUrl + '/')
+
+        return credential.getToken().then((token) => {
+            assert.equal(token, 'token1')
+            assert.equal(requests.length, 1)
+            assert.equal(requests[0].method, 'POST')
+            assert.equal(requests[0].pathname, '/my-tenant/oauth2/v2.0/token')
+            assert.deepEqual(requests[0].form, {
+                'grant_type': 'client_credentials',
+                'client_id': 'my-client',
+                'client_secret': 'my-secret',
+                'scope': 'https://storage.azure.com/.default'
+            })
+        })
+    })
+
+    it('managed identity', function() {
+        respond = () => {
+            // IMDS returns expires_on as a UNIX timestamp
+            const expiresOn = Math.floor(Date.now() / 1000) + 3600
+            return {body: {'access_token': 'imds-token', 'expires_on': String(expiresOn), 'resource': TokenCredential.resource}}
+        }
+        const credential = TokenCredential.fromManagedIdentity('user-assigned-id', baseUrl + '/metadata/identity/oauth2/token')
+
+        return credential.getToken().then((token) => {
+            assert.equal(token, 'imds-token')
+            assert.equal(requests.length, 1)
+            assert.equal(requests[0].method, 'GET')
+            assert.equal(requests[0].pathname, '/metadata/identity/oauth2/token')
+            assert.equal(requests[0].headers.metadata, 'true')
+            assert.deepEqual(requests[0].query, {
+                'api-version': TokenCredential.imdsApiVersion,
+                'resource': TokenCredential.resource,
+                'client_id': 'user-assigned-id'
+            })
+
+            // Cached, as it doesn't expire soon
+            return credential.getToken()
+        }).then((token) => {
+            assert.equal(token, 'imds-token')
+            assert.equal(requests.length, 1)
+        })
+    })
+
+    it('caching', function() {
+        const credential = TokenCredential.fromClientSecret('my-tenant', 'my-client', 'my-secret', baseUrl)
+
+        // Concurrent requests share the same token
+        return Promise.all([credential.getToken(), credential.getToken()])
+            .then((tokens) => {
+                assert.deepEqual(tokens, ['token1', 'token1'])
+                return credential.getToken()
+            })
+            .then((token) => {
+                assert.equal(token, 'token1')
+                assert.equal(requests.length, 1)
+            })
+    })
+
+    it('refresh before expiry', function() {
+        // Tokens expire within the refresh margin, so they're requested every time
+        respond = (n) => {
+            return {body: {'access_token': 'token' + n, 'expires_in': TokenCredential.refreshMargin / 1000 - 60}}
+        }
+        const credential = TokenCredential.fromClientSecret('my-tenant', 'my-client', 'my-secret', baseUrl)
+
+        return credential.getToken()
+            .then((token) => {
+                assert.equal(token, 'token1')
+                return credential.getToken()
+            })
+            .then((token) => {
+                assert.equal(token, 'token2')
+                assert.equal(requests.length, 2)
+            })
+    })
+
+    it('error responses', function() {
+        respond = () => {
+            return {statusCode: 401, body: {'error': 'invalid_client', 'error_description': 'Invalid client secret provided'}}
+        }
+        const credential = TokenCredential.fromClientSecret('my-tenant', 'my-client', 'wrong', baseUrl)
+
+        return credential.getToken().then(() => {
+            throw Error('Should have failed')
+        }, (err) => {
+            assert.ok(err.message.match(/Could not obtain an access token \(401\): Invalid client secret provided/))
+        })
+    })
+
+    it('responses without a token or its expiration time', function() {
+        // Redirects are not successful responses
+        respond = () => {
+            return {statusCode: 300, body: {'access_token': 'token', 'expires_in': 3600}}
+        }
+        const credential = TokenCredential.fromClientSecret('my-tenant', 'my-client', 'my-secret', baseUrl)
+
+        return credential.getToken().then(() => {
+            throw Error('Should have failed')
+        }, (err) => {
+            assert.ok(err.message.match(/Could not obtain an access token \(300\)/))
+
+            respond = () => {
+                return {body: {'access_token': 'token'}}
+            }
+            return credential.getToken()
+        }).then(() => {
+            throw Error('Should have failed')
+        }, (err) => {
+            assert.ok(err.message.match(/does not contain the expiration time/))
+            assert.equal(requests.length, 2)
+        })
+    })
+
+    it('retries failed requests with the retry policy', function() {
+        respond = (n) => {
+            if (n == 1) {
+                return {statusCode: 503, body: {'error': 'temporarily_unavailable'}}
+            }
+            return {body: {'access_token': 'token' + n, 'expires_in': 3600}}
+        }
+        const credential = TokenCredential.fromClientSecret('my-tenant', 'my-client', 'my-secret', baseUrl)
+        assert.ok(credential.retryPolicy instanceof RetryPolicy)
+        assert.throws(() => {
+            credential.retryPolicy = {maxAttempts: 2}
+        }, /RetryPolicy object/)
+        credential.retryPolicy = new RetryPolicy({baseDelay: 10, jitter: 0})
+
+        return credential.getToken().then((token) => {
+            assert.equal(token, 'token2')
+            assert.equal(requests.length, 2)
+        })
+    })
+
+    it('static token from env', function() {
+        process.env.AZBAK_TEST_TOKEN = 'static-token'
+        const credential = TokenCredential.fromEnv('AZBAK_TEST_TOKEN')
+        delete process.env.AZBAK_TEST_TOKEN
+
+        assert.equal(credential.type, 'static')
+        assert.throws(() => {
+            TokenCredential.fromEnv('AZBAK_TEST_TOKEN')
+        }, /AZBAK_TEST_TOKEN is empty or not set/)
+
+        return credential.getToken().then((token) => {
+            assert.equal(token, 'static-token')
+            assert.equal(requests.length, 0)
+        })
+    })
+})
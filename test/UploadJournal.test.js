@@ -0,0 +1,99 @@
+/* eslint-env node, mocha */
+/* eslint-disable prefer-arrow-callback, no-new */
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const UploadJournal = require('../lib/UploadJournal')
+
+describe('UploadJournal', function() {
+    const journalPath = path.join(os.tmpdir(), 'azbak-journal-' + process.pid + '.jsonl')
+    const params = {blob: '/container/test.jpg', blockSize: 10}
+
+    afterEach('remove journal file', function() {
+        if (fs.existsSync(journalPath)) {
+            fs.unlinkSync(journalPath)
+        }
+    })
+
+    it('constructor', function() {
+        assert.throws(() => {
+            new UploadJournal()
+        }, /path/)
+
+        const journal = new UploadJournal(journalPath)
+        assert.equal(journal.path, journalPath)
+    })
+
+    it('record and re-open', function() {
+        const journal = new UploadJournal(journalPath)
+        return journal.open(params)
+            .then(() => {
+                assert.ok(fs.existsSync(journalPath))
+                assert.deepEqual(journal.seqIds(), [])
+
+                return journal.record('.000', 'MDAwMDA=', 10, 'q6fSnyB/SY/hlZd2ZjZCdw==')
+            })
+            .then(() => journal.record('.001', 'MDAwMDA=', 4, 'ICy5YqxZB1uWSwcVLSNLcA=='))
+            .then(() => {
+                // Simulate a truncated line
+                fs.appendFileSync(journalPath, '{"seqId":".001","bl')
+
+                const reopened = new UploadJournal(journalPath)
+                return reopened.open(params)
+                    .then(() => reopened)
+            })
+            .then((reopened) => {
+                assert.deepEqual(reopened.seqIds(), ['.000', '.001'])
+                assert.strictEqual(reopened.getBlockSize('.000', 'MDAwMDA='), 10)
+                assert.strictEqual(reopened.getBlockSize('.001', 'MDAwMDA='), 4)
+                assert.strictEqual(reopened.getBlockSize('.001', 'MDAwMDE='), undefined)
+                assert.strictEqual(reopened.getBlockMd5('.000', 'MDAwMDA='), 'q6fSnyB/SY/hlZd2ZjZCdw==')
+                assert.strictEqual(reopened.getBlockMd5('.001', 'MDAwMDE='), undefined)
+
+                reopened.forget('.000', 'MDAwMDA=')
+                assert.strictEqual(reopened.getBlockSize('.000', 'MDAwMDA='), undefined)
+
+                return reopened.remove()
+            })
+            .then(() => {
+                assert.ok(!fs.existsSync(journalPath))
+            })
+    })
+
+    it('rejects journals of different uploads', function() {
+        const journal = new UploadJournal(journalPath)
+        return journal.open(params)
+            .then(() => {
+                const other = new UploadJournal(journalPath)
+                return other.open({blob: '/container/other.jpg', blockSize: 10})
+            })
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/different upload/))
+            })
+    })
+
+    it('rejects journals of sources that changed', function() {
+        const journal = new UploadJournal(journalPath)
+        const source = {size: 100, mtime: 1790000000000}
+        return journal.open(Object.assign({source}, params))
+            .then(() => {
+                // Same source
+                return new UploadJournal(journalPath).open(Object.assign({source}, params))
+            })
+            .then(() => {
+                return new UploadJournal(journalPath).open(Object.assign({source: {size: 100, mtime: 1790000001000}}, params))
+            })
+            .then(() => {
+                assert.fail('Should have thrown')
+            }, (err) => {
+                assert.ok(err.message.match(/source had a different size or modification time/), err.message)
+            })
+    })
+})